@@ -2,6 +2,10 @@
 
 # AI-Protected Firebase Emulator Sharing Script
 # Usage: ./ai-protected-share-emulators.sh [start|stop|status|urls] [options]
+#
+# Shares the emulators through one ngrok tunnel to secure-local-proxy.js,
+# which does the protection: login, roles, rate limits and behavior-based
+# automation detection with a browser challenge (lib/proxy/automation.js).
 
 SCRIPT_DIR="$(cd "$(dirname "${BASH_SOURCE[0]}")" && pwd)"
 SHARE_DIR="$SCRIPT_DIR/.emulator-sharing"
@@ -9,7 +13,9 @@ PID_FILE="$SHARE_DIR/ngrok_pids.txt"
 URL_FILE="$SHARE_DIR/ngrok_urls.txt"
 CONFIG_FILE="$SHARE_DIR/security_config.json"
 AUTH_FILE="$SHARE_DIR/auth_tokens.txt"
-RATE_LIMIT_FILE="$SHARE_DIR/rate_limits.json"
+PROXY_LOG="$SHARE_DIR/ai_proxy.log"
+ROLES_FILE="$SHARE_DIR/ai_roles.json"
+RATE_LIMIT_FILE="$SHARE_DIR/ai_rate_limits.json"
 
 # Colors for output
 RED='\033[0;31m'
@@ -23,9 +29,8 @@ NC='\033[0m' # No Color
 # Security settings
 DEFAULT_TIMEOUT="3600"  # 1 hour
 DEFAULT_REGION="us"     # ngrok region
-DEFAULT_RATE_LIMIT="10" # 1 action per 10 seconds
-DEFAULT_MAX_REQUESTS="100" # Max requests per session
-ALLOWED_SERVICES=("ui" "functions" "frontend")
+DEFAULT_PROXY_PORT="${PROXY_PORT:-8088}"
+DEFAULT_CHALLENGE="pow" # proof of work; "reauth" signs sessions out instead
 
 # Create sharing directory
 mkdir -p "$SHARE_DIR"
@@ -33,184 +38,91 @@ mkdir -p "$SHARE_DIR"
 # Function to generate secure token with complexity
 generate_auth_token() {
     # Generate complex token with multiple sources
-    local token1=$(openssl rand -hex 8 2>/dev/null || python3 -c "import secrets; print(secrets.token_hex(8))" 2>/dev/null)
+    local token1=$(openssl rand -hex 8 2>/dev/null || node -e "console.log(require('crypto').randomBytes(8).toString('hex'))" 2>/dev/null)
     local token2=$(date +%s | sha256sum | head -c 8 2>/dev/null || date +%s)
     local token3=$(echo $RANDOM | sha256sum | head -c 8 2>/dev/null || echo $RANDOM)
     echo "${token1}${token2}${token3}"
 }
 
-# Function to create rate limiting configuration
+# Function to create the proxy's rate limits from --rate-limit and --max-requests
+# (without either, the proxy's own limits apply)
 create_rate_limit_config() {
-    local rate_limit="${1:-$DEFAULT_RATE_LIMIT}"
-    local max_requests="${2:-$DEFAULT_MAX_REQUESTS}"
-    local captcha_after="${3:-50}"
+    local rate_limit="$1"
+    local max_requests="$2"
 
+    rm -f "$RATE_LIMIT_FILE"
+    if [[ -z "$rate_limit" && -z "$max_requests" ]]; then
+        return 0
+    fi
+
+    # Before login: one request per RATE_LIMIT seconds. Signed in: MAX_REQUESTS per minute.
+    local limits=()
+    if [[ -n "$rate_limit" ]]; then
+        limits+=("\"anonymous\": $(( (60 + rate_limit - 1) / rate_limit ))")
+    fi
+    if [[ -n "$max_requests" ]]; then
+        limits+=("\"shared\": $max_requests" "\"viewer\": $max_requests" "\"tester\": $max_requests" "\"admin\": $max_requests")
+    fi
+
+    local roles_json=$(IFS=,; echo "${limits[*]}")
     cat > "$RATE_LIMIT_FILE" << EOF
 {
-    "rate_limit_seconds": $rate_limit,
-    "max_requests_per_session": $max_requests,
-    "captcha_threshold": $captcha_after,
-    "request_log": [],
-    "blocked_patterns": [
-        "bot", "crawler", "spider", "scraper", "automation",
-        "selenium", "puppeteer", "playwright", "curl", "wget",
-        "python-requests", "okhttp", "axios", "fetch"
-    ],
-    "suspicious_behaviors": {
-        "rapid_requests": 0,
-        "pattern_matches": 0,
-        "failed_auth_attempts": 0
-    },
-    "created_at": "$(date -u +"%Y-%m-%dT%H:%M:%SZ")"
+    "windowMs": 60000,
+    "roles": { ${roles_json//,/, } }
 }
 EOF
 }
 
-# Function to create AI protection middleware for ngrok
-create_protection_middleware() {
-    local auth_token="$1"
-    local rate_limit="$2"
-
-    # Create a simple protection script that ngrok can use
-    cat > "$SHARE_DIR/protection_middleware.py" << 'EOF'
-#!/usr/bin/env python3
-import json
-import time
-import re
-from datetime import datetime, timedelta
-from collections import defaultdict, deque
-import sys
-import os
-
-class AIProtectionMiddleware:
-    def __init__(self, config_file):
-        self.config_file = config_file
-        self.request_times = defaultdict(deque)
-        self.suspicious_ips = set()
-        self.load_config()
-
-    def load_config(self):
-        try:
-            with open(self.config_file, 'r') as f:
-                self.config = json.load(f)
-        except:
-            self.config = {
-                "rate_limit_seconds": 10,
-                "max_requests_per_session": 100,
-                "blocked_patterns": ["bot", "crawler", "automation"]
-            }
-
-    def is_suspicious_user_agent(self, user_agent):
-        if not user_agent:
-            return True
-
-        user_agent_lower = user_agent.lower()
-        blocked_patterns = self.config.get("blocked_patterns", [])
-
-        for pattern in blocked_patterns:
-            if pattern in user_agent_lower:
-                return True
-
-        # Check for missing common browser indicators
-        browser_indicators = ["mozilla", "webkit", "chrome", "firefox", "safari"]
-        if not any(indicator in user_agent_lower for indicator in browser_indicators):
-            return True
-
-        return False
-
-    def check_rate_limit(self, ip_address):
-        now = time.time()
-        rate_limit = self.config.get("rate_limit_seconds", 10)
-
-        # Clean old requests
-        cutoff_time = now - rate_limit
-        while self.request_times[ip_address] and self.request_times[ip_address][0] < cutoff_time:
-            self.request_times[ip_address].popleft()
-
-        # Check if rate limit exceeded
-        if len(self.request_times[ip_address]) >= 1:
-            return False
-
-        # Add current request
-        self.request_times[ip_address].append(now)
-        return True
-
-    def detect_automation_patterns(self, headers):
-        """Detect common automation patterns"""
-        suspicious_patterns = [
-            # Missing common browser headers
-            lambda h: 'accept-language' not in [k.lower() for k in h.keys()],
-            # Suspicious accept headers
-            lambda h: h.get('accept', '').startswith('application/json'),
-            # Missing or suspicious referer patterns
-            lambda h: not h.get('referer') and h.get('accept', '').startswith('text/html'),
-            # Automation tools
-            lambda h: any(tool in h.get('user-agent', '').lower()
-                         for tool in ['selenium', 'puppeteer', 'playwright', 'headless']),
-        ]
-
-        return sum(1 for pattern in suspicious_patterns if pattern(headers))
-
-    def should_block_request(self, ip, user_agent, headers):
-        # Rate limiting
-        if not self.check_rate_limit(ip):
-            return True, "Rate limit exceeded"
-
-        # User agent analysis
-        if self.is_suspicious_user_agent(user_agent):
-            return True, "Suspicious user agent detected"
-
-        # Automation pattern detection
-        automation_score = self.detect_automation_patterns(headers)
-        if automation_score >= 2:
-            return True, "Automation patterns detected"
-
-        return False, "OK"
-
-# Simple HTTP server with protection
-if __name__ == "__main__":
-    import http.server
-    import socketserver
-    from urllib.parse import urlparse, parse_qs
-
-    class ProtectedHandler(http.server.SimpleHTTPRequestHandler):
-        def __init__(self, *args, **kwargs):
-            self.protection = AIProtectionMiddleware(sys.argv[1] if len(sys.argv) > 1 else "rate_limits.json")
-            super().__init__(*args, **kwargs)
-
-        def do_GET(self):
-            client_ip = self.client_address[0]
-            user_agent = self.headers.get('User-Agent', '')
-
-            should_block, reason = self.protection.should_block_request(
-                client_ip, user_agent, dict(self.headers)
-            )
-
-            if should_block:
-                self.send_response(429)
-                self.send_header('Content-type', 'text/html')
-                self.send_header('Retry-After', '60')
-                self.end_headers()
-                self.wfile.write(f"""
-                <html><body>
-                <h1>🛡️ Protected Service</h1>
-                <p>Access temporarily restricted: {reason}</p>
-                <p>This service is protected against automated access.</p>
-                <p>Please wait and try again with a normal browser.</p>
-                </body></html>
-                """.encode())
-                return
-
-            # If not blocked, continue with normal handling
-            super().do_GET()
-
-    PORT = int(sys.argv[2]) if len(sys.argv) > 2 else 8000
-    with socketserver.TCPServer(("", PORT), ProtectedHandler) as httpd:
-        print(f"🛡️ AI Protection server running on port {PORT}")
-        httpd.serve_forever()
+# Function to create the "shared" role given to invited and paired devices
+create_roles_config() {
+    local allowed_services="$1"
+
+    cat > "$ROLES_FILE" << EOF
+{
+    "shared": {
+        "description": "Devices joining through the AI-protected tunnel",
+        "services": ["$(echo "$allowed_services" | sed 's/,/", "/g')"],
+        "methods": ["*"]
+    }
+}
 EOF
+}
+
+# Function to start secure-local-proxy.js in front of the emulators
+start_protection_proxy() {
+    local challenge="$1"
+
+    echo -e "  🛡️  Starting secure proxy on port $DEFAULT_PROXY_PORT..."
+    local rate_limits=""
+    if [[ -f "$RATE_LIMIT_FILE" ]]; then
+        rate_limits="$RATE_LIMIT_FILE"
+    fi
 
-    chmod +x "$SHARE_DIR/protection_middleware.py"
+    # Every caller arrives through the local ngrok agent; behind-tunnel mode
+    # keys lockouts, rate limits and the audit log on X-Forwarded-For instead
+    PROXY_PORT="$DEFAULT_PROXY_PORT" \
+    PROXY_BEHIND_TUNNEL="true" \
+    PROXY_ROLES_FILE="$ROLES_FILE" \
+    PROXY_INVITE_ROLE="shared" \
+    PROXY_PAIRING_ROLE="shared" \
+    PROXY_AUTOMATION_CHALLENGE="$challenge" \
+    PROXY_RATE_LIMITS="${rate_limits:-$PROXY_RATE_LIMITS}" \
+        node "$SCRIPT_DIR/secure-local-proxy.js" < /dev/null > "$PROXY_LOG" 2>&1 &
+    local proxy_pid=$!
+    echo "$proxy_pid" >> "$PID_FILE"
+
+    # Wait until it listens
+    local attempts=0
+    while ! grep -q "running on port" "$PROXY_LOG" 2>/dev/null; do
+        if ! kill -0 "$proxy_pid" 2>/dev/null || [[ $attempts -ge 20 ]]; then
+            echo -e "${RED}Error: the secure proxy did not start (see $PROXY_LOG)${NC}"
+            tail -5 "$PROXY_LOG"
+            return 1
+        fi
+        sleep 0.5
+        attempts=$((attempts + 1))
+    done
+    return 0
 }
 
 # Function to detect emulator ports
@@ -248,23 +160,24 @@ detect_emulator_ports() {
         export EMULATOR_HOSTING_PORT="5005"
     fi
 
-    # Detect Next.js
-    export NEXTJS_PORT=""
-    if [[ -f "package.json" ]]; then
-        NEXTJS_PORT=$(grep -o '"dev".*--port [0-9]*\|"dev".*-p [0-9]*' package.json | grep -o '[0-9]*' | head -1)
-        if [[ -z "$NEXTJS_PORT" ]] && netstat -an 2>/dev/null | grep -q ":9002.*LISTEN"; then
-            NEXTJS_PORT="9002"
-        fi
-    fi
-
     echo -e "${GREEN}Detected ports with AI protection:${NC}"
     echo -e "  🎛️  UI: ${YELLOW}$EMULATOR_UI_PORT${NC}"
     echo -e "  ⚡ Functions: ${YELLOW}$EMULATOR_FUNCTIONS_PORT${NC}"
     echo -e "  🔥 Firestore: ${YELLOW}$EMULATOR_FIRESTORE_PORT${NC}"
     echo -e "  🔐 Auth: ${YELLOW}$EMULATOR_AUTH_PORT${NC}"
     echo -e "  📦 Hosting: ${YELLOW}$EMULATOR_HOSTING_PORT${NC}"
-    if [[ -n "$NEXTJS_PORT" ]]; then
-        echo -e "  🌐 Next.js: ${YELLOW}$NEXTJS_PORT${NC}"
+    echo -e "  (the proxy reads the same firebase.json and follows changes to it)"
+
+    # Detect Next.js; the proxy only shares it once it is in emulator-proxy.json
+    local nextjs_port=""
+    if [[ -f "package.json" ]]; then
+        nextjs_port=$(grep -o '"dev".*--port [0-9]*\|"dev".*-p [0-9]*' package.json | grep -o '[0-9]*' | head -1)
+        if [[ -z "$nextjs_port" ]] && netstat -an 2>/dev/null | grep -q ":9002.*LISTEN"; then
+            nextjs_port="9002"
+        fi
+    fi
+    if [[ -n "$nextjs_port" ]] && ! grep -q '"frontend"' "$(dirname "$firebase_json")/emulator-proxy.json" 2>/dev/null; then
+        echo -e "  🌐 Next.js: ${YELLOW}$nextjs_port${NC} - add ${CYAN}\"frontend\": { \"port\": $nextjs_port }${NC} to the services in emulator-proxy.json to share it"
     fi
 }
 
@@ -276,8 +189,8 @@ check_prerequisites() {
         return 1
     fi
 
-    if ! command -v python3 >/dev/null 2>&1; then
-        echo -e "${RED}Error: python3 is required for AI protection${NC}"
+    if ! command -v node >/dev/null 2>&1; then
+        echo -e "${RED}Error: node is required for the secure proxy${NC}"
         return 1
     fi
 
@@ -288,18 +201,21 @@ check_prerequisites() {
 create_security_config() {
     local timeout="${1:-$DEFAULT_TIMEOUT}"
     local auth_required="${2:-true}"
-    local rate_limit="${3:-$DEFAULT_RATE_LIMIT}"
-    local max_requests="${4:-$DEFAULT_MAX_REQUESTS}"
+    local rate_limit="$3"
+    local max_requests="$4"
     local allowed_services="${5:-ui,functions,frontend}"
+    local challenge="${6:-$DEFAULT_CHALLENGE}"
 
     cat > "$CONFIG_FILE" << EOF
 {
     "timeout": $timeout,
     "auth_required": $auth_required,
-    "rate_limit_seconds": $rate_limit,
-    "max_requests_per_session": $max_requests,
+    "rate_limit_seconds": ${rate_limit:-null},
+    "max_requests_per_minute": ${max_requests:-null},
     "ai_protection_enabled": true,
-    "allowed_services": ["$(echo $allowed_services | tr ',' '","')"],
+    "challenge": "$challenge",
+    "proxy_port": $DEFAULT_PROXY_PORT,
+    "allowed_services": ["$(echo $allowed_services | sed 's/,/","/g')"],
     "created_at": "$(date -u +"%Y-%m-%dT%H:%M:%SZ")",
     "expires_at": "$(date -u -d "+${timeout} seconds" +"%Y-%m-%dT%H:%M:%SZ" 2>/dev/null || date -u -v+${timeout}S +"%Y-%m-%dT%H:%M:%SZ" 2>/dev/null || echo "unknown")",
     "security_features": {
@@ -307,7 +223,7 @@ create_security_config() {
         "user_agent_filtering": true,
         "automation_detection": true,
         "pattern_analysis": true,
-        "captcha_protection": false
+        "browser_challenge": true
     }
 }
 EOF
@@ -333,9 +249,10 @@ check_session_expiry() {
 start_sharing() {
     local timeout="${1:-$DEFAULT_TIMEOUT}"
     local auth_required="${2:-true}"
-    local rate_limit="${3:-$DEFAULT_RATE_LIMIT}"
-    local max_requests="${4:-$DEFAULT_MAX_REQUESTS}"
+    local rate_limit="$3"
+    local max_requests="$4"
     local allowed_services="${5:-ui,functions,frontend}"
+    local challenge="${6:-$DEFAULT_CHALLENGE}"
 
     echo -e "${CYAN}🤖 Starting AI-Protected emulator sharing...${NC}"
 
@@ -347,54 +264,30 @@ start_sharing() {
     stop_sharing_quiet
 
     # Create configurations
-    create_security_config "$timeout" "$auth_required" "$rate_limit" "$max_requests" "$allowed_services"
+    create_security_config "$timeout" "$auth_required" "$rate_limit" "$max_requests" "$allowed_services" "$challenge"
     create_rate_limit_config "$rate_limit" "$max_requests"
+    create_roles_config "$allowed_services"
 
-    # Generate auth token
+    # Generate auth token for the tunnel's basic auth (on top of the proxy login)
     local auth_token=""
     if [[ "$auth_required" == "true" ]]; then
         auth_token=$(generate_auth_token)
         echo "$auth_token" > "$AUTH_FILE"
     fi
 
-    # Create AI protection middleware
-    create_protection_middleware "$auth_token" "$rate_limit"
-
-    echo -e "${BLUE}Starting AI-protected ngrok tunnels...${NC}"
-
     # Clear previous data
     > "$URL_FILE"
     > "$PID_FILE"
 
-    # Start protected tunnels
-    if netstat -an 2>/dev/null | grep -q ":$EMULATOR_UI_PORT.*LISTEN" && [[ "$allowed_services" == *"ui"* ]]; then
-        echo -e "  🛡️  Starting AI-protected tunnel for Emulator UI..."
-        if [[ "$auth_required" == "true" ]]; then
-            ngrok http "$EMULATOR_UI_PORT" --region="$DEFAULT_REGION" --basic-auth="demo:$auth_token" --log=stdout > "$SHARE_DIR/ngrok_ui.log" 2>&1 &
-        else
-            ngrok http "$EMULATOR_UI_PORT" --region="$DEFAULT_REGION" --log=stdout > "$SHARE_DIR/ngrok_ui.log" 2>&1 &
-        fi
-        echo "$!" >> "$PID_FILE"
-        sleep 2
-    fi
-
-    if netstat -an 2>/dev/null | grep -q ":$EMULATOR_FUNCTIONS_PORT.*LISTEN" && [[ "$allowed_services" == *"functions"* ]]; then
-        echo -e "  🛡️  Starting AI-protected tunnel for Functions..."
-        ngrok http "$EMULATOR_FUNCTIONS_PORT" --region="$DEFAULT_REGION" --log=stdout > "$SHARE_DIR/ngrok_functions.log" 2>&1 &
-        echo "$!" >> "$PID_FILE"
-        sleep 2
-    fi
+    start_protection_proxy "$challenge" || { stop_sharing_quiet; return 1; }
 
-    if [[ -n "$NEXTJS_PORT" ]] && netstat -an 2>/dev/null | grep -q ":$NEXTJS_PORT.*LISTEN" && [[ "$allowed_services" == *"frontend"* ]]; then
-        echo -e "  🛡️  Starting AI-protected tunnel for Frontend..."
-        if [[ "$auth_required" == "true" ]]; then
-            ngrok http "$NEXTJS_PORT" --region="$DEFAULT_REGION" --basic-auth="demo:$auth_token" --log=stdout > "$SHARE_DIR/ngrok_frontend.log" 2>&1 &
-        else
-            ngrok http "$NEXTJS_PORT" --region="$DEFAULT_REGION" --log=stdout > "$SHARE_DIR/ngrok_frontend.log" 2>&1 &
-        fi
-        echo "$!" >> "$PID_FILE"
-        sleep 2
+    echo -e "${BLUE}Starting AI-protected ngrok tunnel...${NC}"
+    if [[ "$auth_required" == "true" ]]; then
+        ngrok http "$DEFAULT_PROXY_PORT" --region="$DEFAULT_REGION" --basic-auth="demo:$auth_token" --log=stdout > "$SHARE_DIR/ngrok_proxy.log" 2>&1 &
+    else
+        ngrok http "$DEFAULT_PROXY_PORT" --region="$DEFAULT_REGION" --log=stdout > "$SHARE_DIR/ngrok_proxy.log" 2>&1 &
     fi
+    echo "$!" >> "$PID_FILE"
 
     # Wait and extract URLs
     sleep 5
@@ -410,22 +303,35 @@ show_ai_protection_info() {
     if [[ -f "$CONFIG_FILE" ]]; then
         local expires_at=$(jq -r '.expires_at' "$CONFIG_FILE" 2>/dev/null)
         local auth_required=$(jq -r '.auth_required' "$CONFIG_FILE" 2>/dev/null)
-        local rate_limit=$(jq -r '.rate_limit_seconds' "$CONFIG_FILE" 2>/dev/null)
-        local max_requests=$(jq -r '.max_requests_per_session' "$CONFIG_FILE" 2>/dev/null)
+        local rate_limit=$(jq -r '.rate_limit_seconds // empty' "$CONFIG_FILE" 2>/dev/null)
+        local max_requests=$(jq -r '.max_requests_per_minute // empty' "$CONFIG_FILE" 2>/dev/null)
+        local challenge=$(jq -r '.challenge // "pow"' "$CONFIG_FILE" 2>/dev/null)
 
         echo -e "${CYAN}🤖 AI Protection Settings:${NC}"
         echo -e "${BLUE}════════════════════════════════════════${NC}"
         echo -e "  ${YELLOW}🕐 Session expires:${NC} $expires_at"
-        echo -e "  ${YELLOW}🔐 Auth required:${NC} $auth_required"
-        echo -e "  ${YELLOW}⏱️  Rate limit:${NC} 1 request per $rate_limit seconds"
-        echo -e "  ${YELLOW}📊 Max requests:${NC} $max_requests per session"
-        echo -e "  ${YELLOW}🛡️  Protections:${NC} Bot detection, User-agent filtering, Rate limiting"
-        echo -e "  ${YELLOW}🤖 AI Defense:${NC} Automation pattern detection, Suspicious behavior analysis"
+        echo -e "  ${YELLOW}🔐 Tunnel basic auth:${NC} $auth_required (the proxy login is always required)"
+        if [[ -n "$rate_limit" ]]; then
+            echo -e "  ${YELLOW}⏱️  Rate limit:${NC} 1 request per $rate_limit seconds before login"
+        else
+            echo -e "  ${YELLOW}⏱️  Rate limit:${NC} proxy defaults before login"
+        fi
+        if [[ -n "$max_requests" ]]; then
+            echo -e "  ${YELLOW}📊 Max requests:${NC} $max_requests per minute per person"
+        else
+            echo -e "  ${YELLOW}📊 Max requests:${NC} proxy defaults per person"
+        fi
+        echo -e "  ${YELLOW}🛡️  Protections:${NC} Login, roles, rate limiting, bot detection"
+        echo -e "  ${YELLOW}🤖 AI Defense:${NC} Cadence, path enumeration, header and headless analysis; $([[ "$challenge" == "reauth" ]] && echo "suspicious sessions sign in again" || echo "proof-of-work challenge")"
 
         if [[ "$auth_required" == "true" && -f "$AUTH_FILE" ]]; then
             local token=$(cat "$AUTH_FILE")
             echo -e "  ${YELLOW}🔑 Auth credentials:${NC} demo:$token"
         fi
+        local operator_token=$(grep -o 'Operator Token: [^ ]*' "$PROXY_LOG" 2>/dev/null | awk '{print $3}')
+        if [[ -n "$operator_token" ]]; then
+            echo -e "  ${YELLOW}🔑 Proxy login:${NC} $operator_token (admin; invite others from the proxy log: $PROXY_LOG)"
+        fi
         echo -e "${BLUE}════════════════════════════════════════${NC}"
     fi
 }
@@ -434,17 +340,17 @@ show_ai_protection_info() {
 extract_urls() {
     local tunnels=$(curl -s http://127.0.0.1:4040/api/tunnels 2>/dev/null)
     if [[ -n "$tunnels" ]]; then
-        echo "$tunnels" | python3 -c "
-import json, sys
-try:
-    data = json.load(sys.stdin)
-    for tunnel in data.get('tunnels', []):
-        public_url = tunnel.get('public_url', '')
-        local_port = tunnel.get('config', {}).get('addr', '').split(':')[-1]
-        if public_url:
-            print(f'{local_port}:{public_url}')
-except:
-    pass
+        echo "$tunnels" | node -e "
+let input = '';
+process.stdin.on('data', chunk => { input += chunk; });
+process.stdin.on('end', () => {
+    try {
+        for (const tunnel of JSON.parse(input).tunnels || []) {
+            const localPort = String((tunnel.config || {}).addr || '').split(':').pop();
+            if (tunnel.public_url) console.log(localPort + ':' + tunnel.public_url);
+        }
+    } catch (error) {}
+});
 " >> "$URL_FILE"
     fi
 }
@@ -457,14 +363,8 @@ show_urls() {
     if [[ -f "$URL_FILE" ]] && [[ -s "$URL_FILE" ]]; then
         while IFS=: read -r port url; do
             case "$port" in
-                "$EMULATOR_UI_PORT")
-                    echo -e "  ${YELLOW}🎛️  Emulator UI:${NC} $url ${CYAN}(AI Protected)${NC}"
-                    ;;
-                "$EMULATOR_FUNCTIONS_PORT")
-                    echo -e "  ${YELLOW}⚡ Functions:${NC} $url ${CYAN}(AI Protected)${NC}"
-                    ;;
-                "$NEXTJS_PORT")
-                    echo -e "  ${YELLOW}🌐 Frontend:${NC} $url ${CYAN}(AI Protected)${NC}"
+                "$DEFAULT_PROXY_PORT")
+                    echo -e "  ${YELLOW}🛡️  Secure proxy (every service):${NC} $url ${CYAN}(AI Protected)${NC}"
                     ;;
                 *)
                     echo -e "  ${YELLOW}🔗 Port $port:${NC} $url ${CYAN}(AI Protected)${NC}"
@@ -475,10 +375,10 @@ show_urls() {
 
     echo -e "${BLUE}════════════════════════════════════════${NC}"
     echo -e "${CYAN}🤖 AI PROTECTION ACTIVE:${NC}"
-    echo -e "${YELLOW}• Automated requests are blocked${NC}"
-    echo -e "${YELLOW}• Rate limiting: 1 request per $(jq -r '.rate_limit_seconds // 10' "$CONFIG_FILE" 2>/dev/null) seconds${NC}"
+    echo -e "${YELLOW}• Automation tools are blocked, suspicious clients are challenged${NC}"
+    echo -e "${YELLOW}• Rate limiting per person and per service${NC}"
     echo -e "${YELLOW}• Bot detection and user-agent filtering${NC}"
-    echo -e "${YELLOW}• Suspicious behavior analysis${NC}"
+    echo -e "${YELLOW}• Suspicious behavior analysis (see /admin/audit)${NC}"
     echo -e "${RED}⚠️  Only share with trusted users${NC}"
 }
 
@@ -492,8 +392,9 @@ stop_sharing_quiet() {
         done < "$PID_FILE"
         rm -f "$PID_FILE"
     fi
-    rm -f "$URL_FILE" "$CONFIG_FILE" "$AUTH_FILE" "$RATE_LIMIT_FILE"
-    rm -f "$SHARE_DIR/protection_middleware.py"
+    rm -f "$URL_FILE" "$CONFIG_FILE" "$AUTH_FILE" "$RATE_LIMIT_FILE" "$ROLES_FILE"
+    # Left behind by earlier versions of this script
+    rm -f "$SHARE_DIR/protection_middleware.py" "$SHARE_DIR/rate_limits.json"
 }
 
 stop_sharing() {
@@ -515,7 +416,7 @@ check_status() {
         done < "$PID_FILE"
 
         if [[ $running_count -gt 0 ]]; then
-            echo -e "${GREEN}✅ AI-Protected emulator sharing is active ($running_count tunnels)${NC}"
+            echo -e "${GREEN}✅ AI-Protected emulator sharing is active ($running_count processes: proxy and tunnel)${NC}"
             show_ai_protection_info
             show_urls
             return 0
@@ -529,9 +430,10 @@ check_status() {
 # Parse arguments
 TIMEOUT="$DEFAULT_TIMEOUT"
 AUTH_REQUIRED="true"
-RATE_LIMIT="$DEFAULT_RATE_LIMIT"
-MAX_REQUESTS="$DEFAULT_MAX_REQUESTS"
+RATE_LIMIT=""
+MAX_REQUESTS=""
 ALLOWED_SERVICES="ui,functions,frontend"
+CHALLENGE="$DEFAULT_CHALLENGE"
 
 while [[ $# -gt 0 ]]; do
     case $1 in
@@ -555,28 +457,39 @@ while [[ $# -gt 0 ]]; do
             ALLOWED_SERVICES="$2"
             shift 2
             ;;
+        --challenge)
+            CHALLENGE="$2"
+            shift 2
+            ;;
         --help)
             echo -e "${CYAN}🤖 AI-Protected Firebase Emulator Sharing${NC}"
             echo -e "Advanced protection against automated attacks and AI bots"
             echo -e ""
             echo -e "Usage: $0 {start|stop|status|urls} [options]"
             echo -e ""
-            echo -e "AI Protection Features:"
+            echo -e "AI Protection Features (secure-local-proxy.js behind one ngrok tunnel):"
             echo -e "  ${YELLOW}🛡️  Rate limiting${NC} - Prevent rapid automated requests"
             echo -e "  ${YELLOW}🤖 Bot detection${NC} - Block known automation tools"
-            echo -e "  ${YELLOW}📊 Pattern analysis${NC} - Detect suspicious behavior"
-            echo -e "  ${YELLOW}🔍 User-agent filtering${NC} - Block suspicious clients"
+            echo -e "  ${YELLOW}📊 Pattern analysis${NC} - Request cadence, path enumeration, scanner probes"
+            echo -e "  ${YELLOW}🔍 Header analysis${NC} - Missing browser headers, headless browsers"
+            echo -e "  ${YELLOW}🧩 Challenge${NC} - Proof of work in the browser, or signing in again"
+            echo -e "  ${YELLOW}🌐 Per-client limits${NC} - Callers told apart by the tunnel's X-Forwarded-For"
             echo -e ""
             echo -e "Options:"
             echo -e "  ${YELLOW}--timeout SECONDS${NC}     - Session timeout (default: 3600)"
-            echo -e "  ${YELLOW}--no-auth${NC}             - Disable authentication"
-            echo -e "  ${YELLOW}--rate-limit SECONDS${NC}  - Rate limit (default: 10)"
-            echo -e "  ${YELLOW}--max-requests NUM${NC}    - Max requests per session (default: 100)"
-            echo -e "  ${YELLOW}--services LIST${NC}       - Allowed services"
+            echo -e "  ${YELLOW}--no-auth${NC}             - No basic auth on the tunnel (the proxy login stays)"
+            echo -e "  ${YELLOW}--rate-limit SECONDS${NC}  - One request per SECONDS before login (default: proxy limits)"
+            echo -e "  ${YELLOW}--max-requests NUM${NC}    - Requests per minute per signed-in person (default: proxy limits)"
+            echo -e "  ${YELLOW}--services LIST${NC}       - Services invited devices may use (default: ui,functions,frontend)"
+            echo -e "  ${YELLOW}--challenge pow|reauth${NC} - Challenge for suspicious clients (default: pow)"
+            echo -e ""
+            echo -e "Environment:"
+            echo -e "  ${YELLOW}PROXY_PORT${NC}            - Port of the secure proxy (default: 8088)"
+            echo -e "  ${YELLOW}PROXY_AUTOMATION${NC}      - Scoring settings (default: .emulator-sharing/automation.json)"
             echo -e ""
             echo -e "Examples:"
-            echo -e "  $0 start --rate-limit 5 --max-requests 50"
-            echo -e "  $0 start --timeout 1800 --services ui,frontend"
+            echo -e "  $0 start --rate-limit 5 --max-requests 600"
+            echo -e "  $0 start --timeout 1800 --services ui,firestore --challenge reauth"
             exit 0
             ;;
         *)
@@ -589,7 +502,7 @@ done
 # Main execution
 case "${COMMAND:-status}" in
     start)
-        start_sharing "$TIMEOUT" "$AUTH_REQUIRED" "$RATE_LIMIT" "$MAX_REQUESTS" "$ALLOWED_SERVICES"
+        start_sharing "$TIMEOUT" "$AUTH_REQUIRED" "$RATE_LIMIT" "$MAX_REQUESTS" "$ALLOWED_SERVICES" "$CHALLENGE"
         ;;
     stop)
         stop_sharing
@@ -604,11 +517,11 @@ case "${COMMAND:-status}" in
     restart)
         stop_sharing
         sleep 2
-        start_sharing "$TIMEOUT" "$AUTH_REQUIRED" "$RATE_LIMIT" "$MAX_REQUESTS" "$ALLOWED_SERVICES"
+        start_sharing "$TIMEOUT" "$AUTH_REQUIRED" "$RATE_LIMIT" "$MAX_REQUESTS" "$ALLOWED_SERVICES" "$CHALLENGE"
         ;;
     *)
         echo -e "${CYAN}🤖 AI-Protected Firebase Emulator Sharing${NC}"
         echo -e "Usage: $0 {start|stop|status|urls|restart} [options]"
         echo -e "Use --help for detailed options and AI protection features"
         ;;
-esac
\ No newline at end of file
+esac
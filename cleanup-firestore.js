@@ -7,8 +7,11 @@
  *   node cleanup-firestore.js --all                    # Clean all collections
  *   node cleanup-firestore.js --duplicates             # Remove duplicates only
  *   node cleanup-firestore.js --collection products    # Clean specific collection
+ *   node cleanup-firestore.js --all --dry-run --out plan.json   # Show what would go, save the plan
+ *   node cleanup-firestore.js --apply-plan plan.json   # Carry out a saved plan
  */
 
+const fs = require('fs');
 const admin = require('firebase-admin');
 
 // Optional axios import - only if available
@@ -34,6 +37,60 @@ if (!admin.apps.length) {
 }
 
 const db = admin.firestore();
+const projectId = admin.app().options.projectId;
+
+// Saved plans are only applied to the database they were made for
+const FIRESTORE_TARGET = process.env.FIRESTORE_EMULATOR_HOST
+  ? `emulator ${process.env.FIRESTORE_EMULATOR_HOST}`
+  : 'production';
+
+// 2: duplicate plans carry the dedup rule they were made with; clean plans
+// are the same as in 1
+const PLAN_VERSION = 2;
+const SAMPLE_ID_COUNT = 5;
+
+// How far (in percent) a count may move between --dry-run and --apply-plan
+const DEFAULT_MAX_DRIFT_PERCENT = 10;
+
+// Writes per WriteBatch (Firestore allows 500)
+const BATCH_LIMIT = 400;
+
+// Deletes handed to the BulkWriter before waiting for them to finish, and
+// subcollection lookups in flight
+const DEFAULT_CONCURRENCY = 500;
+
+// Contention and overload errors the BulkWriter retries with backoff:
+// DEADLINE_EXCEEDED, RESOURCE_EXHAUSTED, ABORTED, UNAVAILABLE
+const RETRYABLE_CODES = [4, 8, 10, 14];
+const MAX_WRITE_ATTEMPTS = 10;
+
+// Where a running cleanup records how far it got, so it can resume
+const DEFAULT_CHECKPOINT_FILE = 'cleanup-firestore.checkpoint.json';
+const PROGRESS_INTERVAL_MS = 2000;
+
+// Built-in dedup rules; a rules file replaces them per collection. Documents
+// missing a key field fall back to their "id" field, then the whole document.
+const DEFAULT_DEDUP_RULES = {
+  products: { keyFields: ['name', 'brand_id'], missingKey: 'fallback' },
+  brands: { keyFields: ['name'], missingKey: 'fallback' },
+  '*': { keyFields: ['id'], missingKey: 'fallback' }
+};
+const DEFAULT_DEDUP_RULES_FILE = 'dedup-rules.json';
+
+// Applied in the order given to string key fields
+const NORMALIZERS = {
+  trim: value => value.trim(),
+  collapseWhitespace: value => value.replace(/\s+/g, ' ').trim(),
+  lowercase: value => value.toLowerCase(),
+  removeDiacritics: value => value.normalize('NFKD').replace(/\p{M}/gu, '')
+};
+
+// Which document of a duplicate group survives; "first" is the lowest document ID
+const KEEP_STRATEGIES = ['first', 'oldest', 'newest', 'mostComplete'];
+
+// What happens to a document missing a key field: left alone, or keyed by its
+// "id" field, failing that by the whole document
+const MISSING_KEY_HANDLING = ['skip', 'fallback'];
 
 // Vector database configuration (optional)
 const QDRANT_URL = process.env.QDRANT_URL;
@@ -59,152 +116,862 @@ const DEFAULT_COLLECTIONS = [
 ];
 
 /**
- * Clean all documents from specified collections
+ * "1h 5m", "4m 30s", "12s"
+ */
+function formatDuration(seconds) {
+  const total = Math.round(seconds);
+  if (total >= 3600) return `${Math.floor(total / 3600)}h ${Math.floor((total % 3600) / 60)}m`;
+  if (total >= 60) return `${Math.floor(total / 60)}m ${total % 60}s`;
+  return `${total}s`;
+}
+
+/**
+ * BulkWriter that counts its deletes and retries contention errors
+ */
+function createBulkWriter(stats) {
+  const writer = db.bulkWriter();
+
+  writer.onWriteResult(() => {
+    stats.deleted++;
+  });
+
+  writer.onWriteError((error) => {
+    if (RETRYABLE_CODES.includes(error.code) && error.failedAttempts < MAX_WRITE_ATTEMPTS) {
+      stats.retries++;
+      return true;
+    }
+    stats.failed++;
+    console.error(`  ❌ Could not delete ${error.documentRef.path}: ${error.message}`);
+    return false;
+  });
+
+  return writer;
+}
+
+/**
+ * Deletion rate and ETA. The ETA goes by the share of top-level documents
+ * done, since how many subcollection documents hang below them is unknown.
  */
-async function cleanAllCollections(collections = DEFAULT_COLLECTIONS) {
+function createProgress(totalTopLevel, stats) {
+  const startedAt = Date.now();
+  let lastPrintAt = 0;
+
+  const progress = {
+    topLevelDone: 0,
+    print(collectionName) {
+      const now = Date.now();
+      if (now - lastPrintAt < PROGRESS_INTERVAL_MS) return;
+      lastPrintAt = now;
+
+      const seconds = (now - startedAt) / 1000;
+      const rate = seconds > 0 ? stats.deleted / seconds : 0;
+      const share = totalTopLevel > 0 ? Math.min(progress.topLevelDone / totalTopLevel, 1) : 1;
+      const eta = share > 0 ? formatDuration(seconds * (1 - share) / share) : '?';
+      console.log(`  🗑️  ${collectionName}: ${stats.deleted} deleted (${progress.topLevelDone}/${totalTopLevel} top-level), ${rate.toFixed(0)} docs/s, ETA ${eta}`);
+    }
+  };
+
+  return progress;
+}
+
+/**
+ * Checkpoint of an earlier run over the same collections, or a fresh one
+ */
+function loadCheckpoint(checkpointFile, collections) {
+  const fresh = {
+    projectId,
+    target: FIRESTORE_TARGET,
+    collections,
+    completed: [],
+    // { name, lastId } of the collection being deleted
+    current: null,
+    deleted: 0,
+    startedAt: new Date().toISOString()
+  };
+
+  if (!fs.existsSync(checkpointFile)) {
+    return fresh;
+  }
+
+  try {
+    const saved = JSON.parse(fs.readFileSync(checkpointFile, 'utf8'));
+    if (saved.projectId === projectId && saved.target === FIRESTORE_TARGET &&
+        JSON.stringify(saved.collections) === JSON.stringify(collections)) {
+      return saved;
+    }
+    console.log(`⚠️  Ignoring ${checkpointFile}: it belongs to a cleanup of other collections or another database`);
+  } catch (error) {
+    console.log(`⚠️  Ignoring unreadable ${checkpointFile}: ${error.message}`);
+  }
+  return fresh;
+}
+
+function saveCheckpoint(checkpointFile, checkpoint) {
+  checkpoint.updatedAt = new Date().toISOString();
+  const tmpFile = `${checkpointFile}.tmp`;
+  fs.writeFileSync(tmpFile, JSON.stringify(checkpoint, null, 2) + '\n');
+  fs.renameSync(tmpFile, checkpointFile);
+}
+
+/**
+ * Runs the tasks handed to it, at most `limit` at a time
+ */
+function createLimiter(limit) {
+  let active = 0;
+  const queue = [];
+
+  const next = () => {
+    if (active >= limit || queue.length === 0) return;
+    active++;
+    const { task, resolve, reject } = queue.shift();
+    task().then(resolve, reject).finally(() => {
+      active--;
+      next();
+    });
+  };
+
+  return (task) => new Promise((resolve, reject) => {
+    queue.push({ task, resolve, reject });
+    next();
+  });
+}
+
+/**
+ * Delete every subcollection of a document, at any depth
+ */
+async function deleteSubcollections(docRef, writer, { concurrency, limit }) {
+  const subcollections = await limit(() => docRef.listCollections());
+  for (const subcollection of subcollections) {
+    await deleteCollectionTree(subcollection, writer, { concurrency, limit });
+  }
+}
+
+/**
+ * Delete a collection with everything below it. Documents are paged by ID
+ * (IDs only, no data is read), `concurrency` at a time, and the subcollections
+ * of a page's documents are deleted in parallel. Subcollection lookups share
+ * `limit`, so nested pages never have more than `concurrency` in flight.
+ * Subcollections go before their parent, so an interrupted run still finds
+ * them the next time. onPage(size, lastId) runs once a page is deleted;
+ * startAfterId resumes after such a page.
+ */
+async function deleteCollectionTree(collectionRef, writer, {
+  concurrency,
+  limit = createLimiter(concurrency),
+  startAfterId = null,
+  onPage = () => {}
+}) {
+  let cursor = startAfterId;
+
+  while (true) {
+    let query = collectionRef.select().orderBy(admin.firestore.FieldPath.documentId()).limit(concurrency);
+    if (cursor) {
+      query = query.startAfter(cursor);
+    }
+
+    const page = await query.get();
+    if (page.empty) break;
+
+    await Promise.all(page.docs.map(doc => deleteSubcollections(doc.ref, writer, { concurrency, limit })));
+    // Failures are counted by the writer's error handler
+    page.docs.forEach(doc => writer.delete(doc.ref).catch(() => {}));
+    await writer.flush();
+
+    cursor = page.docs[page.docs.length - 1].id;
+    onPage(page.size, cursor);
+
+    if (page.size < concurrency) break;
+  }
+
+  // Documents that only exist as parents of subcollections never show up in queries
+  const parents = await collectionRef.listDocuments();
+  for (let start = 0; start < parents.length; start += concurrency) {
+    await Promise.all(parents.slice(start, start + concurrency)
+      .map(docRef => deleteSubcollections(docRef, writer, { concurrency, limit })));
+  }
+}
+
+/**
+ * Clean all documents, and their subcollections, from specified collections.
+ * Progress is kept in checkpointFile; running the same cleanup again after an
+ * interruption skips what is done and continues where it stopped.
+ */
+async function cleanAllCollections(collections = DEFAULT_COLLECTIONS, {
+  qdrant = Boolean(QDRANT_URL),
+  concurrency = DEFAULT_CONCURRENCY,
+  checkpointFile = DEFAULT_CHECKPOINT_FILE
+} = {}) {
   console.log('🧹 COMPLETE DATABASE CLEANUP - This will delete ALL data!');
   console.log('⚠️  WARNING: This is a destructive operation!');
 
-  let totalDeleted = 0;
+  const checkpoint = loadCheckpoint(checkpointFile, collections);
+  const deletedBefore = checkpoint.deleted;
+  if (checkpoint.completed.length > 0 || checkpoint.current) {
+    console.log(`↩️  Resuming from ${checkpointFile}: ${checkpoint.deleted} documents deleted since ${checkpoint.startedAt}`);
+  }
 
-  for (const collectionName of collections) {
+  // Top-level counts for the ETA (aggregation queries, nothing is read)
+  const remaining = collections.filter(name => !checkpoint.completed.includes(name));
+  let totalTopLevel = 0;
+  for (const collectionName of remaining) {
+    totalTopLevel += await countDocuments(db.collection(collectionName));
+  }
+
+  const stats = { deleted: 0, retries: 0, failed: 0 };
+  const writer = createBulkWriter(stats);
+  const progress = createProgress(totalTopLevel, stats);
+
+  for (const collectionName of remaining) {
     try {
       console.log(`📂 Cleaning collection: ${collectionName}`);
 
-      const collectionRef = db.collection(collectionName);
-      const snapshot = await collectionRef.get();
+      const deletedInRun = stats.deleted;
+      const failedInRun = stats.failed;
+      const resumeAfter = checkpoint.current && checkpoint.current.name === collectionName ? checkpoint.current.lastId : null;
+
+      await deleteCollectionTree(db.collection(collectionName), writer, {
+        concurrency,
+        startAfterId: resumeAfter,
+        onPage: (size, lastId) => {
+          progress.topLevelDone += size;
+          // After a failed delete the next run has to start before it again
+          if (stats.failed === failedInRun) {
+            checkpoint.current = { name: collectionName, lastId };
+          }
+          checkpoint.deleted = deletedBefore + stats.deleted;
+          saveCheckpoint(checkpointFile, checkpoint);
+          progress.print(collectionName);
+        }
+      });
 
-      if (snapshot.empty) {
+      const deletedInCollection = stats.deleted - deletedInRun;
+      if (deletedInCollection === 0) {
         console.log(`  ✅ ${collectionName} is already empty`);
-        continue;
+      } else {
+        console.log(`  🗑️  Deleted ${deletedInCollection} documents from ${collectionName}, subcollections included`);
       }
 
-      // Delete in batches to avoid timeout
-      const batchSize = 100;
-      let deletedInCollection = 0;
+      // Collections with failed deletes are tried again on the next run
+      if (stats.failed === failedInRun) {
+        checkpoint.completed.push(collectionName);
+        checkpoint.current = null;
+      }
+      checkpoint.deleted = deletedBefore + stats.deleted;
+      saveCheckpoint(checkpointFile, checkpoint);
+
+    } catch (error) {
+      console.error(`❌ Error cleaning ${collectionName}:`, error.message);
+    }
+  }
+
+  await writer.close();
+
+  // Clean vector database if configured
+  if (qdrant) {
+    await cleanQdrantCollections();
+  }
+
+  const finished = checkpoint.completed.length === collections.length && stats.failed === 0;
+  if (finished) {
+    fs.rmSync(checkpointFile, { force: true });
+  } else {
+    console.log(`⚠️  Not everything was deleted; run the same command again to continue from ${checkpointFile}`);
+  }
+
+  const retried = stats.retries > 0 ? `, ${stats.retries} retried writes` : '';
+  const failed = stats.failed > 0 ? `, ${stats.failed} failed` : '';
+  console.log(`✅ Cleanup complete! Total documents deleted: ${checkpoint.deleted}${retried}${failed}`);
+}
+
+/**
+ * Dedup rules per collection from a JSON file, on top of the built-in ones.
+ * "*" applies to collections without a rule of their own.
+ */
+function loadDedupRules(filePath = DEFAULT_DEDUP_RULES_FILE) {
+  if (!filePath || !fs.existsSync(filePath)) {
+    return DEFAULT_DEDUP_RULES;
+  }
+
+  const rules = { ...DEFAULT_DEDUP_RULES, ...JSON.parse(fs.readFileSync(filePath, 'utf8')) };
+  Object.entries(rules).forEach(([collectionName, rule]) => {
+    const { keyFields = [], normalize = [], keep = 'first', missingKey = 'skip' } = rule;
+    if (!Array.isArray(keyFields) || keyFields.some(field => typeof field !== 'string')) {
+      throw new Error(`${filePath}: "${collectionName}".keyFields must be a list of field names`);
+    }
+    const unknownStep = [].concat(normalize).find(step => !NORMALIZERS[step]);
+    if (unknownStep) {
+      throw new Error(`${filePath}: "${collectionName}" has unknown normalization "${unknownStep}" (${Object.keys(NORMALIZERS).join(', ')})`);
+    }
+    if (!KEEP_STRATEGIES.includes(keep)) {
+      throw new Error(`${filePath}: "${collectionName}" has unknown keep strategy "${keep}" (${KEEP_STRATEGIES.join(', ')})`);
+    }
+    if (!MISSING_KEY_HANDLING.includes(missingKey)) {
+      throw new Error(`${filePath}: "${collectionName}".missingKey must be ${MISSING_KEY_HANDLING.join(' or ')}, got "${missingKey}"`);
+    }
+  });
+  return rules;
+}
+
+/**
+ * A collection's rule with every setting filled in
+ */
+function dedupRuleFor(rules, collectionName) {
+  const rule = rules[collectionName] || rules['*'] || DEFAULT_DEDUP_RULES['*'];
+  return { keyFields: [], normalize: [], keep: 'first', timeField: null, merge: false, missingKey: 'skip', ...rule };
+}
+
+// "brand.id" -> data.brand.id
+const fieldValue = (data, fieldPath) =>
+  fieldPath.split('.').reduce((value, part) => (value === null || value === undefined ? undefined : value[part]), data);
 
-      while (true) {
-        const batch = db.batch();
-        const docs = await collectionRef.limit(batchSize).get();
+/**
+ * JSON with sorted keys, so equal documents give equal keys. Timestamps and
+ * document references are written as their time and path.
+ */
+function stableStringify(value) {
+  if (value && typeof value.toMillis === 'function') {
+    return JSON.stringify({ $time: value.toMillis() });
+  }
+  if (value && typeof value.path === 'string' && typeof value.collection === 'function') {
+    return JSON.stringify({ $ref: value.path });
+  }
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
 
-        if (docs.empty) break;
+const isMissingKey = (value) => value === undefined || value === null || value === '';
 
-        docs.forEach(doc => {
-          batch.delete(doc.ref);
-        });
+/**
+ * Duplicate key of a document: the values of its key fields, text normalized.
+ * A rule without key fields uses every field of the document as stored, with
+ * no normalization. When a key field is missing: null with missingKey "skip",
+ * with "fallback" the document's "id" field or else every field.
+ */
+function duplicateKey(data, rule) {
+  if (rule.keyFields.length === 0) {
+    return stableStringify(data);
+  }
+
+  const values = [];
+  for (const field of rule.keyFields) {
+    const value = fieldValue(data, field);
+    if (isMissingKey(value)) {
+      if (rule.missingKey !== 'fallback') return null;
+      // Objects, so they never equal a key of field values
+      return isMissingKey(data.id) ? stableStringify(data) : stableStringify({ id: data.id });
+    }
+    values.push(typeof value === 'string'
+      ? [].concat(rule.normalize).reduce((text, step) => NORMALIZERS[step](text), value)
+      : stableStringify(value));
+  }
+  return JSON.stringify(values);
+}
 
-        await batch.commit();
-        deletedInCollection += docs.size;
-        totalDeleted += docs.size;
+const isEmptyValue = (value) => value === null || value === undefined || value === '' ||
+  (Array.isArray(value) && value.length === 0) ||
+  (Boolean(value) && value.constructor === Object && Object.keys(value).length === 0);
 
-        console.log(`  🗑️  Deleted ${deletedInCollection} documents from ${collectionName}`);
+// For "mostComplete": fields that hold something
+const filledFieldCount = (doc) => Object.values(doc.data()).filter(value => !isEmptyValue(value)).length;
 
-        if (docs.size < batchSize) break;
+/**
+ * Age of a document in milliseconds: rule.timeField when it holds a time,
+ * otherwise when the document was created
+ */
+function documentTime(doc, rule) {
+  const value = rule.timeField ? fieldValue(doc.data(), rule.timeField) : undefined;
+
+  if (value && typeof value.toMillis === 'function') return value.toMillis();
+  if (value instanceof Date) return value.getTime();
+  if (typeof value === 'number') return value;
+  if (typeof value === 'string' && !Number.isNaN(Date.parse(value))) return Date.parse(value);
+  return doc.createTime.toMillis();
+}
+
+/**
+ * A group's documents, the one to keep first. Ties keep document ID order,
+ * which is also what "first" goes by.
+ */
+function rankDocuments(docs, rule) {
+  const byTime = (a, b) => documentTime(a, rule) - documentTime(b, rule);
+  const ranked = [...docs];
+
+  if (rule.keep === 'oldest') {
+    ranked.sort(byTime);
+  } else if (rule.keep === 'newest') {
+    ranked.sort((a, b) => byTime(b, a));
+  } else if (rule.keep === 'mostComplete') {
+    ranked.sort((a, b) => filledFieldCount(b) - filledFieldCount(a) || byTime(a, b));
+  }
+  return ranked;
+}
+
+/**
+ * Fields the kept document lacks (or has empty) that its duplicates fill,
+ * each taken from the best-ranked duplicate that has it.
+ * Returns { fields, sources } with the ID each field came from.
+ */
+function mergedFields(kept, duplicates) {
+  const keptData = kept.data();
+  const fields = {};
+  const sources = {};
+
+  duplicates.forEach(doc => {
+    Object.entries(doc.data()).forEach(([field, value]) => {
+      if (isEmptyValue(keptData[field]) && !isEmptyValue(value) && !(field in fields)) {
+        fields[field] = value;
+        sources[field] = doc.id;
       }
+    });
+  });
 
-    } catch (error) {
-      console.error(`❌ Error cleaning ${collectionName}:`, error.message);
+  return { fields, sources };
+}
+
+/**
+ * Group a collection's documents by their duplicate key.
+ * Returns { documents, skipped, docsById, groups } where every group lists
+ * the document that is kept and the ones that would be deleted; skipped
+ * documents lack a key field (with missingKey "skip") and are never treated
+ * as duplicates.
+ */
+async function findDuplicateGroups(collectionName, rule) {
+  const snapshot = await db.collection(collectionName).get();
+  const documentGroups = new Map();
+  let skipped = 0;
+
+  snapshot.forEach(doc => {
+    const key = duplicateKey(doc.data(), rule);
+    if (key === null) {
+      skipped++;
+      return;
+    }
+
+    if (!documentGroups.has(key)) {
+      documentGroups.set(key, []);
+    }
+    documentGroups.get(key).push(doc);
+  });
+
+  const groups = [];
+  for (const [key, docs] of documentGroups) {
+    if (docs.length > 1) {
+      const [kept, ...duplicates] = rankDocuments(docs, rule);
+      groups.push({ key, keepId: kept.id, deleteIds: duplicates.map(doc => doc.id) });
     }
   }
 
-  // Clean vector database if configured
-  if (QDRANT_URL) {
-    await cleanQdrantCollections();
+  return {
+    documents: snapshot.size,
+    skipped,
+    docsById: new Map(snapshot.docs.map(doc => [doc.id, doc])),
+    groups
+  };
+}
+
+/**
+ * Delete the groups' duplicates, merging their fields into the kept document
+ * first when rule.merge is set. Each group's merge is committed no later than
+ * its deletes, and a new WriteBatch is started after every commit. Deleted
+ * IDs are added to `removed` as they are committed:
+ * { deletedId, keptId, key, mergedFields }.
+ */
+async function removeDuplicateGroups(collectionName, groups, docsById, rule, removed = []) {
+  const collectionRef = db.collection(collectionName);
+  let batch = db.batch();
+  let pending = [];
+  let batchOps = 0;
+
+  const commit = async () => {
+    if (batchOps > 0) {
+      await batch.commit();
+      removed.push(...pending);
+    }
+    batch = db.batch();
+    pending = [];
+    batchOps = 0;
+  };
+
+  for (const group of groups) {
+    const kept = docsById.get(group.keepId);
+    // Only what still exists
+    const duplicates = group.deleteIds.map(id => docsById.get(id)).filter(Boolean);
+    const merge = rule.merge ? mergedFields(kept, duplicates) : { fields: {}, sources: {} };
+    const mergeOps = Object.keys(merge.fields).length > 0 ? 1 : 0;
+
+    // Keep a group in one batch when it fits
+    if (batchOps + mergeOps + duplicates.length > BATCH_LIMIT) {
+      await commit();
+    }
+
+    if (mergeOps > 0) {
+      // set() with merge takes field names literally, update() would split them at dots
+      batch.set(collectionRef.doc(kept.id), merge.fields, { merge: true });
+      batchOps++;
+    }
+
+    for (const doc of duplicates) {
+      if (batchOps >= BATCH_LIMIT) {
+        await commit();
+      }
+      batch.delete(doc.ref);
+      batchOps++;
+      pending.push({
+        deletedId: doc.id,
+        keptId: kept.id,
+        key: group.key,
+        mergedFields: Object.keys(merge.sources).filter(field => merge.sources[field] === doc.id)
+      });
+    }
   }
 
-  console.log(`✅ Cleanup complete! Total documents deleted: ${totalDeleted}`);
+  await commit();
+  return removed;
+}
+
+/**
+ * Save which document each deleted duplicate was folded into
+ */
+function writeDedupReport(reportFile, collections) {
+  const report = {
+    projectId,
+    target: FIRESTORE_TARGET,
+    createdAt: new Date().toISOString(),
+    // { collection: [{ deletedId, keptId, key, mergedFields }] }
+    collections
+  };
+  fs.writeFileSync(reportFile, JSON.stringify(report, null, 2) + '\n');
+  console.log(`📝 Deleted and kept IDs saved to ${reportFile}`);
 }
 
+const defaultReportFile = () => `dedup-report-${new Date().toISOString().replace(/[:.]/g, '-')}.json`;
+
+const describeRule = (rule) => [
+  rule.keyFields.length > 0 ? `key ${rule.keyFields.join(' + ')}` : 'key: whole document',
+  ...(rule.normalize.length > 0 ? [`normalized (${[].concat(rule.normalize).join(', ')})`] : []),
+  ...(rule.keyFields.length > 0 && rule.missingKey === 'fallback' ? ['missing key: id field, then whole document'] : []),
+  `keep ${rule.keep}${rule.timeField ? ` by ${rule.timeField}` : ''}`,
+  ...(rule.merge ? ['merge fields'] : [])
+].join(', ');
+
 /**
- * Remove duplicate documents from collections
+ * Remove duplicate documents from collections, following the dedup rules
  */
-async function removeDuplicates(collections = DEFAULT_COLLECTIONS) {
+async function removeDuplicates(collections = DEFAULT_COLLECTIONS, {
+  rules = DEFAULT_DEDUP_RULES,
+  reportFile = defaultReportFile()
+} = {}) {
   console.log('🔍 Finding and removing duplicate documents...');
 
   let totalDuplicatesRemoved = 0;
+  const report = {};
 
   for (const collectionName of collections) {
     try {
       console.log(`📂 Checking for duplicates in: ${collectionName}`);
 
-      const collectionRef = db.collection(collectionName);
-      const snapshot = await collectionRef.get();
+      const rule = dedupRuleFor(rules, collectionName);
+      const { documents, skipped, docsById, groups } = await findDuplicateGroups(collectionName, rule);
 
-      if (snapshot.empty) {
+      if (documents === 0) {
         console.log(`  ✅ ${collectionName} is empty`);
         continue;
       }
 
-      // Group documents by content hash or key fields
-      const documentGroups = new Map();
-
-      snapshot.forEach(doc => {
-        const data = doc.data();
-
-        // Create a hash based on key fields (customize per collection)
-        let hashKey;
-        if (collectionName === 'products' && data.name && data.brand_id) {
-          hashKey = `${data.name}_${data.brand_id}`;
-        } else if (collectionName === 'brands' && data.name) {
-          hashKey = data.name;
-        } else if (data.id) {
-          hashKey = data.id;
-        } else {
-          // Use a hash of the entire document for generic deduplication
-          hashKey = JSON.stringify(data);
-        }
-
-        if (!documentGroups.has(hashKey)) {
-          documentGroups.set(hashKey, []);
-        }
-        documentGroups.get(hashKey).push({ id: doc.id, data });
-      });
-
-      // Remove duplicates (keep the first, delete the rest)
-      let duplicatesInCollection = 0;
-      const batch = db.batch();
-      let batchOps = 0;
-
-      for (const [hashKey, docs] of documentGroups) {
-        if (docs.length > 1) {
-          // Keep the first document, delete the rest
-          for (let i = 1; i < docs.length; i++) {
-            batch.delete(collectionRef.doc(docs[i].id));
-            batchOps++;
-            duplicatesInCollection++;
-
-            // Commit batch if it gets too large
-            if (batchOps >= 400) {
-              await batch.commit();
-              batchOps = 0;
-            }
-          }
-          console.log(`  🔍 Found ${docs.length - 1} duplicates for key: ${hashKey.substring(0, 50)}...`);
-        }
+      console.log(`  📐 ${describeRule(rule)}`);
+      if (skipped > 0) {
+        console.log(`  ⏭️  ${skipped} documents without ${rule.keyFields.join(', ')} are left alone`);
       }
+      groups.forEach(group => {
+        console.log(`  🔍 Found ${group.deleteIds.length} duplicates of ${group.keepId} for key: ${group.key.substring(0, 50)}...`);
+      });
 
-      // Commit any remaining operations
-      if (batchOps > 0) {
-        await batch.commit();
-      }
+      report[collectionName] = [];
+      await removeDuplicateGroups(collectionName, groups, docsById, rule, report[collectionName]);
 
-      totalDuplicatesRemoved += duplicatesInCollection;
-      console.log(`  ✅ Removed ${duplicatesInCollection} duplicates from ${collectionName}`);
+      const removed = report[collectionName];
+      const merged = removed.reduce((sum, entry) => sum + entry.mergedFields.length, 0);
+      totalDuplicatesRemoved += removed.length;
+      console.log(`  ✅ Removed ${removed.length} duplicates from ${collectionName}${merged > 0 ? `, ${merged} fields merged into kept documents` : ''}`);
 
     } catch (error) {
       console.error(`❌ Error removing duplicates from ${collectionName}:`, error.message);
     }
   }
 
+  if (totalDuplicatesRemoved > 0) {
+    writeDedupReport(reportFile, report);
+  }
   console.log(`✅ Duplicate removal complete! Total duplicates removed: ${totalDuplicatesRemoved}`);
 }
 
+/**
+ * Count a collection's documents with an aggregation query (nothing is read)
+ */
+async function countDocuments(collectionRef) {
+  const snapshot = await collectionRef.count().get();
+  return snapshot.data().count;
+}
+
+/**
+ * Count the documents in every subcollection below the given documents, at any depth.
+ * listDocuments() also returns documents that only exist as parents of subcollections.
+ */
+async function countSubcollectionDocuments(docRefs) {
+  let total = 0;
+  for (const docRef of docRefs) {
+    const subcollections = await docRef.listCollections();
+    for (const subcollection of subcollections) {
+      total += await countDocuments(subcollection);
+      total += await countSubcollectionDocuments(await subcollection.listDocuments());
+    }
+  }
+  return total;
+}
+
+/**
+ * What --all / --collection would delete from one collection
+ */
+async function planCollectionCleanup(collectionName) {
+  const collectionRef = db.collection(collectionName);
+  const sample = await collectionRef.select().limit(SAMPLE_ID_COUNT).get();
+
+  return {
+    name: collectionName,
+    documents: await countDocuments(collectionRef),
+    subcollectionDocuments: await countSubcollectionDocuments(await collectionRef.listDocuments()),
+    sampleIds: sample.docs.map(doc => doc.id)
+  };
+}
+
+/**
+ * What --duplicates would delete from one collection; the rule and groups are
+ * what --apply-plan goes by later
+ */
+async function planCollectionDuplicates(collectionName, rules) {
+  const collectionRef = db.collection(collectionName);
+  const rule = dedupRuleFor(rules, collectionName);
+  const { documents, skipped, groups } = await findDuplicateGroups(collectionName, rule);
+  const deleteIds = groups.flatMap(group => group.deleteIds);
+
+  return {
+    name: collectionName,
+    rule,
+    collectionDocuments: documents,
+    // Documents without a key field that are left alone
+    skipped,
+    documents: deleteIds.length,
+    subcollectionDocuments: await countSubcollectionDocuments(deleteIds.map(id => collectionRef.doc(id))),
+    sampleIds: deleteIds.slice(0, SAMPLE_ID_COUNT),
+    groups
+  };
+}
+
+/**
+ * Build a plan without deleting anything. mode is "clean" or "duplicates";
+ * rules are the dedup rules for "duplicates".
+ */
+async function createPlan(mode, collections, { rules = DEFAULT_DEDUP_RULES } = {}) {
+  const plan = {
+    version: PLAN_VERSION,
+    mode,
+    projectId,
+    target: FIRESTORE_TARGET,
+    createdAt: new Date().toISOString(),
+    // --all and --collection also drop the vector database collections
+    qdrant: mode === 'clean' && Boolean(QDRANT_URL),
+    collections: []
+  };
+
+  for (const collectionName of collections) {
+    console.log(`📂 Planning: ${collectionName}`);
+    plan.collections.push(mode === 'duplicates'
+      ? await planCollectionDuplicates(collectionName, rules)
+      : await planCollectionCleanup(collectionName));
+  }
+
+  return plan;
+}
+
+/**
+ * Print a plan as a per-collection summary
+ */
+function printPlan(plan) {
+  const what = plan.mode === 'duplicates' ? 'duplicates' : 'documents';
+  let totalDocuments = 0;
+  let totalSubcollectionDocuments = 0;
+
+  console.log('');
+  console.log(`📋 Plan for ${plan.projectId} (${plan.target}), ${plan.createdAt}`);
+  plan.collections.forEach(collection => {
+    totalDocuments += collection.documents;
+    totalSubcollectionDocuments += collection.subcollectionDocuments;
+
+    const size = plan.mode === 'duplicates' ? ` of ${collection.collectionDocuments}` : '';
+    console.log(`  📂 ${collection.name}: ${collection.documents}${size} ${what}, ${collection.subcollectionDocuments} subcollection documents below them`);
+    if (collection.rule) {
+      console.log(`     ${describeRule(collection.rule)}`);
+    }
+    if (collection.skipped > 0) {
+      console.log(`     ⏭️  ${collection.skipped} documents without ${collection.rule.keyFields.join(', ')} are left alone`);
+    }
+    if (collection.sampleIds.length > 0) {
+      console.log(`     e.g. ${collection.sampleIds.join(', ')}`);
+    }
+  });
+  if (plan.qdrant) {
+    console.log('  🧠 Qdrant collections: products, categories, embeddings');
+  }
+
+  console.log('');
+  if (plan.mode === 'clean') {
+    console.log(`  Total: ${totalDocuments} documents and ${totalSubcollectionDocuments} subcollection documents would be deleted`);
+  } else {
+    console.log(`  Total: ${totalDocuments} ${what} would be deleted`);
+    if (totalSubcollectionDocuments > 0) {
+      console.log(`  ⚠️  ${totalSubcollectionDocuments} subcollection documents below the duplicates are not deleted and stay behind as orphans`);
+    }
+  }
+}
+
+/**
+ * --dry-run: print what would be deleted and optionally save the plan
+ */
+async function dryRun(mode, collections, outFile = null, planOptions = {}) {
+  console.log('🔎 DRY RUN - nothing will be deleted');
+
+  const plan = await createPlan(mode, collections, planOptions);
+  printPlan(plan);
+
+  if (outFile) {
+    fs.writeFileSync(outFile, JSON.stringify(plan, null, 2) + '\n');
+    console.log('');
+    console.log(`💾 Plan saved to ${outFile}`);
+    console.log(`   Apply it with: node cleanup-firestore.js --apply-plan ${outFile}`);
+  }
+
+  return plan;
+}
+
+/**
+ * Percent change from planned to current (any change from 0 counts as 100% per document)
+ */
+function driftPercent(planned, current) {
+  return Math.abs(current - planned) / Math.max(planned, 1) * 100;
+}
+
+/**
+ * Read and check a saved plan
+ */
+function readPlan(planFile) {
+  const plan = JSON.parse(fs.readFileSync(planFile, 'utf8'));
+
+  // Version 1 duplicates were found without a rule, so they can't be found again
+  if (plan.version === 1 && plan.mode === 'duplicates' && Array.isArray(plan.collections) &&
+      plan.collections.some(collection => (collection.groups || []).length > 0)) {
+    throw new Error(`${planFile} was made by an older version of this script (plan version ${plan.version}); run --dry-run again`);
+  }
+  if (![1, PLAN_VERSION].includes(plan.version) || !['clean', 'duplicates'].includes(plan.mode) || !Array.isArray(plan.collections)) {
+    throw new Error(`${planFile} is not a cleanup plan`);
+  }
+  if (plan.projectId !== projectId || plan.target !== FIRESTORE_TARGET) {
+    throw new Error(`${planFile} was made for ${plan.projectId} (${plan.target}), not ${projectId} (${FIRESTORE_TARGET})`);
+  }
+  return plan;
+}
+
+/**
+ * --apply-plan: carry out a saved plan, unless the collections changed by
+ * more than maxDriftPercent since it was made. Duplicates go by the rules
+ * saved in the plan; reportFile receives the deleted and kept IDs.
+ */
+async function applyPlan(planFile, {
+  maxDriftPercent = DEFAULT_MAX_DRIFT_PERCENT,
+  reportFile = defaultReportFile(),
+  ...cleanOptions
+} = {}) {
+  const plan = readPlan(planFile);
+  console.log(`📋 Applying ${plan.mode} plan from ${planFile} (made ${plan.createdAt})`);
+
+  // Duplicates are found again with the rules the plan was made with
+  const rules = {};
+  plan.collections.filter(collection => collection.rule).forEach(collection => {
+    rules[collection.name] = collection.rule;
+  });
+
+  // Count again and compare
+  const current = await createPlan(plan.mode, plan.collections.map(collection => collection.name), { rules });
+  const drifted = [];
+  plan.collections.forEach((planned, index) => {
+    const now = current.collections[index];
+    const checks = [
+      ['documents', planned.documents, now.documents],
+      ['subcollection documents', planned.subcollectionDocuments, now.subcollectionDocuments]
+    ];
+    if (plan.mode === 'duplicates') {
+      checks.push(['collection size', planned.collectionDocuments, now.collectionDocuments]);
+    }
+
+    checks.forEach(([label, plannedCount, currentCount]) => {
+      const drift = driftPercent(plannedCount, currentCount);
+      if (drift > maxDriftPercent) {
+        drifted.push(`${planned.name}: ${label} ${plannedCount} → ${currentCount} (${drift.toFixed(1)}%)`);
+      }
+    });
+  });
+
+  if (drifted.length > 0) {
+    console.error(`❌ The data changed by more than ${maxDriftPercent}% since the plan was made:`);
+    drifted.forEach(line => console.error(`   ${line}`));
+    throw new Error('Plan is out of date; run --dry-run again (or raise --max-drift)');
+  }
+
+  if (plan.mode === 'clean') {
+    await cleanAllCollections(plan.collections.map(collection => collection.name), { ...cleanOptions, qdrant: plan.qdrant });
+    return;
+  }
+
+  // Exactly the planned duplicates, and only while the document kept in their
+  // place still exists; merged fields come from the documents as they are now
+  let totalDuplicatesRemoved = 0;
+  const report = {};
+  try {
+    for (const planned of plan.collections) {
+      const rule = dedupRuleFor(rules, planned.name);
+      const { docsById } = await findDuplicateGroups(planned.name, rule);
+      const groups = planned.groups.filter(group => {
+        if (!docsById.has(group.keepId)) {
+          console.log(`  ⚠️  ${planned.name}/${group.keepId} is gone, keeping its duplicates: ${group.deleteIds.join(', ')}`);
+          return false;
+        }
+        return true;
+      });
+
+      report[planned.name] = [];
+      await removeDuplicateGroups(planned.name, groups, docsById, rule, report[planned.name]);
+      totalDuplicatesRemoved += report[planned.name].length;
+      console.log(`  ✅ Removed ${report[planned.name].length} duplicates from ${planned.name}`);
+    }
+  } finally {
+    // Also what was deleted before a failure
+    if (Object.values(report).some(removed => removed.length > 0)) {
+      writeDedupReport(reportFile, report);
+    }
+  }
+  console.log(`✅ Plan applied! Total duplicates removed: ${totalDuplicatesRemoved}`);
+}
+
 /**
  * Clean specific collection
  */
-async function cleanCollection(collectionName) {
+async function cleanCollection(collectionName, options = {}) {
   console.log(`🧹 Cleaning specific collection: ${collectionName}`);
-  await cleanAllCollections([collectionName]);
+  await cleanAllCollections([collectionName], options);
 }
 
 /**
@@ -255,8 +1022,18 @@ function showUsage() {
   console.log('  node cleanup-firestore.js --duplicates             # Remove duplicates only');
   console.log('  node cleanup-firestore.js --collection products    # Clean specific collection');
   console.log('  node cleanup-firestore.js --qdrant                 # Clean vector database only');
+  console.log('  node cleanup-firestore.js --apply-plan plan.json   # Carry out a plan saved by --dry-run');
   console.log('  node cleanup-firestore.js --help                   # Show this help');
   console.log('');
+  console.log('Options:');
+  console.log('  --dry-run              Count what --all, --collection or --duplicates would delete, delete nothing');
+  console.log('  --out FILE             With --dry-run, save the plan as JSON');
+  console.log(`  --max-drift PERCENT    With --apply-plan, refuse when counts moved more than this (default: ${DEFAULT_MAX_DRIFT_PERCENT})`);
+  console.log(`  --concurrency N        Deletes and subcollection lookups in flight at a time (default: ${DEFAULT_CONCURRENCY})`);
+  console.log(`  --checkpoint FILE      Progress file for resuming an interrupted cleanup (default: ${DEFAULT_CHECKPOINT_FILE})`);
+  console.log(`  --dedup-rules FILE     Duplicate keys, normalization, keep strategy and merge per collection (default: ${DEFAULT_DEDUP_RULES_FILE} if present)`);
+  console.log('  --report FILE          Where --duplicates and --apply-plan save deleted → kept IDs (default: dedup-report-<time>.json)');
+  console.log('');
   console.log('Environment Variables:');
   console.log('  FIREBASE_PROJECT_ID    Required - Firebase project ID');
   console.log('  QDRANT_URL            Optional - Qdrant vector database URL');
@@ -265,6 +1042,8 @@ function showUsage() {
   console.log('Examples:');
   console.log('  FIREBASE_PROJECT_ID=my-project node cleanup-firestore.js --all');
   console.log('  node cleanup-firestore.js --collection products --collection brands');
+  console.log('  node cleanup-firestore.js --duplicates --dry-run --out dedup-plan.json');
+  console.log('  node cleanup-firestore.js --apply-plan dedup-plan.json --max-drift 5');
 }
 
 /**
@@ -278,31 +1057,69 @@ async function main() {
     return;
   }
 
+  // Value after a flag, or null
+  const argValue = (name) => {
+    const index = args.indexOf(name);
+    return index !== -1 && args[index + 1] ? args[index + 1] : null;
+  };
+
+  // Get custom collections if specified
+  const customCollections = [];
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--collection' && args[i + 1]) {
+      customCollections.push(args[i + 1]);
+    }
+  }
+
+  const isDryRun = args.includes('--dry-run');
+  const outFile = argValue('--out');
+  const planFile = argValue('--apply-plan');
+  const reportFile = argValue('--report') || defaultReportFile();
+
   try {
-    if (args.includes('--all')) {
-      // Get custom collections if specified
-      const customCollections = [];
-      for (let i = 0; i < args.length; i++) {
-        if (args[i] === '--collection' && args[i + 1]) {
-          customCollections.push(args[i + 1]);
-        }
+    const concurrency = argValue('--concurrency') === null ? DEFAULT_CONCURRENCY : Number(argValue('--concurrency'));
+    if (!Number.isInteger(concurrency) || concurrency < 1) {
+      throw new Error(`--concurrency must be a positive whole number, got "${argValue('--concurrency')}"`);
+    }
+    const cleanOptions = { concurrency, checkpointFile: argValue('--checkpoint') || DEFAULT_CHECKPOINT_FILE };
+
+    if (planFile) {
+      const maxDrift = argValue('--max-drift');
+      const maxDriftPercent = maxDrift === null ? DEFAULT_MAX_DRIFT_PERCENT : parseFloat(maxDrift);
+      if (!(maxDriftPercent >= 0)) {
+        throw new Error(`--max-drift must be a percentage, got "${maxDrift}"`);
       }
 
-      await cleanAllCollections(customCollections.length > 0 ? customCollections : DEFAULT_COLLECTIONS);
+      await applyPlan(planFile, { maxDriftPercent, reportFile, ...cleanOptions });
+
+    } else if (args.includes('--all')) {
+      const collections = customCollections.length > 0 ? customCollections : DEFAULT_COLLECTIONS;
+
+      if (isDryRun) {
+        await dryRun('clean', collections, outFile);
+      } else {
+        await cleanAllCollections(collections, cleanOptions);
+      }
 
     } else if (args.includes('--duplicates')) {
-      await removeDuplicates();
+      const collections = customCollections.length > 0 ? customCollections : DEFAULT_COLLECTIONS;
+      const rulesFile = argValue('--dedup-rules');
+      if (rulesFile && !fs.existsSync(rulesFile)) {
+        throw new Error(`Dedup rules file ${rulesFile} not found`);
+      }
+      const rules = loadDedupRules(rulesFile || DEFAULT_DEDUP_RULES_FILE);
+
+      if (isDryRun) {
+        await dryRun('duplicates', collections, outFile, { rules });
+      } else {
+        await removeDuplicates(collections, { rules, reportFile });
+      }
 
     } else if (args.includes('--qdrant')) {
       await cleanQdrantCollections();
 
     } else if (args.includes('--collection')) {
-      const collections = [];
-      for (let i = 0; i < args.length; i++) {
-        if (args[i] === '--collection' && args[i + 1]) {
-          collections.push(args[i + 1]);
-        }
-      }
+      const collections = customCollections;
 
       if (collections.length === 0) {
         console.error('❌ No collection specified');
@@ -310,8 +1127,13 @@ async function main() {
         return;
       }
 
+      if (isDryRun) {
+        await dryRun('clean', collections, outFile);
+        return;
+      }
+
       for (const collection of collections) {
-        await cleanCollection(collection);
+        await cleanCollection(collection, cleanOptions);
       }
 
     } else {
@@ -327,7 +1149,7 @@ async function main() {
 
 // Handle graceful shutdown
 process.on('SIGINT', () => {
-  console.log('\n🛑 Cleanup interrupted by user');
+  console.log('\n🛑 Cleanup interrupted by user; run the same command again to continue where it stopped');
   process.exit(0);
 });
 
@@ -344,6 +1166,10 @@ if (require.main === module) {
 module.exports = {
   cleanAllCollections,
   removeDuplicates,
+  loadDedupRules,
+  createPlan,
+  dryRun,
+  applyPlan,
   cleanCollection,
   cleanQdrantCollections
 };
\ No newline at end of file
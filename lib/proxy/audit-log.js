@@ -0,0 +1,173 @@
+// Persistent security audit log for the emulator proxies
+// Events are appended as JSON lines to a size-rotated file. Anything that
+// looks like a secret is redacted before it is written.
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_AUDIT_PATH = path.join(__dirname, '..', '..', '.emulator-sharing', 'audit.jsonl');
+const DEFAULT_MAX_BYTES = 5 * 1024 * 1024; // 5 MB per file
+const DEFAULT_MAX_FILES = 5;
+
+const SECRET_KEY_PATTERN = /token|password|secret|cookie|authorization|api[-_]?key|\bsig(nature)?\b/i;
+const NON_SECRET_KEYS = ['tokenId'];
+const REDACTED = '[REDACTED]';
+
+// Path segments that are credentials themselves (signed invite codes)
+const SECRET_PATH_PATTERNS = [/^(\/invite\/)[^/]+/];
+
+// "%zz" and other malformed escapes are checked as they are
+const decodeQueryKey = (key) => {
+    try {
+        return decodeURIComponent(key);
+    } catch (error) {
+        return key;
+    }
+};
+
+// Replace secret-looking parameters in a query string or form body ("a=1&token=x")
+function redactQuery(query) {
+    return String(query || '').split('&').map(pair => {
+        const [key] = pair.split('=');
+        return SECRET_KEY_PATTERN.test(decodeQueryKey(key)) ? `${key}=${REDACTED}` : pair;
+    }).join('&');
+}
+
+// Replace secret-looking query parameters and path segments in a URL path
+function redactUrl(url) {
+    const [rawPathname, query] = String(url || '').split('?');
+    const pathname = SECRET_PATH_PATTERNS.reduce((result, pattern) => result.replace(pattern, `$1${REDACTED}`), rawPathname);
+    if (!query) return pathname;
+
+    return `${pathname}?${redactQuery(query)}`;
+}
+
+const isSecretKey = (key) => SECRET_KEY_PATTERN.test(key) && !NON_SECRET_KEYS.includes(key);
+
+// Copy of `details` with secret-looking keys replaced, in nested objects and
+// in objects inside arrays too
+function redact(details) {
+    if (Array.isArray(details)) {
+        return details.map(item => (item && typeof item === 'object' ? redact(item) : item));
+    }
+
+    const result = {};
+    Object.entries(details || {}).forEach(([key, value]) => {
+        if (isSecretKey(key)) {
+            result[key] = REDACTED;
+        } else if (value && typeof value === 'object') {
+            result[key] = redact(value);
+        } else {
+            result[key] = value;
+        }
+    });
+    return result;
+}
+
+// onRecord(line) sees every record as written (the live dashboard's security feed)
+function createAuditLog({
+    filePath = DEFAULT_AUDIT_PATH,
+    maxBytes = DEFAULT_MAX_BYTES,
+    maxFiles = DEFAULT_MAX_FILES,
+    console: echo = true,
+    onRecord = () => {}
+} = {}) {
+    const rotatedPath = (index) => filePath.replace(/(\.jsonl)?$/, `.${index}.jsonl`);
+
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+    const rotateIfNeeded = () => {
+        if (!fs.existsSync(filePath) || fs.statSync(filePath).size < maxBytes) {
+            return;
+        }
+
+        // Nowhere to rotate into: start the file over
+        if (maxFiles <= 1) {
+            fs.unlinkSync(filePath);
+            return;
+        }
+
+        for (let index = maxFiles - 1; index >= 1; index--) {
+            const from = index === 1 ? filePath : rotatedPath(index - 1);
+            if (fs.existsSync(from)) {
+                fs.renameSync(from, rotatedPath(index));
+            }
+        }
+    };
+
+    // Append one redacted record; returns the record as written, or null if
+    // it could not be recorded. Called from request and proxy callbacks, so it
+    // never throws.
+    const record = (entry) => {
+        try {
+            const safeEntry = redact(entry);
+            if (safeEntry.path) {
+                safeEntry.path = redactUrl(safeEntry.path);
+            }
+            const line = { timestamp: new Date().toISOString(), ...safeEntry };
+
+            try {
+                rotateIfNeeded();
+                fs.appendFileSync(filePath, `${JSON.stringify(line)}\n`, { mode: 0o600 });
+            } catch (error) {
+                console.error(`❌ Failed to write audit log: ${error.message}`);
+            }
+
+            if (echo) {
+                const status = line.status ? ` [${line.status}]` : '';
+                console.log(`[${line.timestamp}] SECURITY: ${line.event} from ${line.ip} (${line.owner || 'anonymous'})${status} ${line.method || ''} ${line.path || ''}`);
+            }
+            onRecord(line);
+            return line;
+        } catch (error) {
+            console.error(`❌ Failed to record audit event ${entry && entry.event}: ${error.message}`);
+            return null;
+        }
+    };
+
+    // Read records newest first, filtered by event, IP and time range
+    const query = ({ event, ip, from, to, limit = 500 } = {}) => {
+        const fromTime = from ? Date.parse(from) : null;
+        const toTime = to ? Date.parse(to) : null;
+        const files = [filePath];
+        for (let index = 1; index < maxFiles; index++) {
+            files.push(rotatedPath(index));
+        }
+
+        const results = [];
+        for (const file of files) {
+            if (!fs.existsSync(file)) continue;
+
+            const lines = fs.readFileSync(file, 'utf8').split('\n').filter(Boolean).reverse();
+            for (const text of lines) {
+                let line;
+                try {
+                    line = JSON.parse(text);
+                } catch (error) {
+                    continue;
+                }
+
+                const time = Date.parse(line.timestamp);
+                if (event && line.event !== event) continue;
+                if (ip && !String(line.ip || '').includes(ip)) continue;
+                if (fromTime && time < fromTime) continue;
+                if (toTime && time > toTime) continue;
+
+                results.push(line);
+                if (results.length >= limit) return results;
+            }
+        }
+        return results;
+    };
+
+    return { filePath, record, query };
+}
+
+module.exports = {
+    DEFAULT_AUDIT_PATH,
+    createAuditLog,
+    isSecretKey,
+    redact,
+    redactQuery,
+    redactUrl
+};
@@ -0,0 +1,152 @@
+// /admin/audit viewer shared by both proxies
+
+const { escapeHtml } = require('./html');
+
+const KNOWN_EVENTS = [
+    'SUCCESSFUL_LOGIN', 'FAILED_LOGIN', 'LOGOUT', 'UNAUTHORIZED_ACCESS', 'TOKEN_INVALIDATED',
+    'ACCESS_DENIED', 'BOT_DETECTED', 'PROXY_ACCESS', 'PROXY_ERROR', 'WEBSOCKET_UPGRADE',
+    'RATE_LIMITED', 'INVITE_REDEEMED', 'INVITE_REJECTED',
+    'PAIRING_REQUESTED', 'PAIRING_APPROVED', 'PAIRING_REJECTED', 'HAR_RECORDING_STARTED', 'HAR_RECORDING_STOPPED',
+    'ROLE_CHANGED', 'IP_BLOCKED', 'IP_LOCKED_OUT', 'LOGIN_LOCKED', 'LOCKOUT_CLEARED',
+    'AUTOMATION_CHALLENGED', 'CHALLENGE_PASSED', 'CHALLENGE_FAILED'
+];
+
+// Pull filter values out of a request query string
+function auditFiltersFromQuery(query) {
+    return {
+        event: query.event || '',
+        ip: query.ip || '',
+        from: query.from || '',
+        to: query.to || '',
+        limit: Math.min(parseInt(query.limit, 10) || 200, 2000)
+    };
+}
+
+function renderAuditPage(records, filters) {
+    const eventOptions = ['', ...KNOWN_EVENTS]
+        .map(event => `<option value="${event}" ${event === filters.event ? 'selected' : ''}>${event || 'All events'}</option>`)
+        .join('');
+
+    const rowsHtml = records.map(record => {
+        const extra = Object.entries(record)
+            .filter(([key]) => !['timestamp', 'event', 'ip', 'owner', 'method', 'path', 'status', 'userAgent'].includes(key))
+            .map(([key, value]) => `${escapeHtml(key)}=${escapeHtml(typeof value === 'object' ? JSON.stringify(value) : value)}`)
+            .join(' ');
+
+        return `
+            <tr class="${record.event === 'PROXY_ACCESS' ? '' : 'security'}">
+                <td>${escapeHtml(record.timestamp)}</td>
+                <td>${escapeHtml(record.event)}</td>
+                <td>${escapeHtml(record.ip)}</td>
+                <td>${escapeHtml(record.owner || 'anonymous')}</td>
+                <td>${escapeHtml(record.method)} ${escapeHtml(record.path)}</td>
+                <td>${escapeHtml(record.status)}</td>
+                <td title="${escapeHtml(record.userAgent)}">${extra}</td>
+            </tr>
+        `;
+    }).join('');
+
+    return `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>🔍 Security Audit Log</title>
+    <style>
+        body {
+            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Arial, sans-serif;
+            background: #f5f5f5;
+            margin: 0;
+            padding: 20px;
+        }
+        .container {
+            max-width: 1400px;
+            margin: 0 auto;
+        }
+        .panel {
+            background: white;
+            border-radius: 12px;
+            padding: 20px;
+            margin-bottom: 20px;
+            box-shadow: 0 2px 10px rgba(0,0,0,0.1);
+            overflow-x: auto;
+        }
+        form {
+            display: flex;
+            flex-wrap: wrap;
+            gap: 10px;
+            align-items: flex-end;
+        }
+        label {
+            display: flex;
+            flex-direction: column;
+            font-size: 12px;
+            color: #666;
+        }
+        input, select {
+            padding: 8px;
+            border: 1px solid #ccc;
+            border-radius: 6px;
+        }
+        .btn {
+            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+            color: white;
+            text-decoration: none;
+            border: none;
+            padding: 9px 18px;
+            border-radius: 8px;
+            cursor: pointer;
+        }
+        table {
+            width: 100%;
+            border-collapse: collapse;
+            font-size: 13px;
+        }
+        th, td {
+            text-align: left;
+            padding: 6px 8px;
+            border-bottom: 1px solid #eee;
+            vertical-align: top;
+            word-break: break-all;
+        }
+        tr.security td {
+            background: #fff8e1;
+        }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <div class="panel">
+            <h1>🔍 Security Audit Log</h1>
+            <form method="GET" action="/admin/audit">
+                <label>Event <select name="event">${eventOptions}</select></label>
+                <label>IP <input name="ip" value="${escapeHtml(filters.ip)}" placeholder="192.168."></label>
+                <label>From <input type="datetime-local" name="from" value="${escapeHtml(filters.from)}"></label>
+                <label>To <input type="datetime-local" name="to" value="${escapeHtml(filters.to)}"></label>
+                <label>Limit <input type="number" name="limit" value="${filters.limit}" min="1" max="2000"></label>
+                <button type="submit" class="btn">Filter</button>
+                <a href="/dashboard" class="btn">⬅ Dashboard</a>
+            </form>
+        </div>
+
+        <div class="panel">
+            <p>${records.length} record(s), newest first</p>
+            <table>
+                <thead>
+                    <tr><th>Time</th><th>Event</th><th>IP</th><th>Owner</th><th>Request</th><th>Status</th><th>Details</th></tr>
+                </thead>
+                <tbody>${rowsHtml}</tbody>
+            </table>
+        </div>
+    </div>
+</body>
+</html>
+    `;
+}
+
+module.exports = {
+    KNOWN_EVENTS,
+    auditFiltersFromQuery,
+    renderAuditPage
+};
@@ -0,0 +1,376 @@
+// Login methods for createSecureProxy() (see secure-proxy.js)
+// A login method is a plain object:
+//   name            used as `via` in audit records
+//   publicPaths     paths reachable without a session
+//   publicPrefixes  path prefixes reachable without a session
+//   errors          { code: message } for /login?error=<code>
+//   renderForm({ csrfField })  HTML of its login page form ('' for none);
+//                   csrfField is a hidden input the form must include
+//   install(app, ctx)         adds its routes; ctx is described in secure-proxy.js
+//   checkSession(req, res, next)  optional, runs for every signed-in request
+//   adminLinks      [{ href, label }] added to the dashboard for admins
+//   describeSession(session)  optional note shown next to the signed-in user
+
+const crypto = require('crypto');
+const { DEFAULT_TOKEN_ROLE } = require('./token-store');
+const { createInviteStore, INVITE_PATH_PREFIX } = require('./invites');
+const { createPairingQueue } = require('./pairing');
+const { renderPairingWaitPage, renderPairingAdminPage } = require('./pairing-page');
+const { createEmulatorAuth, DEFAULT_ROLE_CLAIM } = require('./emulator-auth');
+
+const tokenForm = ({ csrfField }) => `
+        <form method="POST" action="/auth">
+            ${csrfField}
+            <div class="form-group">
+                <label for="token">Access Token:</label>
+                <input type="password" id="token" name="token" required placeholder="Enter your access token">
+            </div>
+            <button type="submit" class="btn">🚀 Access Emulators</button>
+        </form>`;
+
+// Named, revocable tokens from the token store (managed with proxy-tokens.js)
+function tokenLogin() {
+    return {
+        name: 'token',
+        publicPaths: ['/auth'],
+        errors: { invalid: 'That access token is not valid.' },
+        renderForm: tokenForm,
+        install(app, ctx) {
+            app.post('/auth', async (req, res, next) => {
+                const record = ctx.tokenStore.verify(req.body.token);
+                if (!record) {
+                    ctx.logSecurityEvent('FAILED_LOGIN', req);
+                    return res.redirect('/login?error=invalid');
+                }
+
+                try {
+                    await ctx.signIn(req, { tokenId: record.id, owner: record.owner, role: record.role || DEFAULT_TOKEN_ROLE });
+                } catch (error) {
+                    return next(error);
+                }
+                ctx.logSecurityEvent('SUCCESSFUL_LOGIN', req, { tokenId: record.id, role: req.session.tokenRole });
+                res.redirect('/dashboard');
+            });
+        }
+    };
+}
+
+// One token shared by everyone, e.g. printed in the terminal at startup
+function sharedTokenLogin({ token, owner = 'token-holder', role = DEFAULT_TOKEN_ROLE }) {
+    const expected = Buffer.from(String(token));
+
+    const matches = (given) => {
+        const buffer = Buffer.from(String(given || ''));
+        return buffer.length === expected.length && crypto.timingSafeEqual(buffer, expected);
+    };
+
+    return {
+        name: 'shared-token',
+        publicPaths: ['/auth'],
+        errors: { invalid: 'That access token is not valid.' },
+        renderForm: tokenForm,
+        install(app, ctx) {
+            app.post('/auth', async (req, res, next) => {
+                if (!matches(req.body.token)) {
+                    ctx.logSecurityEvent('FAILED_LOGIN', req);
+                    return res.redirect('/login?error=invalid');
+                }
+
+                try {
+                    await ctx.signIn(req, { owner, role });
+                } catch (error) {
+                    return next(error);
+                }
+                ctx.logSecurityEvent('SUCCESSFUL_LOGIN', req, { role });
+                res.redirect('/dashboard');
+            });
+        }
+    };
+}
+
+/**
+ * Email/password login with Auth emulator test accounts; the role comes from
+ * a custom claim and the account is re-checked every `recheckMs`, so
+ * disabling, deleting or re-roling it takes effect on open sessions.
+ *   emulatorHost  "host:port", wins over the service map's auth entry
+ *   defaultPort   used when neither names the emulator
+ *   roleClaim, projectId  see emulator-auth.js
+ *   tokenTtl      lifetime of the token issued per login
+ */
+function emulatorAccountLogin({
+    emulatorHost = null, defaultPort = 9100, roleClaim = DEFAULT_ROLE_CLAIM, projectId = null,
+    tokenTtl = '12h', recheckMs = 60 * 1000
+} = {}) {
+    let ctx = null;
+
+    // Auth emulator address, following the service map unless pinned
+    const client = () => {
+        const service = ctx && ctx.services().auth;
+        const [host, port] = emulatorHost
+            ? emulatorHost.split(':')
+            : [service ? service.host : 'localhost', service ? service.port : defaultPort];
+        return createEmulatorAuth({ host, port: parseInt(port, 10), roleClaim, projectId });
+    };
+
+    const checkSession = (req, res, next) => {
+        const { session } = req;
+        if (!session.authUid || Date.now() - session.authCheckedAt < recheckMs) {
+            return next();
+        }
+
+        client().lookup(session.authUid, session.authProjectId)
+            .then((account) => {
+                session.authCheckedAt = Date.now();
+                const role = account && !account.disabled ? account.role : null;
+
+                if (!role || !ctx.roles[role]) {
+                    ctx.tokenStore.revoke(session.tokenId);
+                    ctx.logSecurityEvent('TOKEN_INVALIDATED', req, {
+                        tokenId: session.tokenId, uid: session.authUid,
+                        reason: !account ? 'account deleted' : account.disabled ? 'account disabled' : 'no proxy role'
+                    });
+                    return session.destroy(() => res.redirect('/login?error=account'));
+                }
+
+                if (role !== session.tokenRole) {
+                    ctx.logSecurityEvent('ROLE_CHANGED', req, { uid: session.authUid, from: session.tokenRole, to: role });
+                    session.tokenRole = role;
+                }
+                next();
+            })
+            // Emulator restarting: keep the session and try again on the next request
+            .catch(() => next());
+    };
+
+    return {
+        name: 'auth-emulator',
+        roleClaim,
+        client,
+        publicPaths: ['/login/password'],
+        errors: {
+            credentials: 'Wrong email or password.',
+            role: 'This account has no proxy role. Ask the operator to set one.',
+            account: 'Your account was disabled, deleted or lost its proxy role.',
+            unavailable: 'The Auth emulator is not reachable. Is it running?'
+        },
+        renderForm: ({ csrfField }) => `
+        <form method="POST" action="/login/password">
+            ${csrfField}
+            <div class="form-group">
+                <label for="email">Test Account Email:</label>
+                <input type="email" id="email" name="email" required placeholder="tester@example.com" autocomplete="username">
+            </div>
+            <div class="form-group">
+                <label for="password">Password:</label>
+                <input type="password" id="password" name="password" required autocomplete="current-password">
+            </div>
+            <button type="submit" class="btn">🔐 Sign In</button>
+        </form>`,
+        install(app, context) {
+            ctx = context;
+
+            app.post('/login/password', async (req, res, next) => {
+                const { email, password } = req.body;
+                let account;
+                try {
+                    account = await client().signIn(String(email || ''), String(password || ''));
+                } catch (error) {
+                    ctx.logSecurityEvent('FAILED_LOGIN', req, { via: 'auth-emulator', email, reason: error.reason || error.message });
+                    return res.redirect(`/login?error=${error.reason === 'EMULATOR_UNAVAILABLE' ? 'unavailable' : 'credentials'}`);
+                }
+
+                if (!account.role || !ctx.roles[account.role]) {
+                    ctx.logSecurityEvent('FAILED_LOGIN', req, {
+                        via: 'auth-emulator', email: account.email, uid: account.uid,
+                        reason: account.role ? `unknown role ${account.role}` : `missing ${roleClaim} claim`
+                    });
+                    return res.redirect('/login?error=role');
+                }
+
+                const record = ctx.tokenStore.issue(account.email, { ttl: tokenTtl, role: account.role });
+                try {
+                    await ctx.signIn(req, { tokenId: record.id, owner: record.owner, role: record.role }, {
+                        authUid: account.uid,
+                        authProjectId: account.projectId,
+                        authCheckedAt: Date.now()
+                    });
+                } catch (error) {
+                    return next(error);
+                }
+                ctx.logSecurityEvent('SUCCESSFUL_LOGIN', req, { tokenId: record.id, role: record.role, via: 'auth-emulator', uid: account.uid });
+                res.redirect('/dashboard');
+            });
+        },
+        checkSession,
+        describeSession: (session) => session.authUid ? 'Auth emulator account' : null
+    };
+}
+
+/**
+ * Invite links: a valid code signs the device straight in.
+ *   store     invite store (default: createInviteStore())
+ *   defaults  create() options used when an invite does not set them (ttl, uses, role)
+ *   tokenTtl  lifetime of the token issued per redemption
+ */
+function inviteLogin({ store = createInviteStore(), defaults = {}, tokenTtl = '12h' } = {}) {
+    return {
+        name: 'invite',
+        store,
+        create: (options = {}) => store.create({ ...defaults, ...options }),
+        publicPrefixes: [INVITE_PATH_PREFIX],
+        errors: { invite: 'That invite link is invalid, expired or already used.' },
+        renderForm: () => '',
+        install(app, ctx) {
+            app.get(`${INVITE_PATH_PREFIX}:code`, async (req, res, next) => {
+                const { invite, error } = store.redeem(req.params.code);
+
+                if (!invite) {
+                    ctx.logSecurityEvent('INVITE_REJECTED', req, { reason: error, status: 403 });
+                    return res.redirect('/login?error=invite');
+                }
+
+                const record = ctx.tokenStore.issue(invite.label, { ttl: tokenTtl, role: invite.role });
+                try {
+                    await ctx.signIn(req, { tokenId: record.id, owner: record.owner, role: record.role });
+                } catch (error) {
+                    return next(error);
+                }
+                ctx.logSecurityEvent('INVITE_REDEEMED', req, {
+                    inviteId: invite.id, tokenId: record.id, role: record.role, use: `${invite.uses}/${invite.maxUses}`
+                });
+                res.redirect('/dashboard');
+            });
+        }
+    };
+}
+
+/**
+ * Device pairing: the device shows a code, the operator approves it from the
+ * terminal (decide()) or /admin/pairing.
+ *   ttl        how long a request waits for a decision
+ *   role       role given when the approver does not pick one
+ *   tokenTtl   lifetime of the token issued per approved device
+ *   onRequest  (request) => void for every new pairing request
+ */
+function pairingLogin({ ttl = '5m', role: defaultRole = DEFAULT_TOKEN_ROLE, tokenTtl = '12h', onRequest } = {}) {
+    const queue = createPairingQueue({ ttl, onRequest });
+    let ctx = null;
+
+    // Approve or reject a pending code; `decidedBy` is "terminal" or the admin's token owner
+    const decide = (action, code, { role = defaultRole, decidedBy }) => {
+        const request = action === 'approve'
+            ? queue.approve(code, { role, approvedBy: decidedBy })
+            : queue.reject(code, { rejectedBy: decidedBy });
+        if (!request) return null;
+
+        ctx.auditLog.record({
+            event: action === 'approve' ? 'PAIRING_APPROVED' : 'PAIRING_REJECTED',
+            ip: request.ip,
+            userAgent: request.userAgent,
+            owner: request.name,
+            code: request.displayCode,
+            decidedBy,
+            ...(action === 'approve' ? { role } : {})
+        });
+        return request;
+    };
+
+    return {
+        name: 'pairing',
+        queue,
+        decide,
+        publicPaths: ['/pair', '/pair/status'],
+        errors: {},
+        adminLinks: [{ href: '/admin/pairing', label: '📱 Pairing Requests' }],
+        renderForm: ({ csrfField }) => `
+        <form method="POST" action="/pair">
+            ${csrfField}
+            <div class="form-group">
+                <label for="device">No token? Device name (optional):</label>
+                <input type="text" id="device" name="device" maxlength="40" placeholder="e.g. Alice's iPhone">
+            </div>
+            <button type="submit" class="btn btn-secondary">📱 Pair This Device</button>
+        </form>`,
+        install(app, context) {
+            ctx = context;
+
+            app.post('/pair', (req, res) => {
+                if (queue.get(req.session.pairingId)) {
+                    return res.redirect('/pair');
+                }
+
+                const request = queue.request({
+                    name: req.body.device,
+                    ip: req.ip,
+                    userAgent: req.headers['user-agent'] || 'Unknown'
+                });
+                if (!request) {
+                    ctx.logSecurityEvent('PAIRING_REJECTED', req, { reason: 'queue full', status: 503 });
+                    return res.status(503).send('Too many devices are waiting to pair. Please try again in a few minutes.');
+                }
+
+                req.session.pairingId = request.id;
+                ctx.logSecurityEvent('PAIRING_REQUESTED', req, { code: request.displayCode, device: request.name });
+                res.redirect('/pair');
+            });
+
+            app.get('/pair', (req, res) => {
+                const request = queue.get(req.session.pairingId);
+                if (!request) {
+                    return res.redirect('/login');
+                }
+                res.send(renderPairingWaitPage(request));
+            });
+
+            // Polled by the waiting device; an approved request turns into a session here
+            app.get('/pair/status', async (req, res, next) => {
+                const request = queue.get(req.session.pairingId);
+                if (!request) {
+                    delete req.session.pairingId;
+                    return res.json({ status: 'expired' });
+                }
+
+                if (request.status === 'approved') {
+                    // The new session does not carry pairingId over
+                    const record = ctx.tokenStore.issue(request.name, { ttl: tokenTtl, role: request.role });
+                    try {
+                        await ctx.signIn(req, { tokenId: record.id, owner: record.owner, role: record.role });
+                    } catch (error) {
+                        return next(error);
+                    }
+                    ctx.logSecurityEvent('SUCCESSFUL_LOGIN', req, { tokenId: record.id, role: record.role, via: 'pairing' });
+                    queue.complete(request.id);
+                } else if (request.status === 'rejected') {
+                    delete req.session.pairingId;
+                    queue.complete(request.id);
+                }
+
+                res.json({ status: request.status });
+            });
+
+            app.get('/admin/pairing', ctx.requireAdmin, (req, res) => {
+                res.send(renderPairingAdminPage(queue.pending(), Object.keys(ctx.roles), defaultRole));
+            });
+
+            app.post('/admin/pairing/:code', ctx.requireAdmin, (req, res) => {
+                const { action, role } = req.body;
+                if (!['approve', 'reject'].includes(action) || (action === 'approve' && !ctx.roles[role])) {
+                    return res.status(400).send('Unknown action or role');
+                }
+
+                if (!decide(action, req.params.code, { role, decidedBy: req.session.tokenOwner })) {
+                    return res.status(404).send('No pending pairing request with that code');
+                }
+                res.redirect('/admin/pairing');
+            });
+        }
+    };
+}
+
+module.exports = {
+    tokenLogin,
+    sharedTokenLogin,
+    emulatorAccountLogin,
+    inviteLogin,
+    pairingLogin
+};
@@ -0,0 +1,263 @@
+// Behavior-based automation detection for the emulator proxies
+// Every request gets a score from signals about the request itself (tool or
+// headless user agents, missing browser headers) and about its address's
+// recent behavior (machine-regular cadence, bursts, path enumeration, scanner
+// probes). Callers scoring `challengeAt` or more must pass a challenge first;
+// callers scoring `blockAt` or more are refused outright.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { normalizeIp } = require('./ip-access');
+
+const DEFAULT_AUTOMATION_PATH = path.join(__dirname, '..', '..', '.emulator-sharing', 'automation.json');
+
+// User agents of HTTP libraries and automation tools
+const AUTOMATION_TOOLS = [
+    'bot', 'crawler', 'spider', 'scraper', 'automation',
+    'selenium', 'puppeteer', 'playwright', 'curl', 'wget',
+    'python-requests', 'okhttp', 'axios/0', 'node-fetch'
+];
+
+const HEADLESS_MARKERS = ['headlesschrome', 'phantomjs', 'slimerjs', 'htmlunit', 'jsdom'];
+
+const BROWSER_MARKERS = ['mozilla', 'webkit', 'chrome', 'firefox', 'safari'];
+
+// Paths only vulnerability scanners ask an emulator proxy for
+const PROBE_PATTERNS = [
+    /\/\.env\b/i, /\/\.git\//i, /\/\.aws\//i, /\/wp-(admin|login|content|includes)/i,
+    /phpmyadmin/i, /\/cgi-bin\//i, /\.php$/i, /\/actuator\//i, /\/server-status$/i
+];
+
+// Signals read from the request's own headers; the rest come from the
+// address's recent behavior, which a polling browser app drifts in and out of
+const HEADER_SIGNALS = [
+    'automationTool', 'noUserAgent', 'headless', 'notABrowser',
+    'missingAcceptLanguage', 'missingAccept', 'missingClientHints'
+];
+
+const DEFAULT_AUTOMATION = {
+    // Points per signal; 0 turns a signal off
+    weights: {
+        automationTool: 100,    // user agent of an HTTP library or automation tool
+        noUserAgent: 60,
+        headless: 60,           // headless browser user agent or client hint
+        notABrowser: 40,        // user agent without any browser marker
+        missingAcceptLanguage: 20,
+        missingAccept: 15,
+        missingClientHints: 15, // Chrome over HTTPS without Sec-CH-UA
+        regularCadence: 30,     // requests at machine-regular intervals
+        burst: 30,              // more than burstPerSecond requests in a second
+        enumeration: 50,        // many different paths answered 404
+        probe: 60               // asked for a scanner path (/.env, /wp-admin, ...)
+    },
+    challengeAt: 50,
+    blockAt: 100,
+    // "pow" (proof of work solved by the browser) or "reauth" (sign in again)
+    challenge: 'pow',
+    // Leading zero bits of SHA-256(nonce:counter); 16 takes a phone well under a second
+    powDifficulty: 16,
+    challengeTtlMs: 5 * 60 * 1000,
+    // A passed challenge covers the session for this long
+    passTtlMs: 30 * 60 * 1000,
+    // Behavior signals look back this far
+    windowMs: 60 * 1000,
+    burstPerSecond: 40,
+    cadenceSamples: 10,
+    cadenceMaxIntervalMs: 1000,
+    // Standard deviation of the intervals relative to their mean
+    cadenceMaxVariation: 0.1,
+    enumerationPaths: 15
+};
+
+function loadAutomationSettings(filePath = DEFAULT_AUTOMATION_PATH) {
+    if (!filePath || !fs.existsSync(filePath)) {
+        return DEFAULT_AUTOMATION;
+    }
+
+    const custom = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    return {
+        ...DEFAULT_AUTOMATION,
+        ...custom,
+        weights: { ...DEFAULT_AUTOMATION.weights, ...custom.weights }
+    };
+}
+
+const leadingZeroBits = (buffer) => {
+    let bits = 0;
+    for (const byte of buffer) {
+        if (byte === 0) {
+            bits += 8;
+            continue;
+        }
+        return bits + Math.clz32(byte) - 24;
+    }
+    return bits;
+};
+
+/**
+ * Create the detector from loadAutomationSettings() values (missing ones
+ * fall back to DEFAULT_AUTOMATION).
+ */
+function createAutomationDetector(settings = {}) {
+    const config = {
+        ...DEFAULT_AUTOMATION,
+        ...settings,
+        weights: { ...DEFAULT_AUTOMATION.weights, ...settings.weights }
+    };
+    const historySize = Math.max(config.cadenceSamples, config.burstPerSecond + 1);
+    const clients = new Map();
+    let lastSweep = Date.now();
+
+    const clientFor = (ip, now) => {
+        if (now - lastSweep > config.windowMs) {
+            lastSweep = now;
+            clients.forEach((client, key) => {
+                if (now - client.lastSeenAt > config.windowMs) clients.delete(key);
+            });
+        }
+
+        const key = normalizeIp(ip);
+        if (!clients.has(key)) {
+            clients.set(key, { times: [], notFound: new Map(), probeAt: 0, lastSeenAt: now });
+        }
+        return clients.get(key);
+    };
+
+    // Signals that only depend on the request's headers
+    const requestSignals = (req) => {
+        const userAgent = (req.get('User-Agent') || '').toLowerCase();
+        const clientHints = (req.get('Sec-CH-UA') || '').toLowerCase();
+        const signals = [];
+
+        if (!userAgent) {
+            signals.push('noUserAgent');
+        } else {
+            if (AUTOMATION_TOOLS.some(tool => userAgent.includes(tool))) signals.push('automationTool');
+            if (!BROWSER_MARKERS.some(marker => userAgent.includes(marker))) signals.push('notABrowser');
+        }
+        if (HEADLESS_MARKERS.some(marker => userAgent.includes(marker) || clientHints.includes(marker))) {
+            signals.push('headless');
+        }
+        if (!req.get('Accept-Language')) signals.push('missingAcceptLanguage');
+        if (!req.get('Accept')) signals.push('missingAccept');
+        // Chromium sends client hints on every secure request
+        if (req.secure && userAgent.includes('chrome/') && !clientHints) signals.push('missingClientHints');
+        return signals;
+    };
+
+    // Signals from the address's recent requests
+    const behaviorSignals = (client, now) => {
+        const signals = [];
+        const { times } = client;
+
+        if (times.filter(at => now - at < 1000).length > config.burstPerSecond) {
+            signals.push('burst');
+        }
+
+        if (times.length >= config.cadenceSamples) {
+            const recent = times.slice(-config.cadenceSamples);
+            const intervals = recent.slice(1).map((at, index) => at - recent[index]);
+            const mean = intervals.reduce((sum, interval) => sum + interval, 0) / intervals.length;
+            const variance = intervals.reduce((sum, interval) => sum + (interval - mean) ** 2, 0) / intervals.length;
+            if (mean > 0 && mean <= config.cadenceMaxIntervalMs && Math.sqrt(variance) / mean <= config.cadenceMaxVariation) {
+                signals.push('regularCadence');
+            }
+        }
+
+        client.notFound.forEach((at, notFoundPath) => {
+            if (now - at > config.windowMs) client.notFound.delete(notFoundPath);
+        });
+        if (client.notFound.size >= config.enumerationPaths) signals.push('enumeration');
+        if (now - client.probeAt < config.windowMs) signals.push('probe');
+        return signals;
+    };
+
+    /**
+     * Record a request and score it. Returns { score, signals }. The
+     * response status is recorded once it is sent, for path enumeration.
+     */
+    const inspect = (req, res, now = Date.now()) => {
+        const client = clientFor(req.ip, now);
+        client.lastSeenAt = now;
+        client.times.push(now);
+        if (client.times.length > historySize) client.times.shift();
+        if (PROBE_PATTERNS.some(pattern => pattern.test(req.path))) client.probeAt = now;
+
+        res.on('finish', () => {
+            if (res.statusCode !== 404) return;
+            client.notFound.delete(req.path);
+            client.notFound.set(req.path, Date.now());
+            // Enough to tell, without growing with every path a scanner tries
+            if (client.notFound.size > config.enumerationPaths * 2) {
+                client.notFound.delete(client.notFound.keys().next().value);
+            }
+        });
+
+        const signals = [...requestSignals(req), ...behaviorSignals(client, now)]
+            .filter(signal => config.weights[signal] > 0);
+        const score = signals.reduce((sum, signal) => sum + config.weights[signal], 0);
+        return { score, signals };
+    };
+
+    // A pass covers every behavior signal for its lifetime, and the header
+    // signals it was earned with; a header signal it has not seen asks again
+    const hasPass = (session, signals) => {
+        const pass = session && session.automationPass;
+        return Boolean(pass && pass.until > Date.now() &&
+            signals.filter(signal => HEADER_SIGNALS.includes(signal)).every(signal => pass.signals.includes(signal)));
+    };
+
+    const grantPass = (session, signals) => {
+        session.automationPass = { until: Date.now() + config.passTtlMs, signals };
+    };
+
+    // Proof-of-work challenge kept in the session until it is answered
+    const issueChallenge = (session, signals) => {
+        session.automationChallenge = {
+            nonce: crypto.randomBytes(16).toString('hex'),
+            difficulty: config.powDifficulty,
+            signals,
+            issuedAt: Date.now()
+        };
+        return session.automationChallenge;
+    };
+
+    /**
+     * Check an answer ({ nonce, counter, webdriver }). Every challenge can be
+     * answered once. Returns { passed, reason }.
+     */
+    const verifyChallenge = (session, answer) => {
+        const challenge = session.automationChallenge;
+        delete session.automationChallenge;
+
+        if (!challenge || challenge.nonce !== answer.nonce) {
+            return { passed: false, reason: 'unknown challenge' };
+        }
+        if (Date.now() - challenge.issuedAt > config.challengeTtlMs) {
+            return { passed: false, reason: 'challenge expired' };
+        }
+        if (!/^\d{1,16}$/.test(String(answer.counter))) {
+            return { passed: false, reason: 'wrong proof of work' };
+        }
+        if (answer.webdriver === 'true') {
+            return { passed: false, reason: 'browser is controlled by automation (navigator.webdriver)' };
+        }
+
+        const digest = crypto.createHash('sha256').update(`${challenge.nonce}:${answer.counter}`).digest();
+        if (leadingZeroBits(digest) < challenge.difficulty) {
+            return { passed: false, reason: 'wrong proof of work' };
+        }
+        grantPass(session, challenge.signals);
+        return { passed: true, reason: 'proof of work' };
+    };
+
+    return { config, inspect, hasPass, grantPass, issueChallenge, verifyChallenge };
+}
+
+module.exports = {
+    DEFAULT_AUTOMATION_PATH,
+    DEFAULT_AUTOMATION,
+    loadAutomationSettings,
+    createAutomationDetector
+};
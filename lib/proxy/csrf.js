@@ -0,0 +1,33 @@
+// CSRF tokens for the forms that sign in and out
+// Every session gets one random token on first use; forms send it back in a
+// hidden `_csrf` field and it is compared in constant time.
+
+const crypto = require('crypto');
+const { escapeHtml } = require('./html');
+
+const CSRF_FIELD = '_csrf';
+
+function csrfToken(req) {
+    if (!req.session.csrfToken) {
+        req.session.csrfToken = crypto.randomBytes(24).toString('hex');
+    }
+    return req.session.csrfToken;
+}
+
+// Hidden input to place inside a <form>
+function csrfField(req) {
+    return `<input type="hidden" name="${CSRF_FIELD}" value="${escapeHtml(csrfToken(req))}">`;
+}
+
+function isValidCsrf(req) {
+    const expected = Buffer.from(String(req.session.csrfToken || ''));
+    const given = Buffer.from(String((req.body && req.body[CSRF_FIELD]) || ''));
+    return expected.length > 0 && given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+module.exports = {
+    CSRF_FIELD,
+    csrfToken,
+    csrfField,
+    isValidCsrf
+};
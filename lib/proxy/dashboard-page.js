@@ -0,0 +1,280 @@
+// Dashboard shared by the emulator proxies
+// Services are opened through their proxy path either in a new tab ("links"
+// mode) or in an iframe below the cards ("frames" mode, used by the HTTPS wrapper).
+
+const { escapeHtml } = require('./html');
+const { CSRF_FIELD } = require('./csrf');
+const { renderHealthBadge, renderHealthScript } = require('./health-panel');
+const { renderQuotaPanel } = require('./quota-panel');
+const { renderRecordingPanel } = require('./har-page');
+const { renderLivePanel } = require('./live-panel');
+
+const FRAMES_STYLE = `
+        .service-card button {
+            border: none;
+            cursor: pointer;
+            font-size: 14px;
+        }
+        .service-card.active {
+            outline: 2px solid #667eea;
+        }
+        .iframe-container {
+            margin-top: 30px;
+            background: white;
+            border-radius: 12px;
+            box-shadow: 0 2px 10px rgba(0,0,0,0.1);
+            overflow: hidden;
+            height: 70vh;
+            display: none;
+        }
+        .iframe-container.active {
+            display: block;
+        }
+        .iframe-header {
+            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+            color: white;
+            padding: 15px 20px;
+            display: flex;
+            justify-content: space-between;
+            align-items: center;
+        }
+        .iframe-content {
+            height: calc(100% - 60px);
+            border: none;
+            width: 100%;
+        }
+        @media (max-width: 768px) {
+            .iframe-container {
+                height: 60vh;
+            }
+        }`;
+
+function renderServiceFrame(autoLoad) {
+    return `
+        <div class="iframe-container" id="iframe-container">
+            <div class="iframe-header">
+                <span id="iframe-title">Service</span>
+                <button class="btn" onclick="closeIframe()" style="padding: 8px 16px; font-size: 12px;">✕ Close</button>
+            </div>
+            <iframe id="service-iframe" class="iframe-content" src="about:blank"></iframe>
+        </div>
+
+        <script>
+            function loadService(button) {
+                var card = button.closest('[data-service]');
+                document.querySelectorAll('.service-card').forEach(function (other) {
+                    other.classList.remove('active');
+                });
+                card.classList.add('active');
+
+                var container = document.getElementById('iframe-container');
+                document.getElementById('iframe-title').textContent = card.querySelector('h3').textContent;
+                document.getElementById('service-iframe').src = button.getAttribute('data-url');
+                container.classList.add('active');
+                container.scrollIntoView({ behavior: 'smooth' });
+            }
+
+            function closeIframe() {
+                document.getElementById('iframe-container').classList.remove('active');
+                document.getElementById('service-iframe').src = 'about:blank';
+                document.querySelectorAll('.service-card').forEach(function (card) {
+                    card.classList.remove('active');
+                });
+            }
+
+            ${autoLoad ? `window.addEventListener('load', function () {
+                var button = document.querySelector('[data-service="${escapeHtml(autoLoad)}"] button');
+                if (button) setTimeout(function () { loadService(button); }, 1000);
+            });` : ''}
+        </script>`;
+}
+
+function renderServiceCard(card, mode) {
+    const { key, service, health, url } = card;
+    const action = mode === 'frames'
+        ? `<button class="btn" data-url="${escapeHtml(url)}" onclick="loadService(this)">🚀 Load ${escapeHtml(service.name)}</button>`
+        : `<a href="${escapeHtml(url)}" class="btn btn-primary" target="_blank">🚀 Open ${escapeHtml(service.name)}</a>`;
+
+    return `
+            <div class="service-card" data-service="${escapeHtml(key)}">
+                <h3>${escapeHtml(service.name)}</h3>
+                <p>Port: ${service.port}</p>
+                ${renderHealthBadge(key, health)}
+                ${action}
+            </div>`;
+}
+
+/**
+ * Render the dashboard.
+ *   title, subtitle    page heading
+ *   mode               "links" or "frames"
+ *   csrfToken          session CSRF token for the logout form
+ *   user               { owner, role, note } of the signed-in caller
+ *   links              [{ href, label }] shown under the heading (tools and admin pages)
+ *   cards              [{ key, service, health, url }] for the services the caller may use
+ *   healthIntervalMs   poll interval of the health badges (without the live panel)
+ *   live               { security } to show the live activity panel fed by /events, or null
+ *   recording          HAR recording status of the session, or null without HAR
+ *   autoLoad           frames mode: service key loaded into the iframe on page load
+ *   protections        lines of the "Security Status" box
+ */
+function renderDashboardPage({
+    title, subtitle, mode = 'links', csrfToken, user, links = [], cards = [],
+    healthIntervalMs, live = null, recording = null, autoLoad = null, protections = []
+}) {
+    const linksHtml = links.map(({ href, label }) => `<a href="${escapeHtml(href)}" class="btn btn-secondary">${escapeHtml(label)}</a>`).join('\n            ');
+
+    return `
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>🔒 Firebase Emulator Dashboard</title>
+    <style>
+        body {
+            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Arial, sans-serif;
+            background: #f5f5f5;
+            margin: 0;
+            padding: 20px;
+        }
+        .container {
+            max-width: 1200px;
+            margin: 0 auto;
+        }
+        .header {
+            background: white;
+            border-radius: 12px;
+            padding: 30px;
+            margin-bottom: 30px;
+            box-shadow: 0 2px 10px rgba(0,0,0,0.1);
+            text-align: center;
+        }
+        .services-grid {
+            display: grid;
+            grid-template-columns: repeat(auto-fit, minmax(300px, 1fr));
+            gap: 20px;
+            margin-bottom: 30px;
+        }
+        .service-card {
+            background: white;
+            border-radius: 12px;
+            padding: 25px;
+            box-shadow: 0 2px 10px rgba(0,0,0,0.1);
+            text-align: center;
+            transition: transform 0.2s;
+        }
+        .service-card:hover {
+            transform: translateY(-5px);
+        }
+        .btn {
+            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+            color: white;
+            text-decoration: none;
+            padding: 12px 24px;
+            border-radius: 8px;
+            display: inline-block;
+            font-weight: 500;
+            transition: transform 0.2s;
+        }
+        .btn:hover {
+            transform: translateY(-2px);
+        }
+        .btn-secondary {
+            background: #6c757d;
+        }
+        .quota-panel, .recording-panel, .live-panel {
+            background: white;
+            border-radius: 12px;
+            padding: 20px;
+            margin-bottom: 20px;
+            box-shadow: 0 2px 10px rgba(0,0,0,0.1);
+        }
+        .live-panel {
+            overflow-x: auto;
+        }
+        .live-panel table {
+            width: 100%;
+            border-collapse: collapse;
+            font-size: 13px;
+        }
+        .live-panel th, .live-panel td {
+            text-align: left;
+            padding: 4px 8px;
+            border-bottom: 1px solid #eee;
+            white-space: nowrap;
+        }
+        .live-panel small {
+            color: #6c757d;
+            font-weight: normal;
+        }
+        .live-panel .live-warning td {
+            background: #fff3cd;
+        }
+        .live-panel .live-error td {
+            background: #f8d7da;
+        }
+        .recording-panel button {
+            border: none;
+            cursor: pointer;
+            font-size: 14px;
+        }
+        .security-status {
+            background: #d4edda;
+            border: 1px solid #c3e6cb;
+            border-radius: 8px;
+            padding: 20px;
+            margin-top: 20px;
+        }
+        .logout-btn {
+            position: fixed;
+            top: 20px;
+            right: 20px;
+        }
+        .logout-btn button {
+            border: none;
+            cursor: pointer;
+            font-size: 14px;
+        }${mode === 'frames' ? FRAMES_STYLE : ''}
+    </style>
+</head>
+<body>
+    <div class="logout-btn">
+        <form method="POST" action="/logout">
+            <input type="hidden" name="${CSRF_FIELD}" value="${escapeHtml(csrfToken)}">
+            <button type="submit" class="btn btn-secondary">🚪 Logout</button>
+        </form>
+    </div>
+
+    <div class="container">
+        <div class="header">
+            <h1>${escapeHtml(title)}</h1>
+            <p>${escapeHtml(subtitle)}</p>
+            <p>Signed in as <strong>${escapeHtml(user.owner)}</strong> (${escapeHtml(user.role)}${user.note ? `, ${escapeHtml(user.note)}` : ''})</p>
+            ${linksHtml}
+        </div>
+
+        <div class="services-grid">
+            ${cards.map(card => renderServiceCard(card, mode)).join('')}
+        </div>
+        ${renderHealthScript(healthIntervalMs, { live: Boolean(live) })}
+        ${mode === 'frames' ? renderServiceFrame(autoLoad) : ''}
+
+        ${live ? renderLivePanel(live) : ''}
+
+        ${renderQuotaPanel()}
+
+        ${recording ? renderRecordingPanel(recording) : ''}
+
+        <div class="security-status">
+            <h3>🛡️ Security Status: ACTIVE</h3>
+            <p>All Firebase emulator services are protected with:</p>
+            <ul>
+                ${protections.map(text => `<li>${escapeHtml(text)}</li>`).join('\n                ')}
+            </ul>
+        </div>
+    </div>
+</body>
+</html>
+    `;
+}
+
+module.exports = { renderDashboardPage };
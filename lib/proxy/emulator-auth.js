@@ -0,0 +1,125 @@
+// Sign-in against the Firebase Auth emulator for the emulator proxy
+// People log in with an emulator test account (email/password). The account's
+// `proxyRole` custom claim picks the proxy role, so proxy users are managed
+// like any other test user (Emulator UI, Admin SDK, REST).
+
+const DEFAULT_ROLE_CLAIM = 'proxyRole';
+const REQUEST_TIMEOUT_MS = 5000;
+const CUSTOM_TOKEN_AUDIENCE = 'https://identitytoolkit.googleapis.com/google.identity.identitytoolkit.v1.IdentityToolkit';
+
+class EmulatorAuthError extends Error {
+    constructor(reason, message) {
+        super(message || reason);
+        this.name = 'EmulatorAuthError';
+        this.reason = reason;
+    }
+}
+
+// Emulator ID tokens are unsigned; we only read ones we fetched ourselves
+function decodeTokenPayload(idToken) {
+    const payload = String(idToken || '').split('.')[1];
+    if (!payload) return {};
+    try {
+        return JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    } catch (error) {
+        return {};
+    }
+}
+
+// The emulator accepts custom tokens without a signature
+function unsignedCustomToken(uid) {
+    const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+    const now = Math.floor(Date.now() / 1000);
+    return `${encode({ alg: 'none', typ: 'JWT' })}.${encode({
+        aud: CUSTOM_TOKEN_AUDIENCE, iss: 'emulator-proxy', sub: 'emulator-proxy', uid, iat: now, exp: now + 3600
+    })}.`;
+}
+
+/**
+ * Create the client.
+ *   host, port  Auth emulator address
+ *   roleClaim   custom claim holding the proxy role
+ *   projectId   used for admin lookups when the token does not name one
+ */
+function createEmulatorAuth({ host = 'localhost', port = 9100, roleClaim = DEFAULT_ROLE_CLAIM, projectId = null }) {
+    const baseUrl = `http://${host}:${port}/identitytoolkit.googleapis.com/v1`;
+
+    const post = async (path, body, headers = {}) => {
+        let response;
+        try {
+            response = await fetch(`${baseUrl}${path}`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', ...headers },
+                body: JSON.stringify(body),
+                signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+            });
+        } catch (error) {
+            throw new EmulatorAuthError('EMULATOR_UNAVAILABLE', `Auth emulator at ${host}:${port} is not reachable`);
+        }
+
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            // e.g. "INVALID_PASSWORD" or "EMAIL_NOT_FOUND : ..."
+            const reason = ((data.error && data.error.message) || `HTTP_${response.status}`).split(' ')[0];
+            throw new EmulatorAuthError(reason);
+        }
+        return data;
+    };
+
+    // Resolves with { uid, email, role, projectId }; role is null without the claim
+    const signIn = async (email, password) => {
+        const result = await post('/accounts:signInWithPassword?key=emulator', { email, password, returnSecureToken: true });
+        const claims = decodeTokenPayload(result.idToken);
+        return {
+            uid: result.localId,
+            email: result.email,
+            role: claims[roleClaim] || null,
+            projectId: claims.aud || projectId
+        };
+    };
+
+    // Current state of an account, or null if it no longer exists
+    const lookup = async (uid, accountProjectId = projectId) => {
+        const path = accountProjectId ? `/projects/${accountProjectId}/accounts:lookup` : '/accounts:lookup';
+        const result = await post(path, { localId: [uid] }, { Authorization: 'Bearer owner' });
+        const user = (result.users || [])[0];
+        if (!user) return null;
+
+        const claims = user.customAttributes ? JSON.parse(user.customAttributes) : {};
+        return {
+            uid: user.localId,
+            email: user.email,
+            disabled: Boolean(user.disabled),
+            role: claims[roleClaim] || null
+        };
+    };
+
+    // Test accounts of the project: [{ uid, email, displayName, disabled }]
+    const listAccounts = async (accountProjectId = projectId, limit = 100) => {
+        if (!accountProjectId) {
+            throw new EmulatorAuthError('PROJECT_ID_REQUIRED', 'Listing accounts needs the project ID (FIREBASE_PROJECT_ID)');
+        }
+        const result = await post(`/projects/${accountProjectId}/accounts:query`,
+            { returnUserInfo: true, limit: String(limit) }, { Authorization: 'Bearer owner' });
+        return (result.userInfo || []).map(user => ({
+            uid: user.localId,
+            email: user.email || null,
+            displayName: user.displayName || null,
+            disabled: Boolean(user.disabled)
+        }));
+    };
+
+    // ID token for an existing account, to call functions as that user
+    const idTokenFor = async (uid) => {
+        const result = await post('/accounts:signInWithCustomToken?key=emulator', { token: unsignedCustomToken(uid), returnSecureToken: true });
+        return result.idToken;
+    };
+
+    return { host, port, roleClaim, signIn, lookup, listAccounts, idTokenFor };
+}
+
+module.exports = {
+    DEFAULT_ROLE_CLAIM,
+    EmulatorAuthError,
+    createEmulatorAuth
+};
@@ -0,0 +1,139 @@
+// Admin page for fault injection (/admin/faults): the master switch and
+// one row per rule with its own switch
+
+const { escapeHtml } = require('./html');
+
+const PAGE_STYLE = `
+        body {
+            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Arial, sans-serif;
+            background: #f5f5f5;
+            margin: 0;
+            padding: 20px;
+        }
+        .panel {
+            background: white;
+            border-radius: 12px;
+            box-shadow: 0 2px 10px rgba(0,0,0,0.1);
+            padding: 30px;
+            max-width: 1100px;
+            margin: 0 auto 20px;
+        }
+        .state {
+            border-radius: 8px;
+            padding: 15px 20px;
+            margin: 20px 0;
+            display: flex;
+            justify-content: space-between;
+            align-items: center;
+        }
+        .state-on {
+            background: #fff3cd;
+            border: 1px solid #ffeeba;
+        }
+        .state-off {
+            background: #e9ecef;
+            border: 1px solid #dee2e6;
+        }
+        .btn {
+            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+            color: white;
+            text-decoration: none;
+            border: none;
+            padding: 8px 16px;
+            border-radius: 8px;
+            cursor: pointer;
+            font-size: 14px;
+            display: inline-block;
+        }
+        .btn-danger {
+            background: #dc3545;
+        }
+        .btn-secondary {
+            background: #6c757d;
+        }
+        table {
+            width: 100%;
+            border-collapse: collapse;
+            font-size: 14px;
+        }
+        th, td {
+            text-align: left;
+            padding: 8px;
+            border-bottom: 1px solid #eee;
+            vertical-align: middle;
+        }
+        tr.disabled td {
+            color: #999;
+        }
+        code {
+            word-break: break-all;
+        }
+`;
+
+// "1500±500ms, 10% 503/429, 2% drop, 64 kbps"
+function summarizeRule(rule) {
+    const parts = [];
+    if (rule.latencyMs || rule.jitterMs) {
+        parts.push(`${rule.latencyMs}${rule.jitterMs ? `±${rule.jitterMs}` : ''}ms`);
+    }
+    if (rule.errorPercent) parts.push(`${rule.errorPercent}% ${rule.errorStatuses.join('/')}`);
+    if (rule.dropPercent) parts.push(`${rule.dropPercent}% drop`);
+    if (rule.bandwidthKbps) parts.push(`${rule.bandwidthKbps} kbps`);
+    return parts.join(', ') || 'none';
+}
+
+function renderFaultsPage({ enabled, filePath, rules }) {
+    const rowsHtml = rules.map(rule => `
+                <tr class="${rule.enabled ? '' : 'disabled'}">
+                    <td><strong>${escapeHtml(rule.id)}</strong><br><small>${escapeHtml(rule.description)}</small></td>
+                    <td>${escapeHtml(rule.service)}</td>
+                    <td>${escapeHtml(rule.methods.join(', '))}</td>
+                    <td><code>${escapeHtml(rule.path)}</code></td>
+                    <td>${escapeHtml(summarizeRule(rule))}</td>
+                    <td>
+                        <form method="POST" action="/admin/faults/${encodeURIComponent(rule.id)}">
+                            ${rule.enabled
+                                ? '<button type="submit" name="action" value="disable" class="btn btn-secondary">⏸ Disable</button>'
+                                : '<button type="submit" name="action" value="enable" class="btn">▶ Enable</button>'}
+                        </form>
+                    </td>
+                </tr>
+    `).join('');
+
+    return `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>🧪 Fault Injection</title>
+    <style>${PAGE_STYLE}</style>
+</head>
+<body>
+    <div class="panel">
+        <h1>🧪 Fault Injection</h1>
+        <p>Matching requests get extra latency, error responses, dropped connections or throttled bodies. Every injected fault carries an <code>X-Emulator-Proxy-Fault</code> header and a <code>FAULT_INJECTED</code> audit record.</p>
+        <form method="POST" action="/admin/faults" class="state ${enabled ? 'state-on' : 'state-off'}">
+            <span>${enabled ? '⚠️ Fault injection is <strong>ON</strong>' : 'Fault injection is off'}</span>
+            <span>
+                ${enabled
+                    ? '<button type="submit" name="action" value="disable" class="btn btn-danger">⏹ Turn off</button>'
+                    : '<button type="submit" name="action" value="enable" class="btn">▶ Turn on</button>'}
+                <button type="submit" name="action" value="reload" class="btn btn-secondary">🔄 Reload rules</button>
+            </span>
+        </form>
+        ${rules.length === 0 ? `<p>No rules. Add them to <code>${escapeHtml(filePath)}</code> and reload.</p>` : `
+        <table>
+            <thead>
+                <tr><th>Rule</th><th>Service</th><th>Methods</th><th>Path</th><th>Faults</th><th></th></tr>
+            </thead>
+            <tbody>${rowsHtml}</tbody>
+        </table>`}
+        <p><a href="/dashboard" class="btn">⬅ Dashboard</a></p>
+    </div>
+</body>
+</html>
+    `;
+}
+
+module.exports = { renderFaultsPage };
@@ -0,0 +1,204 @@
+// Fault injection for testing apps against a slow or failing backend
+// Rules match a service, methods and a path (regular expression, like role
+// rules; the first enabled match wins) and add latency with jitter, answer
+// with an error status, drop the connection or throttle the response.
+// Admins switch fault injection and single rules on and off at runtime.
+// Every injected fault is reported through onFault() and marked with an
+// X-Emulator-Proxy-Fault response header.
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_FAULTS_PATH = path.join(__dirname, '..', '..', '.emulator-sharing', 'faults.json');
+const FAULT_HEADER = 'X-Emulator-Proxy-Fault';
+
+// Throttled responses are written in slices this often
+const THROTTLE_TICK_MS = 100;
+
+const percent = (value) => Math.min(100, Math.max(0, Number(value) || 0));
+
+function compileRule(rule, index) {
+    return {
+        id: String(rule.id || `rule-${index + 1}`),
+        description: rule.description || '',
+        service: rule.service || '*',
+        methods: (rule.methods || ['*']).map(method => method.toUpperCase()),
+        path: new RegExp(rule.path || '.*'),
+        latencyMs: Math.max(0, Number(rule.latencyMs) || 0),
+        jitterMs: Math.max(0, Number(rule.jitterMs) || 0),
+        errorPercent: percent(rule.errorPercent),
+        errorStatuses: (rule.errorStatuses || [503]).map(status => parseInt(status, 10)),
+        dropPercent: percent(rule.dropPercent),
+        bandwidthKbps: Math.max(0, Number(rule.bandwidthKbps) || 0),
+        enabled: rule.enabled !== false
+    };
+}
+
+// Fault injection starts switched off unless the file says "enabled": true
+function loadFaultRules(filePath = DEFAULT_FAULTS_PATH) {
+    if (!filePath || !fs.existsSync(filePath)) {
+        return { enabled: false, rules: [] };
+    }
+
+    const config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    return {
+        enabled: config.enabled === true,
+        rules: (config.rules || []).map(compileRule)
+    };
+}
+
+// Pace everything written to `res` at `bytesPerSecond`
+function throttleResponse(res, bytesPerSecond) {
+    const write = res.write.bind(res);
+    const end = res.end.bind(res);
+    const sliceBytes = Math.max(1, Math.floor(bytesPerSecond * THROTTLE_TICK_MS / 1000));
+    const queue = [];
+    let timer = null;
+    let ending = false;
+
+    const pump = () => {
+        timer = null;
+        if (res.destroyed) return;
+        if (queue.length === 0) {
+            if (ending) return end();
+            return res.emit('drain');
+        }
+
+        const chunk = queue[0];
+        write(chunk.subarray(0, sliceBytes));
+        if (chunk.length > sliceBytes) {
+            queue[0] = chunk.subarray(sliceBytes);
+        } else {
+            queue.shift();
+        }
+        timer = setTimeout(pump, THROTTLE_TICK_MS);
+    };
+
+    const enqueue = (chunk, encoding) => {
+        if (chunk !== undefined && chunk !== null && typeof chunk !== 'function') {
+            queue.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk, typeof encoding === 'string' ? encoding : 'utf8'));
+        }
+        if (!timer) timer = setTimeout(pump, 0);
+    };
+
+    res.write = (chunk, encoding) => {
+        enqueue(chunk, encoding);
+        return false;
+    };
+    res.end = (chunk, encoding) => {
+        ending = true;
+        enqueue(chunk, encoding);
+        return res;
+    };
+    res.on('close', () => clearTimeout(timer));
+}
+
+/**
+ * Create the injector.
+ *   filePath   rules file (see docs/guides/emulator-proxy.md), re-read by reload()
+ *   onFault    (req, { service, rule, faults }) => void for every injected fault
+ *   random     () => number in [0, 1), for the error/drop percentages and jitter
+ */
+function createFaultInjector({ filePath = DEFAULT_FAULTS_PATH, onFault = () => {}, random = Math.random } = {}) {
+    let { enabled, rules } = loadFaultRules(filePath);
+
+    const match = (serviceKey, method, requestPath) => enabled && rules.find(rule =>
+        rule.enabled &&
+        (rule.service === '*' || rule.service === serviceKey) &&
+        (rule.methods.includes('*') || rule.methods.includes(method.toUpperCase())) &&
+        rule.path.test(requestPath)
+    );
+
+    // What `rule` does to one request
+    const roll = (rule) => {
+        const jitter = rule.jitterMs ? Math.round((random() * 2 - 1) * rule.jitterMs) : 0;
+        const faults = {};
+        const latencyMs = Math.max(0, rule.latencyMs + jitter);
+        if (latencyMs > 0) faults.latencyMs = latencyMs;
+
+        if (random() * 100 < rule.dropPercent) {
+            faults.drop = true;
+        } else if (random() * 100 < rule.errorPercent) {
+            faults.status = rule.errorStatuses[Math.floor(random() * rule.errorStatuses.length)] || 503;
+        } else if (rule.bandwidthKbps > 0) {
+            faults.bandwidthKbps = rule.bandwidthKbps;
+        }
+        return faults;
+    };
+
+    const describe = (rule, faults) => [
+        `rule=${rule.id}`,
+        ...(faults.latencyMs ? [`latency=${faults.latencyMs}ms`] : []),
+        ...(faults.drop ? ['drop'] : []),
+        ...(faults.status ? [`error=${faults.status}`] : []),
+        ...(faults.bandwidthKbps ? [`throttle=${faults.bandwidthKbps}kbps`] : [])
+    ].join('; ');
+
+    // Goes in front of the service's proxy; `req.path` is relative to the service
+    const middleware = (serviceKey) => (req, res, next) => {
+        const rule = match(serviceKey, req.method, req.path);
+        if (!rule) {
+            return next();
+        }
+
+        const faults = roll(rule);
+        if (Object.keys(faults).length === 0) {
+            return next();
+        }
+
+        res.setHeader(FAULT_HEADER, describe(rule, faults));
+        onFault(req, { service: serviceKey, rule: rule.id, faults });
+
+        setTimeout(() => {
+            if (res.destroyed || res.headersSent) return;
+
+            if (faults.drop) {
+                return req.socket.destroy();
+            }
+            if (faults.status) {
+                if (faults.status === 429) res.set('Retry-After', '1');
+                return res.status(faults.status).json({
+                    error: 'Injected fault',
+                    message: `Fault injection rule "${rule.id}" answered with ${faults.status}. This is not a real ${serviceKey} error.`,
+                    rule: rule.id
+                });
+            }
+            if (faults.bandwidthKbps) {
+                throttleResponse(res, faults.bandwidthKbps * 1024 / 8);
+            }
+            next();
+        }, faults.latencyMs || 0);
+    };
+
+    const status = () => ({
+        enabled,
+        filePath,
+        rules: rules.map(rule => ({ ...rule, path: rule.path.source }))
+    });
+
+    const setEnabled = (value) => {
+        enabled = Boolean(value);
+    };
+
+    // Returns the rule, or null if there is no rule with that id
+    const setRuleEnabled = (id, value) => {
+        const rule = rules.find(candidate => candidate.id === id);
+        if (!rule) return null;
+        rule.enabled = Boolean(value);
+        return rule;
+    };
+
+    // Re-read the rules file; runtime switches are replaced by the file's values
+    const reload = () => {
+        ({ enabled, rules } = loadFaultRules(filePath));
+    };
+
+    return { middleware, status, setEnabled, setRuleEnabled, reload };
+}
+
+module.exports = {
+    DEFAULT_FAULTS_PATH,
+    FAULT_HEADER,
+    loadFaultRules,
+    createFaultInjector
+};
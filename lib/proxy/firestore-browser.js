@@ -0,0 +1,96 @@
+// Read-only Firestore browser for the proxy dashboard (/console/firestore)
+// Collections, documents and subcollections come from the Firestore
+// emulator's REST API. Every REST request is described first, so the proxy
+// can check it against the caller's role exactly like a request sent to
+// /firestore/... before it goes out.
+
+const DEFAULT_PAGE_SIZE = 20;
+const DEFAULT_TIMEOUT_MS = 10 * 1000;
+
+class FirestoreBrowserError extends Error {
+    constructor(message, status = 502) {
+        super(message);
+        this.name = 'FirestoreBrowserError';
+        this.status = status;
+    }
+}
+
+// "users/alice/orders" into segments; null for empty segments or dot segments
+function splitPath(value) {
+    const segments = String(value || '').split('/').filter(Boolean);
+    return segments.some(segment => segment === '.' || segment === '..') ? null : segments;
+}
+
+/**
+ * Create the browser.
+ *   projectId    project the emulator runs
+ *   databaseId   Firestore database (default: "(default)")
+ *   pageSize     documents and collection IDs per page
+ *   timeoutMs    per REST request
+ */
+function createFirestoreBrowser({
+    projectId = null,
+    databaseId = '(default)',
+    pageSize = DEFAULT_PAGE_SIZE,
+    timeoutMs = DEFAULT_TIMEOUT_MS
+} = {}) {
+    const databaseName = `projects/${projectId}/databases/${databaseId}`;
+    const documentsPath = `/v1/${databaseName}/documents`;
+    const encodePath = (segments) => segments.map(encodeURIComponent).map(segment => `/${segment}`).join('');
+
+    // Collection IDs below the root (no segments) or below a document
+    const collectionsRequest = (segments, pageToken = '') => ({
+        method: 'POST',
+        path: `${documentsPath}${encodePath(segments)}:listCollectionIds`,
+        body: { pageSize, ...(pageToken ? { pageToken } : {}) }
+    });
+
+    const documentsRequest = (segments, pageToken = '') => ({
+        method: 'GET',
+        path: `${documentsPath}${encodePath(segments)}?pageSize=${pageSize}${pageToken ? `&pageToken=${encodeURIComponent(pageToken)}` : ''}`
+    });
+
+    const documentRequest = (segments) => ({
+        method: 'GET',
+        path: `${documentsPath}${encodePath(segments)}`
+    });
+
+    // Run a described request as the emulator owner (security rules do not
+    // apply, as in the Emulator UI). Resolves with the JSON answer.
+    const send = async (service, request) => {
+        let response;
+        try {
+            response = await fetch(`http://${service.host}:${service.port}${request.path}`, {
+                method: request.method,
+                headers: { Authorization: 'Bearer owner', ...(request.body ? { 'Content-Type': 'application/json' } : {}) },
+                body: request.body ? JSON.stringify(request.body) : undefined,
+                signal: AbortSignal.timeout(timeoutMs)
+            });
+        } catch (error) {
+            throw new FirestoreBrowserError(`Firestore emulator at ${service.host}:${service.port} is not reachable`, 503);
+        }
+
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            const message = (data.error && data.error.message) || `HTTP ${response.status}`;
+            throw new FirestoreBrowserError(message, response.status === 404 ? 404 : 502);
+        }
+        return data;
+    };
+
+    return {
+        projectId,
+        databaseId,
+        pageSize,
+        collectionsRequest,
+        documentsRequest,
+        documentRequest,
+        send
+    };
+}
+
+module.exports = {
+    FirestoreBrowserError,
+    splitPath,
+    createFirestoreBrowser
+};
@@ -0,0 +1,297 @@
+// Firestore browser page (/console/firestore): collections, a page of
+// documents or one document with its typed fields and subcollections
+
+const { escapeHtml } = require('./html');
+
+const PAGE_STYLE = `
+        body {
+            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Arial, sans-serif;
+            background: #f5f5f5;
+            margin: 0;
+            padding: 12px;
+        }
+        .panel {
+            background: white;
+            border-radius: 12px;
+            box-shadow: 0 2px 10px rgba(0,0,0,0.1);
+            padding: 16px 20px;
+            max-width: 900px;
+            margin: 0 auto 16px;
+        }
+        h1 {
+            font-size: 22px;
+        }
+        .btn {
+            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+            color: white;
+            text-decoration: none;
+            border: none;
+            padding: 10px 18px;
+            border-radius: 8px;
+            font-size: 15px;
+            display: inline-block;
+        }
+        .btn-secondary {
+            background: #6c757d;
+        }
+        .crumbs {
+            font-size: 15px;
+            word-break: break-all;
+        }
+        .crumbs a {
+            color: #667eea;
+        }
+        .list {
+            list-style: none;
+            padding: 0;
+            margin: 0;
+        }
+        .list a {
+            display: block;
+            padding: 14px 10px;
+            border-bottom: 1px solid #eee;
+            color: #333;
+            text-decoration: none;
+            word-break: break-all;
+        }
+        .list a:hover, .list a:active {
+            background: #f0f4ff;
+        }
+        .list small {
+            display: block;
+            color: #6c757d;
+            margin-top: 4px;
+        }
+        .fields {
+            margin: 0;
+        }
+        .fields dt {
+            font-weight: 600;
+            margin-top: 10px;
+            word-break: break-all;
+        }
+        .fields dd {
+            margin: 2px 0 0 14px;
+            word-break: break-word;
+        }
+        .fields .fields, .values {
+            border-left: 2px solid #e9ecef;
+            padding-left: 10px;
+        }
+        .values {
+            margin: 4px 0;
+        }
+        .type {
+            display: inline-block;
+            font-size: 11px;
+            color: #6c757d;
+            background: #e9ecef;
+            border-radius: 4px;
+            padding: 1px 5px;
+            margin-right: 6px;
+            font-weight: normal;
+        }
+        .v-null {
+            color: #6c757d;
+            font-style: italic;
+        }
+        .meta {
+            color: #6c757d;
+            font-size: 13px;
+        }
+        .notice {
+            background: #fff3cd;
+            border: 1px solid #ffeeba;
+            border-radius: 8px;
+            padding: 10px 15px;
+        }
+        .error {
+            background: #f8d7da;
+            border: 1px solid #f5c6cb;
+            border-radius: 8px;
+            padding: 10px 15px;
+        }
+        .pager {
+            display: flex;
+            gap: 10px;
+            margin-top: 14px;
+        }
+`;
+
+const browseUrl = (path, pageToken) =>
+    `/console/firestore?path=${encodeURIComponent(path)}${pageToken ? `&pageToken=${encodeURIComponent(pageToken)}` : ''}`;
+
+const lastSegment = (path) => path.split('/').pop();
+
+// "2024-03-01 09:30:12 UTC" (with the full value in the title)
+function formatTimestamp(value) {
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) return escapeHtml(value);
+    const text = date.toISOString().replace('T', ' ').replace(/\.\d+Z$/, ' UTC');
+    return `<time datetime="${escapeHtml(value)}" title="${escapeHtml(value)}">${escapeHtml(text)}</time>`;
+}
+
+// One REST API value (https://firebase.google.com/docs/firestore/reference/rest/v1/Value)
+function renderValue(value, referencePrefix) {
+    const type = Object.keys(value || {})[0];
+    const raw = value ? value[type] : undefined;
+    const badge = (label) => `<span class="type">${label}</span>`;
+
+    switch (type) {
+        case 'nullValue':
+            return `${badge('null')}<span class="v-null">null</span>`;
+        case 'booleanValue':
+            return `${badge('boolean')}${raw ? 'true' : 'false'}`;
+        case 'integerValue':
+            return `${badge('integer')}${escapeHtml(raw)}`;
+        case 'doubleValue':
+            return `${badge('number')}${escapeHtml(raw)}`;
+        case 'timestampValue':
+            return `${badge('timestamp')}${formatTimestamp(raw)}`;
+        case 'stringValue':
+            return `${badge('string')}"${escapeHtml(raw)}"`;
+        case 'bytesValue':
+            return `${badge('bytes')}${Buffer.from(raw, 'base64').length} bytes <code>${escapeHtml(String(raw).slice(0, 60))}${String(raw).length > 60 ? '…' : ''}</code>`;
+        case 'referenceValue': {
+            const target = String(raw).startsWith(referencePrefix) ? String(raw).slice(referencePrefix.length) : null;
+            return `${badge('reference')}${target
+                ? `<a href="${escapeHtml(browseUrl(target))}">${escapeHtml(target)}</a>`
+                : escapeHtml(raw)}`;
+        }
+        case 'geoPointValue':
+            return `${badge('geopoint')}${escapeHtml(raw.latitude || 0)}, ${escapeHtml(raw.longitude || 0)}`;
+        case 'arrayValue': {
+            const values = raw.values || [];
+            if (values.length === 0) return `${badge('array')}[]`;
+            return `${badge(`array (${values.length})`)}<ol class="values" start="0">${values.map(item => `<li>${renderValue(item, referencePrefix)}</li>`).join('')}</ol>`;
+        }
+        case 'mapValue':
+            return `${badge('map')}${renderFields(raw.fields || {}, referencePrefix)}`;
+        default:
+            return `<code>${escapeHtml(JSON.stringify(value))}</code>`;
+    }
+}
+
+function renderFields(fields, referencePrefix) {
+    const names = Object.keys(fields).sort();
+    if (names.length === 0) return '<span class="v-null">no fields</span>';
+    return `<dl class="fields">${names.map(name => `
+            <dt>${escapeHtml(name)}</dt>
+            <dd>${renderValue(fields[name], referencePrefix)}</dd>`).join('')}
+        </dl>`;
+}
+
+// Short one-line preview of a document's first fields for the list
+function previewFields(fields = {}) {
+    return Object.keys(fields).sort().slice(0, 3).map(name => {
+        const value = fields[name];
+        const type = Object.keys(value)[0];
+        const raw = value[type];
+        const shown = type === 'mapValue' ? '{…}'
+            : type === 'arrayValue' ? `[${(raw.values || []).length}]`
+            : type === 'referenceValue' ? lastSegment(String(raw))
+            : type === 'nullValue' ? 'null'
+            : String(raw).slice(0, 30);
+        return `${name}: ${shown}`;
+    }).join(' · ');
+}
+
+function renderCrumbs(segments) {
+    const crumbs = ['<a href="/console/firestore">🏠 Root</a>'];
+    segments.forEach((segment, index) => {
+        const path = segments.slice(0, index + 1).join('/');
+        crumbs.push(index === segments.length - 1
+            ? `<strong>${escapeHtml(segment)}</strong>`
+            : `<a href="${escapeHtml(browseUrl(path))}">${escapeHtml(segment)}</a>`);
+    });
+    return `<p class="crumbs">${crumbs.join(' / ')}</p>`;
+}
+
+function renderCollectionList(title, basePath, collections, nextToken, pageToken) {
+    const items = collections.map(id => {
+        const path = basePath ? `${basePath}/${id}` : id;
+        return `<li><a href="${escapeHtml(browseUrl(path))}">📁 ${escapeHtml(id)}</a></li>`;
+    }).join('');
+
+    return `
+        <h2>${title}</h2>
+        ${collections.length === 0 ? '<p class="meta">None</p>' : `<ul class="list">${items}</ul>`}
+        ${renderPager(basePath, nextToken, pageToken)}`;
+}
+
+function renderPager(path, nextToken, pageToken) {
+    if (!nextToken && !pageToken) return '';
+    return `
+        <div class="pager">
+            ${pageToken ? `<a href="${escapeHtml(browseUrl(path))}" class="btn btn-secondary">⏮ First page</a>` : ''}
+            ${nextToken ? `<a href="${escapeHtml(browseUrl(path, nextToken))}" class="btn">Next page ▶</a>` : ''}
+        </div>`;
+}
+
+/**
+ * Render the browser.
+ *   projectId, databaseId   database being browsed
+ *   segments                path below /documents, e.g. ["users", "alice"]
+ *   pageToken               token of the page being shown, if not the first
+ *   collections             collection IDs (root and document views)
+ *   collectionsToken        next page of collection IDs
+ *   documents               REST documents (collection view)
+ *   nextPageToken           next page of documents
+ *   document                REST document, or null if it does not exist (document view)
+ *   error                   message shown instead of the data
+ */
+function renderFirestorePage({
+    projectId, databaseId, segments = [], pageToken = '', collections = [], collectionsToken = '',
+    documents = [], nextPageToken = '', document = null, error = null
+}) {
+    const path = segments.join('/');
+    const referencePrefix = `projects/${projectId}/databases/${databaseId}/documents/`;
+    const isCollection = segments.length % 2 === 1;
+
+    let body;
+    if (error) {
+        body = `<p class="error">${escapeHtml(error)}</p>`;
+    } else if (segments.length === 0) {
+        body = renderCollectionList('Collections', '', collections, collectionsToken, pageToken);
+    } else if (isCollection) {
+        const items = documents.map(doc => {
+            const docPath = `${path}/${lastSegment(doc.name)}`;
+            return `<li><a href="${escapeHtml(browseUrl(docPath))}">📄 ${escapeHtml(lastSegment(doc.name))}<small>${escapeHtml(previewFields(doc.fields))}</small></a></li>`;
+        }).join('');
+        body = `
+        <h2>Documents</h2>
+        ${documents.length === 0 ? '<p class="meta">No documents on this page.</p>' : `<ul class="list">${items}</ul>`}
+        ${renderPager(path, nextPageToken, pageToken)}`;
+    } else {
+        body = `
+        ${document ? `
+        <p class="meta">Created ${formatTimestamp(document.createTime)} · updated ${formatTimestamp(document.updateTime)}</p>
+        ${renderFields(document.fields || {}, referencePrefix)}` : '<p class="notice">This document does not exist. It can still have subcollections.</p>'}
+        ${renderCollectionList('Subcollections', path, collections, collectionsToken, pageToken)}`;
+    }
+
+    return `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>🔥 ${escapeHtml(path || 'Firestore')}</title>
+    <style>${PAGE_STYLE}</style>
+</head>
+<body>
+    <div class="panel">
+        <h1>🔥 Firestore Browser</h1>
+        <p class="meta">${escapeHtml(projectId)} · ${escapeHtml(databaseId)} · read-only</p>
+        ${renderCrumbs(segments)}
+        ${body}
+    </div>
+    <div class="panel">
+        <a href="/dashboard" class="btn btn-secondary">⬅ Dashboard</a>
+    </div>
+</body>
+</html>
+    `;
+}
+
+module.exports = { renderFirestorePage };
@@ -0,0 +1,141 @@
+// Functions invocation console for the proxy dashboard (/console/functions)
+// Lists the HTTP functions the Functions emulator has loaded and calls them
+// with a custom method, headers and body, optionally as an Auth emulator
+// user. Calls go straight to the emulator; each session keeps its recent
+// calls so they can be run again.
+
+const DEFAULT_TIMEOUT_MS = 30 * 1000;
+const DEFAULT_MAX_BODY_BYTES = 256 * 1024;
+const DEFAULT_HISTORY_SIZE = 20;
+// Request bodies kept in the session history
+const MAX_HISTORY_BODY_BYTES = 16 * 1024;
+
+const METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'];
+
+// "Name: value" lines into a header object; returns { headers, errors }
+function parseHeaders(text) {
+    const headers = {};
+    const errors = [];
+    String(text || '').split(/\r?\n/).forEach(line => {
+        if (!line.trim()) return;
+        const separator = line.indexOf(':');
+        const name = separator > 0 ? line.slice(0, separator).trim() : '';
+        if (!/^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/.test(name)) {
+            errors.push(`Not a header line: ${line.trim()}`);
+            return;
+        }
+        headers[name] = line.slice(separator + 1).trim();
+    });
+    return { headers, errors };
+}
+
+const hasHeader = (headers, name) => Object.keys(headers).some(key => key.toLowerCase() === name.toLowerCase());
+
+/**
+ * Create the console.
+ *   projectId      project the emulator runs (function URLs are /<project>/<region>/<name>)
+ *   timeoutMs      calls are aborted after this long
+ *   maxBodyBytes   response bodies are cut off after this many bytes
+ *   historySize    calls kept per session
+ */
+function createFunctionsConsole({
+    projectId = null,
+    timeoutMs = DEFAULT_TIMEOUT_MS,
+    maxBodyBytes = DEFAULT_MAX_BODY_BYTES,
+    historySize = DEFAULT_HISTORY_SIZE
+} = {}) {
+    const baseUrl = (service) => `http://${service.host}:${service.port}`;
+
+    // HTTP and callable functions of every loaded codebase, sorted by name.
+    // Rejects when the emulator is not reachable.
+    const listFunctions = async (service) => {
+        const response = await fetch(`${baseUrl(service)}/backends`, { signal: AbortSignal.timeout(5000) });
+        if (!response.ok) {
+            throw new Error(`Functions emulator answered ${response.status} for /backends`);
+        }
+
+        const { backends = [] } = await response.json();
+        return backends
+            .flatMap(backend => backend.functionTriggers || [])
+            .filter(trigger => trigger.httpsTrigger || trigger.callableTrigger)
+            .map(trigger => {
+                const region = trigger.region || (trigger.regions || [])[0] || 'us-central1';
+                return {
+                    id: trigger.id || `${region}-${trigger.name}`,
+                    name: trigger.name,
+                    region,
+                    entryPoint: trigger.entryPoint,
+                    callable: Boolean(trigger.callableTrigger || (trigger.labels && trigger.labels['deployment-callable'])),
+                    path: projectId ? `/${projectId}/${region}/${trigger.name}` : null
+                };
+            })
+            .sort((a, b) => a.name.localeCompare(b.name));
+    };
+
+    /**
+     * Call `requestPath` on the emulator. Resolves with
+     * { status, statusText, headers, body, truncated, durationMs }; network
+     * errors and timeouts resolve with { error, durationMs }.
+     */
+    const invoke = async (service, { requestPath, method, headers = {}, body = '' }) => {
+        const started = process.hrtime.bigint();
+        const elapsed = () => Math.round(Number(process.hrtime.bigint() - started) / 1e6);
+        const sendsBody = body && !['GET', 'HEAD'].includes(method);
+
+        try {
+            const response = await fetch(`${baseUrl(service)}${requestPath}`, {
+                method,
+                headers: sendsBody && !hasHeader(headers, 'content-type')
+                    ? { 'Content-Type': 'application/json', ...headers }
+                    : headers,
+                body: sendsBody ? body : undefined,
+                redirect: 'manual',
+                signal: AbortSignal.timeout(timeoutMs)
+            });
+
+            const chunks = [];
+            let size = 0;
+            let truncated = false;
+            for await (const chunk of response.body || []) {
+                chunks.push(chunk);
+                size += chunk.length;
+                if (size > maxBodyBytes) {
+                    truncated = true;
+                    break;
+                }
+            }
+
+            return {
+                status: response.status,
+                statusText: response.statusText,
+                headers: [...response.headers.entries()],
+                body: Buffer.concat(chunks).subarray(0, maxBodyBytes).toString('utf8'),
+                truncated,
+                durationMs: elapsed()
+            };
+        } catch (error) {
+            const timedOut = error.name === 'TimeoutError';
+            return {
+                error: timedOut ? `No response within ${timeoutMs / 1000}s` : (error.cause && error.cause.code) || error.message,
+                durationMs: elapsed()
+            };
+        }
+    };
+
+    // Per-session call history, newest first
+    const history = (session) => session.functionCalls || [];
+
+    const remember = (session, call) => {
+        const entry = { ...call, body: String(call.body || '').slice(0, MAX_HISTORY_BODY_BYTES), at: new Date().toISOString() };
+        session.functionCalls = [entry, ...history(session)].slice(0, historySize);
+        return entry;
+    };
+
+    return { projectId, listFunctions, invoke, history, remember };
+}
+
+module.exports = {
+    METHODS,
+    parseHeaders,
+    createFunctionsConsole
+};
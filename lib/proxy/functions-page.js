@@ -0,0 +1,255 @@
+// Functions console page (/console/functions): a call form for the
+// emulator's HTTP functions, the last response and the session's history
+
+const { escapeHtml } = require('./html');
+const { METHODS } = require('./functions-console');
+
+const PAGE_STYLE = `
+        body {
+            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Arial, sans-serif;
+            background: #f5f5f5;
+            margin: 0;
+            padding: 20px;
+        }
+        .panel {
+            background: white;
+            border-radius: 12px;
+            box-shadow: 0 2px 10px rgba(0,0,0,0.1);
+            padding: 20px;
+            max-width: 1000px;
+            margin: 0 auto 20px;
+        }
+        .btn {
+            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+            color: white;
+            text-decoration: none;
+            border: none;
+            padding: 10px 18px;
+            border-radius: 8px;
+            cursor: pointer;
+            font-size: 15px;
+            display: inline-block;
+        }
+        .btn-secondary {
+            background: #6c757d;
+        }
+        label {
+            display: block;
+            font-weight: 600;
+            margin: 12px 0 4px;
+        }
+        select, input, textarea {
+            width: 100%;
+            box-sizing: border-box;
+            padding: 10px;
+            border: 1px solid #ccc;
+            border-radius: 8px;
+            font-size: 16px;
+        }
+        textarea {
+            font-family: Menlo, Consolas, monospace;
+            font-size: 14px;
+        }
+        .row {
+            display: flex;
+            gap: 10px;
+        }
+        .row > div:first-child {
+            flex: 0 0 120px;
+        }
+        .row > div:last-child {
+            flex: 1;
+        }
+        .notice {
+            background: #fff3cd;
+            border: 1px solid #ffeeba;
+            border-radius: 8px;
+            padding: 10px 15px;
+        }
+        .error {
+            background: #f8d7da;
+            border: 1px solid #f5c6cb;
+            border-radius: 8px;
+            padding: 10px 15px;
+        }
+        .status-ok { color: #155724; }
+        .status-fail { color: #721c24; }
+        pre {
+            background: #f8f9fa;
+            border-radius: 8px;
+            padding: 12px;
+            overflow-x: auto;
+            white-space: pre-wrap;
+            word-break: break-all;
+            font-size: 13px;
+        }
+        table {
+            width: 100%;
+            border-collapse: collapse;
+            font-size: 14px;
+        }
+        th, td {
+            text-align: left;
+            padding: 8px;
+            border-bottom: 1px solid #eee;
+            vertical-align: middle;
+        }
+        td form {
+            display: inline;
+        }
+`;
+
+// Pretty-print JSON bodies, leave everything else as it is
+function formatBody(body) {
+    try {
+        return JSON.stringify(JSON.parse(body), null, 2);
+    } catch (error) {
+        return body;
+    }
+}
+
+function renderResult(result) {
+    if (!result) return '';
+    if (result.error) {
+        return `
+    <div class="panel">
+        <h2>Response</h2>
+        <p class="error">❌ ${escapeHtml(result.error)} (after ${result.durationMs} ms)</p>
+    </div>`;
+    }
+
+    const ok = result.status < 400;
+    return `
+    <div class="panel">
+        <h2>Response</h2>
+        <p><strong class="${ok ? 'status-ok' : 'status-fail'}">${result.status} ${escapeHtml(result.statusText)}</strong> in ${result.durationMs} ms</p>
+        <details>
+            <summary>Headers (${result.headers.length})</summary>
+            <pre>${escapeHtml(result.headers.map(([name, value]) => `${name}: ${value}`).join('\n'))}</pre>
+        </details>
+        <pre>${escapeHtml(formatBody(result.body)) || '<em>(empty body)</em>'}</pre>
+        ${result.truncated ? '<p class="notice">The body was cut off; only the beginning is shown.</p>' : ''}
+    </div>`;
+}
+
+function renderHistory(history) {
+    if (history.length === 0) return '';
+    const rowsHtml = history.map((call, index) => `
+                <tr>
+                    <td>${escapeHtml(new Date(call.at).toLocaleTimeString())}</td>
+                    <td><code>${escapeHtml(call.method)} ${escapeHtml(call.requestPath)}</code>${call.uid ? `<br><small>as ${escapeHtml(call.uid)}</small>` : ''}</td>
+                    <td>${escapeHtml(call.status || call.error || '')}</td>
+                    <td>${call.durationMs} ms</td>
+                    <td>
+                        <form method="POST" action="/console/functions"><input type="hidden" name="rerun" value="${index}"><button type="submit" class="btn">▶ Again</button></form>
+                        <a href="/console/functions?from=${index}" class="btn btn-secondary">✏️ Edit</a>
+                    </td>
+                </tr>
+    `).join('');
+
+    return `
+    <div class="panel">
+        <h2>History</h2>
+        <table>
+            <thead>
+                <tr><th>Time</th><th>Call</th><th>Status</th><th>Time taken</th><th></th></tr>
+            </thead>
+            <tbody>${rowsHtml}</tbody>
+        </table>
+    </div>`;
+}
+
+/**
+ * Render the console.
+ *   projectId        emulator project, or null when unknown
+ *   functions        listFunctions() result, or null if the emulator could not be asked
+ *   listError        why the functions could not be listed
+ *   accounts         Auth emulator accounts to call as, or null when impersonation is off
+ *   accountsError    why the accounts could not be listed
+ *   form             { target, subpath, method, headers, body, uid } to prefill
+ *   result           invoke() result of the call just made, or null
+ *   error            problem with the submitted form
+ *   history          the session's previous calls, newest first
+ */
+function renderFunctionsPage({
+    projectId, functions, listError = null, accounts = null, accountsError = null,
+    form = {}, result = null, error = null, history = []
+}) {
+    const callable = (functions || []).filter(fn => fn.path);
+    const functionOptions = callable.map(fn => `
+                <option value="${escapeHtml(fn.path)}" data-callable="${fn.callable}"${fn.path === form.target ? ' selected' : ''}>${escapeHtml(fn.name)} (${escapeHtml(fn.region)}${fn.callable ? ', callable' : ''})</option>`).join('');
+    const methodOptions = METHODS.map(method => `<option${method === (form.method || 'POST') ? ' selected' : ''}>${method}</option>`).join('');
+    const accountOptions = (accounts || []).map(account => `
+                <option value="${escapeHtml(account.uid)}"${account.uid === form.uid ? ' selected' : ''}${account.disabled ? ' disabled' : ''}>${escapeHtml(account.email || account.displayName || account.uid)}${account.disabled ? ' (disabled)' : ''}</option>`).join('');
+
+    let body;
+    if (!projectId) {
+        body = '<p class="notice">The project ID is unknown, so function URLs cannot be built. Set <code>FIREBASE_PROJECT_ID</code> or add a default project to <code>.firebaserc</code>.</p>';
+    } else if (!functions) {
+        body = `<p class="error">Could not list functions: ${escapeHtml(listError)}. Is the Functions emulator running?</p>`;
+    } else if (callable.length === 0) {
+        body = '<p class="notice">The Functions emulator has no HTTP or callable functions loaded.</p>';
+    } else {
+        body = `
+        <form method="POST" action="/console/functions">
+            <label for="target">Function</label>
+            <select id="target" name="target">${functionOptions}
+            </select>
+            <label for="subpath">Path and query after the function URL (optional)</label>
+            <input id="subpath" name="subpath" value="${escapeHtml(form.subpath)}" placeholder="/users/42?verbose=1" autocapitalize="off" autocorrect="off">
+            <div class="row">
+                <div>
+                    <label for="method">Method</label>
+                    <select id="method" name="method">${methodOptions}</select>
+                </div>
+                <div>
+                    <label for="uid">Call as</label>
+                    ${accounts ? `<select id="uid" name="uid">
+                        <option value="">Nobody (no Authorization header)</option>${accountOptions}
+                    </select>` : `<select id="uid" name="uid" disabled><option>${escapeHtml(accountsError || 'Not available for your role')}</option></select>`}
+                </div>
+            </div>
+            <label for="headers">Headers, one "Name: value" per line</label>
+            <textarea id="headers" name="headers" rows="3" placeholder="X-Debug: 1" autocapitalize="off" autocorrect="off">${escapeHtml(form.headers)}</textarea>
+            <label for="body">JSON body</label>
+            <textarea id="body" name="body" rows="8" placeholder='{"data": {}}' autocapitalize="off" autocorrect="off">${escapeHtml(form.body)}</textarea>
+            <p><button type="submit" class="btn">⚡ Call</button></p>
+        </form>
+        <script>
+            // Callable functions take a POST with {"data": ...}
+            document.getElementById('target').addEventListener('change', function (event) {
+                var option = event.target.selectedOptions[0];
+                var body = document.getElementById('body');
+                if (option && option.getAttribute('data-callable') === 'true') {
+                    document.getElementById('method').value = 'POST';
+                    if (!body.value.trim()) body.value = '{\\n  "data": {}\\n}';
+                }
+            });
+        </script>`;
+    }
+
+    return `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>⚡ Functions Console</title>
+    <style>${PAGE_STYLE}</style>
+</head>
+<body>
+    <div class="panel">
+        <h1>⚡ Functions Console</h1>
+        <p>Call the Functions emulator's HTTP functions${projectId ? ` in <strong>${escapeHtml(projectId)}</strong>` : ''}. Calling as a user sends that Auth emulator account's ID token.</p>
+        ${error ? `<p class="error">${escapeHtml(error)}</p>` : ''}
+        ${body}
+        <p><a href="/dashboard" class="btn btn-secondary">⬅ Dashboard</a></p>
+    </div>
+    ${renderResult(result)}
+    ${renderHistory(history)}
+</body>
+</html>
+    `;
+}
+
+module.exports = { renderFunctionsPage };
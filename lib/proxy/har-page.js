@@ -0,0 +1,98 @@
+// Dashboard recording panel and the /admin/har list of HAR recordings
+
+const { escapeHtml } = require('./html');
+
+function renderRecordingPanel(status) {
+    const body = status.recording
+        ? `
+            <p>🔴 Recording since ${escapeHtml(status.startedAt)} · ${status.entries} request(s) captured</p>
+            <form method="POST" action="/har/stop">
+                <button type="submit" class="btn btn-secondary">⏹ Stop Recording</button>
+            </form>`
+        : `
+            <p>Record what this device sends through the proxy so the problem can be replayed on a workstation. Credentials and cookies are redacted.</p>
+            <form method="POST" action="/har/start">
+                <button type="submit" class="btn">⏺ Start Recording</button>
+            </form>`;
+
+    return `
+        <div class="recording-panel">
+            <h3>🎥 Traffic Recording</h3>
+            ${body}
+        </div>
+    `;
+}
+
+function formatSize(bytes) {
+    return bytes >= 1024 * 1024 ? `${(bytes / 1024 / 1024).toFixed(1)} MB` : `${Math.ceil(bytes / 1024)} KB`;
+}
+
+function renderHarListPage(files) {
+    const rowsHtml = files.map(file => `
+                <tr>
+                    <td><a href="/admin/har/${encodeURIComponent(file.name)}">${escapeHtml(file.name)}</a></td>
+                    <td>${formatSize(file.size)}</td>
+                    <td>${escapeHtml(file.modifiedAt)}</td>
+                </tr>
+    `).join('');
+
+    return `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>🎥 HAR Recordings</title>
+    <style>
+        body {
+            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Arial, sans-serif;
+            background: #f5f5f5;
+            margin: 0;
+            padding: 20px;
+        }
+        .panel {
+            background: white;
+            border-radius: 12px;
+            padding: 20px;
+            max-width: 1000px;
+            margin: 0 auto;
+            box-shadow: 0 2px 10px rgba(0,0,0,0.1);
+        }
+        table {
+            width: 100%;
+            border-collapse: collapse;
+            font-size: 14px;
+        }
+        th, td {
+            text-align: left;
+            padding: 8px;
+            border-bottom: 1px solid #eee;
+        }
+        code {
+            background: #f8f9fa;
+            padding: 2px 4px;
+        }
+    </style>
+</head>
+<body>
+    <div class="panel">
+        <h1>🎥 HAR Recordings</h1>
+        <p>Replay a recording against the local emulators with <code>node replay-har.js &lt;file.har&gt;</code>.</p>
+        ${files.length === 0 ? '<p>No recordings yet.</p>' : `
+        <table>
+            <thead>
+                <tr><th>File</th><th>Size</th><th>Last written</th></tr>
+            </thead>
+            <tbody>${rowsHtml}</tbody>
+        </table>`}
+        <p><a href="/dashboard">⬅ Dashboard</a></p>
+    </div>
+</body>
+</html>
+    `;
+}
+
+module.exports = {
+    renderRecordingPanel,
+    renderHarListPage
+};
@@ -0,0 +1,289 @@
+// HAR recording of proxied emulator traffic
+// Recording is opt-in per session. Each recording collects the request and
+// response of every proxied call made by that session and is written to
+// .emulator-sharing/har/ as a HAR 1.2 file, with credentials redacted (in
+// headers, cookies, URLs and form or JSON bodies), so a
+// device-only failure can be replayed on a workstation (see replay-har.js).
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { isSecretKey, redact, redactQuery, redactUrl } = require('./audit-log');
+const { isStreamingRequest } = require('./streaming');
+
+const DEFAULT_HAR_DIR = path.join(__dirname, '..', '..', '.emulator-sharing', 'har');
+const DEFAULT_MAX_BODY_BYTES = 1024 * 1024;
+const REDACTED = '[REDACTED]';
+const SECRET_HEADERS = ['authorization', 'proxy-authorization', 'cookie', 'set-cookie', 'x-firebase-appcheck'];
+const TEXT_MIME_PATTERN = /^text\/|json|xml|javascript|x-www-form-urlencoded/i;
+
+// Node keeps repeated headers (set-cookie) as arrays
+function toHarHeaders(headers) {
+    const result = [];
+    Object.entries(headers || {}).forEach(([name, value]) => {
+        [].concat(value).forEach(single => {
+            result.push({ name, value: SECRET_HEADERS.includes(name.toLowerCase()) ? REDACTED : String(single) });
+        });
+    });
+    return result;
+}
+
+// Cookie names are kept so it is visible which ones were sent
+function toHarCookies(header) {
+    return [].concat(header || [])
+        .flatMap(value => String(value).split(/;\s*/))
+        .map(pair => pair.split('=')[0].trim())
+        .filter(name => name && !/^(path|domain|expires|max-age|samesite|secure|httponly)$/i.test(name))
+        .map(name => ({ name, value: REDACTED }));
+}
+
+// Malformed escapes ("%zz") are kept as they were sent
+const safeDecode = (value) => {
+    try {
+        return decodeURIComponent(value.replace(/\+/g, ' '));
+    } catch (error) {
+        return value;
+    }
+};
+
+function toQueryString(url) {
+    const query = String(url).split('?')[1];
+    if (!query) return [];
+    return query.split('&').filter(Boolean).map(pair => {
+        const [name, ...rest] = pair.split('=');
+        return { name: safeDecode(name), value: safeDecode(rest.join('=')) };
+    });
+}
+
+// "key": "value" pairs with secret-looking keys, for JSON that does not parse
+// (cut off at maxBytes)
+const JSON_STRING_MEMBER = /("((?:[^"\\]|\\.)*)"\s*:\s*)"(?:[^"\\]|\\.)*"/g;
+
+// Login forms and token responses pass through the proxy too; their
+// secret-looking fields are redacted like the audit log's
+function redactBodyText(text, mimeType) {
+    if (/x-www-form-urlencoded/i.test(mimeType)) {
+        return redactQuery(text);
+    }
+    if (/json/i.test(mimeType)) {
+        try {
+            const parsed = JSON.parse(text);
+            return parsed && typeof parsed === 'object' ? JSON.stringify(redact(parsed)) : text;
+        } catch (error) {
+            return text.replace(JSON_STRING_MEMBER, (member, prefix, key) => (isSecretKey(key) ? `${prefix}"${REDACTED}"` : member));
+        }
+    }
+    return text;
+}
+
+// Responses are stored decoded so they can be read and diffed
+function decodeBody(buffer, contentEncoding) {
+    try {
+        switch ((contentEncoding || '').toLowerCase()) {
+            case 'gzip': return zlib.gunzipSync(buffer);
+            case 'deflate': return zlib.inflateSync(buffer);
+            case 'br': return zlib.brotliDecompressSync(buffer);
+            default: return buffer;
+        }
+    } catch (error) {
+        return buffer;
+    }
+}
+
+// HAR body: text for textual types, base64 otherwise; capped at maxBytes
+function toHarBody(buffer, mimeType, maxBytes, truncated = buffer.length > maxBytes) {
+    const kept = truncated ? buffer.subarray(0, maxBytes) : buffer;
+    const body = TEXT_MIME_PATTERN.test(mimeType || '')
+        ? { text: redactBodyText(kept.toString('utf8'), mimeType) }
+        : { text: kept.toString('base64'), encoding: 'base64' };
+    return truncated ? { ...body, _truncated: true } : body;
+}
+
+function safeFileName(value) {
+    return String(value || 'anonymous').replace(/[^\w.-]+/g, '_').slice(0, 40);
+}
+
+/**
+ * Create the recorder.
+ *   dir           where HAR files are written
+ *   maxBodyBytes  request/response bodies are cut off after this many bytes
+ *   creator       name recorded in the HAR `creator` field
+ * Sessions are identified by express-session's req.sessionID.
+ */
+function createHarRecorder({ dir = DEFAULT_HAR_DIR, maxBodyBytes = DEFAULT_MAX_BODY_BYTES, creator = 'emulator-proxy' } = {}) {
+    const recordings = new Map();
+    const captures = new WeakMap();
+
+    const write = (recording) => {
+        const har = {
+            log: {
+                version: '1.2',
+                creator: { name: creator, version: '1.0' },
+                comment: `Recorded for ${recording.owner}`,
+                pages: [],
+                entries: recording.entries
+            }
+        };
+
+        fs.mkdirSync(dir, { recursive: true });
+        const tmpPath = `${recording.file}.${process.pid}.tmp`;
+        fs.writeFileSync(tmpPath, JSON.stringify(har, null, 2), { mode: 0o600 });
+        fs.renameSync(tmpPath, recording.file);
+    };
+
+    // Written at most once a second while recording, and on stop
+    const scheduleWrite = (recording) => {
+        if (recording.timer) return;
+        recording.timer = setTimeout(() => {
+            recording.timer = null;
+            write(recording);
+        }, 1000);
+    };
+
+    const start = (sessionId, { owner }) => {
+        if (recordings.has(sessionId)) {
+            return recordings.get(sessionId);
+        }
+
+        const startedAt = new Date();
+        const recording = {
+            owner,
+            startedAt: startedAt.toISOString(),
+            file: path.join(dir, `${startedAt.toISOString().replace(/[:.]/g, '-')}-${safeFileName(owner)}.har`),
+            entries: [],
+            timer: null
+        };
+        recordings.set(sessionId, recording);
+        write(recording);
+        return recording;
+    };
+
+    const stop = (sessionId) => {
+        const recording = recordings.get(sessionId);
+        if (!recording) return null;
+
+        clearTimeout(recording.timer);
+        recordings.delete(sessionId);
+        write(recording);
+        return recording;
+    };
+
+    const status = (sessionId) => {
+        const recording = recordings.get(sessionId);
+        return recording
+            ? { recording: true, startedAt: recording.startedAt, entries: recording.entries.length, file: path.basename(recording.file) }
+            : { recording: false };
+    };
+
+    // onProxyReq hook: tee whatever is written upstream (piped or re-serialized bodies)
+    const captureRequest = (proxyReq, req) => {
+        if (!recordings.has(req.sessionID) || isStreamingRequest(req)) return;
+
+        const capture = { startedAt: Date.now(), upstreamPath: proxyReq.path, chunks: [], size: 0 };
+        captures.set(req, capture);
+
+        const collect = (chunk, encoding) => {
+            if (chunk && typeof chunk !== 'function') {
+                const buffer = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk, typeof encoding === 'string' ? encoding : 'utf8');
+                if (capture.size < maxBodyBytes) capture.chunks.push(buffer);
+                capture.size += buffer.length;
+            }
+        };
+        const originalWrite = proxyReq.write;
+        const originalEnd = proxyReq.end;
+        proxyReq.write = function (chunk, encoding, callback) {
+            collect(chunk, encoding);
+            return originalWrite.call(this, chunk, encoding, callback);
+        };
+        proxyReq.end = function (chunk, encoding, callback) {
+            collect(chunk, encoding);
+            return originalEnd.call(this, chunk, encoding, callback);
+        };
+    };
+
+    // onProxyRes hook: collect the response and add the finished entry
+    const captureResponse = (proxyRes, req, serviceKey) => {
+        const capture = captures.get(req);
+        const recording = recordings.get(req.sessionID);
+        if (!capture || !recording) return;
+
+        const waitMs = Date.now() - capture.startedAt;
+        const chunks = [];
+        let rawSize = 0;
+        proxyRes.on('data', (chunk) => {
+            if (rawSize < maxBodyBytes) chunks.push(chunk);
+            rawSize += chunk.length;
+        });
+        proxyRes.on('end', () => {
+            const requestMime = req.headers['content-type'] || '';
+            const requestBody = Buffer.concat(capture.chunks);
+            const requestTruncated = capture.size > requestBody.length;
+            const responseMime = proxyRes.headers['content-type'] || '';
+            const rawResponse = Buffer.concat(chunks);
+            const responseTruncated = rawSize > rawResponse.length;
+            const responseBody = responseTruncated ? rawResponse : decodeBody(rawResponse, proxyRes.headers['content-encoding']);
+            const url = redactUrl(`http://${req.headers.host}${req.originalUrl}`);
+
+            const entry = {
+                startedDateTime: new Date(capture.startedAt).toISOString(),
+                time: Date.now() - capture.startedAt,
+                request: {
+                    method: req.method,
+                    url,
+                    httpVersion: `HTTP/${req.httpVersion}`,
+                    headers: toHarHeaders(req.headers),
+                    queryString: toQueryString(url),
+                    cookies: toHarCookies(req.headers.cookie),
+                    headersSize: -1,
+                    bodySize: capture.size
+                },
+                response: {
+                    status: proxyRes.statusCode,
+                    statusText: proxyRes.statusMessage || '',
+                    httpVersion: `HTTP/${proxyRes.httpVersion}`,
+                    headers: toHarHeaders(proxyRes.headers),
+                    cookies: toHarCookies(proxyRes.headers['set-cookie']),
+                    content: { size: responseBody.length, mimeType: responseMime, ...toHarBody(responseBody, responseMime, maxBodyBytes, responseTruncated) },
+                    redirectURL: proxyRes.headers.location || '',
+                    headersSize: -1,
+                    bodySize: rawSize
+                },
+                cache: {},
+                timings: { send: 0, wait: waitMs, receive: Date.now() - capture.startedAt - waitMs },
+                _service: serviceKey,
+                _upstreamPath: redactUrl(capture.upstreamPath)
+            };
+            if (capture.size > 0) {
+                entry.request.postData = { mimeType: requestMime, ...toHarBody(requestBody, requestMime, maxBodyBytes, requestTruncated) };
+            }
+
+            recording.entries.push(entry);
+            scheduleWrite(recording);
+        });
+    };
+
+    // Finished and in-progress recordings, newest first
+    const list = () => {
+        if (!fs.existsSync(dir)) return [];
+        return fs.readdirSync(dir)
+            .filter(name => name.endsWith('.har'))
+            .map(name => {
+                const stats = fs.statSync(path.join(dir, name));
+                return { name, size: stats.size, modifiedAt: stats.mtime.toISOString() };
+            })
+            .sort((a, b) => b.name.localeCompare(a.name));
+    };
+
+    // Absolute path of a recording by file name, or null (no path traversal)
+    const resolve = (name) => {
+        const file = path.join(dir, path.basename(String(name || '')));
+        return file.endsWith('.har') && fs.existsSync(file) ? file : null;
+    };
+
+    return { dir, start, stop, status, captureRequest, captureResponse, list, resolve };
+}
+
+module.exports = {
+    DEFAULT_HAR_DIR,
+    createHarRecorder
+};
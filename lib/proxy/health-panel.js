@@ -0,0 +1,61 @@
+// Live up/down badges for the dashboard service cards
+
+const { escapeHtml } = require('./html');
+
+function describeHealth(health) {
+    if (!health) return '⏳ Checking…';
+    return health.up ? `🟢 Up (${health.latencyMs} ms)` : `🔴 Down (${health.error})`;
+}
+
+// Badge for one card; the card itself needs data-service="<key>"
+function renderHealthBadge(key, health) {
+    return `<p class="service-health" data-health="${escapeHtml(key)}">${escapeHtml(describeHealth(health))}</p>`;
+}
+
+// Marks down services on first render, then follows the live panel's
+// "proxy:health" events (live: true) or polls /status/health
+function renderHealthScript(intervalMs = 5000, { live = false } = {}) {
+    return `
+        <style>
+            .service-health { font-weight: 600; }
+            .service-down { opacity: 0.6; }
+            .service-down .btn { pointer-events: none; background: #adb5bd; }
+        </style>
+        <script>
+            (function () {
+                function describe(health) {
+                    if (!health) return '⏳ Checking…';
+                    return health.up ? '🟢 Up (' + health.latencyMs + ' ms)' : '🔴 Down (' + health.error + ')';
+                }
+
+                function apply(services) {
+                    document.querySelectorAll('[data-health]').forEach(function (badge) {
+                        var health = services[badge.getAttribute('data-health')];
+                        var card = badge.closest('[data-service]');
+                        badge.textContent = describe(health);
+                        if (card) card.classList.toggle('service-down', Boolean(health && !health.up));
+                    });
+                }
+
+                function refresh() {
+                    fetch('/status/health', { credentials: 'same-origin' })
+                        .then(function (response) { return response.json(); })
+                        .then(function (result) { apply(result.services); })
+                        .catch(function () {});
+                }
+
+                if (${live ? 'true' : 'false'} && window.EventSource) {
+                    window.addEventListener('proxy:health', function (event) { apply(event.detail.services); });
+                    return;
+                }
+                refresh();
+                setInterval(refresh, ${intervalMs});
+            })();
+        </script>
+    `;
+}
+
+module.exports = {
+    renderHealthBadge,
+    renderHealthScript
+};
@@ -0,0 +1,81 @@
+// Upstream health probes for the emulator proxies
+// Every few seconds each service in the current service map gets a TCP
+// connect probe; the result feeds /status/health, the dashboard cards and
+// the emulator_proxy_upstream_up metric.
+
+const net = require('net');
+
+// Resolves with { up, latencyMs, error }; never rejects
+function probePort(host, port, timeoutMs) {
+    return new Promise((resolve) => {
+        const started = Date.now();
+        const socket = net.connect({ host, port });
+
+        const finish = (up, error) => {
+            socket.destroy();
+            resolve({ up, latencyMs: Date.now() - started, error: error || null });
+        };
+
+        socket.setTimeout(timeoutMs, () => finish(false, `no answer within ${timeoutMs}ms`));
+        socket.once('connect', () => finish(true));
+        socket.once('error', (error) => finish(false, error.code || error.message));
+    });
+}
+
+/**
+ * Create the prober.
+ *   getServices  () => current service map ({ key: { name, host, port } })
+ *   intervalMs   time between probe rounds
+ *   timeoutMs    connect timeout per probe
+ *   onChange     (key, service, health, previous) => void when a service goes up or down
+ *   onRound      (status) => void after every probe round
+ */
+function createHealthProber({ getServices, intervalMs = 5000, timeoutMs = 1000, onChange = () => {}, onRound = () => {} }) {
+    let status = {};
+    let timer = null;
+
+    const check = async () => {
+        const services = getServices();
+        const results = await Promise.all(Object.entries(services).map(async ([key, service]) => {
+            const result = await probePort(service.host, service.port, timeoutMs);
+            return [key, service, result];
+        }));
+
+        const next = {};
+        results.forEach(([key, service, result]) => {
+            const previous = status[key];
+            const changed = !previous || previous.up !== result.up;
+            next[key] = {
+                ...result,
+                checkedAt: new Date().toISOString(),
+                since: changed ? new Date().toISOString() : previous.since
+            };
+            if (changed) {
+                onChange(key, service, next[key], previous || null);
+            }
+        });
+
+        status = next;
+        onRound(status);
+        return status;
+    };
+
+    const start = () => {
+        if (timer) return;
+        check();
+        timer = setInterval(check, intervalMs);
+        timer.unref();
+    };
+
+    const stop = () => {
+        clearInterval(timer);
+        timer = null;
+    };
+
+    return { start, stop, check, status: () => status };
+}
+
+module.exports = {
+    probePort,
+    createHealthProber
+};
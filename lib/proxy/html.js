@@ -0,0 +1,9 @@
+// Small HTML helpers shared by the proxy pages
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+function escapeHtml(value) {
+    return String(value === undefined || value === null ? '' : value).replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+}
+
+module.exports = { escapeHtml };
@@ -0,0 +1,59 @@
+// Plain HTTP listener that sends every request to the HTTPS origin
+// Devices that type the address without "https://" land on the HTTPS wrapper
+// instead of a connection error. Browsers ignore Strict-Transport-Security
+// over plain HTTP, so the header here is for clients that do not; the HTTPS
+// responses carry it as well (helmet), which is what pins the origin.
+
+const http = require('http');
+
+// Same policy helmet sends on the HTTPS side
+const HSTS_HEADER = 'max-age=15552000; includeSubDomains';
+
+// "192.168.1.5:8080" -> "192.168.1.5", "[::1]:8080" -> "[::1]"
+const hostWithoutPort = (host) => {
+    const value = String(host || '');
+    if (value.startsWith('[')) return value.slice(0, value.indexOf(']') + 1);
+    return value.split(':')[0];
+};
+
+/**
+ * Create the redirector; nothing listens until start().
+ *   port, host     where start() listens
+ *   httpsPort      port of the HTTPS origin
+ *   fallbackHost   used when a request has no Host header
+ */
+function createHttpsRedirect({ port, host = '0.0.0.0', httpsPort, fallbackHost = 'localhost' }) {
+    const server = http.createServer((req, res) => {
+        const target = `https://${hostWithoutPort(req.headers.host) || fallbackHost}${httpsPort === 443 ? '' : `:${httpsPort}`}${req.url}`;
+        // 308 keeps the method and body of form posts, 301 is understood everywhere
+        const status = req.method === 'GET' || req.method === 'HEAD' ? 301 : 308;
+
+        res.writeHead(status, {
+            Location: target,
+            'Strict-Transport-Security': HSTS_HEADER,
+            'Content-Type': 'text/plain; charset=utf-8'
+        });
+        res.end(`Moved to ${target}\n`);
+    });
+
+    // Resolves with { port } once listening
+    const start = () => new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, host, () => {
+            server.off('error', reject);
+            resolve({ port: server.address().port });
+        });
+    });
+
+    const stop = () => new Promise((resolve) => {
+        if (!server.listening) {
+            return resolve();
+        }
+        server.close(() => resolve());
+        server.closeAllConnections();
+    });
+
+    return { server, start, stop };
+}
+
+module.exports = { HSTS_HEADER, createHttpsRedirect };
@@ -0,0 +1,130 @@
+// Signed, time-limited invite links for the emulator proxies
+// An invite code is "<id>.<expiresAt>.<signature>", where the signature is an
+// HMAC over id and expiry. The signing secret and the per-invite use counts
+// live under .emulator-sharing/ so the proxy and proxy-tokens.js share them.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { parseDuration } = require('./token-store');
+
+const SHARING_DIR = path.join(__dirname, '..', '..', '.emulator-sharing');
+const DEFAULT_INVITES_PATH = path.join(SHARING_DIR, 'invites.json');
+const DEFAULT_SECRET_PATH = path.join(SHARING_DIR, 'invite-secret');
+const INVITE_PATH_PREFIX = '/invite/';
+
+function loadOrCreateSecret(secretPath) {
+    if (fs.existsSync(secretPath)) {
+        return fs.readFileSync(secretPath, 'utf8').trim();
+    }
+
+    const secret = crypto.randomBytes(32).toString('hex');
+    fs.mkdirSync(path.dirname(secretPath), { recursive: true });
+    fs.writeFileSync(secretPath, secret, { mode: 0o600 });
+    return secret;
+}
+
+function createInviteStore({ filePath = DEFAULT_INVITES_PATH, secretPath = DEFAULT_SECRET_PATH } = {}) {
+    const secret = loadOrCreateSecret(secretPath);
+
+    const sign = (id, expires) =>
+        crypto.createHmac('sha256', secret).update(`${id}.${expires}`).digest('base64url');
+
+    const load = () => {
+        if (!fs.existsSync(filePath)) {
+            return { invites: [] };
+        }
+        const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        return { invites: Array.isArray(data.invites) ? data.invites : [] };
+    };
+
+    const save = (data) => {
+        // Expired invites have no further use
+        const now = Date.now();
+        data.invites = data.invites.filter(invite => Date.parse(invite.expiresAt) > now);
+
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        const tmpPath = `${filePath}.${process.pid}.tmp`;
+        fs.writeFileSync(tmpPath, JSON.stringify(data, null, 2), { mode: 0o600 });
+        fs.renameSync(tmpPath, filePath);
+    };
+
+    // Mint an invite; returns the record plus the `code` and URL `path`
+    const create = ({ label = 'invitee', role = 'tester', ttl = '30m', uses = 1 } = {}) => {
+        const maxUses = parseInt(uses, 10);
+        if (!Number.isInteger(maxUses) || maxUses < 1) {
+            throw new Error(`Invalid use count "${uses}"`);
+        }
+
+        const id = crypto.randomBytes(6).toString('hex');
+        const expires = Date.now() + parseDuration(ttl);
+        const record = {
+            id,
+            label,
+            role,
+            createdAt: new Date().toISOString(),
+            expiresAt: new Date(expires).toISOString(),
+            maxUses,
+            uses: 0
+        };
+
+        const data = load();
+        data.invites.push(record);
+        save(data);
+
+        const code = `${id}.${expires}.${sign(id, expires)}`;
+        return { ...record, code, path: `${INVITE_PATH_PREFIX}${code}` };
+    };
+
+    // Check and consume one use of `code`. Returns { invite } or { error }.
+    const redeem = (code) => {
+        const [id, expires, signature] = String(code || '').split('.');
+        if (!id || !expires || !signature) {
+            return { error: 'malformed' };
+        }
+
+        const expected = Buffer.from(sign(id, expires));
+        const given = Buffer.from(signature);
+        if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+            return { error: 'bad signature' };
+        }
+        if (parseInt(expires, 10) <= Date.now()) {
+            return { error: 'expired' };
+        }
+
+        const data = load();
+        const invite = data.invites.find(candidate => candidate.id === id);
+        if (!invite || invite.revoked) {
+            return { error: 'revoked' };
+        }
+        if (invite.uses >= invite.maxUses) {
+            return { error: 'used up' };
+        }
+
+        invite.uses += 1;
+        save(data);
+        return { invite };
+    };
+
+    const list = () => load().invites;
+
+    const revoke = (id) => {
+        const data = load();
+        const invite = data.invites.find(candidate => candidate.id === id);
+        if (!invite) return null;
+
+        invite.revoked = true;
+        save(data);
+        return invite;
+    };
+
+    return { create, redeem, list, revoke };
+}
+
+module.exports = {
+    DEFAULT_INVITES_PATH,
+    DEFAULT_SECRET_PATH,
+    INVITE_PATH_PREFIX,
+    loadOrCreateSecret,
+    createInviteStore
+};
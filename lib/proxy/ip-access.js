@@ -0,0 +1,114 @@
+// CIDR allow and deny lists for the emulator proxies
+// By default only loopback and private LAN ranges may connect. The deny list
+// wins over the allow list, so single machines can be shut out of an
+// allowed range.
+
+const net = require('net');
+
+// Loopback, RFC 1918, link-local and IPv6 unique local / link-local ranges
+const PRIVATE_NETWORKS = [
+    '127.0.0.0/8',
+    '10.0.0.0/8',
+    '172.16.0.0/12',
+    '192.168.0.0/16',
+    '169.254.0.0/16',
+    '::1/128',
+    'fc00::/7',
+    'fe80::/10'
+];
+
+// "any" (or "*") in the allow list lets every address through
+const ANY_ADDRESS = ['any', '*'];
+
+// "::ffff:192.168.1.5" (IPv4 on a dual-stack socket) -> "192.168.1.5"
+function normalizeIp(ip) {
+    const value = String(ip || '');
+    return value.startsWith('::ffff:') && net.isIPv4(value.slice(7)) ? value.slice(7) : value;
+}
+
+// "10.0.0.0/8", "fd00::/8" or a single address -> { address, prefix, family }
+function parseCidr(entry) {
+    const [address, prefixText] = String(entry).trim().split('/');
+    const version = net.isIP(address);
+    if (!version) {
+        throw new Error(`Invalid address in "${entry}"`);
+    }
+
+    const maxPrefix = version === 4 ? 32 : 128;
+    const prefix = prefixText === undefined ? maxPrefix : Number(prefixText);
+    if (!Number.isInteger(prefix) || prefix < 0 || prefix > maxPrefix) {
+        throw new Error(`Invalid prefix length in "${entry}"`);
+    }
+    return { address, prefix, family: version === 4 ? 'ipv4' : 'ipv6' };
+}
+
+// "10.0.0.0/8, 192.168.1.0/24" -> ["10.0.0.0/8", "192.168.1.0/24"], or null when unset
+function parseCidrList(text) {
+    if (text === undefined || text === null || String(text).trim() === '') return null;
+    return String(text).split(',').map(entry => entry.trim()).filter(Boolean);
+}
+
+function buildBlockList(entries) {
+    const list = new net.BlockList();
+    entries.forEach(entry => {
+        const { address, prefix, family } = parseCidr(entry);
+        list.addSubnet(address, prefix, family);
+    });
+    return list;
+}
+
+/**
+ * Create the filter.
+ *   allow   CIDRs that may connect (default: PRIVATE_NETWORKS; "any" for everyone)
+ *   deny    CIDRs that may never connect
+ * Invalid entries throw, so a typo cannot silently open the proxy.
+ */
+function createIpFilter({ allow = PRIVATE_NETWORKS, deny = [] } = {}) {
+    const allowAll = allow.some(entry => ANY_ADDRESS.includes(String(entry).trim().toLowerCase()));
+    const allowList = allowAll ? null : buildBlockList(allow);
+    const denyList = buildBlockList(deny);
+
+    // { allowed, reason } for a request's remote address
+    const check = (ip) => {
+        const address = normalizeIp(ip);
+        const family = net.isIPv4(address) ? 'ipv4' : 'ipv6';
+        if (!net.isIP(address)) {
+            return { allowed: false, reason: 'unknown address' };
+        }
+        if (denyList.check(address, family)) {
+            return { allowed: false, reason: 'address in deny list' };
+        }
+        if (allowList && !allowList.check(address, family)) {
+            return { allowed: false, reason: 'address not in allow list' };
+        }
+        return { allowed: true, reason: allowAll ? 'any address allowed' : 'address in allow list' };
+    };
+
+    return { check, allow: allowAll ? ['any'] : [...allow], deny: [...deny] };
+}
+
+/**
+ * Client address of a request that passed `hops` trusted proxies, the way
+ * Express works it out with "trust proxy" set to a hop count: every proxy
+ * appends the address it was called from to X-Forwarded-For, so the client
+ * is `hops` entries back from the socket. For raw requests (WebSocket
+ * upgrades), which never went through Express.
+ */
+function forwardedClientIp(req, hops = 0) {
+    const forwarded = String(req.headers['x-forwarded-for'] || '')
+        .split(',')
+        .map(entry => entry.trim())
+        .filter(Boolean)
+        .reverse();
+    const addresses = [req.socket.remoteAddress, ...forwarded];
+    return addresses[Math.min(hops, addresses.length - 1)];
+}
+
+module.exports = {
+    PRIVATE_NETWORKS,
+    normalizeIp,
+    parseCidr,
+    parseCidrList,
+    createIpFilter,
+    forwardedClientIp
+};
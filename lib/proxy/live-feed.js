@@ -0,0 +1,93 @@
+// Server-sent events for the live dashboard (/events)
+// The proxy publishes health changes, proxied requests and security events;
+// every subscriber gets its own filtered view of them. New subscribers start
+// with a snapshot and the most recent requests and security events, so the
+// dashboard is filled in right away and after a reconnect.
+
+// Event types replayed to new subscribers
+const REPLAYED_TYPES = ['request', 'security'];
+
+// Browsers wait this long before reconnecting a dropped stream
+const RETRY_MS = 3000;
+
+const formatEvent = (type, data) => `event: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+
+/**
+ * Create the feed.
+ *   historySize   events of each replayed type kept for new subscribers
+ *   heartbeatMs   comment line sent this often to keep idle streams open;
+ *                 subscribers are also re-checked with isActive() then
+ */
+function createLiveFeed({ historySize = 50, heartbeatMs = 15000 } = {}) {
+    const subscribers = new Set();
+    const history = {};
+    REPLAYED_TYPES.forEach(type => {
+        history[type] = [];
+    });
+
+    // view() returns what this subscriber may see of an event, or null
+    const send = (subscriber, type, data) => {
+        const visible = subscriber.view(type, data);
+        if (visible !== null && visible !== undefined) {
+            subscriber.res.write(formatEvent(type, visible));
+        }
+    };
+
+    const publish = (type, data) => {
+        if (history[type]) {
+            history[type].push(data);
+            if (history[type].length > historySize) history[type].shift();
+        }
+        subscribers.forEach(subscriber => send(subscriber, type, data));
+    };
+
+    const unsubscribe = (subscriber) => {
+        subscribers.delete(subscriber);
+        if (!subscriber.res.writableEnded) subscriber.res.end();
+    };
+
+    /**
+     * Stream events to one client until it disconnects or isActive() turns false.
+     *   view       (type, data) => data to send, or null to hide the event
+     *   isActive   () => boolean (or a promise of one), checked on every heartbeat
+     *   snapshot   { type: data } sent first, before the replayed history
+     */
+    const subscribe = (req, res, { view = (type, data) => data, isActive = () => true, snapshot = {} } = {}) => {
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache, no-transform',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+        res.write(`retry: ${RETRY_MS}\n\n`);
+
+        const subscriber = { res, view, isActive };
+        Object.entries(snapshot).forEach(([type, data]) => send(subscriber, type, data));
+        REPLAYED_TYPES.forEach(type => history[type].forEach(data => send(subscriber, type, data)));
+        subscribers.add(subscriber);
+
+        subscriber.heartbeat = setInterval(async () => {
+            if (!(await isActive())) {
+                return unsubscribe(subscriber);
+            }
+            res.write(': heartbeat\n\n');
+        }, heartbeatMs);
+        subscriber.heartbeat.unref();
+
+        req.on('close', () => {
+            clearInterval(subscriber.heartbeat);
+            subscribers.delete(subscriber);
+        });
+    };
+
+    const close = () => {
+        subscribers.forEach(subscriber => {
+            clearInterval(subscriber.heartbeat);
+            unsubscribe(subscriber);
+        });
+    };
+
+    return { publish, subscribe, close, subscribers: () => subscribers.size };
+}
+
+module.exports = { createLiveFeed };
@@ -0,0 +1,86 @@
+// Dashboard panel fed by /events: the latest proxied requests and, for
+// admins, security events as they happen. Every event is also dispatched on
+// window as "proxy:<type>", which is how the health badges get their updates.
+
+const MAX_ROWS = 25;
+
+// `security` shows the security event list (admins only; /events sends
+// security events to admins only either way)
+function renderLivePanel({ security = false } = {}) {
+    return `
+        <div class="live-panel" id="live-panel">
+            <h3>📡 Live Activity <small id="live-state">connecting…</small></h3>
+            <table>
+                <thead>
+                    <tr><th>Time</th><th>Who</th><th>Service</th><th>Request</th><th>Status</th><th>Latency</th></tr>
+                </thead>
+                <tbody id="live-requests"><tr><td colspan="6">No requests yet</td></tr></tbody>
+            </table>
+            ${security ? `
+            <h4>🚨 Security Events</h4>
+            <ul id="live-security"><li>No events yet</li></ul>` : ''}
+        </div>
+        <script>
+            (function () {
+                if (!window.EventSource) {
+                    document.getElementById('live-state').textContent = 'not supported by this browser';
+                    return;
+                }
+
+                function cell(text) {
+                    var td = document.createElement('td');
+                    td.textContent = text;
+                    return td;
+                }
+
+                function prepend(list, item) {
+                    if (list.getAttribute('data-filled') !== 'true') {
+                        list.innerHTML = '';
+                        list.setAttribute('data-filled', 'true');
+                    }
+                    list.insertBefore(item, list.firstChild);
+                    while (list.children.length > ${MAX_ROWS}) list.removeChild(list.lastChild);
+                }
+
+                function time(value) {
+                    return new Date(value).toLocaleTimeString();
+                }
+
+                function showRequest(entry) {
+                    var row = document.createElement('tr');
+                    [time(entry.time), entry.owner, entry.service, entry.method + ' ' + entry.path,
+                        entry.aborted ? 'aborted' : String(entry.status), entry.latencyMs + ' ms'
+                    ].forEach(function (text) { row.appendChild(cell(text)); });
+                    if (entry.aborted || entry.status >= 500) row.className = 'live-error';
+                    else if (entry.status >= 400) row.className = 'live-warning';
+                    prepend(document.getElementById('live-requests'), row);
+                }
+
+                function showSecurity(entry) {
+                    var list = document.getElementById('live-security');
+                    if (!list) return;
+                    var item = document.createElement('li');
+                    item.textContent = time(entry.timestamp) + ' ' + entry.event + ' · ' + (entry.owner || 'anonymous') +
+                        ' from ' + entry.ip + (entry.status ? ' (' + entry.status + ')' : '') + (entry.path ? ' ' + entry.path : '');
+                    prepend(list, item);
+                }
+
+                var state = document.getElementById('live-state');
+                var source = new EventSource('/events');
+                source.onopen = function () { state.textContent = '● live'; };
+                source.onerror = function () { state.textContent = 'reconnecting…'; };
+
+                ['health', 'request', 'security'].forEach(function (type) {
+                    source.addEventListener(type, function (message) {
+                        var data = JSON.parse(message.data);
+                        if (type === 'request') showRequest(data);
+                        if (type === 'security') showSecurity(data);
+                        window.dispatchEvent(new CustomEvent('proxy:' + type, { detail: data }));
+                    });
+                });
+            })();
+        </script>
+    `;
+}
+
+module.exports = { renderLivePanel };
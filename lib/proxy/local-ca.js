@@ -0,0 +1,329 @@
+// Local certificate authority for the HTTPS wrapper
+// Creates a root CA once and issues the server certificate from it, covering
+// the LAN IP, localhost and the machine's hostname. Devices that trust the CA
+// (via /ca.crt or the iOS profile at /ca.mobileconfig) get no warnings, even
+// after the server certificate is re-issued for a new IP.
+//
+// Node can parse but not create X.509 certificates, so the few DER
+// structures needed are encoded here; keys are ECDSA P-256.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+const { escapeHtml } = require('./html');
+
+const DEFAULT_CA_DIR = path.join(__dirname, '..', '..', '.emulator-sharing', 'ca');
+const DEFAULT_CA_NAME = 'Firebase Emulator Proxy Local CA';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const CA_VALIDITY_DAYS = 10 * 365;
+// Apple rejects TLS certificates valid for longer than 825 days; stay under the public 398-day limit too
+const SERVER_VALIDITY_DAYS = 397;
+const RENEW_BEFORE_DAYS = 30;
+
+const OID = {
+    commonName: '2.5.4.3',
+    organizationName: '2.5.4.10',
+    ecPublicKey: '1.2.840.10045.2.1',
+    ecdsaWithSha256: '1.2.840.10045.4.3.2',
+    subjectKeyIdentifier: '2.5.29.14',
+    keyUsage: '2.5.29.15',
+    subjectAltName: '2.5.29.17',
+    basicConstraints: '2.5.29.19',
+    authorityKeyIdentifier: '2.5.29.35',
+    extKeyUsage: '2.5.29.37',
+    serverAuth: '1.3.6.1.5.5.7.3.1'
+};
+
+// Minimal DER encoder
+
+function encodeLength(length) {
+    if (length < 0x80) return Buffer.from([length]);
+    const bytes = [];
+    for (let rest = length; rest > 0; rest = Math.floor(rest / 256)) {
+        bytes.unshift(rest & 0xff);
+    }
+    return Buffer.from([0x80 | bytes.length, ...bytes]);
+}
+
+const der = {
+    tlv: (tag, content) => Buffer.concat([Buffer.from([tag]), encodeLength(content.length), content]),
+    sequence: (...items) => der.tlv(0x30, Buffer.concat(items)),
+    set: (...items) => der.tlv(0x31, Buffer.concat(items)),
+    boolean: (value) => der.tlv(0x01, Buffer.from([value ? 0xff : 0x00])),
+    integer: (bytes) => {
+        // Positive and minimal: drop leading zeros, then pad if the high bit is set
+        let start = 0;
+        while (start < bytes.length - 1 && bytes[start] === 0) start += 1;
+        const trimmed = bytes.subarray(start);
+        return der.tlv(0x02, trimmed[0] & 0x80 ? Buffer.concat([Buffer.from([0]), trimmed]) : trimmed);
+    },
+    oid: (dotted) => {
+        const [first, second, ...rest] = dotted.split('.').map(Number);
+        const bytes = [first * 40 + second];
+        rest.forEach(value => {
+            const chunk = [value & 0x7f];
+            for (let remaining = Math.floor(value / 128); remaining > 0; remaining = Math.floor(remaining / 128)) {
+                chunk.unshift((remaining & 0x7f) | 0x80);
+            }
+            bytes.push(...chunk);
+        });
+        return der.tlv(0x06, Buffer.from(bytes));
+    },
+    utf8: (text) => der.tlv(0x0c, Buffer.from(text, 'utf8')),
+    octetString: (bytes) => der.tlv(0x04, bytes),
+    bitString: (bytes, unusedBits = 0) => der.tlv(0x03, Buffer.concat([Buffer.from([unusedBits]), bytes])),
+    time: (date) => {
+        // UTCTime until 2049, GeneralizedTime after (RFC 5280 4.1.2.5)
+        const iso = date.toISOString().replace(/[-:T]/g, '').slice(0, 14);
+        return date.getUTCFullYear() < 2050
+            ? der.tlv(0x17, Buffer.from(`${iso.slice(2)}Z`))
+            : der.tlv(0x18, Buffer.from(`${iso}Z`));
+    },
+    explicit: (tagNumber, content) => der.tlv(0xa0 + tagNumber, content),
+    implicit: (tagNumber, content) => der.tlv(0x80 + tagNumber, content)
+};
+
+// KeyUsage bits, numbered from the most significant bit as in RFC 5280
+function keyUsage(...bits) {
+    let value = 0;
+    bits.forEach(bit => { value |= 0x80 >> bit; });
+    let unused = 0;
+    while (unused < 7 && !(value & (1 << unused))) unused += 1;
+    return der.bitString(Buffer.from([value]), unused);
+}
+
+const KEY_USAGE = { digitalSignature: 0, keyCertSign: 5, cRLSign: 6 };
+
+function extension(oid, value, critical = false) {
+    return der.sequence(der.oid(oid), ...(critical ? [der.boolean(true)] : []), der.octetString(value));
+}
+
+function distinguishedName(commonName, organization) {
+    const attribute = (oid, value) => der.set(der.sequence(der.oid(oid), der.utf8(value)));
+    return der.sequence(
+        ...(organization ? [attribute(OID.organizationName, organization)] : []),
+        attribute(OID.commonName, commonName)
+    );
+}
+
+function keyIdentifier(publicKey) {
+    return crypto.createHash('sha1').update(publicKey.export({ type: 'spki', format: 'der' })).digest();
+}
+
+function subjectAltNames({ ips = [], dnsNames = [] }) {
+    return der.sequence(
+        ...dnsNames.map(name => der.implicit(2, Buffer.from(name, 'ascii'))),
+        ...ips.filter(ip => net.isIPv4(ip)).map(ip => der.implicit(7, Buffer.from(ip.split('.').map(Number))))
+    );
+}
+
+/**
+ * Build and sign a certificate.
+ *   subject       { commonName, organization }
+ *   publicKey     KeyObject of the certificate's key pair
+ *   issuer        { name (DER), privateKey, publicKey }; self-signed when omitted
+ *   validityDays  lifetime from now (backdated an hour for clock skew)
+ *   extensions    DER-encoded Extension entries
+ */
+function signCertificate({ subject, publicKey, issuer, validityDays, extensions }) {
+    const subjectName = distinguishedName(subject.commonName, subject.organization);
+    const signer = issuer || { name: subjectName, privateKey: subject.privateKey };
+    const serial = crypto.randomBytes(16);
+    serial[0] = (serial[0] & 0x7f) | 0x40;
+    const notBefore = new Date(Date.now() - 60 * 60 * 1000);
+    const notAfter = new Date(Date.now() + validityDays * DAY_MS);
+    const signatureAlgorithm = der.sequence(der.oid(OID.ecdsaWithSha256));
+
+    const tbs = der.sequence(
+        der.explicit(0, der.integer(Buffer.from([2]))),
+        der.integer(serial),
+        signatureAlgorithm,
+        signer.name,
+        der.sequence(der.time(notBefore), der.time(notAfter)),
+        subjectName,
+        publicKey.export({ type: 'spki', format: 'der' }),
+        der.explicit(3, der.sequence(...extensions))
+    );
+    const signature = crypto.sign('sha256', tbs, { key: signer.privateKey, dsaEncoding: 'der' });
+    const certificate = der.sequence(tbs, signatureAlgorithm, der.bitString(signature));
+
+    const body = certificate.toString('base64').match(/.{1,64}/g).join('\n');
+    return `-----BEGIN CERTIFICATE-----\n${body}\n-----END CERTIFICATE-----\n`;
+}
+
+function generateKeyPair() {
+    return crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+}
+
+function writePrivate(filePath, contents) {
+    fs.writeFileSync(filePath, contents, { mode: 0o600 });
+}
+
+// "DNS:localhost, IP Address:192.168.1.20" -> sorted list for comparison
+function parseAltNames(x509) {
+    return (x509.subjectAltName || '').split(',').map(entry => entry.trim().replace(/^IP Address:/, 'IP:')).sort();
+}
+
+function wantedAltNames({ ips = [], dnsNames = [] }) {
+    return [...dnsNames.map(name => `DNS:${name}`), ...ips.filter(ip => net.isIPv4(ip)).map(ip => `IP:${ip}`)].sort();
+}
+
+// Stable UUID derived from the CA, so re-downloading the profile replaces it
+function uuidFrom(seed) {
+    const hex = crypto.createHash('sha256').update(seed).digest('hex');
+    return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-4${hex.slice(13, 16)}-a${hex.slice(17, 20)}-${hex.slice(20, 32)}`.toUpperCase();
+}
+
+/**
+ * Create the CA helper. Everything lives in `dir` (private keys mode 0600):
+ *   ca-key.pem, ca.crt           root CA, created once
+ *   server-key.pem, server.crt   server certificate, re-issued as needed
+ */
+function createLocalCa({ dir = DEFAULT_CA_DIR, name = DEFAULT_CA_NAME } = {}) {
+    const files = {
+        caKey: path.join(dir, 'ca-key.pem'),
+        caCert: path.join(dir, 'ca.crt'),
+        serverKey: path.join(dir, 'server-key.pem'),
+        serverCert: path.join(dir, 'server.crt')
+    };
+
+    // Root CA, created on first use
+    const ca = () => {
+        if (fs.existsSync(files.caKey) && fs.existsSync(files.caCert)) {
+            const cert = fs.readFileSync(files.caCert, 'utf8');
+            return { key: crypto.createPrivateKey(fs.readFileSync(files.caKey)), cert, x509: new crypto.X509Certificate(cert) };
+        }
+
+        const { privateKey, publicKey } = generateKeyPair();
+        const cert = signCertificate({
+            subject: { commonName: name, organization: name, privateKey },
+            publicKey,
+            validityDays: CA_VALIDITY_DAYS,
+            extensions: [
+                extension(OID.basicConstraints, der.sequence(der.boolean(true)), true),
+                extension(OID.keyUsage, keyUsage(KEY_USAGE.keyCertSign, KEY_USAGE.cRLSign), true),
+                extension(OID.subjectKeyIdentifier, der.octetString(keyIdentifier(publicKey)))
+            ]
+        });
+
+        fs.mkdirSync(dir, { recursive: true });
+        writePrivate(files.caKey, privateKey.export({ type: 'pkcs8', format: 'pem' }));
+        fs.writeFileSync(files.caCert, cert);
+        return { key: privateKey, cert, x509: new crypto.X509Certificate(cert) };
+    };
+
+    // Why the current server certificate cannot be used, or null if it can
+    const staleReason = (authority, names) => {
+        if (!fs.existsSync(files.serverKey) || !fs.existsSync(files.serverCert)) return 'missing';
+
+        const x509 = new crypto.X509Certificate(fs.readFileSync(files.serverCert));
+        if (!x509.checkIssued(authority.x509) || !x509.verify(authority.x509.publicKey)) return 'issued by another CA';
+        if (new Date(x509.validTo).getTime() - Date.now() < RENEW_BEFORE_DAYS * DAY_MS) return 'about to expire';
+        if (parseAltNames(x509).join(',') !== wantedAltNames(names).join(',')) return 'names changed';
+        return null;
+    };
+
+    /**
+     * Server certificate covering `ips` (IPv4) and `dnsNames`; re-issued when
+     * the names changed, it expires within 30 days or the CA was replaced.
+     * Returns { key, cert, ca, issued, reason }.
+     */
+    const serverCertificate = ({ ips = [], dnsNames = [] }) => {
+        const authority = ca();
+        const reason = staleReason(authority, { ips, dnsNames });
+
+        if (reason) {
+            const { privateKey, publicKey } = generateKeyPair();
+            const cert = signCertificate({
+                subject: { commonName: dnsNames[0] || ips[0] || 'localhost' },
+                publicKey,
+                issuer: { name: distinguishedName(name, name), privateKey: authority.key },
+                validityDays: SERVER_VALIDITY_DAYS,
+                extensions: [
+                    extension(OID.basicConstraints, der.sequence(), true),
+                    extension(OID.keyUsage, keyUsage(KEY_USAGE.digitalSignature), true),
+                    extension(OID.extKeyUsage, der.sequence(der.oid(OID.serverAuth))),
+                    extension(OID.subjectAltName, subjectAltNames({ ips, dnsNames })),
+                    extension(OID.subjectKeyIdentifier, der.octetString(keyIdentifier(publicKey))),
+                    extension(OID.authorityKeyIdentifier, der.sequence(der.implicit(0, keyIdentifier(authority.x509.publicKey))))
+                ]
+            });
+            writePrivate(files.serverKey, privateKey.export({ type: 'pkcs8', format: 'pem' }));
+            fs.writeFileSync(files.serverCert, cert);
+        }
+
+        return {
+            key: fs.readFileSync(files.serverKey),
+            cert: fs.readFileSync(files.serverCert),
+            ca: authority.cert,
+            issued: Boolean(reason),
+            reason
+        };
+    };
+
+    const caCertificate = () => ca().cert;
+
+    // SHA-256 fingerprint people can compare on the device before trusting the CA
+    const fingerprint = () => ca().x509.fingerprint256;
+
+    // Unsigned iOS/macOS configuration profile that installs the root CA
+    const mobileConfig = () => {
+        const authority = ca();
+        const derBase64 = authority.x509.raw.toString('base64').match(/.{1,52}/g).join('\n            ');
+        const profileId = 'com.solidkey.firebase-devops-toolkit.emulator-proxy';
+
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE plist PUBLIC "-//Apple//DTD PLIST 1.0//EN" "http://www.apple.com/DTDs/PropertyList-1.0.dtd">
+<plist version="1.0">
+<dict>
+    <key>PayloadContent</key>
+    <array>
+        <dict>
+            <key>PayloadCertificateFileName</key>
+            <string>ca.crt</string>
+            <key>PayloadContent</key>
+            <data>
+            ${derBase64}
+            </data>
+            <key>PayloadDescription</key>
+            <string>Trusts HTTPS certificates issued by the emulator proxy on your development machine</string>
+            <key>PayloadDisplayName</key>
+            <string>${escapeHtml(name)}</string>
+            <key>PayloadIdentifier</key>
+            <string>${profileId}.ca</string>
+            <key>PayloadType</key>
+            <string>com.apple.security.root</string>
+            <key>PayloadUUID</key>
+            <string>${uuidFrom(`${authority.x509.fingerprint256}:ca`)}</string>
+            <key>PayloadVersion</key>
+            <integer>1</integer>
+        </dict>
+    </array>
+    <key>PayloadDescription</key>
+    <string>Installs the local certificate authority of the Firebase emulator proxy. Only install this on test devices.</string>
+    <key>PayloadDisplayName</key>
+    <string>${escapeHtml(name)}</string>
+    <key>PayloadIdentifier</key>
+    <string>${profileId}</string>
+    <key>PayloadRemovalDisallowed</key>
+    <false/>
+    <key>PayloadType</key>
+    <string>Configuration</string>
+    <key>PayloadUUID</key>
+    <string>${uuidFrom(`${authority.x509.fingerprint256}:profile`)}</string>
+    <key>PayloadVersion</key>
+    <integer>1</integer>
+</dict>
+</plist>
+`;
+    };
+
+    return { dir, files, ca: caCertificate, fingerprint, serverCertificate, mobileConfig };
+}
+
+module.exports = {
+    DEFAULT_CA_DIR,
+    createLocalCa
+};
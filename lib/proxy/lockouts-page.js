@@ -0,0 +1,119 @@
+// Admin page for login lockouts (/admin/lockouts): tracked addresses with a
+// button that clears each one, and the network allow and deny lists
+
+const { escapeHtml } = require('./html');
+
+const PAGE_STYLE = `
+        body {
+            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Arial, sans-serif;
+            background: #f5f5f5;
+            margin: 0;
+            padding: 20px;
+        }
+        .panel {
+            background: white;
+            border-radius: 12px;
+            box-shadow: 0 2px 10px rgba(0,0,0,0.1);
+            padding: 30px;
+            max-width: 1100px;
+            margin: 0 auto 20px;
+        }
+        .btn {
+            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+            color: white;
+            text-decoration: none;
+            border: none;
+            padding: 8px 16px;
+            border-radius: 8px;
+            cursor: pointer;
+            font-size: 14px;
+            display: inline-block;
+        }
+        .btn-danger {
+            background: #dc3545;
+        }
+        table {
+            width: 100%;
+            border-collapse: collapse;
+            font-size: 14px;
+        }
+        th, td {
+            text-align: left;
+            padding: 8px;
+            border-bottom: 1px solid #eee;
+            vertical-align: middle;
+        }
+        tr.locked td {
+            background: #fff3cd;
+        }
+        code {
+            word-break: break-all;
+        }
+`;
+
+const formatSeconds = (seconds) => seconds >= 60 ? `${Math.ceil(seconds / 60)} min` : `${seconds}s`;
+
+/**
+ * Render the lockout list.
+ *   entries   lockout store list()
+ *   config    lockout settings ({ maxFailures, baseLockMs, maxLockMs, ... })
+ *   network   { allow, deny } CIDR lists, or null without an IP filter
+ */
+function renderLockoutsPage({ entries, config, network }) {
+    const rowsHtml = entries.map(entry => `
+                <tr class="${entry.locked ? 'locked' : ''}">
+                    <td><code>${escapeHtml(entry.ip)}</code></td>
+                    <td>${entry.locked ? `🔒 ${escapeHtml(formatSeconds(entry.retryAfterSeconds))} left` : 'Not locked'}</td>
+                    <td>${entry.failures}</td>
+                    <td>${entry.lockouts}</td>
+                    <td>${escapeHtml(new Date(entry.lastFailureAt).toLocaleString())}</td>
+                    <td>
+                        <form method="POST" action="/admin/lockouts/clear">
+                            <input type="hidden" name="ip" value="${escapeHtml(entry.ip)}">
+                            <button type="submit" class="btn btn-danger">🧹 Clear</button>
+                        </form>
+                    </td>
+                </tr>
+    `).join('');
+
+    return `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>🚫 Lockouts</title>
+    <style>${PAGE_STYLE}</style>
+</head>
+<body>
+    <div class="panel">
+        <h1>🚫 Login Lockouts</h1>
+        <p>After ${config.maxFailures} failed logins within ${formatSeconds(config.failureWindowMs / 1000)} an address is locked out for ${formatSeconds(config.baseLockMs / 1000)}, doubling with every further lockout up to ${formatSeconds(config.maxLockMs / 1000)}. Clearing an address also resets its backoff.</p>
+        ${entries.length === 0 ? '<p>No failed logins recorded.</p>' : `
+        <table>
+            <thead>
+                <tr><th>Address</th><th>State</th><th>Recent failures</th><th>Lockouts</th><th>Last failure</th><th></th></tr>
+            </thead>
+            <tbody>${rowsHtml}</tbody>
+        </table>
+        <form method="POST" action="/admin/lockouts/clear">
+            <input type="hidden" name="ip" value="*">
+            <p><button type="submit" class="btn btn-danger">🧹 Clear all</button></p>
+        </form>`}
+    </div>
+    ${network ? `
+    <div class="panel">
+        <h2>🌐 Network Access</h2>
+        <p>Allowed: ${network.allow.map(entry => `<code>${escapeHtml(entry)}</code>`).join(', ')}</p>
+        <p>Denied: ${network.deny.length ? network.deny.map(entry => `<code>${escapeHtml(entry)}</code>`).join(', ') : 'none'}</p>
+        <p>Change them with <code>PROXY_ALLOW_CIDRS</code> and <code>PROXY_DENY_CIDRS</code> and restart the proxy.</p>
+    </div>` : ''}
+    <div class="panel">
+        <a href="/dashboard" class="btn">⬅ Dashboard</a>
+    </div>
+</body>
+</html>
+    `;
+}
+
+module.exports = { renderLockoutsPage };
@@ -0,0 +1,148 @@
+// Lockout of addresses after repeated failed logins
+// Every failed login counts against the caller's IP. After `maxFailures`
+// failures within `failureWindowMs` the IP may not try again for a while,
+// and every further lockout doubles that time up to `maxLockMs`. Entries
+// are kept in .emulator-sharing/lockouts.json, so a restart does not reset
+// them; admins clear them from /admin/lockouts.
+
+const fs = require('fs');
+const path = require('path');
+const { normalizeIp } = require('./ip-access');
+
+const DEFAULT_LOCKOUTS_PATH = path.join(__dirname, '..', '..', '.emulator-sharing', 'lockouts.json');
+
+const DEFAULT_LOCKOUT = {
+    maxFailures: 5,
+    failureWindowMs: 15 * 60 * 1000,
+    baseLockMs: 60 * 1000,
+    maxLockMs: 60 * 60 * 1000,
+    // Addresses without a failure for this long start again from the base lock time
+    forgetAfterMs: 24 * 60 * 60 * 1000
+};
+
+/**
+ * Create the store.
+ *   filePath         default .emulator-sharing/lockouts.json
+ *   maxFailures      failed logins that trigger a lockout
+ *   failureWindowMs  failures older than this no longer count
+ *   baseLockMs       first lockout; doubled for every further one
+ *   maxLockMs        upper bound of a single lockout
+ *   forgetAfterMs    quiet time after which an address is forgotten
+ */
+function createLockoutStore({ filePath = DEFAULT_LOCKOUTS_PATH, ...settings } = {}) {
+    const config = { ...DEFAULT_LOCKOUT, ...settings };
+    let entries = {};
+
+    const load = () => {
+        if (!filePath || !fs.existsSync(filePath)) {
+            return {};
+        }
+        const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        return data.addresses || {};
+    };
+
+    const prune = (now = Date.now()) => {
+        Object.entries(entries).forEach(([ip, entry]) => {
+            if (entry.lockedUntil <= now && now - entry.lastFailureAt > config.forgetAfterMs) {
+                delete entries[ip];
+            }
+        });
+    };
+
+    const save = () => {
+        if (!filePath) return;
+        prune();
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        const tmpPath = `${filePath}.${process.pid}.tmp`;
+        fs.writeFileSync(tmpPath, JSON.stringify({ addresses: entries }, null, 2), { mode: 0o600 });
+        fs.renameSync(tmpPath, filePath);
+    };
+
+    const lockMsFor = (lockouts) => Math.min(config.maxLockMs, config.baseLockMs * 2 ** Math.max(0, lockouts - 1));
+
+    // { locked, until, retryAfterSeconds } for an address
+    const status = (ip, now = Date.now()) => {
+        const entry = entries[normalizeIp(ip)];
+        if (!entry || entry.lockedUntil <= now) {
+            return { locked: false, until: null, retryAfterSeconds: 0 };
+        }
+        return {
+            locked: true,
+            until: new Date(entry.lockedUntil).toISOString(),
+            retryAfterSeconds: Math.ceil((entry.lockedUntil - now) / 1000)
+        };
+    };
+
+    /**
+     * Count a failed login. Returns { failures, locked, lockedForMs }, where
+     * lockedForMs is set when this failure started a lockout.
+     */
+    const recordFailure = (ip, now = Date.now()) => {
+        const key = normalizeIp(ip);
+        const entry = entries[key] || { failures: [], lockouts: 0, lockedUntil: 0, lastFailureAt: 0 };
+        entry.failures = entry.failures.filter(at => now - at < config.failureWindowMs).concat(now);
+        entry.lastFailureAt = now;
+
+        let lockedForMs = 0;
+        if (entry.failures.length >= config.maxFailures) {
+            entry.lockouts += 1;
+            lockedForMs = lockMsFor(entry.lockouts);
+            entry.lockedUntil = now + lockedForMs;
+            entry.failures = [];
+        }
+
+        entries[key] = entry;
+        save();
+        return { failures: entry.failures.length, locked: lockedForMs > 0, lockedForMs };
+    };
+
+    // A successful login forgets the address's failures and backoff
+    const recordSuccess = (ip) => {
+        const key = normalizeIp(ip);
+        if (entries[key]) {
+            delete entries[key];
+            save();
+        }
+    };
+
+    // Every tracked address, locked ones first
+    const list = (now = Date.now()) => {
+        prune(now);
+        return Object.entries(entries)
+            .map(([ip, entry]) => ({
+                ip,
+                failures: entry.failures.filter(at => now - at < config.failureWindowMs).length,
+                lockouts: entry.lockouts,
+                lastFailureAt: new Date(entry.lastFailureAt).toISOString(),
+                ...status(ip, now)
+            }))
+            .sort((a, b) => Number(b.locked) - Number(a.locked) || b.lastFailureAt.localeCompare(a.lastFailureAt));
+    };
+
+    // Returns whether the address was tracked
+    const clear = (ip) => {
+        const key = normalizeIp(ip);
+        if (!entries[key]) return false;
+        delete entries[key];
+        save();
+        return true;
+    };
+
+    const clearAll = () => {
+        const count = Object.keys(entries).length;
+        entries = {};
+        save();
+        return count;
+    };
+
+    entries = load();
+    prune();
+
+    return { filePath, config, status, recordFailure, recordSuccess, list, clear, clearAll };
+}
+
+module.exports = {
+    DEFAULT_LOCKOUTS_PATH,
+    DEFAULT_LOCKOUT,
+    createLockoutStore
+};
@@ -0,0 +1,174 @@
+// Login page shared by the emulator proxies
+// Each enabled login method (see auth-providers.js) contributes one form.
+
+const { escapeHtml } = require('./html');
+
+/**
+ * Render the login page.
+ *   title, subtitle  page heading
+ *   https            show the "HTTPS Secured" badge
+ *   error            message for the ?error= code, if any
+ *   forms            HTML of each login method's form, in display order
+ *   links            [{ href, label }] shown below the forms (e.g. certificate downloads)
+ *   protections      [{ icon, text }] listed under "Active Protections"
+ */
+function renderLoginPage({ title, subtitle, https = false, error = null, forms = [], links = [], protections = [] }) {
+    const protectionsHtml = protections.map(({ icon, text }) => `
+            <div class="security-feature">
+                <span class="feature-icon">${icon}</span>
+                <span>${escapeHtml(text)}</span>
+            </div>`).join('');
+
+    return `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>🔒 Secure Firebase Emulator Access</title>
+    <style>
+        body {
+            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Arial, sans-serif;
+            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+            min-height: 100vh;
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            margin: 0;
+            padding: 20px;
+        }
+        .login-container {
+            background: white;
+            border-radius: 16px;
+            box-shadow: 0 10px 30px rgba(0,0,0,0.2);
+            padding: 40px;
+            max-width: 400px;
+            width: 100%;
+            text-align: center;
+        }
+        .logo {
+            font-size: 48px;
+            margin-bottom: 20px;
+        }
+        h1 {
+            color: #333;
+            margin-bottom: 10px;
+            font-size: 24px;
+        }
+        .subtitle {
+            color: #666;
+            margin-bottom: 30px;
+            font-size: 14px;
+        }
+        .form-group {
+            margin-bottom: 20px;
+            text-align: left;
+        }
+        label {
+            display: block;
+            margin-bottom: 5px;
+            font-weight: 500;
+            color: #333;
+        }
+        input {
+            width: 100%;
+            padding: 12px;
+            border: 2px solid #e1e5e9;
+            border-radius: 8px;
+            font-size: 16px;
+            transition: border-color 0.3s;
+            box-sizing: border-box;
+        }
+        input:focus {
+            outline: none;
+            border-color: #667eea;
+        }
+        .btn {
+            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+            color: white;
+            border: none;
+            padding: 12px 30px;
+            border-radius: 8px;
+            font-size: 16px;
+            font-weight: 500;
+            cursor: pointer;
+            width: 100%;
+            transition: transform 0.2s;
+        }
+        .btn:hover {
+            transform: translateY(-2px);
+        }
+        .security-info {
+            margin-top: 30px;
+            padding: 20px;
+            background: #f8f9fa;
+            border-radius: 8px;
+            font-size: 14px;
+            color: #666;
+        }
+        .security-feature {
+            display: flex;
+            align-items: center;
+            margin-bottom: 10px;
+        }
+        .security-feature:last-child {
+            margin-bottom: 0;
+        }
+        .feature-icon {
+            margin-right: 10px;
+            font-size: 16px;
+        }
+        .login-error {
+            background: #f8d7da;
+            color: #721c24;
+            border-radius: 8px;
+            padding: 10px;
+            font-size: 14px;
+        }
+        .divider {
+            color: #999;
+            margin: 20px 0;
+            font-size: 14px;
+        }
+        .btn-secondary {
+            background: #6c757d;
+        }
+        .login-links {
+            margin-top: 20px;
+            font-size: 14px;
+        }
+        .https-badge {
+            display: inline-block;
+            background: #28a745;
+            color: white;
+            padding: 6px 14px;
+            border-radius: 20px;
+            font-size: 12px;
+            font-weight: 600;
+            margin-bottom: 10px;
+        }
+    </style>
+</head>
+<body>
+    <div class="login-container">
+        ${https ? '<div class="https-badge">🔒 HTTPS Secured</div>' : ''}
+        <div class="logo">🔒</div>
+        <h1>${escapeHtml(title)}</h1>
+        <p class="subtitle">${escapeHtml(subtitle)}</p>
+
+        ${error ? `<p class="login-error">${escapeHtml(error)}</p>` : ''}
+
+        ${forms.join('\n        <div class="divider">— or —</div>\n')}
+
+        ${links.length ? `<p class="login-links">${links.map(({ href, label }) => `<a href="${escapeHtml(href)}">${escapeHtml(label)}</a>`).join(' · ')}</p>` : ''}
+
+        <div class="security-info">
+            <h3 style="margin-top: 0; color: #333;">🛡️ Active Protections</h3>${protectionsHtml}
+        </div>
+    </div>
+</body>
+</html>
+    `;
+}
+
+module.exports = { renderLoginPage };
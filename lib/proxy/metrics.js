@@ -0,0 +1,187 @@
+// Prometheus metrics for the emulator proxies
+// A small in-process registry (counters, gauges, histograms) rendered in the
+// Prometheus text exposition format, plus the proxy-specific metric families.
+
+const crypto = require('crypto');
+const { isStreamingRequest } = require('./streaming');
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+    const pairs = Object.entries(labels).map(([key, value]) => `${key}="${escapeLabel(value)}"`);
+    return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+function createRegistry() {
+    const families = [];
+
+    const register = (name, help, type, buckets = null) => {
+        const family = { name, help, type, buckets, series: new Map() };
+        families.push(family);
+        return family;
+    };
+
+    // Series are keyed by their label set
+    const seriesFor = (family, labels, create) => {
+        const key = formatLabels(labels);
+        if (!family.series.has(key)) {
+            family.series.set(key, { labels, ...create() });
+        }
+        return family.series.get(key);
+    };
+
+    const counter = (name, help) => {
+        const family = register(name, help, 'counter');
+        return {
+            inc: (labels = {}, amount = 1) => {
+                seriesFor(family, labels, () => ({ value: 0 })).value += amount;
+            }
+        };
+    };
+
+    const gauge = (name, help) => {
+        const family = register(name, help, 'gauge');
+        return {
+            set: (labels, value) => {
+                seriesFor(family, labels, () => ({ value: 0 })).value = value;
+            },
+            remove: (labels) => family.series.delete(formatLabels(labels))
+        };
+    };
+
+    const histogram = (name, help, buckets = DEFAULT_BUCKETS) => {
+        const family = register(name, help, 'histogram', buckets);
+        return {
+            observe: (labels, value) => {
+                const series = seriesFor(family, labels, () => ({ counts: buckets.map(() => 0), sum: 0, count: 0 }));
+                buckets.forEach((bound, index) => {
+                    if (value <= bound) series.counts[index] += 1;
+                });
+                series.sum += value;
+                series.count += 1;
+            }
+        };
+    };
+
+    const render = () => {
+        const lines = [];
+        families.forEach(family => {
+            lines.push(`# HELP ${family.name} ${family.help}`);
+            lines.push(`# TYPE ${family.name} ${family.type}`);
+
+            family.series.forEach(series => {
+                if (family.type !== 'histogram') {
+                    lines.push(`${family.name}${formatLabels(series.labels)} ${series.value}`);
+                    return;
+                }
+
+                series.counts.forEach((count, index) => {
+                    lines.push(`${family.name}_bucket${formatLabels({ ...series.labels, le: family.buckets[index] })} ${count}`);
+                });
+                lines.push(`${family.name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+                lines.push(`${family.name}_sum${formatLabels(series.labels)} ${series.sum}`);
+                lines.push(`${family.name}_count${formatLabels(series.labels)} ${series.count}`);
+            });
+        });
+        return `${lines.join('\n')}\n`;
+    };
+
+    return { counter, gauge, histogram, render };
+}
+
+/**
+ * Metric families shared by both proxies:
+ *   emulator_proxy_requests_total{service,method,status}
+ *   emulator_proxy_request_duration_seconds{service} (streams excluded)
+ *   emulator_proxy_upstream_errors_total{service,code}
+ *   emulator_proxy_rate_limited_total{scope,service,role}
+ *   emulator_proxy_websocket_upgrades_total{service}
+ *   emulator_proxy_faults_injected_total{service,rule,fault}
+ *   emulator_proxy_upstream_up{service}
+ *   emulator_proxy_upstream_probe_seconds{service}
+ */
+function createProxyMetrics() {
+    const registry = createRegistry();
+    const requests = registry.counter('emulator_proxy_requests_total', 'Requests handled, by emulator service, method and status code');
+    const duration = registry.histogram('emulator_proxy_request_duration_seconds', 'Time until the response finished, by emulator service');
+    const upstreamErrors = registry.counter('emulator_proxy_upstream_errors_total', 'Requests that failed because the emulator did not answer');
+    const rateLimited = registry.counter('emulator_proxy_rate_limited_total', 'Requests rejected by the rate limiter');
+    const upgrades = registry.counter('emulator_proxy_websocket_upgrades_total', 'WebSocket upgrades forwarded to an emulator');
+    const faultsInjected = registry.counter('emulator_proxy_faults_injected_total', 'Faults injected by fault injection rules');
+    const upstreamUp = registry.gauge('emulator_proxy_upstream_up', 'Whether the last health probe reached the emulator (1) or not (0)');
+    const probeSeconds = registry.gauge('emulator_proxy_upstream_probe_seconds', 'Connect time of the last successful health probe');
+
+    // Count and time every request that reaches `service`
+    const middleware = (service) => (req, res, next) => {
+        const started = process.hrtime.bigint();
+        res.on('finish', () => {
+            requests.inc({ service, method: req.method, status: res.statusCode });
+            if (!isStreamingRequest(req)) {
+                duration.observe({ service }, Number(process.hrtime.bigint() - started) / 1e9);
+            }
+        });
+        next();
+    };
+
+    const upstreamError = (service, error) => {
+        upstreamErrors.inc({ service, code: (error && error.code) || 'unknown' });
+    };
+
+    // `details` as passed to the rate limiter's onLimited
+    const rateLimitRejected = (details) => {
+        const [scope, service = ''] = String(details.scope).split(':');
+        rateLimited.inc({ scope, service, role: details.role || 'anonymous' });
+    };
+
+    const websocketUpgrade = (service) => upgrades.inc({ service });
+
+    // `details` as passed to the fault injector's onFault; one sample per kind of fault
+    const faultInjected = ({ service, rule, faults }) => {
+        if (faults.latencyMs) faultsInjected.inc({ service, rule, fault: 'latency' });
+        if (faults.drop) faultsInjected.inc({ service, rule, fault: 'drop' });
+        if (faults.status) faultsInjected.inc({ service, rule, fault: `status_${faults.status}` });
+        if (faults.bandwidthKbps) faultsInjected.inc({ service, rule, fault: 'throttle' });
+    };
+
+    // Mirror the prober's view; services that left the service map are dropped
+    let probedServices = [];
+    const updateHealth = (status) => {
+        probedServices.filter(service => !status[service]).forEach(service => {
+            upstreamUp.remove({ service });
+            probeSeconds.remove({ service });
+        });
+        Object.entries(status).forEach(([service, health]) => {
+            upstreamUp.set({ service }, health.up ? 1 : 0);
+            if (health.up) probeSeconds.set({ service }, health.latencyMs / 1000);
+        });
+        probedServices = Object.keys(status);
+    };
+
+    return { middleware, upstreamError, rateLimitRejected, websocketUpgrade, faultInjected, updateHealth, render: registry.render };
+}
+
+// Prometheus usually scrapes from the same machine; remote scrapers need the bearer token.
+// req.ip, so callers coming in through a local tunnel agent do not count as local.
+function isLoopback(req) {
+    const address = req.ip || req.socket.remoteAddress || '';
+    return address === '127.0.0.1' || address === '::1' || address === '::ffff:127.0.0.1';
+}
+
+function isMetricsScrapeAllowed(req, token) {
+    if (isLoopback(req)) return true;
+    if (!token) return false;
+
+    const expected = Buffer.from(`Bearer ${token}`);
+    const given = Buffer.from(req.headers.authorization || '');
+    return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+}
+
+module.exports = {
+    createRegistry,
+    createProxyMetrics,
+    isMetricsScrapeAllowed
+};
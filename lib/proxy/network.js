@@ -0,0 +1,22 @@
+// Network helpers shared by the proxies and their CLIs
+
+const os = require('os');
+
+// Where secure-local-proxy.js listens unless PROXY_PORT says otherwise. Clear
+// of the Firebase emulators' default ports (8080 is Firestore).
+const DEFAULT_PROXY_PORT = 8088;
+
+// First non-internal IPv4 address, i.e. what devices on the LAN can reach
+function getLocalIP(fallback = 'localhost') {
+    const interfaces = os.networkInterfaces();
+    for (const name of Object.keys(interfaces)) {
+        for (const iface of interfaces[name]) {
+            if (iface.family === 'IPv4' && !iface.internal) {
+                return iface.address;
+            }
+        }
+    }
+    return fallback;
+}
+
+module.exports = { DEFAULT_PROXY_PORT, getLocalIP };
@@ -0,0 +1,166 @@
+// Pages for the device pairing flow: the waiting screen shown on the new
+// device and the /admin/pairing approval list
+
+const { escapeHtml } = require('./html');
+
+const PAGE_STYLE = `
+        body {
+            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Arial, sans-serif;
+            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+            min-height: 100vh;
+            margin: 0;
+            padding: 20px;
+            box-sizing: border-box;
+        }
+        .panel {
+            background: white;
+            border-radius: 16px;
+            box-shadow: 0 10px 30px rgba(0,0,0,0.2);
+            padding: 30px;
+            max-width: 700px;
+            margin: 0 auto 20px;
+        }
+        .pairing-code {
+            font-family: monospace;
+            font-size: 40px;
+            letter-spacing: 4px;
+            text-align: center;
+            background: #f8f9fa;
+            border-radius: 8px;
+            padding: 20px;
+            margin: 20px 0;
+        }
+        .btn {
+            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+            color: white;
+            text-decoration: none;
+            border: none;
+            padding: 8px 16px;
+            border-radius: 8px;
+            cursor: pointer;
+            font-size: 14px;
+        }
+        .btn-reject {
+            background: #dc3545;
+        }
+        select {
+            padding: 6px;
+            border-radius: 6px;
+        }
+        table {
+            width: 100%;
+            border-collapse: collapse;
+            font-size: 14px;
+        }
+        th, td {
+            text-align: left;
+            padding: 8px;
+            border-bottom: 1px solid #eee;
+            vertical-align: middle;
+        }
+`;
+
+// Shown on the device while it waits; polls /pair/status until answered
+function renderPairingWaitPage(request) {
+    return `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>📱 Pair This Device</title>
+    <style>${PAGE_STYLE}</style>
+</head>
+<body>
+    <div class="panel">
+        <h1>📱 Pair This Device</h1>
+        <p>Ask the person running the proxy to approve this code. They can type it in their terminal or approve it from the admin page.</p>
+        <div class="pairing-code">${escapeHtml(request.displayCode)}</div>
+        <p>Device name: <strong>${escapeHtml(request.name)}</strong></p>
+        <p id="pairing-status">⏳ Waiting for approval…</p>
+        <a href="/login" class="btn">⬅ Back to login</a>
+    </div>
+    <script>
+        (function () {
+            var status = document.getElementById('pairing-status');
+
+            function poll() {
+                fetch('/pair/status', { credentials: 'same-origin' })
+                    .then(function (response) { return response.json(); })
+                    .then(function (result) {
+                        if (result.status === 'approved') {
+                            status.textContent = '✅ Approved, opening the dashboard…';
+                            window.location.href = '/dashboard';
+                        } else if (result.status === 'rejected') {
+                            status.textContent = '❌ Pairing was rejected.';
+                        } else if (result.status === 'expired') {
+                            status.textContent = '⌛ This code expired. Go back and request a new one.';
+                        } else {
+                            setTimeout(poll, 3000);
+                        }
+                    })
+                    .catch(function () {
+                        setTimeout(poll, 5000);
+                    });
+            }
+            poll();
+        })();
+    </script>
+</body>
+</html>
+    `;
+}
+
+// Pending requests with approve/reject buttons, for admins
+function renderPairingAdminPage(pending, roleNames, defaultRole) {
+    const roleOptions = roleNames
+        .map(role => `<option value="${escapeHtml(role)}" ${role === defaultRole ? 'selected' : ''}>${escapeHtml(role)}</option>`)
+        .join('');
+
+    const rowsHtml = pending.map(request => `
+                <tr>
+                    <td><code>${escapeHtml(request.displayCode)}</code></td>
+                    <td>${escapeHtml(request.name)}</td>
+                    <td>${escapeHtml(request.ip)}</td>
+                    <td title="${escapeHtml(request.userAgent)}">${escapeHtml(new Date(request.createdAt).toLocaleTimeString())}</td>
+                    <td>
+                        <form method="POST" action="/admin/pairing/${encodeURIComponent(request.code)}">
+                            <select name="role">${roleOptions}</select>
+                            <button type="submit" name="action" value="approve" class="btn">✅ Approve</button>
+                            <button type="submit" name="action" value="reject" class="btn btn-reject">❌ Reject</button>
+                        </form>
+                    </td>
+                </tr>
+    `).join('');
+
+    return `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>📱 Pairing Requests</title>
+    <style>${PAGE_STYLE}</style>
+</head>
+<body>
+    <div class="panel">
+        <h1>📱 Pairing Requests</h1>
+        <p>Only approve codes that match what the device shows.</p>
+        ${pending.length === 0 ? '<p>No devices are waiting.</p>' : `
+        <table>
+            <thead>
+                <tr><th>Code</th><th>Device</th><th>IP</th><th>Requested</th><th></th></tr>
+            </thead>
+            <tbody>${rowsHtml}</tbody>
+        </table>`}
+        <p><a href="/admin/pairing" class="btn">🔄 Refresh</a> <a href="/dashboard" class="btn">⬅ Dashboard</a></p>
+    </div>
+</body>
+</html>
+    `;
+}
+
+module.exports = {
+    renderPairingWaitPage,
+    renderPairingAdminPage
+};
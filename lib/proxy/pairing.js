@@ -0,0 +1,119 @@
+// Device pairing for the emulator proxies
+// A device without a token asks to pair and is shown a short code. The
+// operator approves or rejects that code (terminal or admin page); the device
+// only gets a session once it polls and finds its request approved. Requests
+// are kept in memory and expire unanswered after a few minutes.
+
+const crypto = require('crypto');
+const { parseDuration } = require('./token-store');
+
+// No 0/O or 1/I, so codes can be read out loud or off a phone screen
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 6;
+
+function generateCode() {
+    const bytes = crypto.randomBytes(CODE_LENGTH);
+    return Array.from(bytes, byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]).join('');
+}
+
+// Accept "k7m-4qx", "K7M 4QX" etc.
+function normalizeCode(code) {
+    return String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+function formatCode(code) {
+    return `${code.slice(0, 3)}-${code.slice(3)}`;
+}
+
+// Device names end up as token owners; keep them short and printable
+function sanitizeDeviceName(name) {
+    return String(name || '').replace(/[^\w .@-]/g, '').trim().slice(0, 40);
+}
+
+/**
+ * Create the pairing queue.
+ *   ttl         how long a request waits for an answer (default 5m)
+ *   maxPending  cap on unanswered requests, so the queue cannot be flooded
+ *   onRequest   (request) => void, called for every new request
+ */
+function createPairingQueue({ ttl = '5m', maxPending = 20, onRequest = () => {} } = {}) {
+    const ttlMs = parseDuration(ttl);
+    const requests = new Map();
+
+    const prune = (now = Date.now()) => {
+        requests.forEach((request, id) => {
+            if (request.expiresAt <= now) {
+                requests.delete(id);
+            }
+        });
+    };
+
+    const pending = () => {
+        prune();
+        return Array.from(requests.values()).filter(request => request.status === 'pending');
+    };
+
+    // New request from a device; `id` is the device's secret handle, `code` what the operator sees
+    const request = ({ name, ip, userAgent }) => {
+        if (pending().length >= maxPending) {
+            return null;
+        }
+
+        let code = generateCode();
+        while (pending().some(existing => existing.code === code)) {
+            code = generateCode();
+        }
+
+        const now = Date.now();
+        const record = {
+            id: crypto.randomBytes(16).toString('hex'),
+            code,
+            displayCode: formatCode(code),
+            name: sanitizeDeviceName(name) || `device-${code.toLowerCase()}`,
+            ip,
+            userAgent,
+            status: 'pending',
+            createdAt: now,
+            expiresAt: now + ttlMs
+        };
+        requests.set(record.id, record);
+        onRequest(record);
+        return record;
+    };
+
+    const get = (id) => {
+        prune();
+        return id ? requests.get(id) || null : null;
+    };
+
+    const findPending = (code) => {
+        const wanted = normalizeCode(code);
+        return pending().find(request => request.code === wanted) || null;
+    };
+
+    // Approve the pending request with `code`; returns it, or null if none matches
+    const approve = (code, { role, approvedBy }) => {
+        const request = findPending(code);
+        if (!request) return null;
+
+        Object.assign(request, { status: 'approved', role, decidedBy: approvedBy, decidedAt: Date.now() });
+        return request;
+    };
+
+    const reject = (code, { rejectedBy }) => {
+        const request = findPending(code);
+        if (!request) return null;
+
+        Object.assign(request, { status: 'rejected', decidedBy: rejectedBy, decidedAt: Date.now() });
+        return request;
+    };
+
+    // The device picked up its answer; forget the request
+    const complete = (id) => requests.delete(id);
+
+    return { request, get, pending, approve, reject, complete };
+}
+
+module.exports = {
+    createPairingQueue
+};
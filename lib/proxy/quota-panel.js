@@ -0,0 +1,41 @@
+// Dashboard panel showing the caller's remaining rate-limit quota
+
+function renderQuotaPanel() {
+    return `
+        <div class="quota-panel" id="quota-panel">
+            <h3>📊 Your Quota</h3>
+            <div id="quota-body">Loading…</div>
+        </div>
+        <script>
+            (function () {
+                function row(label, status) {
+                    var pct = status.limit ? Math.round(100 * status.remaining / status.limit) : 0;
+                    return '<div style="margin: 6px 0;"><strong>' + label + '</strong>: ' +
+                        status.remaining + ' / ' + status.limit + ' left, resets in ' + status.resetSeconds + 's' +
+                        '<div style="background: #eee; border-radius: 4px; height: 6px;">' +
+                        '<div style="background: #667eea; border-radius: 4px; height: 6px; width: ' + pct + '%;"></div></div></div>';
+                }
+
+                function refresh() {
+                    fetch('/status/quota', { credentials: 'same-origin' })
+                        .then(function (response) { return response.json(); })
+                        .then(function (quota) {
+                            var html = '<p>Role: ' + quota.role + ' · window ' + quota.windowSeconds + 's</p>' + row('All requests', quota.caller);
+                            Object.keys(quota.services).forEach(function (key) {
+                                html += row(key, quota.services[key]);
+                            });
+                            document.getElementById('quota-body').innerHTML = html;
+                        })
+                        .catch(function () {
+                            document.getElementById('quota-body').textContent = 'Quota unavailable';
+                        });
+                }
+
+                refresh();
+                setInterval(refresh, 10000);
+            })();
+        </script>
+    `;
+}
+
+module.exports = { renderQuotaPanel };
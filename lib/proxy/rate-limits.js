@@ -0,0 +1,210 @@
+// Tiered rate limiting for the emulator proxies
+// Every request is counted against two sliding windows: the caller's own
+// budget (by token owner, token id or role) and the caller's budget for the
+// emulator service it is hitting. The tighter of the two is reported in the
+// standard RateLimit-* response headers.
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_RATE_LIMITS_PATH = path.join(__dirname, '..', '..', '.emulator-sharing', 'rate-limits.json');
+
+const DEFAULT_RATE_LIMITS = {
+    windowMs: 60 * 1000,
+    // Per caller, across all services
+    roles: {
+        anonymous: 60,
+        viewer: 600,
+        tester: 1200,
+        admin: 3000
+    },
+    // Per token owner or token id; takes precedence over the role
+    tokens: {},
+    // Per caller and service; the Emulator UI loads many assets at once
+    services: {
+        ui: 2000,
+        functions: 300,
+        default: 600
+    }
+};
+
+// Sign-in endpoints of every login method. They are counted whatever `skip`
+// says, so nothing about a request can lift the brute-force limit on them.
+const SIGN_IN_PATHS = [/^\/login(\/|$)/, /^\/auth$/, /^\/pair(\/|$)/, /^\/invite\//, /^\/challenge$/];
+
+const isSignInRequest = (req) => SIGN_IN_PATHS.some(pattern => pattern.test(req.path));
+
+function loadRateLimits(filePath = DEFAULT_RATE_LIMITS_PATH) {
+    if (!filePath || !fs.existsSync(filePath)) {
+        return DEFAULT_RATE_LIMITS;
+    }
+
+    const custom = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    return {
+        windowMs: custom.windowMs || DEFAULT_RATE_LIMITS.windowMs,
+        roles: { ...DEFAULT_RATE_LIMITS.roles, ...custom.roles },
+        tokens: { ...DEFAULT_RATE_LIMITS.tokens, ...custom.tokens },
+        services: { ...DEFAULT_RATE_LIMITS.services, ...custom.services }
+    };
+}
+
+/**
+ * Sliding window counter: the previous fixed window is weighted by how much
+ * of it still overlaps the sliding window.
+ */
+function createSlidingWindow(windowMs) {
+    const counters = new Map();
+
+    const current = (key, now) => {
+        const windowStart = now - (now % windowMs);
+        let counter = counters.get(key);
+
+        if (!counter || counter.windowStart < windowStart - windowMs) {
+            counter = { windowStart, count: 0, previous: 0 };
+        } else if (counter.windowStart < windowStart) {
+            counter = { windowStart, count: 0, previous: counter.count };
+        }
+        counters.set(key, counter);
+        return counter;
+    };
+
+    const estimate = (counter, now) => {
+        const overlap = 1 - (now - counter.windowStart) / windowMs;
+        return Math.floor(counter.previous * overlap + counter.count);
+    };
+
+    // Seconds until the weighted estimate drops below `limit` again
+    const retryAfter = (counter, limit, now) => {
+        const elapsed = now - counter.windowStart;
+        let freeAt;
+        if (counter.count < limit && counter.previous > 0) {
+            // Waiting for the previous window's weight to fade
+            freeAt = windowMs * (1 - (limit - counter.count) / counter.previous);
+        } else {
+            // The current window alone is full; it becomes `previous` next
+            freeAt = windowMs + windowMs * (1 - limit / Math.max(counter.count, 1));
+        }
+        return Math.max(1, Math.floor((freeAt - elapsed) / 1000) + 1);
+    };
+
+    // Usage for `key` without counting a request
+    const peek = (key, limit, now = Date.now()) => {
+        const counter = current(key, now);
+        const used = estimate(counter, now);
+        return {
+            limit,
+            used,
+            remaining: Math.max(0, limit - used),
+            resetSeconds: Math.ceil((counter.windowStart + windowMs - now) / 1000),
+            retryAfterSeconds: used >= limit ? retryAfter(counter, limit, now) : 0
+        };
+    };
+
+    // Count a request if it fits; returns the usage plus `allowed`
+    const hit = (key, limit, now = Date.now()) => {
+        const status = peek(key, limit, now);
+        if (status.used >= limit) {
+            return { ...status, allowed: false };
+        }
+        counters.get(key).count += 1;
+        return { ...status, used: status.used + 1, remaining: Math.max(0, status.remaining - 1), allowed: true };
+    };
+
+    // Forget counters that have not been touched for two windows
+    const prune = (now = Date.now()) => {
+        counters.forEach((counter, key) => {
+            if (counter.windowStart < now - 2 * windowMs) {
+                counters.delete(key);
+            }
+        });
+    };
+
+    return { peek, hit, prune };
+}
+
+/**
+ * Create the limiter.
+ *   limits     see DEFAULT_RATE_LIMITS
+ *   identify   req => { key, role, owner, tokenId } for the caller
+ *   serviceFor req => service key or null
+ *   skip       req => true to bypass limiting (e.g. streaming requests);
+ *              never applied to SIGN_IN_PATHS
+ *   onLimited  (req, details) => void, called for every rejected request
+ */
+function createRateLimiter({ limits = DEFAULT_RATE_LIMITS, identify, serviceFor = () => null, skip = () => false, onLimited = () => {} }) {
+    const windowSeconds = Math.round(limits.windowMs / 1000);
+    const windows = createSlidingWindow(limits.windowMs);
+    setInterval(() => windows.prune(), limits.windowMs).unref();
+
+    const callerLimit = (caller) =>
+        limits.tokens[caller.owner] || limits.tokens[caller.tokenId] ||
+        limits.roles[caller.role] || limits.roles.anonymous;
+
+    const serviceLimit = (service) => limits.services[service] || limits.services.default;
+
+    const setHeaders = (res, status) => {
+        res.set('RateLimit-Policy', `${status.limit};w=${windowSeconds}`);
+        res.set('RateLimit-Limit', String(status.limit));
+        res.set('RateLimit-Remaining', String(status.remaining));
+        res.set('RateLimit-Reset', String(status.resetSeconds));
+    };
+
+    const middleware = (req, res, next) => {
+        if (!isSignInRequest(req) && skip(req)) {
+            return next();
+        }
+
+        const caller = identify(req);
+        const service = serviceFor(req);
+        const checks = [{ scope: 'caller', status: windows.peek(`caller:${caller.key}`, callerLimit(caller)) }];
+        if (service) {
+            checks.push({ scope: `service:${service}`, status: windows.peek(`service:${caller.key}:${service}`, serviceLimit(service)) });
+        }
+
+        const exhausted = checks.find(check => check.status.remaining === 0);
+        if (exhausted) {
+            setHeaders(res, exhausted.status);
+            res.set('Retry-After', String(exhausted.status.retryAfterSeconds));
+            onLimited(req, { scope: exhausted.scope, limit: exhausted.status.limit, role: caller.role });
+            return res.status(429).json({
+                error: 'Rate limit exceeded',
+                message: `Too many requests (${exhausted.scope}). Please wait before trying again.`,
+                retryAfter: exhausted.status.retryAfterSeconds
+            });
+        }
+
+        const results = [windows.hit(`caller:${caller.key}`, callerLimit(caller))];
+        if (service) {
+            results.push(windows.hit(`service:${caller.key}:${service}`, serviceLimit(service)));
+        }
+        setHeaders(res, results.reduce((tightest, status) => status.remaining < tightest.remaining ? status : tightest));
+        next();
+    };
+
+    // Current usage for the caller behind `req`, for /status/quota
+    const quota = (req, serviceKeys = []) => {
+        const caller = identify(req);
+        const services = {};
+        serviceKeys.forEach(service => {
+            services[service] = windows.peek(`service:${caller.key}:${service}`, serviceLimit(service));
+        });
+
+        return {
+            owner: caller.owner,
+            role: caller.role,
+            windowSeconds,
+            caller: windows.peek(`caller:${caller.key}`, callerLimit(caller)),
+            services
+        };
+    };
+
+    return { middleware, quota, limits };
+}
+
+module.exports = {
+    DEFAULT_RATE_LIMITS,
+    DEFAULT_RATE_LIMITS_PATH,
+    loadRateLimits,
+    createSlidingWindow,
+    createRateLimiter
+};
@@ -0,0 +1,228 @@
+// Keeps services working when they are proxied under a path (/ui, /frontend, ...)
+// Apps written for their own origin link to root paths ("/assets/app.js") and
+// to their upstream address ("http://localhost:8080"). Both are rewritten to
+// the service path in HTML, CSS and JavaScript responses and in redirects, and
+// HTML pages get a small script that does the same for URLs built at runtime
+// (fetch, XMLHttpRequest, WebSocket, EventSource). Whatever still slips through
+// is caught by refererFallback() and redirected into the service it came from.
+
+const { matchService } = require('./service-map');
+const { isStreamingRequest } = require('./streaming');
+
+const REWRITABLE_TYPES = /^\s*(text\/html|text\/css|text\/javascript|application\/javascript|application\/x-javascript)\s*(;|$)/i;
+
+// Root paths in markup, stylesheets and ES module imports
+const HTML_ATTRIBUTE_PATTERN = /(\s(?:src|href|action|formaction|poster|data)\s*=\s*["']?)\/(?!\/)/gi;
+const CSS_URL_PATTERN = /(url\(\s*["']?|@import\s+["'])\/(?!\/)/gi;
+const JS_IMPORT_PATTERN = /((?:^|[^.\w$])(?:from\s*|import\s*\(?\s*)["'])\/(?!\/)/gm;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Addresses a page may use to reach a service without the proxy, longest first
+function upstreamOrigins(services, hosts) {
+    const origins = [];
+    Object.values(services).forEach(service => {
+        new Set([service.host, 'localhost', '127.0.0.1', ...hosts]).forEach(host => {
+            ['http', 'ws'].forEach(scheme => {
+                origins.push({ origin: `${scheme}://${host}:${service.port}`, path: service.path });
+            });
+        });
+    });
+    return origins.sort((a, b) => b.origin.length - a.origin.length);
+}
+
+// Set-Cookie domains name the upstream host, which the browser never sees
+const stripCookieDomain = (cookie) => cookie.replace(/;\s*domain=[^;]*/gi, '');
+
+function renderShim(prefix, origins, servicePaths) {
+    const config = JSON.stringify({
+        prefix,
+        paths: servicePaths,
+        origins: origins.map(({ origin, path }) => [origin, path])
+    }).replace(/</g, '\\u003c');
+
+    return `<script>(function (config) {
+    function routed(url) {
+        return config.paths.some(function (path) {
+            return url === path || url.indexOf(path + '/') === 0 || url.indexOf(path + '?') === 0;
+        });
+    }
+    function fix(url) {
+        if (typeof url !== 'string') return url;
+        for (var i = 0; i < config.origins.length; i++) {
+            var origin = config.origins[i][0];
+            if (url.indexOf(origin) === 0 && !/^\\d/.test(url.charAt(origin.length))) {
+                return config.origins[i][1] + url.slice(origin.length);
+            }
+        }
+        var sameHost = /^(?:[a-z]+:)?\\/\\/([^\\/?#]+)(.*)$/i.exec(url);
+        if (sameHost && sameHost[1] === location.host && sameHost[2].charAt(0) === '/') {
+            return url.slice(0, url.length - sameHost[2].length) + fix(sameHost[2]);
+        }
+        if (url.charAt(0) === '/' && url.charAt(1) !== '/' && !routed(url)) return config.prefix + url;
+        return url;
+    }
+    var nativeFetch = window.fetch;
+    if (nativeFetch) {
+        window.fetch = function (input, init) {
+            if (typeof input === 'string' || input instanceof URL) {
+                input = fix(String(input));
+            } else if (input && input.url && fix(input.url) !== input.url) {
+                input = new Request(fix(input.url), input);
+            }
+            return nativeFetch.call(this, input, init);
+        };
+    }
+    var nativeOpen = XMLHttpRequest.prototype.open;
+    XMLHttpRequest.prototype.open = function (method, url) {
+        arguments[1] = fix(String(url));
+        return nativeOpen.apply(this, arguments);
+    };
+    function wrapConstructor(name, toAbsolute) {
+        var Native = window[name];
+        if (!Native) return;
+        var Wrapped = function (url, options) {
+            url = fix(String(url));
+            if (url.charAt(0) === '/') url = toAbsolute(url);
+            return options === undefined ? new Native(url) : new Native(url, options);
+        };
+        Wrapped.prototype = Native.prototype;
+        ['CONNECTING', 'OPEN', 'CLOSING', 'CLOSED'].forEach(function (key) {
+            if (key in Native) Wrapped[key] = Native[key];
+        });
+        window[name] = Wrapped;
+    }
+    wrapConstructor('WebSocket', function (url) {
+        return (location.protocol === 'https:' ? 'wss://' : 'ws://') + location.host + url;
+    });
+    wrapConstructor('EventSource', function (url) {
+        return url;
+    });
+})(${config});</script>`;
+}
+
+/**
+ * Create the rewriter for one service map.
+ *   services   the proxied services ({ key: { name, host, port, path } })
+ *   hosts      extra names the upstreams are reachable under (e.g. the LAN IP)
+ */
+function createResponseRewriter({ services, hosts = [] }) {
+    const origins = upstreamOrigins(services, hosts);
+    const servicePaths = Object.values(services).map(service => service.path);
+    const originPatterns = origins.map(({ origin, path }) => ({
+        pattern: new RegExp(`${escapeRegExp(origin)}(?!\\d)`, 'g'),
+        path
+    }));
+
+    // Paths that already point at a service are left alone
+    const isRouted = (url) => servicePaths.some(servicePath =>
+        url === servicePath || url.startsWith(`${servicePath}/`) || url.startsWith(`${servicePath}?`));
+
+    const rewriteUrl = (url, prefix) => {
+        const origin = origins.find(candidate => url.startsWith(candidate.origin) && !/^\d/.test(url.charAt(candidate.origin.length)));
+        if (origin) {
+            return origin.path + url.slice(origin.origin.length);
+        }
+        if (url.startsWith('/') && !url.startsWith('//') && !isRouted(url)) {
+            return prefix + url;
+        }
+        return url;
+    };
+
+    const prefixRootPaths = (text, pattern, prefix) => text.replace(pattern, (match, lead, offset, whole) => {
+        const url = whole.slice(offset + lead.length).match(/^[^"'\s>)]*/)[0];
+        return isRouted(url) ? match : `${lead}${prefix}/`;
+    });
+
+    // Root paths first, so upstream addresses rewritten to another service keep its path
+    const rewriteBody = (text, contentType, prefix) => {
+        const type = contentType.split(';')[0].trim().toLowerCase();
+        let body = text;
+
+        if (type === 'text/html') {
+            body = prefixRootPaths(body, HTML_ATTRIBUTE_PATTERN, prefix);
+        }
+        if (type === 'text/html' || type === 'text/css') {
+            body = prefixRootPaths(body, CSS_URL_PATTERN, prefix);
+        }
+        if (type !== 'text/css') {
+            body = prefixRootPaths(body, JS_IMPORT_PATTERN, prefix);
+        }
+        originPatterns.forEach(({ pattern, path }) => {
+            body = body.replace(pattern, path);
+        });
+
+        if (type === 'text/html') {
+            const shim = renderShim(prefix, origins, servicePaths);
+            const head = /<head(\s[^>]*)?>/i.exec(body) || /<html(\s[^>]*)?>/i.exec(body);
+            body = head
+                ? body.slice(0, head.index + head[0].length) + shim + body.slice(head.index + head[0].length)
+                : shim + body;
+        }
+        return body;
+    };
+
+    const isRewritable = (proxyRes, req) => {
+        const contentType = proxyRes.headers['content-type'] || '';
+        const encoding = proxyRes.headers['content-encoding'] || 'identity';
+        return REWRITABLE_TYPES.test(contentType)
+            && !/charset=(?!"?utf-?8)/i.test(contentType)
+            && encoding === 'identity'
+            && req.method !== 'HEAD'
+            && !isStreamingRequest(req);
+    };
+
+    // Used as the onProxyRes handler of a proxy with selfHandleResponse
+    const handleResponse = (proxyRes, req, res, service) => {
+        const headers = { ...proxyRes.headers };
+        delete headers.connection;
+        delete headers['keep-alive'];
+        delete headers['transfer-encoding'];
+        if (headers.location) {
+            headers.location = rewriteUrl(headers.location, service.path);
+        }
+        if (headers['set-cookie']) {
+            headers['set-cookie'] = headers['set-cookie'].map(stripCookieDomain);
+        }
+
+        if (!isRewritable(proxyRes, req)) {
+            res.writeHead(proxyRes.statusCode, proxyRes.statusMessage, headers);
+            proxyRes.pipe(res);
+            return;
+        }
+
+        const chunks = [];
+        proxyRes.on('data', chunk => chunks.push(chunk));
+        proxyRes.on('error', () => res.destroy());
+        proxyRes.on('end', () => {
+            const body = Buffer.from(rewriteBody(Buffer.concat(chunks).toString('utf8'), headers['content-type'], service.path));
+            headers['content-length'] = body.length;
+            res.writeHead(proxyRes.statusCode, proxyRes.statusMessage, headers);
+            res.end(body);
+        });
+    };
+
+    // Requests for root paths made from inside a proxied page (e.g. an image
+    // src set by script) are sent back into that page's service
+    const refererFallback = (req, res, next) => {
+        let referer;
+        try {
+            referer = new URL(req.headers.referer);
+        } catch (error) {
+            return next();
+        }
+
+        const match = referer.host === req.headers.host && matchService(services, referer.pathname);
+        if (!match) {
+            return next();
+        }
+        res.redirect(307, `${match.service.path}${req.originalUrl}`);
+    };
+
+    return { rewriteUrl, rewriteBody, handleResponse, refererFallback };
+}
+
+module.exports = {
+    REWRITABLE_TYPES,
+    createResponseRewriter
+};
@@ -0,0 +1,153 @@
+// Role-based authorization for proxied emulator services
+// A role lists the services and HTTP methods it may use. Optional rules are
+// checked first (first match wins) to carve out exceptions per path.
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_ROLES_PATH = path.join(__dirname, '..', '..', '.emulator-sharing', 'roles.json');
+const DEFAULT_ROLE = 'tester';
+
+// Emulator admin endpoints that wipe or reset data
+const FIRESTORE_WIPE_PATH = '^/emulator/v1/projects/[^/]+/databases/[^/]+/documents';
+const AUTH_WIPE_PATH = '^/emulator/v1/projects/[^/]+/accounts';
+
+// Auth emulator endpoints that create accounts or change them as an
+// administrator, custom claims included, with or without the project and
+// tenant prefix. Sign-in with emulator accounts takes the proxy role from such
+// a claim, so only admins may reach them, whatever a role's rules say.
+const AUTH_ACCOUNT_ADMIN_PATH = /^\/identitytoolkit\.googleapis\.com\/v1\/(projects\/[^/]+\/)?(tenants\/[^/]+\/)?accounts(:update|:batchCreate)?\/?$/i;
+
+// The emulator treats "Bearer owner" and any Google access token as the
+// project owner. Users send their ID token, which is a JWT.
+const USER_ID_TOKEN = /^bearer\s+eyJ[\w-]*\.[\w-]+\.[\w-]*$/i;
+
+// The path as the emulators route it: escapes decoded (a malformed one does
+// not stop the others), repeated slashes and dot segments resolved
+function normalizeRequestPath(requestPath) {
+    const decoded = String(requestPath || '/').replace(/(%[0-9a-f]{2})+/gi, escapes => {
+        try {
+            return decodeURIComponent(escapes);
+        } catch (error) {
+            return escapes;
+        }
+    });
+    return path.posix.normalize(`/${decoded}`);
+}
+
+// `requestPath` is normalized already
+const isAuthAccountAdminRequest = (requestPath, headers) => {
+    const authorization = String(headers.authorization || '').trim();
+    return AUTH_ACCOUNT_ADMIN_PATH.test(requestPath) ||
+        (authorization !== '' && !USER_ID_TOKEN.test(authorization));
+};
+
+const DEFAULT_ROLES = {
+    viewer: {
+        description: 'Read-only access to the Emulator UI, Firestore and Functions',
+        services: ['ui', 'firestore', 'functions'],
+        methods: ['GET', 'HEAD', 'OPTIONS'],
+        rules: [
+            // Firestore reads that the REST API sends as POST
+            { service: 'firestore', methods: ['POST'], path: ':(runQuery|runAggregationQuery|batchGet|listCollectionIds)$', allow: true },
+            { service: 'firestore', path: '^/emulator/', allow: false }
+        ]
+    },
+    tester: {
+        description: 'Full use of every service, without the emulator reset endpoints',
+        services: ['*'],
+        methods: ['*'],
+        rules: [
+            { service: 'firestore', methods: ['DELETE'], path: FIRESTORE_WIPE_PATH, allow: false },
+            { service: 'auth', methods: ['DELETE'], path: AUTH_WIPE_PATH, allow: false }
+        ]
+    },
+    admin: {
+        description: 'Unrestricted access, including emulator admin endpoints',
+        services: ['*'],
+        methods: ['*'],
+        rules: []
+    }
+};
+
+const includesOrWildcard = (list, value) => list.includes('*') || list.includes(value);
+
+function compileRole(name, role) {
+    const rules = (role.rules || []).map(rule => ({
+        service: rule.service || '*',
+        methods: (rule.methods || ['*']).map(method => method.toUpperCase()),
+        path: new RegExp(rule.path || '.*'),
+        allow: Boolean(rule.allow)
+    }));
+
+    return {
+        name,
+        description: role.description || '',
+        services: role.services || [],
+        methods: (role.methods || []).map(method => method.toUpperCase()),
+        rules
+    };
+}
+
+// Load roles, letting a JSON file override or add to the defaults
+function loadRoles(filePath = DEFAULT_ROLES_PATH) {
+    let definitions = DEFAULT_ROLES;
+    if (filePath && fs.existsSync(filePath)) {
+        const custom = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        definitions = { ...DEFAULT_ROLES, ...custom };
+    }
+
+    const roles = {};
+    Object.entries(definitions).forEach(([name, role]) => {
+        roles[name] = compileRole(name, role);
+    });
+    return roles;
+}
+
+function canUseService(role, serviceKey) {
+    return Boolean(role) && includesOrWildcard(role.services, serviceKey);
+}
+
+// Decide whether `role` may send `method` to `requestPath` on a service.
+// Rules see the path as the emulator will route it. `headers` are the
+// request's, for the Auth emulator's admin credentials. Returns { allowed, reason }.
+function authorize(role, serviceKey, method, requestPath, headers = {}) {
+    if (!role) {
+        return { allowed: false, reason: 'unknown role' };
+    }
+    if (!canUseService(role, serviceKey)) {
+        return { allowed: false, reason: `service ${serviceKey} not permitted` };
+    }
+
+    const normalizedPath = normalizeRequestPath(requestPath);
+    if (serviceKey === 'auth' && role.name !== 'admin' && isAuthAccountAdminRequest(normalizedPath, headers)) {
+        return { allowed: false, reason: 'Auth emulator account administration is for admins only' };
+    }
+
+    const upperMethod = method.toUpperCase();
+    const rule = role.rules.find(candidate =>
+        (candidate.service === '*' || candidate.service === serviceKey) &&
+        includesOrWildcard(candidate.methods, upperMethod) &&
+        candidate.path.test(normalizedPath)
+    );
+
+    if (rule) {
+        return rule.allow
+            ? { allowed: true, reason: `rule ${rule.path}` }
+            : { allowed: false, reason: `path ${normalizedPath} denied by rule ${rule.path}` };
+    }
+
+    if (!includesOrWildcard(role.methods, upperMethod)) {
+        return { allowed: false, reason: `method ${upperMethod} not permitted` };
+    }
+    return { allowed: true, reason: 'role default' };
+}
+
+module.exports = {
+    DEFAULT_ROLES,
+    DEFAULT_ROLES_PATH,
+    DEFAULT_ROLE,
+    loadRoles,
+    canUseService,
+    authorize
+};
@@ -0,0 +1,1267 @@
+// Secure emulator proxy, shared by secure-local-proxy.js and https-wrapper-proxy.js
+// createSecureProxy() builds the whole gateway (sessions, login methods,
+// roles, rate limits, audit log, metrics, health probes, HAR recording and
+// the service routes) without listening, so scripts and integration tests
+// can start it in-process:
+//
+//   const proxy = createSecureProxy({ port: 0, auth: [tokenLogin()], tokenStore, services });
+//   const { url } = await proxy.start();
+//   ...
+//   await proxy.stop();
+
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const path = require('path');
+const express = require('express');
+const { createProxyMiddleware, fixRequestBody } = require('http-proxy-middleware');
+const helmet = require('helmet');
+const session = require('express-session');
+const { loadRoles, canUseService, authorize } = require('./roles');
+const { createAuditLog, redactUrl } = require('./audit-log');
+const { auditFiltersFromQuery, renderAuditPage } = require('./audit-page');
+const { watchServiceMap, matchService } = require('./service-map');
+const { isStreamingPath, isWebSocketUpgrade, rejectUpgrade } = require('./streaming');
+const { createRateLimiter, DEFAULT_RATE_LIMITS } = require('./rate-limits');
+const { createHarRecorder } = require('./har-recorder');
+const { renderHarListPage } = require('./har-page');
+const { createProxyMetrics, isMetricsScrapeAllowed } = require('./metrics');
+const { createHealthProber } = require('./health');
+const { renderLoginPage } = require('./login-page');
+const { DEFAULT_PROXY_PORT } = require('./network');
+const { renderDashboardPage } = require('./dashboard-page');
+const { createResponseRewriter } = require('./response-rewriter');
+const { createFaultInjector } = require('./faults');
+const { renderFaultsPage } = require('./faults-page');
+const { csrfField, csrfToken, isValidCsrf } = require('./csrf');
+const { renderSessionsPage } = require('./sessions-page');
+const { createLiveFeed } = require('./live-feed');
+const { METHODS, parseHeaders, createFunctionsConsole } = require('./functions-console');
+const { renderFunctionsPage } = require('./functions-page');
+const { createEmulatorAuth } = require('./emulator-auth');
+const { splitPath, createFirestoreBrowser } = require('./firestore-browser');
+const { renderFirestorePage } = require('./firestore-page');
+const { createIpFilter, forwardedClientIp } = require('./ip-access');
+const { createLockoutStore } = require('./lockouts');
+const { renderLockoutsPage } = require('./lockouts-page');
+const { createAutomationDetector } = require('./automation');
+const { renderChallengePage } = require('./challenge-page');
+
+const SESSION_MAX_AGE_MS = 60 * 60 * 1000;
+// How often a session's "last seen" time is refreshed
+const LAST_SEEN_RESOLUTION_MS = 60 * 1000;
+// Earned before signing in and still valid after (a passed automation challenge)
+const SESSION_FIELDS_KEPT_ON_SIGN_IN = ['automationPass'];
+
+const SESSION_ERRORS = {
+    expired: 'Your session ended because its token was revoked or expired.',
+    csrf: 'The login form expired. Please try again.',
+    automation: 'Your session looked automated. Please sign in again.'
+};
+
+// Login events that count towards, or reset, an address's lockout
+const FAILED_LOGIN_EVENTS = ['FAILED_LOGIN', 'INVITE_REJECTED', 'AUTOMATED_LOGIN_ATTEMPT'];
+
+// The "frames" dashboard loads services from their proxy paths into an iframe
+function contentSecurityPolicy(dashboard) {
+    const frames = dashboard === 'frames';
+    return {
+        defaultSrc: ["'self'"],
+        styleSrc: ["'self'", "'unsafe-inline'"],
+        scriptSrc: ["'self'", "'unsafe-inline'"],
+        ...(frames ? { scriptSrcAttr: ["'unsafe-inline'"] } : {}), // onclick handlers of the service cards
+        imgSrc: ["'self'", "data:", "blob:"],
+        connectSrc: ["'self'"],
+        fontSrc: ["'self'"],
+        objectSrc: ["'none'"],
+        mediaSrc: ["'self'"],
+        frameSrc: frames ? ["'self'"] : ["'none'"]
+    };
+}
+
+/**
+ * Create the proxy; nothing listens until start().
+ *   name           shown in logs, port conflict warnings and HAR files
+ *   port, host     where start() listens (port 0 picks a free port)
+ *   https          { key, cert } to serve HTTPS, or null for plain HTTP
+ *   tunnel         { hops } when requests arrive through a tunnel or reverse proxy
+ *                  (ngrok, cloudflared): X-Forwarded-For and X-Forwarded-Proto from
+ *                  that many proxies are trusted and the session cookie is HTTPS-only.
+ *                  null (default) trusts no forwarded headers
+ *   dashboard      "links" opens services in a new tab, "frames" in an iframe on the dashboard
+ *   services       fixed service map ({ key: { name, host, port, path } }), or
+ *   serviceMap     watchServiceMap options (firebase.json, overrides, extraServices,
+ *                  reservedPorts for other ports the caller listens on)
+ *   portOverrides  { serviceKey: port } applied to every service map load
+ *   auth           login methods from auth-providers.js, in login page order
+ *   tokenStore     token store behind token sessions (required by every method but sharedTokenLogin)
+ *   roles          role definitions (default: loadRoles())
+ *   sessionSecret  default: random per process (see loadSessionSecret() for one kept on disk)
+ *   sessionStore   express-session store (default: in memory; see session-store.js)
+ *   auditLog       createAuditLog options
+ *   rateLimits     see rate-limits.js
+ *   rewrite        { hosts } to rewrite proxied pages onto their service path (see
+ *                  response-rewriter.js), or null to pass responses through untouched
+ *   har            createHarRecorder options plus recordAll, or null
+ *   faults         createFaultInjector options, or null to leave fault injection out
+ *   functionsConsole  createFunctionsConsole options plus authEmulatorHost ("host:port",
+ *                  default: the service map's auth entry), or null to leave the console out
+ *   firestoreBrowser  createFirestoreBrowser options, or null to leave the browser out
+ *   ipAccess       { allow, deny } CIDR lists (default: private networks only; see
+ *                  ip-access.js), or null to accept every address
+ *   lockouts       createLockoutStore options, or null to never lock addresses out
+ *   automation     createAutomationDetector settings (see automation.js), or null
+ *                  to turn automation detection off
+ *   metricsToken   bearer token for remote /metrics scrapes
+ *   health         { intervalMs, timeoutMs } for the upstream probes
+ *   live           createLiveFeed options for the dashboard's /events stream
+ *   publicRoutes   (app) => void adding routes served without a session
+ *   pages          { loginSubtitle, dashboardSubtitle, autoLoad, loginLinks } page texts
+ *   logger         console-like object for status output (default: console)
+ *
+ * Login forms are rendered with renderForm({ csrfField }) and must include
+ * the field; their POST routes are checked for it.
+ *
+ * Login methods get a context with { tokenStore, roles, auditLog,
+ * logSecurityEvent, signIn(req, { owner, role, tokenId }, extraSessionFields),
+ * requireAdmin, services() }. signIn() moves the device to a new session and
+ * returns a promise; send the response once it has settled.
+ */
+function createSecureProxy(options = {}) {
+    const {
+        name = 'secure-proxy',
+        port = DEFAULT_PROXY_PORT,
+        host = '0.0.0.0',
+        dashboard = 'links',
+        rewrite = null,
+        tunnel = null,
+        auth = [],
+        tokenStore = null,
+        roles = loadRoles(),
+        sessionSecret = crypto.randomBytes(32).toString('hex'),
+        sessionStore = new session.MemoryStore(),
+        rateLimits = DEFAULT_RATE_LIMITS,
+        har = null,
+        faults = null,
+        functionsConsole: functionsConsoleOptions = null,
+        firestoreBrowser: firestoreBrowserOptions = null,
+        ipAccess = {},
+        lockouts: lockoutOptions = {},
+        automation: automationSettings = {},
+        metricsToken = null,
+        health = {},
+        pages = {},
+        publicRoutes = () => {},
+        portOverrides = {},
+        logger = console
+    } = options;
+    const useHttps = Boolean(options.https);
+    // Proxies in front of this one whose X-Forwarded-* headers are believed
+    const trustedHops = tunnel ? (tunnel.hops || 1) : 0;
+
+    const app = express();
+    // req.ip, req.secure and req.protocol then describe the caller, not the tunnel
+    if (trustedHops) app.set('trust proxy', trustedHops);
+    let services = {};
+
+    // Service map: fixed, or from firebase.json and reloaded when it changes
+    const applyServiceMap = (map, warnings = []) => {
+        Object.entries(portOverrides).forEach(([key, overridePort]) => {
+            if (overridePort && map[key]) {
+                map[key].port = parseInt(overridePort, 10);
+            }
+        });
+        services = map;
+        serviceRouter = buildServiceRouter(map);
+        warnings.forEach(warning => logger.warn(`⚠️  ${warning}`));
+    };
+
+    // Network allow and deny lists (see checkNetwork below)
+    const ipFilter = ipAccess ? createIpFilter(ipAccess) : null;
+
+    // Failed login counts per address, kept across restarts
+    const lockouts = lockoutOptions ? createLockoutStore(lockoutOptions) : null;
+
+    // Automation detection: scored per request, challenged or blocked above the thresholds
+    const automation = automationSettings ? createAutomationDetector(automationSettings) : null;
+
+    // Security middleware
+    app.use(helmet({
+        contentSecurityPolicy: { directives: contentSecurityPolicy(dashboard) },
+        crossOriginEmbedderPolicy: false
+    }));
+
+    // Session management (also used to authenticate WebSocket upgrades)
+    // SameSite keeps other sites from submitting the admin forms with the cookie
+    const sessionMiddleware = session({
+        secret: sessionSecret,
+        store: sessionStore,
+        resave: false,
+        saveUninitialized: false,
+        cookie: {
+            // Behind a tunnel the browser talks HTTPS to the tunnel
+            secure: useHttps || Boolean(tunnel),
+            httpOnly: true,
+            sameSite: 'lax',
+            maxAge: SESSION_MAX_AGE_MS
+        }
+    });
+    app.use(sessionMiddleware);
+
+    app.use(express.urlencoded({ extended: true }));
+    app.use(express.json());
+
+    // Live dashboard feed (/events): health changes, proxied requests and
+    // security events. Every request already shows up as PROXY_ACCESS in the
+    // audit log, so the request feed carries those instead.
+    const liveFeed = createLiveFeed(options.live);
+
+    // Security logging (JSONL audit trail)
+    const auditLog = createAuditLog({
+        ...options.auditLog,
+        onRecord: (line) => {
+            if (line.event !== 'PROXY_ACCESS') liveFeed.publish('security', line);
+        }
+    });
+
+    // Express requests have req.ip; WebSocket upgrades are raw requests
+    const clientIp = (req) => req.ip || forwardedClientIp(req, trustedHops);
+
+    const logSecurityEvent = (event, req, details = {}) => {
+        const ip = clientIp(req);
+        auditLog.record({
+            event,
+            ip,
+            userAgent: req.headers['user-agent'] || 'Unknown',
+            owner: (req.session && req.session.tokenOwner) || 'anonymous',
+            method: req.method,
+            path: req.originalUrl || req.url,
+            ...details
+        });
+
+        // Every login method reports through here, so this is where failures are counted
+        if (lockouts && FAILED_LOGIN_EVENTS.includes(event)) {
+            const result = lockouts.recordFailure(ip);
+            if (result.locked) {
+                logSecurityEvent('IP_LOCKED_OUT', req, { lockedForSeconds: Math.ceil(result.lockedForMs / 1000) });
+            }
+        } else if (event === 'SUCCESSFUL_LOGIN') {
+            if (lockouts) lockouts.recordSuccess(ip);
+            // Signing in again is what the "reauth" challenge asks for
+            if (automation && automation.config.challenge === 'reauth' && req.session) {
+                automation.grantPass(req.session, req.automationSignals || []);
+            }
+        }
+    };
+
+    // Addresses outside the allow list (or inside the deny list) get nothing but a 403
+    const checkNetwork = (req) => {
+        const decision = ipFilter ? ipFilter.check(clientIp(req)) : { allowed: true };
+        if (!decision.allowed) {
+            logSecurityEvent('IP_BLOCKED', req, { reason: decision.reason, status: 403 });
+        }
+        return decision.allowed;
+    };
+    app.use((req, res, next) => checkNetwork(req) ? next() : res.status(403).send('Access from this network is not allowed'));
+
+    // Prometheus metrics (served at /metrics)
+    const metrics = createProxyMetrics();
+
+    // Long-lived streams of signed-in callers (realtime listeners on a proxied
+    // service, the dashboard feed) are exempt from rate limiting. Only the
+    // session and the pathname decide: the Accept header and query string are
+    // the client's to choose.
+    const isExemptStream = (req) => {
+        if (!req.session.authenticated) {
+            return false;
+        }
+        return req.path === '/events' || (Boolean(matchService(services, req.path)) && isStreamingPath(req.path));
+    };
+
+    // Rate limiting per caller and per service
+    const rateLimiter = createRateLimiter({
+        limits: rateLimits,
+        identify: (req) => {
+            const { session: current } = req;
+            if (current.tokenId) {
+                return { key: `token:${current.tokenId}`, role: current.tokenRole, owner: current.tokenOwner, tokenId: current.tokenId };
+            }
+            return current.authenticated
+                ? { key: `session:${req.sessionID}`, role: current.tokenRole, owner: current.tokenOwner }
+                : { key: `ip:${req.ip}`, role: 'anonymous', owner: 'anonymous' };
+        },
+        serviceFor: (req) => {
+            const match = matchService(services, req.path);
+            return match ? match.key : null;
+        },
+        skip: isExemptStream,
+        onLimited: (req, details) => {
+            metrics.rateLimitRejected(details);
+            logSecurityEvent('RATE_LIMITED', req, { ...details, status: 429 });
+        }
+    });
+    app.use(rateLimiter.middleware);
+
+    // Scraped by Prometheus without a session, so it sits in front of bot detection and login
+    app.get('/metrics', (req, res) => {
+        if (!isMetricsScrapeAllowed(req, metricsToken) && req.session.tokenRole !== 'admin') {
+            logSecurityEvent('ACCESS_DENIED', req, { reason: 'metrics scrape not allowed', status: 403 });
+            return res.status(403).send('Forbidden');
+        }
+        res.type('text/plain; version=0.0.4').send(metrics.render());
+    });
+
+    publicRoutes(app);
+
+    const wantsPage = (req) => req.method === 'GET' && Boolean(req.accepts('html')) && !req.xhr;
+
+    const detectAutomation = (req, res, next) => {
+        if (!automation) return next();
+
+        const { score, signals } = automation.inspect(req, res);
+        const { config } = automation;
+        req.automationSignals = signals;
+        if (score >= config.blockAt) {
+            logSecurityEvent('BOT_DETECTED', req, { score, reasons: signals, status: 429 });
+            return res.status(429).json({
+                error: 'Automated access detected',
+                message: 'This service is protected against automated access. Please use a regular browser.',
+                userAgent: req.get('User-Agent') || ''
+            });
+        }
+        if (score < config.challengeAt || req.path === '/challenge' || automation.hasPass(req.session, signals)) {
+            return next();
+        }
+
+        // With "reauth", signing in is the challenge, so only sessions are asked.
+        // Suspicious sign-in attempts go ahead, but count towards the lockout.
+        if (config.challenge === 'reauth') {
+            if (!req.session.authenticated) {
+                if (isLoginAttempt(req)) {
+                    logSecurityEvent('AUTOMATED_LOGIN_ATTEMPT', req, { score, reasons: signals });
+                }
+                return next();
+            }
+            logSecurityEvent('AUTOMATION_CHALLENGED', req, { score, reasons: signals, challenge: 'reauth' });
+            return req.session.destroy(() => wantsPage(req)
+                ? res.redirect('/login?error=automation')
+                : res.status(401).json({ error: 'Sign in again', login: '/login' }));
+        }
+
+        logSecurityEvent('AUTOMATION_CHALLENGED', req, { score, reasons: signals, challenge: 'pow' });
+        if (wantsPage(req)) {
+            return res.redirect(`/challenge?return=${encodeURIComponent(req.originalUrl)}`);
+        }
+        res.status(429).json({ error: 'Challenge required', message: 'Open this proxy in a browser to continue.', challenge: '/challenge' });
+    };
+
+    // Token sessions end as soon as their token is revoked or expires
+    const isSessionActive = (current) =>
+        Boolean(current && current.authenticated && (!current.tokenId || (tokenStore && tokenStore.isActive(current.tokenId))));
+
+    const publicPaths = ['/', '/login', ...(automation ? ['/challenge'] : []), ...auth.flatMap(method => method.publicPaths || [])];
+    const publicPrefixes = auth.flatMap(method => method.publicPrefixes || []);
+
+    // Authentication middleware
+    const requireAuth = (req, res, next) => {
+        if (req.session.authenticated) {
+            if (isSessionActive(req.session)) {
+                return next();
+            }
+
+            logSecurityEvent('TOKEN_INVALIDATED', req, { tokenId: req.session.tokenId });
+            return req.session.destroy(() => res.redirect('/login?error=expired'));
+        }
+
+        if (publicPaths.includes(req.path) || publicPrefixes.some(prefix => req.path.startsWith(prefix))) {
+            return next();
+        }
+
+        logSecurityEvent('UNAUTHORIZED_ACCESS', req);
+        res.redirect('/login');
+    };
+
+    const requireAdmin = (req, res, next) => {
+        if (req.session.tokenRole !== 'admin') {
+            logSecurityEvent('ACCESS_DENIED', req, { role: req.session.tokenRole, reason: 'admin only', status: 403 });
+            return res.status(403).send('Admin role required');
+        }
+        next();
+    };
+
+    // Login forms work without a session, so SameSite does not protect them:
+    // they and logout need the session's CSRF token
+    const csrfPaths = new Set(['/logout', ...publicPaths]);
+    const requireCsrf = (req, res, next) => {
+        if (req.method !== 'POST' || !csrfPaths.has(req.path) || isValidCsrf(req)) {
+            return next();
+        }
+
+        logSecurityEvent('CSRF_REJECTED', req, { status: 403 });
+        if (req.session.authenticated) {
+            return res.status(403).send('Invalid or missing CSRF token');
+        }
+        res.redirect('/login?error=csrf');
+    };
+
+    // A locked-out address may not try logging in again (the login page
+    // itself stays reachable to explain why)
+    const isLoginAttempt = (req) =>
+        (req.method === 'POST' && publicPaths.includes(req.path)) || publicPrefixes.some(prefix => req.path.startsWith(prefix));
+    const requireNotLockedOut = (req, res, next) => {
+        if (!lockouts || req.session.authenticated || !isLoginAttempt(req) || !lockouts.status(req.ip).locked) {
+            return next();
+        }
+
+        logSecurityEvent('LOGIN_LOCKED', req, { retryAfterSeconds: lockouts.status(req.ip).retryAfterSeconds });
+        res.redirect('/login?error=locked');
+    };
+
+    // Device details for /admin/sessions
+    const trackLastSeen = (req, res, next) => {
+        if (req.session.authenticated && Date.now() - (req.session.lastSeenAt || 0) > LAST_SEEN_RESOLUTION_MS) {
+            req.session.lastSeenAt = Date.now();
+            req.session.ip = req.ip;
+        }
+        next();
+    };
+
+    app.use(detectAutomation);
+    app.use(requireAuth);
+    app.use(requireCsrf);
+    app.use(requireNotLockedOut);
+    app.use(trackLastSeen);
+    auth.filter(method => method.checkSession).forEach(method => {
+        app.use((req, res, next) => req.session.authenticated ? method.checkSession(req, res, next) : next());
+    });
+
+    // A session ID known before sign-in (planted cookie, shared device) must
+    // not become a signed-in one, so every sign-in starts a new session with
+    // a new CSRF token. Only what the device earned beforehand carries over.
+    const signIn = (req, { owner, role, tokenId = null }, extra = {}) => new Promise((resolve, reject) => {
+        const carried = {};
+        SESSION_FIELDS_KEPT_ON_SIGN_IN.forEach(field => {
+            if (req.session[field] !== undefined) carried[field] = req.session[field];
+        });
+
+        req.session.regenerate((error) => {
+            if (error) return reject(error);
+
+            Object.assign(req.session, carried, extra, {
+                authenticated: true,
+                tokenId,
+                tokenOwner: owner,
+                tokenRole: role,
+                ip: req.ip,
+                userAgent: req.headers['user-agent'] || 'Unknown',
+                signedInAt: Date.now(),
+                lastSeenAt: Date.now()
+            });
+            csrfToken(req);
+            resolve();
+        });
+    });
+
+    const context = {
+        tokenStore, roles, auditLog, logSecurityEvent, signIn, requireAdmin,
+        services: () => services
+    };
+
+    const loginErrors = Object.assign({}, SESSION_ERRORS, ...auth.map(method => method.errors || {}));
+
+    const lockedMessage = (req) => {
+        const { locked, retryAfterSeconds } = lockouts ? lockouts.status(req.ip) : { locked: false };
+        if (!locked) return null;
+        const minutes = Math.ceil(retryAfterSeconds / 60);
+        return `Too many failed logins from your address. Try again in ${minutes} minute${minutes === 1 ? '' : 's'}.`;
+    };
+
+    // Behind a tunnel the session cookie is HTTPS-only, so plain HTTP can never sign in
+    const insecureTunnelMessage = (req) => tunnel && !req.secure
+        ? 'Open this proxy through its https:// tunnel address to sign in.'
+        : null;
+
+    // Login page
+    app.get(['/', '/login'], (req, res) => {
+        if (req.session.authenticated) {
+            return res.redirect('/dashboard');
+        }
+
+        res.send(renderLoginPage({
+            title: 'Secure Firebase Access',
+            subtitle: pages.loginSubtitle || 'Local Network Protection Active',
+            https: useHttps,
+            error: insecureTunnelMessage(req) || lockedMessage(req) || loginErrors[req.query.error] || null,
+            forms: auth.map(method => method.renderForm({ csrfField: csrfField(req) })).filter(Boolean),
+            links: pages.loginLinks || [],
+            protections: [
+                ...(useHttps ? [{ icon: '🔒', text: 'HTTPS encryption' }] : []),
+                ...(tunnel && !useHttps ? [{ icon: '🔒', text: 'HTTPS encryption at the tunnel' }] : []),
+                { icon: '⏱️', text: 'Rate limiting per person and per service' },
+                ...(automation ? [{ icon: '🤖', text: 'Automation detection with browser challenge' }] : []),
+                { icon: '🔐', text: 'Session-based authentication' },
+                ...(lockouts ? [{ icon: '🚫', text: 'Lockout after repeated failed logins' }] : []),
+                ...(ipFilter ? [{ icon: '🏠', text: 'Allowed networks only' }] : [])
+            ]
+        }));
+    });
+
+    auth.forEach(method => method.install(app, context));
+
+    if (automation) {
+        // Only same-origin paths, so a challenge link cannot send anyone elsewhere
+        const safeReturn = (value) => /^\/(?![\/\\])/.test(String(value || '')) ? String(value) : '/dashboard';
+
+        app.get('/challenge', (req, res) => {
+            res.send(renderChallengePage({
+                challenge: automation.issueChallenge(req.session, req.automationSignals),
+                returnTo: safeReturn(req.query.return),
+                csrfField: csrfField(req)
+            }));
+        });
+
+        app.post('/challenge', (req, res) => {
+            const result = automation.verifyChallenge(req.session, req.body);
+            if (!result.passed) {
+                logSecurityEvent('CHALLENGE_FAILED', req, { reason: result.reason, status: 403 });
+                return res.status(403).send(renderChallengePage({
+                    challenge: automation.issueChallenge(req.session, req.automationSignals),
+                    returnTo: safeReturn(req.body.return),
+                    csrfField: csrfField(req),
+                    error: `That did not work (${result.reason}). Trying again…`
+                }));
+            }
+
+            logSecurityEvent('CHALLENGE_PASSED', req, { challenge: 'pow' });
+            res.redirect(safeReturn(req.body.return));
+        });
+    }
+
+    // HAR recording of the caller's own proxied traffic
+    const harRecorder = har ? createHarRecorder({ ...har, creator: name }) : null;
+
+    // Fault injection (latency, errors, drops, throttling) in front of the proxies
+    const faultInjector = faults ? createFaultInjector({
+        ...faults,
+        onFault: (req, details) => {
+            metrics.faultInjected(details);
+            logSecurityEvent('FAULT_INJECTED', req, details);
+        }
+    }) : null;
+
+    // Functions console (/console/functions) and Firestore browser (/console/firestore)
+    const functionsConsole = functionsConsoleOptions ? createFunctionsConsole(functionsConsoleOptions) : null;
+    const firestoreBrowser = firestoreBrowserOptions && firestoreBrowserOptions.projectId
+        ? createFirestoreBrowser(firestoreBrowserOptions) : null;
+
+    // The consoles are for people whose role may use the service behind them
+    const hasConsole = (consoleTool, role, key) => Boolean(consoleTool && services[key] && canUseService(role, key));
+
+    const requireService = (key, feature) => (req, res, next) => {
+        const roleName = req.session.tokenRole;
+        if (!services[key] || !canUseService(roles[roleName], key)) {
+            logSecurityEvent('ACCESS_DENIED', req, { service: key, role: roleName, reason: feature, status: 403 });
+            return res.status(403).send(`Your role cannot use the ${services[key] ? services[key].name : key} emulator`);
+        }
+        next();
+    };
+
+    // Dashboard
+    app.get('/dashboard', (req, res) => {
+        const role = roles[req.session.tokenRole];
+        const isAdmin = req.session.tokenRole === 'admin';
+        const healthStatus = healthProber.status();
+        const note = auth.map(method => method.describeSession && method.describeSession(req.session)).find(Boolean);
+
+        res.send(renderDashboardPage({
+            title: '🔒 Firebase Emulator Dashboard',
+            subtitle: pages.dashboardSubtitle || 'Secure access to your Firebase development environment',
+            mode: dashboard,
+            csrfToken: csrfToken(req),
+            user: { owner: req.session.tokenOwner, role: req.session.tokenRole, note },
+            links: [
+                ...(hasConsole(functionsConsole, role, 'functions') ? [{ href: '/console/functions', label: '⚡ Functions Console' }] : []),
+                ...(hasConsole(firestoreBrowser, role, 'firestore') ? [{ href: '/console/firestore', label: '🔥 Firestore Browser' }] : []),
+                ...(isAdmin ? [
+                    { href: '/admin/audit', label: '🔍 Audit Log' },
+                    { href: '/admin/sessions', label: '🖥️ Sessions' },
+                    ...auth.flatMap(method => method.adminLinks || []),
+                    ...(harRecorder ? [{ href: '/admin/har', label: '🎥 Recordings' }] : []),
+                    ...(faultInjector ? [{ href: '/admin/faults', label: '🧪 Fault Injection' }] : []),
+                    ...(lockouts ? [{ href: '/admin/lockouts', label: '🚫 Lockouts' }] : [])
+                ] : [])
+            ],
+            cards: Object.entries(services)
+                .filter(([key]) => canUseService(role, key))
+                .map(([key, service]) => ({
+                    key,
+                    service,
+                    health: healthStatus[key],
+                    url: `${service.path}/`
+                })),
+            healthIntervalMs: health.intervalMs,
+            live: { security: isAdmin },
+            recording: harRecorder ? harRecorder.status(req.sessionID) : null,
+            autoLoad: pages.autoLoad || null,
+            protections: [
+                ...(useHttps ? ['HTTPS encryption'] : []),
+                'Rate limiting and bot detection',
+                'Session-based authentication',
+                'Local network access only',
+                'Security event logging'
+            ]
+        }));
+    });
+
+    // Live up/down state of the services the caller may use
+    app.get('/status/health', (req, res) => {
+        const role = roles[req.session.tokenRole];
+        const visible = {};
+        Object.entries(healthProber.status())
+            .filter(([key]) => canUseService(role, key))
+            .forEach(([key, status]) => {
+                visible[key] = status;
+            });
+        res.json({ services: visible });
+    });
+
+    // Live feed for the dashboard. Health is limited to the caller's services,
+    // requests to the caller's own unless they are an admin, and security
+    // events to admins. The stream ends once the session is gone.
+    app.get('/events', (req, res) => {
+        const role = roles[req.session.tokenRole];
+        const isAdmin = req.session.tokenRole === 'admin';
+        const owner = req.session.tokenOwner;
+        const sessionID = req.sessionID;
+
+        const visibleHealth = (status) => {
+            const visible = {};
+            Object.entries(status)
+                .filter(([key]) => canUseService(role, key))
+                .forEach(([key, health]) => {
+                    visible[key] = health;
+                });
+            return { services: visible };
+        };
+
+        liveFeed.subscribe(req, res, {
+            view: (type, data) => {
+                if (type === 'health') return visibleHealth(data.services);
+                if (type === 'request') return isAdmin || data.owner === owner ? data : null;
+                if (type === 'security') return isAdmin ? data : null;
+                return null;
+            },
+            isActive: () => new Promise((resolve) => {
+                sessionStore.get(sessionID, (error, stored) => resolve(!error && isSessionActive(stored)));
+            }),
+            snapshot: { health: { services: healthProber.status() } }
+        });
+    });
+
+    // Remaining rate-limit quota for the caller
+    app.get('/status/quota', (req, res) => {
+        const role = roles[req.session.tokenRole];
+        const serviceKeys = Object.keys(services).filter(key => canUseService(role, key));
+        res.json(rateLimiter.quota(req, serviceKeys));
+    });
+
+    // Audit log viewer (admins only)
+    app.get('/admin/audit', requireAdmin, (req, res) => {
+        const filters = auditFiltersFromQuery(req.query);
+        const records = auditLog.query(filters);
+
+        if (req.query.format === 'json') {
+            return res.json(records);
+        }
+        res.send(renderAuditPage(records, filters));
+    });
+
+    if (harRecorder) {
+        if (har.recordAll) {
+            app.use((req, res, next) => {
+                if (req.session.authenticated && !harRecorder.status(req.sessionID).recording) {
+                    harRecorder.start(req.sessionID, { owner: req.session.tokenOwner });
+                }
+                next();
+            });
+        }
+
+        app.get('/har/status', (req, res) => {
+            res.json(harRecorder.status(req.sessionID));
+        });
+
+        app.post('/har/start', (req, res) => {
+            const recording = harRecorder.start(req.sessionID, { owner: req.session.tokenOwner });
+            logSecurityEvent('HAR_RECORDING_STARTED', req, { file: path.basename(recording.file) });
+            res.redirect('/dashboard');
+        });
+
+        app.post('/har/stop', (req, res) => {
+            const recording = harRecorder.stop(req.sessionID);
+            if (recording) {
+                logSecurityEvent('HAR_RECORDING_STOPPED', req, { file: path.basename(recording.file), entries: recording.entries.length });
+            }
+            res.redirect('/dashboard');
+        });
+
+        // Recorded HAR files (admins only)
+        app.get('/admin/har', requireAdmin, (req, res) => {
+            res.send(renderHarListPage(harRecorder.list()));
+        });
+
+        app.get('/admin/har/:file', requireAdmin, (req, res) => {
+            const file = harRecorder.resolve(req.params.file);
+            if (!file) {
+                return res.status(404).send('Recording not found');
+            }
+            res.download(file);
+        });
+    }
+
+    if (faultInjector) {
+        // Fault injection switches (admins only); changes last until restart or reload
+        app.get('/admin/faults', requireAdmin, (req, res) => {
+            if (req.query.format === 'json') {
+                return res.json(faultInjector.status());
+            }
+            res.send(renderFaultsPage(faultInjector.status()));
+        });
+
+        app.post('/admin/faults', requireAdmin, (req, res) => {
+            const { action } = req.body;
+            if (action === 'reload') {
+                try {
+                    faultInjector.reload();
+                } catch (error) {
+                    return res.status(400).send(`Could not reload fault rules: ${error.message}`);
+                }
+                logSecurityEvent('FAULT_RULES_RELOADED', req, { enabled: faultInjector.status().enabled });
+            } else if (action === 'enable' || action === 'disable') {
+                faultInjector.setEnabled(action === 'enable');
+                logSecurityEvent(action === 'enable' ? 'FAULTS_ENABLED' : 'FAULTS_DISABLED', req);
+            }
+            res.redirect('/admin/faults');
+        });
+
+        app.post('/admin/faults/:id', requireAdmin, (req, res) => {
+            const enable = req.body.action === 'enable';
+            if (!faultInjector.setRuleEnabled(req.params.id, enable)) {
+                return res.status(404).send('Fault rule not found');
+            }
+            logSecurityEvent(enable ? 'FAULT_RULE_ENABLED' : 'FAULT_RULE_DISABLED', req, { rule: req.params.id });
+            res.redirect('/admin/faults');
+        });
+    }
+
+    if (lockouts) {
+        // Locked-out and failing addresses (admins only)
+        app.get('/admin/lockouts', requireAdmin, (req, res) => {
+            const network = ipFilter ? { allow: ipFilter.allow, deny: ipFilter.deny } : null;
+            if (req.query.format === 'json') {
+                return res.json({ config: lockouts.config, network, addresses: lockouts.list() });
+            }
+            res.send(renderLockoutsPage({ entries: lockouts.list(), config: lockouts.config, network }));
+        });
+
+        // ip "*" clears every address
+        app.post('/admin/lockouts/clear', requireAdmin, (req, res) => {
+            const target = String(req.body.ip || '');
+            if (target === '*') {
+                logSecurityEvent('LOCKOUT_CLEARED', req, { target: 'all', cleared: lockouts.clearAll() });
+            } else if (lockouts.clear(target)) {
+                logSecurityEvent('LOCKOUT_CLEARED', req, { target });
+            } else {
+                return res.status(404).send('Address not found');
+            }
+            res.redirect('/admin/lockouts');
+        });
+    }
+
+    if (functionsConsole) {
+        // Auth emulator for "call as", following the service map unless pinned
+        const consoleAuth = () => {
+            const service = services.auth;
+            const { authEmulatorHost } = functionsConsoleOptions;
+            if (!authEmulatorHost && !service) return null;
+            const [authHost, authPort] = authEmulatorHost ? authEmulatorHost.split(':') : [service.host, service.port];
+            return createEmulatorAuth({ host: authHost, port: parseInt(authPort, 10), projectId: functionsConsole.projectId });
+        };
+
+        // Impersonating test accounts needs access to the Auth emulator as well
+        const impersonation = (req) => {
+            if (!canUseService(roles[req.session.tokenRole], 'auth')) {
+                return { error: 'Not available for your role' };
+            }
+            const client = consoleAuth();
+            return client ? { client } : { error: 'No Auth emulator in the service map' };
+        };
+
+        const requireFunctions = requireService('functions', 'functions console');
+
+        const renderConsole = async (req, { form = {}, result = null, error = null } = {}) => {
+            let functions = null;
+            let listError = null;
+            try {
+                functions = await functionsConsole.listFunctions(services.functions);
+            } catch (listFailure) {
+                listError = (listFailure.cause && listFailure.cause.code) || listFailure.message;
+            }
+
+            let accounts = null;
+            let accountsError = null;
+            const { client, error: impersonationError } = impersonation(req);
+            if (client) {
+                accounts = await client.listAccounts().catch((accountsFailure) => {
+                    accountsError = accountsFailure.message;
+                    return null;
+                });
+            } else {
+                accountsError = impersonationError;
+            }
+
+            return renderFunctionsPage({
+                projectId: functionsConsole.projectId,
+                functions,
+                listError,
+                accounts,
+                accountsError,
+                form,
+                result,
+                error,
+                history: functionsConsole.history(req.session)
+            });
+        };
+
+        app.get('/console/functions', requireFunctions, async (req, res) => {
+            const form = functionsConsole.history(req.session)[parseInt(req.query.from, 10)] || {};
+            res.send(await renderConsole(req, { form }));
+        });
+
+        // New call from the form, or `rerun` with the index of a history entry
+        app.post('/console/functions', requireFunctions, async (req, res) => {
+            const previous = req.body.rerun !== undefined ? functionsConsole.history(req.session)[parseInt(req.body.rerun, 10)] : null;
+            const fields = previous || req.body;
+            const form = {
+                target: String(fields.target || ''),
+                subpath: String(fields.subpath || ''),
+                method: METHODS.includes(String(fields.method).toUpperCase()) ? String(fields.method).toUpperCase() : 'POST',
+                headers: String(fields.headers || ''),
+                body: String(fields.body || ''),
+                uid: String(fields.uid || '')
+            };
+            const requestPath = `${form.target}${form.subpath}`;
+            const reject = async (error, status = 400) => res.status(status).send(await renderConsole(req, { form, error }));
+
+            if (!form.target.startsWith('/') || (form.subpath && !/^[/?]/.test(form.subpath))) {
+                return reject('Pick a function; the extra path has to start with "/" or "?".');
+            }
+            const { headers, errors } = parseHeaders(form.headers);
+            if (errors.length > 0) {
+                return reject(errors.join(' '));
+            }
+            if (form.body.trim()) {
+                try {
+                    JSON.parse(form.body);
+                } catch (parseError) {
+                    return reject(`The body is not valid JSON: ${parseError.message}`);
+                }
+            }
+
+            const roleName = req.session.tokenRole;
+            const decision = authorize(roles[roleName], 'functions', form.method, requestPath.split('?')[0]);
+            if (!decision.allowed) {
+                logSecurityEvent('ACCESS_DENIED', req, { service: 'functions', role: roleName, reason: decision.reason, status: 403 });
+                return reject(`Your role (${roleName}) does not allow ${form.method} ${requestPath}.`, 403);
+            }
+
+            if (form.uid) {
+                const { client, error } = impersonation(req);
+                if (!client) {
+                    return reject(`Cannot call as a user: ${error}`);
+                }
+                try {
+                    const idToken = await client.idTokenFor(form.uid);
+                    if (!Object.keys(headers).some(name => name.toLowerCase() === 'authorization')) {
+                        headers.Authorization = `Bearer ${idToken}`;
+                    }
+                } catch (tokenError) {
+                    return reject(`Could not sign in as ${form.uid}: ${tokenError.message}`);
+                }
+            }
+
+            const result = await functionsConsole.invoke(services.functions, { requestPath, method: form.method, headers, body: form.body });
+            functionsConsole.remember(req.session, {
+                ...form, requestPath, status: result.status, error: result.error, durationMs: result.durationMs
+            });
+            logSecurityEvent('FUNCTION_INVOKED', req, {
+                service: 'functions', call: `${form.method} ${requestPath}`, asUid: form.uid || undefined,
+                status: result.status, error: result.error, durationMs: result.durationMs
+            });
+            res.send(await renderConsole(req, { form, result }));
+        });
+    }
+
+    if (firestoreBrowser) {
+        const requireFirestore = requireService('firestore', 'firestore browser');
+
+        // ?path= selects the view: nothing for the root collections, an odd
+        // number of segments for a collection, an even number for a document
+        app.get('/console/firestore', requireFirestore, async (req, res) => {
+            const segments = splitPath(req.query.path);
+            const pageToken = String(req.query.pageToken || '');
+            const page = { projectId: firestoreBrowser.projectId, databaseId: firestoreBrowser.databaseId, segments: segments || [], pageToken };
+            if (!segments) {
+                return res.status(400).send(renderFirestorePage({ ...page, error: 'Not a valid document or collection path.' }));
+            }
+
+            const isCollection = segments.length % 2 === 1;
+            const requests = isCollection
+                ? { documents: firestoreBrowser.documentsRequest(segments, pageToken) }
+                : {
+                    ...(segments.length > 0 ? { document: firestoreBrowser.documentRequest(segments) } : {}),
+                    collections: firestoreBrowser.collectionsRequest(segments, pageToken)
+                };
+
+            // Same role check as the request would get through /firestore/...
+            const roleName = req.session.tokenRole;
+            const denied = Object.values(requests)
+                .map(request => ({ request, decision: authorize(roles[roleName], 'firestore', request.method, request.path.split('?')[0]) }))
+                .find(({ decision }) => !decision.allowed);
+            if (denied) {
+                logSecurityEvent('ACCESS_DENIED', req, { service: 'firestore', role: roleName, reason: denied.decision.reason, status: 403 });
+                return res.status(403).send(renderFirestorePage({ ...page, error: `Your role (${roleName}) may not read this.` }));
+            }
+
+            try {
+                const [documentsPage, document, collectionsPage] = await Promise.all([
+                    requests.documents ? firestoreBrowser.send(services.firestore, requests.documents) : {},
+                    requests.document
+                        ? firestoreBrowser.send(services.firestore, requests.document).catch(error => {
+                            if (error.status === 404) return null;
+                            throw error;
+                        })
+                        : null,
+                    requests.collections ? firestoreBrowser.send(services.firestore, requests.collections) : {}
+                ]);
+
+                res.send(renderFirestorePage({
+                    ...page,
+                    documents: documentsPage.documents || [],
+                    nextPageToken: documentsPage.nextPageToken || '',
+                    document,
+                    collections: collectionsPage.collectionIds || [],
+                    collectionsToken: collectionsPage.nextPageToken || ''
+                }));
+            } catch (error) {
+                res.status(error.status || 502).send(renderFirestorePage({ ...page, error: error.message }));
+            }
+        });
+    }
+
+    // Signed-in sessions from the session store (admins only). Sessions are
+    // addressed by a hash of their id so the page never shows a usable cookie.
+    const sessionHandle = (sid) => crypto.createHash('sha256').update(sid).digest('hex').slice(0, 16);
+
+    const listSessions = (callback) => sessionStore.all((error, all) => {
+        if (error) return callback(error);
+        const entries = Object.entries(all || {})
+            .filter(([, stored]) => stored && stored.authenticated)
+            .map(([sid, stored]) => ({ sid, stored }));
+        callback(null, entries);
+    });
+
+    app.get('/admin/sessions', requireAdmin, (req, res) => {
+        listSessions((error, entries) => {
+            if (error) {
+                return res.status(500).send(`Could not read sessions: ${error.message}`);
+            }
+
+            const sessions = entries
+                .map(({ sid, stored }) => ({
+                    handle: sessionHandle(sid),
+                    owner: stored.tokenOwner,
+                    role: stored.tokenRole,
+                    ip: stored.ip,
+                    userAgent: stored.userAgent,
+                    signedInAt: stored.signedInAt,
+                    lastSeenAt: stored.lastSeenAt,
+                    current: sid === req.sessionID
+                }))
+                .sort((a, b) => (b.lastSeenAt || 0) - (a.lastSeenAt || 0));
+
+            if (req.query.format === 'json') {
+                return res.json(sessions);
+            }
+            res.send(renderSessionsPage(sessions));
+        });
+    });
+
+    app.post('/admin/sessions/:handle/end', requireAdmin, (req, res) => {
+        listSessions((error, entries) => {
+            const match = !error && entries.find(({ sid }) => sessionHandle(sid) === req.params.handle);
+            if (!match) {
+                return res.status(404).send('Session not found');
+            }
+
+            sessionStore.destroy(match.sid, () => {
+                if (harRecorder) harRecorder.stop(match.sid);
+                logSecurityEvent('SESSION_ENDED', req, {
+                    target: match.stored.tokenOwner, targetRole: match.stored.tokenRole, tokenId: match.stored.tokenId || undefined
+                });
+                res.redirect(match.sid === req.sessionID ? '/login' : '/admin/sessions');
+            });
+        });
+    });
+
+    // Logout (POST with the dashboard's CSRF token; the old GET link lands on the dashboard)
+    app.get('/logout', (req, res) => res.redirect('/dashboard'));
+
+    app.post('/logout', (req, res) => {
+        logSecurityEvent('LOGOUT', req);
+        if (harRecorder) harRecorder.stop(req.sessionID);
+        req.session.destroy(() => res.redirect('/login'));
+    });
+
+    // One entry in the live request feed per proxied request, once its
+    // response is done (or the client gave up)
+    const publishRequest = (key) => (req, res, next) => {
+        const started = Date.now();
+        res.on('close', () => {
+            liveFeed.publish('request', {
+                time: new Date(started).toISOString(),
+                service: key,
+                method: req.method,
+                path: redactUrl(req.originalUrl),
+                status: res.statusCode,
+                latencyMs: Date.now() - started,
+                owner: req.session.tokenOwner || 'anonymous',
+                role: req.session.tokenRole,
+                ...(res.writableFinished ? {} : { aborted: true })
+            });
+        });
+        next();
+    };
+
+    // Role check in front of each proxied service
+    const authorizeService = (key, service) => (req, res, next) => {
+        const roleName = req.session.tokenRole;
+        const decision = authorize(roles[roleName], key, req.method, req.path, req.headers);
+
+        if (decision.allowed) {
+            return next();
+        }
+
+        logSecurityEvent('ACCESS_DENIED', req, { service: key, role: roleName, reason: decision.reason, status: 403 });
+        res.status(403).json({
+            error: 'Forbidden',
+            message: `Your role (${roleName}) does not allow ${req.method} ${req.path} on ${service.name}.`,
+            service: service.name
+        });
+    };
+
+    // Proxy for a single emulator service. With a rewriter the response is
+    // written by the rewriter, from an uncompressed upstream body.
+    const createServiceProxy = (key, service, rewriter) => createProxyMiddleware({
+        target: `http://${service.host}:${service.port}`,
+        changeOrigin: true,
+        selfHandleResponse: Boolean(rewriter),
+        pathRewrite: {
+            [`^${service.path}`]: '',
+        },
+        onProxyReq: (proxyReq, req) => {
+            if (rewriter) proxyReq.setHeader('accept-encoding', 'identity');
+            if (harRecorder) harRecorder.captureRequest(proxyReq, req);
+            // Bodies already parsed by express.json/urlencoded are re-sent upstream
+            fixRequestBody(proxyReq, req);
+        },
+        onProxyRes: (proxyRes, req, res) => {
+            logSecurityEvent('PROXY_ACCESS', req, { service: key, status: proxyRes.statusCode });
+            if (harRecorder) harRecorder.captureResponse(proxyRes, req, key);
+            if (rewriter) rewriter.handleResponse(proxyRes, req, res, service);
+        },
+        onError: (err, req, res) => {
+            metrics.upstreamError(key, err);
+            logSecurityEvent('PROXY_ERROR', req, { service: key, error: err.message, status: 503 });
+            if (typeof res.status !== 'function') {
+                // WebSocket upgrade: `res` is the raw socket
+                return res.destroy();
+            }
+            res.status(503).json({
+                error: 'Service unavailable',
+                message: `${service.name} is not responding. Make sure the emulator is running.`,
+                service: service.name,
+                port: service.port
+            });
+        }
+    });
+
+    // Proxy middleware for each service, rebuilt whenever the service map reloads.
+    // The proxies are kept by service key so WebSocket upgrades can reuse them.
+    let serviceProxies = {};
+    let serviceRouter = express.Router();
+    let responseRewriter = null;
+
+    // Rewritten pages run on the proxy's origin under their own policy, and
+    // send a same-origin referer so refererFallback() can place stray requests
+    const prepareRewrite = (service) => (req, res, next) => {
+        if (req.method === 'GET' && req.originalUrl.split('?')[0] === service.path) {
+            const query = req.originalUrl.slice(service.path.length);
+            return res.redirect(`${service.path}/${query}`);
+        }
+        res.removeHeader('Content-Security-Policy');
+        res.setHeader('Referrer-Policy', 'same-origin');
+        next();
+    };
+
+    const buildServiceRouter = (map) => {
+        const router = express.Router();
+        const proxies = {};
+        const rewriter = rewrite ? createResponseRewriter({ ...rewrite, services: map }) : null;
+
+        Object.entries(map).forEach(([key, service]) => {
+            proxies[key] = createServiceProxy(key, service, rewriter);
+            const handlers = [metrics.middleware(key), publishRequest(key), authorizeService(key, service)];
+            if (rewriter) handlers.push(prepareRewrite(service));
+            if (faultInjector) handlers.push(faultInjector.middleware(key));
+            router.use(service.path, ...handlers, proxies[key]);
+        });
+        serviceProxies = proxies;
+        responseRewriter = rewriter;
+        return router;
+    };
+
+    app.use((req, res, next) => serviceRouter(req, res, next));
+    app.use((req, res, next) => responseRewriter ? responseRewriter.refererFallback(req, res, next) : next());
+
+    let serviceMapWatcher = null;
+    let serviceSources = ['options'];
+    if (options.services) {
+        applyServiceMap(JSON.parse(JSON.stringify(options.services)));
+    } else {
+        serviceMapWatcher = watchServiceMap(
+            { ...options.serviceMap, reservedPorts: { ...(options.serviceMap || {}).reservedPorts, [port]: name } },
+            (result) => {
+                applyServiceMap(result.services, result.warnings);
+                logger.log(`🔄 Service map reloaded: ${Object.keys(result.services).join(', ')}`);
+            },
+            (error) => logger.error(`❌ Service map reload failed, keeping previous routes: ${error.message}`)
+        );
+        applyServiceMap(serviceMapWatcher.initial.services, serviceMapWatcher.initial.warnings);
+        serviceSources = serviceMapWatcher.initial.sources;
+    }
+
+    // Upstream health probes for every service in the current map; a round
+    // with changes goes out to the live feed as a whole
+    let healthChanged = false;
+    const healthProber = createHealthProber({
+        getServices: () => services,
+        ...health,
+        onChange: (key, service, status) => {
+            healthChanged = true;
+            if (status.up) {
+                logger.log(`🟢 ${service.name} is up (${service.host}:${service.port})`);
+            } else {
+                logger.warn(`🔴 ${service.name} is down (${service.host}:${service.port}: ${status.error})`);
+            }
+        },
+        onRound: (status) => {
+            metrics.updateHealth(status);
+            if (healthChanged) {
+                healthChanged = false;
+                liveFeed.publish('health', { services: status });
+            }
+        }
+    });
+
+    // WebSocket upgrades (Emulator UI logs, realtime listeners) use the same
+    // session cookie and role checks as regular requests
+    const handleUpgrade = (req, socket, head) => {
+        if (!isWebSocketUpgrade(req)) {
+            return rejectUpgrade(socket, 400);
+        }
+
+        if (!checkNetwork(req)) {
+            return rejectUpgrade(socket, 403);
+        }
+
+        sessionMiddleware(req, {}, () => {
+            if (!isSessionActive(req.session)) {
+                logSecurityEvent('UNAUTHORIZED_ACCESS', req, { transport: 'websocket', status: 401 });
+                return rejectUpgrade(socket, 401);
+            }
+
+            const match = matchService(services, req.url);
+            if (!match || !serviceProxies[match.key]) {
+                return rejectUpgrade(socket, 404);
+            }
+
+            const servicePath = req.url.slice(match.service.path.length) || '/';
+            const decision = authorize(roles[req.session.tokenRole], match.key, req.method, servicePath.split('?')[0], req.headers);
+            if (!decision.allowed) {
+                logSecurityEvent('ACCESS_DENIED', req, {
+                    service: match.key, role: req.session.tokenRole, reason: decision.reason, transport: 'websocket', status: 403
+                });
+                return rejectUpgrade(socket, 403);
+            }
+
+            metrics.websocketUpgrade(match.key);
+            logSecurityEvent('WEBSOCKET_UPGRADE', req, { service: match.key });
+            serviceProxies[match.key].upgrade(req, socket, head);
+        });
+    };
+
+    const server = useHttps ? https.createServer(options.https, app) : http.createServer(app);
+    server.on('upgrade', handleUpgrade);
+
+    const url = () => {
+        const address = server.address();
+        return `${useHttps ? 'https' : 'http'}://localhost:${address ? address.port : port}`;
+    };
+
+    // Resolves with { port, url } once listening
+    const start = () => new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, host, () => {
+            server.off('error', reject);
+            healthProber.start();
+            resolve({ port: server.address().port, url: url() });
+        });
+    });
+
+    const stop = () => new Promise((resolve) => {
+        healthProber.stop();
+        liveFeed.close();
+        if (serviceMapWatcher) serviceMapWatcher.stop();
+        if (!server.listening) {
+            return resolve();
+        }
+        server.close(() => resolve());
+        server.closeAllConnections();
+    });
+
+    return {
+        app,
+        server,
+        start,
+        stop,
+        url,
+        services: () => services,
+        serviceSources: () => serviceSources,
+        tokenStore,
+        roles,
+        auditLog,
+        logSecurityEvent,
+        sessionStore,
+        metrics,
+        rateLimiter,
+        healthProber,
+        liveFeed,
+        harRecorder,
+        faultInjector,
+        ipFilter,
+        lockouts,
+        automation
+    };
+}
+
+module.exports = { createSecureProxy };
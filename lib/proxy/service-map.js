@@ -0,0 +1,210 @@
+// Emulator service map for the proxies
+// Built from the `emulators` block of the project's firebase.json, with an
+// optional emulator-proxy.json next to it for overrides and extra services.
+
+const fs = require('fs');
+const path = require('path');
+
+const OVERRIDES_FILENAME = 'emulator-proxy.json';
+
+// Every emulator the proxies know how to route, with Firebase CLI default ports
+const KNOWN_EMULATORS = {
+    ui: { name: 'Firebase Emulator UI', port: 4000 },
+    functions: { name: 'Functions API', port: 5001 },
+    firestore: { name: 'Firestore', port: 8080 },
+    database: { name: 'Realtime Database', port: 9000 },
+    hosting: { name: 'Hosting', port: 5000 },
+    storage: { name: 'Cloud Storage', port: 9199 },
+    auth: { name: 'Authentication', port: 9099 },
+    pubsub: { name: 'Pub/Sub', port: 8085 },
+    eventarc: { name: 'Eventarc', port: 9299 }
+};
+
+// Used when no firebase.json can be found
+const FALLBACK_EMULATORS = ['ui', 'functions', 'firestore', 'auth'];
+
+// Walk up from `startDir` looking for firebase.json, like the share scripts do
+function findFirebaseJson(startDir = process.cwd()) {
+    let dir = path.resolve(startDir);
+    while (true) {
+        const candidate = path.join(dir, 'firebase.json');
+        if (fs.existsSync(candidate)) return candidate;
+
+        const parent = path.dirname(dir);
+        if (parent === dir) return null;
+        dir = parent;
+    }
+}
+
+function readJson(filePath) {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+// Default project from the .firebaserc next to firebase.json, or null
+function findDefaultProject(firebaseJsonPath = findFirebaseJson()) {
+    if (!firebaseJsonPath) return null;
+    const rcPath = path.join(path.dirname(firebaseJsonPath), '.firebaserc');
+    if (!fs.existsSync(rcPath)) return null;
+    const rc = readJson(rcPath);
+    return (rc.projects && rc.projects.default) || null;
+}
+
+function normalizeHost(host) {
+    return !host || host === '0.0.0.0' || host === '::' ? 'localhost' : host;
+}
+
+function buildService(key, settings = {}, base = {}) {
+    const known = KNOWN_EMULATORS[key] || {};
+    return {
+        name: settings.name || base.name || known.name || key,
+        host: normalizeHost(settings.host || base.host),
+        port: parseInt(settings.port || base.port || known.port, 10),
+        path: settings.path || base.path || `/${key}`
+    };
+}
+
+// Warn about services sharing a port or path, or colliding with the proxy itself
+function findConflicts(services, reservedPorts = {}) {
+    const warnings = [];
+    const byPort = new Map();
+    const byPath = new Map();
+
+    Object.entries(services).forEach(([key, service]) => {
+        const portKey = `${service.host}:${service.port}`;
+        if (byPort.has(portKey)) {
+            warnings.push(`Port ${service.port} is used by both ${byPort.get(portKey)} and ${key}`);
+        } else {
+            byPort.set(portKey, key);
+        }
+
+        if (reservedPorts[service.port] && service.host === 'localhost') {
+            warnings.push(`Port ${service.port} (${key}) is also used by ${reservedPorts[service.port]}`);
+        }
+
+        if (byPath.has(service.path)) {
+            warnings.push(`Path ${service.path} is used by both ${byPath.get(service.path)} and ${key}`);
+        } else {
+            byPath.set(service.path, key);
+        }
+    });
+
+    return warnings;
+}
+
+/**
+ * Build the service map.
+ * Options:
+ *   firebaseJsonPath  firebase.json to read (default: searched from cwd)
+ *   overridesPath     proxy config file (default: emulator-proxy.json next to firebase.json)
+ *   extraServices     services added before overrides are applied (e.g. a frontend)
+ *   reservedPorts     { port: owner } for ports the proxy itself listens on
+ * Returns { services, warnings, sources, firebaseJsonPath, overridesPath }.
+ */
+function loadServiceMap({
+    firebaseJsonPath = findFirebaseJson(),
+    overridesPath = null,
+    extraServices = {},
+    reservedPorts = {}
+} = {}) {
+    const services = {};
+    const sources = [];
+    const warnings = [];
+
+    let emulators = null;
+    if (firebaseJsonPath && fs.existsSync(firebaseJsonPath)) {
+        emulators = readJson(firebaseJsonPath).emulators || {};
+        sources.push(firebaseJsonPath);
+    } else {
+        warnings.push('No firebase.json found - using default emulator ports');
+    }
+
+    if (emulators) {
+        Object.entries(emulators).forEach(([key, settings]) => {
+            if (!KNOWN_EMULATORS[key] || (settings && settings.enabled === false)) return;
+            services[key] = buildService(key, settings);
+        });
+    } else {
+        FALLBACK_EMULATORS.forEach(key => {
+            services[key] = buildService(key);
+        });
+    }
+
+    Object.entries(extraServices).forEach(([key, settings]) => {
+        services[key] = buildService(key, settings);
+    });
+
+    const configPath = overridesPath ||
+        (firebaseJsonPath ? path.join(path.dirname(firebaseJsonPath), OVERRIDES_FILENAME) : null);
+    if (configPath && fs.existsSync(configPath)) {
+        const overrides = readJson(configPath).services || {};
+        Object.entries(overrides).forEach(([key, settings]) => {
+            if (settings && settings.enabled === false) {
+                delete services[key];
+                return;
+            }
+            services[key] = buildService(key, settings, services[key]);
+        });
+        sources.push(configPath);
+    }
+
+    warnings.push(...findConflicts(services, reservedPorts));
+    return { services, warnings, sources, firebaseJsonPath, overridesPath: configPath };
+}
+
+// Find the service whose path prefixes `url` (longest prefix wins)
+function matchService(services, url) {
+    const pathname = String(url || '').split('?')[0];
+    let match = null;
+
+    Object.entries(services).forEach(([key, service]) => {
+        const matches = pathname === service.path || pathname.startsWith(`${service.path}/`);
+        if (matches && (!match || service.path.length > match.service.path.length)) {
+            match = { key, service };
+        }
+    });
+    return match;
+}
+
+/**
+ * Reload the service map whenever one of its source files changes.
+ * `onReload` receives the same result as loadServiceMap(), `onError` any
+ * parse error (the previous map stays in place). Returns { initial, stop }.
+ */
+function watchServiceMap(options, onReload, onError = () => {}) {
+    const initial = loadServiceMap(options);
+    const resolved = { ...options, firebaseJsonPath: initial.firebaseJsonPath, overridesPath: initial.overridesPath };
+    const watched = [initial.firebaseJsonPath, initial.overridesPath].filter(Boolean);
+
+    let timer = null;
+    // Stat polling also reports files that do not exist (both mtimes 0), so an
+    // overrides file that is not there yet only reloads once it is created
+    const reload = (current, previous) => {
+        if (current.mtimeMs === 0 && previous.mtimeMs === 0) return;
+        clearTimeout(timer);
+        timer = setTimeout(() => {
+            try {
+                onReload(loadServiceMap(resolved));
+            } catch (error) {
+                onError(error);
+            }
+        }, 200);
+    };
+
+    watched.forEach(file => fs.watchFile(file, { interval: 1000 }, reload));
+
+    const stop = () => {
+        clearTimeout(timer);
+        watched.forEach(file => fs.unwatchFile(file, reload));
+    };
+    return { initial, stop };
+}
+
+module.exports = {
+    KNOWN_EMULATORS,
+    OVERRIDES_FILENAME,
+    findFirebaseJson,
+    findDefaultProject,
+    loadServiceMap,
+    matchService,
+    watchServiceMap
+};
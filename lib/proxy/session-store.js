@@ -0,0 +1,150 @@
+// Session storage for the proxies
+// express-session's default MemoryStore forgets every login on restart. The
+// file store keeps sessions in .emulator-sharing/sessions.json (written at
+// most once per FLUSH_MS and on exit), and loadSessionSecret() keeps the
+// cookie signing secret next to it, so signed-in devices survive a restart.
+
+const fs = require('fs');
+const path = require('path');
+const session = require('express-session');
+const { loadOrCreateSecret } = require('./invites');
+
+const SHARING_DIR = path.join(__dirname, '..', '..', '.emulator-sharing');
+const DEFAULT_SESSIONS_PATH = path.join(SHARING_DIR, 'sessions.json');
+const DEFAULT_SESSION_SECRET_PATH = path.join(SHARING_DIR, 'session-secret');
+
+const FLUSH_MS = 1000;
+const PRUNE_INTERVAL_MS = 10 * 60 * 1000;
+// Browser-session cookies have no expiry of their own
+const UNEXPIRING_SESSION_MS = 24 * 60 * 60 * 1000;
+
+// Signing secret for session cookies, created on first use
+function loadSessionSecret(secretPath = DEFAULT_SESSION_SECRET_PATH) {
+    return loadOrCreateSecret(secretPath);
+}
+
+const expiryOf = (sess) =>
+    sess.cookie && sess.cookie.expires ? new Date(sess.cookie.expires).getTime() : Date.now() + UNEXPIRING_SESSION_MS;
+
+/**
+ * express-session store backed by a JSON file ({ sessions: { sid: { session, expires } } }).
+ *   filePath   default .emulator-sharing/sessions.json
+ */
+function createFileSessionStore({ filePath = DEFAULT_SESSIONS_PATH } = {}) {
+    const store = new session.Store();
+    let sessions = {};
+    let flushTimer = null;
+
+    const load = () => {
+        if (!fs.existsSync(filePath)) {
+            return {};
+        }
+        const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        return data.sessions || {};
+    };
+
+    const prune = (now = Date.now()) => {
+        Object.entries(sessions).forEach(([sid, entry]) => {
+            if (entry.expires <= now) delete sessions[sid];
+        });
+    };
+
+    const flush = () => {
+        clearTimeout(flushTimer);
+        flushTimer = null;
+        prune();
+
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        const tmpPath = `${filePath}.${process.pid}.tmp`;
+        fs.writeFileSync(tmpPath, JSON.stringify({ sessions }, null, 2), { mode: 0o600 });
+        fs.renameSync(tmpPath, filePath);
+    };
+
+    const scheduleFlush = () => {
+        if (!flushTimer) {
+            flushTimer = setTimeout(flush, FLUSH_MS);
+            flushTimer.unref();
+        }
+    };
+
+    const current = (sid) => {
+        const entry = sessions[sid];
+        if (entry && entry.expires <= Date.now()) {
+            delete sessions[sid];
+            scheduleFlush();
+            return null;
+        }
+        return entry || null;
+    };
+
+    store.get = (sid, callback) => {
+        const entry = current(sid);
+        callback(null, entry ? JSON.parse(JSON.stringify(entry.session)) : null);
+    };
+
+    store.set = (sid, sess, callback = () => {}) => {
+        sessions[sid] = { session: JSON.parse(JSON.stringify(sess)), expires: expiryOf(sess) };
+        scheduleFlush();
+        callback(null);
+    };
+
+    store.touch = (sid, sess, callback = () => {}) => {
+        const entry = current(sid);
+        if (entry) {
+            entry.session.cookie = JSON.parse(JSON.stringify(sess.cookie));
+            entry.expires = expiryOf(sess);
+            scheduleFlush();
+        }
+        callback(null);
+    };
+
+    store.destroy = (sid, callback = () => {}) => {
+        delete sessions[sid];
+        scheduleFlush();
+        callback(null);
+    };
+
+    // Same shape as MemoryStore#all: { sid: session }
+    store.all = (callback) => {
+        prune();
+        const all = {};
+        Object.entries(sessions).forEach(([sid, entry]) => {
+            all[sid] = JSON.parse(JSON.stringify(entry.session));
+        });
+        callback(null, all);
+    };
+
+    store.length = (callback) => {
+        prune();
+        callback(null, Object.keys(sessions).length);
+    };
+
+    store.clear = (callback = () => {}) => {
+        sessions = {};
+        scheduleFlush();
+        callback(null);
+    };
+
+    store.filePath = filePath;
+    store.flush = flush;
+
+    sessions = load();
+    prune();
+    setInterval(() => {
+        prune();
+        scheduleFlush();
+    }, PRUNE_INTERVAL_MS).unref();
+    // Pending writes would otherwise be lost on Ctrl+C
+    process.on('exit', () => {
+        if (flushTimer) flush();
+    });
+
+    return store;
+}
+
+module.exports = {
+    DEFAULT_SESSIONS_PATH,
+    DEFAULT_SESSION_SECRET_PATH,
+    loadSessionSecret,
+    createFileSessionStore
+};
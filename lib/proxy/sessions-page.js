@@ -0,0 +1,112 @@
+// Admin page listing signed-in sessions (/admin/sessions), each with a
+// button that ends it
+
+const { escapeHtml } = require('./html');
+
+const PAGE_STYLE = `
+        body {
+            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Arial, sans-serif;
+            background: #f5f5f5;
+            margin: 0;
+            padding: 20px;
+        }
+        .panel {
+            background: white;
+            border-radius: 12px;
+            box-shadow: 0 2px 10px rgba(0,0,0,0.1);
+            padding: 30px;
+            max-width: 1100px;
+            margin: 0 auto 20px;
+        }
+        .btn {
+            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+            color: white;
+            text-decoration: none;
+            border: none;
+            padding: 8px 16px;
+            border-radius: 8px;
+            cursor: pointer;
+            font-size: 14px;
+            display: inline-block;
+        }
+        .btn-danger {
+            background: #dc3545;
+        }
+        table {
+            width: 100%;
+            border-collapse: collapse;
+            font-size: 14px;
+        }
+        th, td {
+            text-align: left;
+            padding: 8px;
+            border-bottom: 1px solid #eee;
+            vertical-align: middle;
+        }
+        tr.current td {
+            background: #f0f4ff;
+        }
+`;
+
+const BROWSERS = [['Edg/', 'Edge'], ['Firefox/', 'Firefox'], ['CriOS/', 'Chrome'], ['Chrome/', 'Chrome'], ['Safari/', 'Safari']];
+const PLATFORMS = [['iPhone', 'iPhone'], ['iPad', 'iPad'], ['Android', 'Android'], ['Macintosh', 'Mac'], ['Windows', 'Windows'], ['Linux', 'Linux']];
+
+// "Safari on iPhone" from a user agent string
+function describeDevice(userAgent = '') {
+    const browser = BROWSERS.find(([marker]) => userAgent.includes(marker));
+    const platform = PLATFORMS.find(([marker]) => userAgent.includes(marker));
+    if (!browser && !platform) return userAgent.slice(0, 40) || 'Unknown';
+    return [browser ? browser[1] : 'Browser', platform ? `on ${platform[1]}` : ''].join(' ').trim();
+}
+
+const formatTime = (value) => value ? new Date(value).toLocaleString() : '—';
+
+/**
+ * Render the session list.
+ *   sessions   [{ handle, owner, role, ip, userAgent, signedInAt, lastSeenAt, current }]
+ */
+function renderSessionsPage(sessions) {
+    const rowsHtml = sessions.map(entry => `
+                <tr class="${entry.current ? 'current' : ''}">
+                    <td><strong>${escapeHtml(entry.owner)}</strong>${entry.current ? ' (you)' : ''}</td>
+                    <td>${escapeHtml(entry.role)}</td>
+                    <td title="${escapeHtml(entry.userAgent)}">${escapeHtml(describeDevice(entry.userAgent))}</td>
+                    <td>${escapeHtml(entry.ip || '—')}</td>
+                    <td>${escapeHtml(formatTime(entry.signedInAt))}</td>
+                    <td>${escapeHtml(formatTime(entry.lastSeenAt))}</td>
+                    <td>
+                        <form method="POST" action="/admin/sessions/${encodeURIComponent(entry.handle)}/end">
+                            <button type="submit" class="btn btn-danger">⏏ End</button>
+                        </form>
+                    </td>
+                </tr>
+    `).join('');
+
+    return `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>🖥️ Sessions</title>
+    <style>${PAGE_STYLE}</style>
+</head>
+<body>
+    <div class="panel">
+        <h1>🖥️ Sessions</h1>
+        <p>Everyone signed in to this proxy. Ending a session signs that device out; its token stays valid, so revoke the token as well to lock the person out.</p>
+        ${sessions.length === 0 ? '<p>Nobody is signed in.</p>' : `
+        <table>
+            <thead>
+                <tr><th>Signed in as</th><th>Role</th><th>Device</th><th>IP</th><th>Since</th><th>Last seen</th><th></th></tr>
+            </thead>
+            <tbody>${rowsHtml}</tbody>
+        </table>`}
+        <p><a href="/admin/sessions" class="btn">🔄 Refresh</a> <a href="/dashboard" class="btn">⬅ Dashboard</a></p>
+    </div>
+</body>
+</html>
+    `;
+}
+
+module.exports = { describeDevice, renderSessionsPage };
@@ -0,0 +1,48 @@
+// Helpers for long-lived traffic through the proxies: WebSocket upgrades and
+// streaming responses that must not count against per-request rate limits
+
+const http = require('http');
+
+// Requests whose responses stay open (server-sent events, Firestore listen
+// channels, Realtime Database long polling)
+const STREAMING_PATH_PATTERNS = [
+    /\/google\.firestore\.v1\.Firestore\/(Listen|Write)\/channel/,
+    /\/documents:listen\b/,
+    /\/\.lp\b/,
+    /\/stream\b/
+];
+
+// Pathname only: a query string such as "?x=/stream" must not make a request a stream
+function isStreamingPath(pathname) {
+    return STREAMING_PATH_PATTERNS.some(pattern => pattern.test(pathname));
+}
+
+// Whether a response should be passed through as it arrives. Takes the
+// client's Accept header at its word, so it is for response handling only,
+// never for deciding what a request may skip.
+function isStreamingRequest(req) {
+    const accept = req.headers.accept || '';
+    if (accept.includes('text/event-stream')) return true;
+
+    return isStreamingPath(req.path || String(req.url || '').split('?')[0]);
+}
+
+function isWebSocketUpgrade(req) {
+    return (req.headers.upgrade || '').toLowerCase() === 'websocket';
+}
+
+// End an upgrade request with a plain HTTP error response
+function rejectUpgrade(socket, statusCode) {
+    if (socket.writable) {
+        socket.write(`HTTP/1.1 ${statusCode} ${http.STATUS_CODES[statusCode]}\r\nConnection: close\r\n\r\n`);
+    }
+    socket.destroy();
+}
+
+module.exports = {
+    STREAMING_PATH_PATTERNS,
+    isStreamingPath,
+    isStreamingRequest,
+    isWebSocketUpgrade,
+    rejectUpgrade
+};
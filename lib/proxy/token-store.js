@@ -0,0 +1,169 @@
+// Named access tokens for the emulator proxies
+// Tokens are kept in a local JSON file. Only a SHA-256 hash of each token is
+// stored, so the plaintext is shown exactly once when it is issued.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_STORE_PATH = path.join(__dirname, '..', '..', '.emulator-sharing', 'tokens.json');
+const DEFAULT_TTL_MS = 24 * 60 * 60 * 1000; // 24 hours
+const DEFAULT_TOKEN_ROLE = 'tester';
+
+// Expired and revoked records are dropped after this long
+const PRUNE_AFTER_MS = 7 * 24 * 60 * 60 * 1000;
+
+const DURATION_UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+// Parse durations such as "30m", "12h" or "7d" into milliseconds
+function parseDuration(value) {
+    if (typeof value === 'number') return value;
+    const match = /^(\d+)\s*([smhd])$/.exec(String(value || '').trim());
+    if (!match) {
+        throw new Error(`Invalid duration "${value}" (expected e.g. 30m, 12h, 7d)`);
+    }
+    return parseInt(match[1], 10) * DURATION_UNITS[match[2]];
+}
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function tokenStatus(record, now = Date.now()) {
+    if (record.revoked) return 'revoked';
+    if (Date.parse(record.expiresAt) <= now) return 'expired';
+    return 'active';
+}
+
+function createTokenStore(filePath = DEFAULT_STORE_PATH) {
+    // Fresh copy from disk, for changing and saving
+    const load = () => {
+        if (!fs.existsSync(filePath)) {
+            return { tokens: [] };
+        }
+        const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        return { tokens: Array.isArray(data.tokens) ? data.tokens : [] };
+    };
+
+    // Every authenticated request checks its token, so reads come from memory
+    // and the file is only parsed again when it changed (proxy-tokens.js
+    // writes it from another process)
+    let cached = null;
+    const current = () => {
+        let stats;
+        try {
+            stats = fs.statSync(filePath);
+        } catch (error) {
+            return [];
+        }
+        if (!cached || cached.mtimeMs !== stats.mtimeMs || cached.size !== stats.size) {
+            cached = { mtimeMs: stats.mtimeMs, size: stats.size, tokens: load().tokens };
+        }
+        return cached.tokens;
+    };
+
+    const save = (data) => {
+        const now = Date.now();
+        data.tokens = data.tokens.filter(record => {
+            const endedAt = record.revoked ? Date.parse(record.revokedAt) : Date.parse(record.expiresAt);
+            return tokenStatus(record, now) === 'active' || now - endedAt < PRUNE_AFTER_MS;
+        });
+
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        const tmpPath = `${filePath}.${process.pid}.tmp`;
+        fs.writeFileSync(tmpPath, JSON.stringify(data, null, 2), { mode: 0o600 });
+        fs.renameSync(tmpPath, filePath);
+        cached = null;
+    };
+
+    // Create a token for `owner`; returns the record plus the plaintext token.
+    // `source` marks tokens a program issues for itself (see revokeOwner).
+    const issue = (owner, { ttl = DEFAULT_TTL_MS, role = DEFAULT_TOKEN_ROLE, source = null } = {}) => {
+        if (!owner || !String(owner).trim()) {
+            throw new Error('Token owner is required');
+        }
+
+        const token = crypto.randomBytes(16).toString('hex');
+        const createdAt = new Date();
+        const record = {
+            id: crypto.randomBytes(4).toString('hex'),
+            owner: String(owner).trim(),
+            role,
+            tokenHash: hashToken(token),
+            createdAt: createdAt.toISOString(),
+            expiresAt: new Date(createdAt.getTime() + parseDuration(ttl)).toISOString(),
+            revoked: false,
+            ...(source ? { source } : {})
+        };
+
+        const data = load();
+        data.tokens.push(record);
+        save(data);
+
+        return { ...record, token };
+    };
+
+    const list = () => {
+        const now = Date.now();
+        return current().map(record => ({
+            ...record,
+            role: record.role || DEFAULT_TOKEN_ROLE,
+            status: tokenStatus(record, now)
+        }));
+    };
+
+    const get = (id) => current().find(record => record.id === id) || null;
+
+    // Revoke the active tokens `matches` selects; returns the revoked records
+    const revokeWhere = (matchesRecord) => {
+        const data = load();
+        const revokedAt = new Date().toISOString();
+        const matches = data.tokens.filter(record => !record.revoked && matchesRecord(record));
+
+        matches.forEach(record => {
+            record.revoked = true;
+            record.revokedAt = revokedAt;
+        });
+
+        if (matches.length > 0) {
+            save(data);
+        }
+        return matches;
+    };
+
+    // Revoke by token id
+    const revoke = (id) => revokeWhere(record => record.id === id);
+
+    // Revoke every token of an owner label; owners are free text, so `source`
+    // narrows it to the tokens one program issued
+    const revokeOwner = (owner, { source = null } = {}) =>
+        revokeWhere(record => record.owner === owner && (!source || record.source === source));
+
+    // Look up an active record for a plaintext token, or null
+    const verify = (token) => {
+        if (!token) return null;
+
+        const candidate = Buffer.from(hashToken(token), 'hex');
+        const now = Date.now();
+        return current().find(record =>
+            tokenStatus(record, now) === 'active' &&
+            crypto.timingSafeEqual(Buffer.from(record.tokenHash, 'hex'), candidate)
+        ) || null;
+    };
+
+    // True while the token with this id is neither expired nor revoked
+    const isActive = (id) => {
+        const record = get(id);
+        return Boolean(record) && tokenStatus(record) === 'active';
+    };
+
+    return { filePath, issue, list, get, revoke, revokeOwner, verify, isActive };
+}
+
+module.exports = {
+    DEFAULT_STORE_PATH,
+    DEFAULT_TTL_MS,
+    DEFAULT_TOKEN_ROLE,
+    parseDuration,
+    createTokenStore
+};
@@ -0,0 +1,165 @@
+#!/usr/bin/env node
+
+/**
+ * Emulator Proxy Token Admin
+ * Issue, list and revoke the named access tokens used by secure-local-proxy.js
+ * Usage:
+ *   node proxy-tokens.js issue alice --ttl 12h    # Issue a token for alice
+ *   node proxy-tokens.js issue bob --role viewer  # Issue a read-only token
+ *   node proxy-tokens.js roles                    # List available roles
+ *   node proxy-tokens.js list                     # List all tokens
+ *   node proxy-tokens.js revoke <id>              # Revoke a token
+ *   node proxy-tokens.js revoke --owner alice     # Revoke all of alice's tokens
+ *   node proxy-tokens.js invite --label phone     # Print a one-time invite QR code
+ */
+
+const qrcode = require('qrcode-terminal');
+const { createTokenStore, DEFAULT_STORE_PATH, DEFAULT_TOKEN_ROLE } = require('./lib/proxy/token-store');
+const { loadRoles, DEFAULT_ROLES_PATH } = require('./lib/proxy/roles');
+const { createInviteStore } = require('./lib/proxy/invites');
+const { DEFAULT_PROXY_PORT, getLocalIP } = require('./lib/proxy/network');
+
+const store = createTokenStore(process.env.PROXY_TOKEN_STORE || DEFAULT_STORE_PATH);
+const roles = loadRoles(process.env.PROXY_ROLES_FILE || DEFAULT_ROLES_PATH);
+
+function getOption(args, name, fallback) {
+    const index = args.indexOf(name);
+    return index !== -1 && args[index + 1] ? args[index + 1] : fallback;
+}
+
+function issueToken(args) {
+    const owner = args[0];
+    if (!owner || owner.startsWith('--')) {
+        console.error('❌ Token owner is required');
+        showUsage();
+        process.exit(1);
+    }
+
+    const role = getOption(args, '--role', DEFAULT_TOKEN_ROLE);
+    if (!roles[role]) {
+        console.error(`❌ Unknown role "${role}" (available: ${Object.keys(roles).join(', ')})`);
+        process.exit(1);
+    }
+
+    const record = store.issue(owner, { ttl: getOption(args, '--ttl', '24h'), role });
+    console.log(`✅ Issued ${record.role} token ${record.id} for ${record.owner}`);
+    console.log(`🔑 Token:   ${record.token}`);
+    console.log(`🕐 Expires: ${record.expiresAt}`);
+    console.log('');
+    console.log('⚠️  The token is shown only once. Share it with its owner privately.');
+}
+
+function listTokens() {
+    const tokens = store.list();
+    if (tokens.length === 0) {
+        console.log('📭 No tokens issued yet');
+        return;
+    }
+
+    console.log(`${'ID'.padEnd(10)}${'OWNER'.padEnd(20)}${'ROLE'.padEnd(10)}${'STATUS'.padEnd(10)}${'CREATED'.padEnd(26)}EXPIRES`);
+    tokens.forEach(record => {
+        console.log(
+            `${record.id.padEnd(10)}${record.owner.padEnd(20)}${record.role.padEnd(10)}${record.status.padEnd(10)}` +
+            `${record.createdAt.padEnd(26)}${record.expiresAt}`
+        );
+    });
+}
+
+function revokeToken(args) {
+    const owner = getOption(args, '--owner', null);
+    const target = owner || args[0];
+    if (!target || target.startsWith('--')) {
+        console.error('❌ Token id (or --owner <owner>) is required');
+        showUsage();
+        process.exit(1);
+    }
+
+    const revoked = owner ? store.revokeOwner(owner) : store.revoke(target);
+    if (revoked.length === 0) {
+        console.error(`❌ No active token matches "${target}"`);
+        process.exit(1);
+    }
+    revoked.forEach(record => console.log(`🚫 Revoked token ${record.id} (${record.owner})`));
+}
+
+function createInvite(args) {
+    const role = getOption(args, '--role', 'tester');
+    if (!roles[role]) {
+        console.error(`❌ Unknown role "${role}" (available: ${Object.keys(roles).join(', ')})`);
+        process.exit(1);
+    }
+
+    const invite = createInviteStore().create({
+        label: getOption(args, '--label', 'invitee'),
+        role,
+        ttl: getOption(args, '--ttl', '30m'),
+        uses: getOption(args, '--uses', 1)
+    });
+    const baseUrl = getOption(args, '--url', `http://${getLocalIP()}:${process.env.PROXY_PORT || DEFAULT_PROXY_PORT}`);
+    const url = `${baseUrl.replace(/\/$/, '')}${invite.path}`;
+
+    console.log(`📨 Invite ${invite.id} for ${invite.label} (${invite.role}), ${invite.maxUses} use(s)`);
+    console.log(`🕐 Expires: ${invite.expiresAt}`);
+    console.log(`🔗 ${url}`);
+    console.log('');
+    qrcode.generate(url, { small: true }, code => console.log(code));
+}
+
+function listRoles() {
+    Object.values(roles).forEach(role => {
+        console.log(`${role.name.padEnd(10)}${role.description}`);
+        console.log(`${''.padEnd(10)}services: ${role.services.join(', ')}  methods: ${role.methods.join(', ')}`);
+    });
+}
+
+function showUsage() {
+    console.log('🔑 Emulator Proxy Token Admin');
+    console.log('');
+    console.log('Usage:');
+    console.log('  node proxy-tokens.js issue <owner> [--ttl 24h] [--role tester]  # Issue a named token');
+    console.log('  node proxy-tokens.js list                                       # List tokens and their status');
+    console.log('  node proxy-tokens.js revoke <id>                                # Revoke a token');
+    console.log('  node proxy-tokens.js revoke --owner <owner>                     # Revoke all of an owner\'s tokens');
+    console.log('  node proxy-tokens.js roles                                      # List roles and what they may access');
+    console.log('  node proxy-tokens.js invite [--label phone] [--role tester] [--ttl 30m] [--uses 1] [--url base]');
+    console.log('                                                                  # Print a signed invite link and QR code');
+    console.log('');
+    console.log('Environment Variables:');
+    console.log(`  PROXY_TOKEN_STORE     Optional - token store path (default: ${DEFAULT_STORE_PATH})`);
+    console.log(`  PROXY_ROLES_FILE      Optional - custom roles file (default: ${DEFAULT_ROLES_PATH})`);
+    console.log('');
+    console.log('TTL accepts s, m, h or d suffixes, e.g. 30m, 12h, 7d.');
+}
+
+function main() {
+    const [command, ...args] = process.argv.slice(2);
+
+    try {
+        switch (command) {
+            case 'issue':
+                issueToken(args);
+                break;
+            case 'list':
+                listTokens();
+                break;
+            case 'revoke':
+                revokeToken(args);
+                break;
+            case 'roles':
+                listRoles();
+                break;
+            case 'invite':
+                createInvite(args);
+                break;
+            default:
+                showUsage();
+        }
+    } catch (error) {
+        console.error('❌ Token command failed:', error.message);
+        process.exit(1);
+    }
+}
+
+if (require.main === module) {
+    main();
+}
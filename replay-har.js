@@ -0,0 +1,233 @@
+#!/usr/bin/env node
+
+/**
+ * Emulator HAR Replay
+ * Sends the requests from a HAR recorded by secure-local-proxy.js to the local
+ * emulators again and reports where the responses differ from the recording.
+ * Usage:
+ *   node replay-har.js recording.har                      # Replay everything
+ *   node replay-har.js recording.har --service firestore  # Only one service
+ *   node replay-har.js recording.har --auth owner         # Bypass Firestore rules
+ */
+
+const fs = require('fs');
+const http = require('http');
+const zlib = require('zlib');
+const { loadServiceMap, matchService } = require('./lib/proxy/service-map');
+
+// Fields that legitimately change between runs
+const DEFAULT_IGNORED_FIELDS = ['createTime', 'updateTime', 'readTime', 'timestamp', 'etag', 'expiresIn', 'localId'];
+const REDACTED = '[REDACTED]';
+// Recomputed by Node or meaningless against a different server
+const SKIPPED_HEADERS = ['host', 'connection', 'content-length', 'accept-encoding', 'cookie', 'origin', 'referer'];
+const MAX_DIFFS_PER_ENTRY = 5;
+
+function getOption(args, name, fallback) {
+    const index = args.indexOf(name);
+    return index !== -1 && args[index + 1] ? args[index + 1] : fallback;
+}
+
+function decodeText(content) {
+    if (!content || content.text === undefined) return '';
+    return content.encoding === 'base64' ? Buffer.from(content.text, 'base64').toString('utf8') : content.text;
+}
+
+function parseJson(text) {
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        return undefined;
+    }
+}
+
+// Where an entry goes now: its service's current host/port, else the proxy path prefix
+function resolveTarget(entry, services) {
+    const service = entry._service && services[entry._service];
+    if (service && entry._upstreamPath) {
+        return { service: entry._service, host: service.host, port: service.port, path: entry._upstreamPath };
+    }
+
+    const url = new URL(entry.request.url);
+    const match = matchService(services, url.pathname);
+    if (!match) return null;
+    return {
+        service: match.key,
+        host: match.service.host,
+        port: match.service.port,
+        path: (url.pathname.slice(match.service.path.length) || '/') + url.search
+    };
+}
+
+function send(target, entry, auth) {
+    const headers = {};
+    entry.request.headers.forEach(({ name, value }) => {
+        const lower = name.toLowerCase();
+        if (SKIPPED_HEADERS.includes(lower) || value === REDACTED || lower.startsWith(':')) return;
+        headers[lower] = value;
+    });
+    if (auth) {
+        headers.authorization = `Bearer ${auth}`;
+    }
+
+    const postData = entry.request.postData;
+    const body = postData && postData.text !== undefined
+        ? Buffer.from(postData.text, postData.encoding === 'base64' ? 'base64' : 'utf8')
+        : null;
+
+    return new Promise((resolve, reject) => {
+        const req = http.request({ host: target.host, port: target.port, path: target.path, method: entry.request.method, headers }, (res) => {
+            const chunks = [];
+            res.on('data', chunk => chunks.push(chunk));
+            res.on('end', () => {
+                const raw = Buffer.concat(chunks);
+                const encoding = (res.headers['content-encoding'] || '').toLowerCase();
+                try {
+                    const decoded = encoding === 'gzip' ? zlib.gunzipSync(raw)
+                        : encoding === 'deflate' ? zlib.inflateSync(raw)
+                            : encoding === 'br' ? zlib.brotliDecompressSync(raw) : raw;
+                    resolve({ status: res.statusCode, text: decoded.toString('utf8') });
+                } catch (error) {
+                    reject(new Error(`could not decode ${encoding} response: ${error.message}`));
+                }
+            });
+        });
+        req.on('error', reject);
+        req.setTimeout(30000, () => req.destroy(new Error('timed out after 30s')));
+        if (body) req.write(body);
+        req.end();
+    });
+}
+
+// JSON paths whose values differ, ignoring volatile fields
+function diffJson(expected, actual, ignored, prefix = '') {
+    if (expected === actual) return [];
+    if (typeof expected !== 'object' || typeof actual !== 'object' || expected === null || actual === null ||
+        Array.isArray(expected) !== Array.isArray(actual)) {
+        return [{ path: prefix || '(root)', expected, actual }];
+    }
+
+    const keys = new Set([...Object.keys(expected), ...Object.keys(actual)]);
+    const diffs = [];
+    keys.forEach(key => {
+        if (ignored.includes(key)) return;
+        const childPath = Array.isArray(expected) ? `${prefix}[${key}]` : (prefix ? `${prefix}.${key}` : key);
+        diffs.push(...diffJson(expected[key], actual[key], ignored, childPath));
+    });
+    return diffs;
+}
+
+function compare(entry, result, ignored) {
+    const diffs = [];
+    if (entry.response.status !== result.status) {
+        diffs.push({ path: 'status', expected: entry.response.status, actual: result.status });
+    }
+    if (entry.response.content && entry.response.content._truncated) {
+        return diffs;
+    }
+
+    const expectedText = decodeText(entry.response.content);
+    const expectedJson = parseJson(expectedText);
+    const actualJson = parseJson(result.text);
+    if (expectedJson !== undefined && actualJson !== undefined) {
+        diffs.push(...diffJson(expectedJson, actualJson, ignored));
+    } else if (expectedText !== result.text) {
+        diffs.push({ path: 'body', expected: `${expectedText.length} bytes`, actual: `${result.text.length} bytes` });
+    }
+    return diffs;
+}
+
+function preview(value) {
+    const text = value === undefined ? 'undefined' : JSON.stringify(value);
+    return text.length > 80 ? `${text.slice(0, 77)}...` : text;
+}
+
+async function replay(file, args) {
+    const har = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const entries = (har.log && har.log.entries) || [];
+    const { services } = loadServiceMap({
+        firebaseJsonPath: process.env.FIREBASE_JSON || undefined,
+        overridesPath: process.env.PROXY_CONFIG_FILE || null
+    });
+
+    const onlyService = getOption(args, '--service', null);
+    const auth = getOption(args, '--auth', null);
+    const ignored = getOption(args, '--ignore', null)
+        ? getOption(args, '--ignore').split(',').map(field => field.trim())
+        : DEFAULT_IGNORED_FIELDS;
+
+    console.log(`🎥 Replaying ${entries.length} request(s) from ${file}`);
+    console.log('');
+
+    const summary = { same: 0, different: 0, skipped: 0, failed: 0 };
+    for (const entry of entries) {
+        const label = `${entry.request.method} ${new URL(entry.request.url).pathname}`;
+        const target = resolveTarget(entry, services);
+        if (!target || (onlyService && target.service !== onlyService)) {
+            summary.skipped += 1;
+            continue;
+        }
+
+        try {
+            const result = await send(target, entry, auth);
+            const diffs = compare(entry, result, ignored);
+            if (diffs.length === 0) {
+                summary.same += 1;
+                console.log(`✅ ${result.status} ${label}`);
+                continue;
+            }
+
+            summary.different += 1;
+            console.log(`❌ ${entry.response.status} → ${result.status} ${label}`);
+            diffs.slice(0, MAX_DIFFS_PER_ENTRY).forEach(diff => {
+                console.log(`     ${diff.path}: recorded ${preview(diff.expected)}, now ${preview(diff.actual)}`);
+            });
+            if (diffs.length > MAX_DIFFS_PER_ENTRY) {
+                console.log(`     ... and ${diffs.length - MAX_DIFFS_PER_ENTRY} more`);
+            }
+        } catch (error) {
+            summary.failed += 1;
+            console.log(`💥 ${label}: ${error.message} (${target.host}:${target.port})`);
+        }
+    }
+
+    console.log('');
+    console.log(`📊 ${summary.same} same, ${summary.different} different, ${summary.failed} failed, ${summary.skipped} skipped`);
+    return summary;
+}
+
+function showUsage() {
+    console.log('🎥 Emulator HAR Replay');
+    console.log('');
+    console.log('Usage:');
+    console.log('  node replay-har.js <file.har> [--service firestore] [--auth owner] [--ignore updateTime,readTime]');
+    console.log('');
+    console.log('Options:');
+    console.log('  --service <key>    Only replay requests for this emulator service');
+    console.log('  --auth <token>     Send "Authorization: Bearer <token>" (recorded credentials are redacted);');
+    console.log('                     "owner" bypasses Firestore and Storage emulator security rules');
+    console.log(`  --ignore <fields>  JSON fields to ignore when comparing (default: ${DEFAULT_IGNORED_FIELDS.join(',')})`);
+    console.log('');
+    console.log('Environment Variables:');
+    console.log('  FIREBASE_JSON      Optional - firebase.json with the emulator ports (default: searched from cwd)');
+    console.log('  PROXY_CONFIG_FILE  Optional - proxy service overrides (default: emulator-proxy.json next to firebase.json)');
+}
+
+async function main() {
+    const [file, ...args] = process.argv.slice(2);
+    if (!file || file.startsWith('--')) {
+        showUsage();
+        process.exit(file ? 1 : 0);
+    }
+
+    try {
+        const summary = await replay(file, args);
+        process.exit(summary.different > 0 || summary.failed > 0 ? 1 : 0);
+    } catch (error) {
+        console.error('❌ Replay failed:', error.message);
+        process.exit(1);
+    }
+}
+
+if (require.main === module) {
+    main();
+}
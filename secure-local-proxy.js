@@ -1,486 +1,303 @@
 #!/usr/bin/env node
 
 // Secure Local Firebase Emulator Proxy
-// Provides authentication and rate limiting for local network access
-
-const express = require('express');
-const { createProxyMiddleware } = require('http-proxy-middleware');
-const rateLimit = require('express-rate-limit');
-const helmet = require('helmet');
-const session = require('express-session');
-const crypto = require('crypto');
-const fs = require('fs');
-const path = require('path');
-const os = require('os');
-
-// Get local network IP address
-function getLocalIP() {
-    const interfaces = os.networkInterfaces();
-    for (const name of Object.keys(interfaces)) {
-        for (const iface of interfaces[name]) {
-            if (iface.family === 'IPv4' && !iface.internal) {
-                return iface.address;
-            }
-        }
-    }
-    return 'localhost';
-}
-
-const app = express();
+// Provides authentication and rate limiting for local network access.
+// The proxy itself lives in lib/proxy/secure-proxy.js; this script reads the
+// environment, prints invites and handles pairing approvals in the terminal.
+
+const qrcode = require('qrcode-terminal');
+const { createSecureProxy } = require('./lib/proxy/secure-proxy');
+const { tokenLogin, emulatorAccountLogin, inviteLogin, pairingLogin } = require('./lib/proxy/auth-providers');
+const { createTokenStore, DEFAULT_STORE_PATH } = require('./lib/proxy/token-store');
+const { loadRoles, DEFAULT_ROLES_PATH } = require('./lib/proxy/roles');
+const { DEFAULT_AUDIT_PATH } = require('./lib/proxy/audit-log');
+const { loadRateLimits, DEFAULT_RATE_LIMITS_PATH } = require('./lib/proxy/rate-limits');
+const { DEFAULT_PROXY_PORT, getLocalIP } = require('./lib/proxy/network');
+const { DEFAULT_HAR_DIR } = require('./lib/proxy/har-recorder');
+const { DEFAULT_FAULTS_PATH } = require('./lib/proxy/faults');
+const { findDefaultProject } = require('./lib/proxy/service-map');
+const { PRIVATE_NETWORKS, parseCidrList } = require('./lib/proxy/ip-access');
+const { DEFAULT_LOCKOUTS_PATH, DEFAULT_LOCKOUT } = require('./lib/proxy/lockouts');
+const { loadAutomationSettings, DEFAULT_AUTOMATION_PATH } = require('./lib/proxy/automation');
+const { DEFAULT_ROLE_CLAIM } = require('./lib/proxy/emulator-auth');
+const { loadSessionSecret, createFileSessionStore, DEFAULT_SESSIONS_PATH, DEFAULT_SESSION_SECRET_PATH } = require('./lib/proxy/session-store');
+
+// Reached through ngrok or another reverse proxy instead of directly on the LAN
+const BEHIND_TUNNEL = process.env.PROXY_BEHIND_TUNNEL === 'true';
 
 // Configuration
 const CONFIG = {
-    PORT: 8080,
-    SESSION_SECRET: crypto.randomBytes(32).toString('hex'),
-    AUTH_TOKEN: crypto.randomBytes(16).toString('hex'),
-    RATE_LIMIT: {
-        windowMs: 10 * 1000, // 10 seconds
-        max: 10, // 10 requests per window
-        message: {
-            error: 'Rate limit exceeded',
-            message: 'Too many requests. Please wait before trying again.',
-            retryAfter: 10
-        }
+    PORT: parseInt(process.env.PROXY_PORT) || DEFAULT_PROXY_PORT,
+    // Behind a tunnel only the local tunnel agent connects, so nobody else can forge X-Forwarded-For
+    HOST: process.env.PROXY_HOST || (BEHIND_TUNNEL ? '127.0.0.1' : '0.0.0.0'),
+    // X-Forwarded-For/-Proto are trusted from this many proxies; the session cookie becomes HTTPS-only
+    TUNNEL: BEHIND_TUNNEL ? { hops: parseInt(process.env.PROXY_TUNNEL_HOPS) || 1 } : null,
+    // Where devices open the proxy, for invite links (default: http://<LAN IP>:<port>)
+    PUBLIC_URL: (process.env.PROXY_PUBLIC_URL || '').replace(/\/+$/, '') || null,
+    // Signing secret kept on disk, so session cookies stay valid across restarts
+    SESSION_SECRET: loadSessionSecret(process.env.PROXY_SESSION_SECRET_FILE || DEFAULT_SESSION_SECRET_PATH),
+    // "file" keeps sessions in .emulator-sharing/sessions.json so devices stay signed in across restarts
+    SESSION_STORE: process.env.PROXY_SESSION_STORE === 'file' ? 'file' : 'memory',
+    SESSIONS_FILE: process.env.PROXY_SESSIONS_FILE || DEFAULT_SESSIONS_PATH,
+    TOKEN_STORE: process.env.PROXY_TOKEN_STORE || DEFAULT_STORE_PATH,
+    OPERATOR_TOKEN_TTL: '12h',
+    ROLES_FILE: process.env.PROXY_ROLES_FILE || DEFAULT_ROLES_PATH,
+    AUDIT_LOG: {
+        filePath: process.env.PROXY_AUDIT_LOG || DEFAULT_AUDIT_PATH,
+        maxBytes: parseInt(process.env.PROXY_AUDIT_MAX_BYTES) || 5 * 1024 * 1024,
+        maxFiles: parseInt(process.env.PROXY_AUDIT_MAX_FILES) || 5,
+        console: process.env.PROXY_AUDIT_CONSOLE !== 'false'
     },
-    EMULATOR_SERVICES: {
-        ui: { port: 4002, path: '/ui', name: 'Firebase Emulator UI' },
-        functions: { port: 5002, path: '/functions', name: 'Functions API' },
-        firestore: { port: 8085, path: '/firestore', name: 'Firestore' },
-        auth: { port: 9100, path: '/auth', name: 'Authentication' }
-    }
-};
-
-// Security middleware
-app.use(helmet({
-    contentSecurityPolicy: {
-        directives: {
-            defaultSrc: ["'self'"],
-            styleSrc: ["'self'", "'unsafe-inline'"],
-            scriptSrc: ["'self'", "'unsafe-inline'"],
-            imgSrc: ["'self'", "data:", "blob:"],
-            connectSrc: ["'self'"],
-            fontSrc: ["'self'"],
-            objectSrc: ["'none'"],
-            mediaSrc: ["'self'"],
-            frameSrc: ["'none'"]
-        }
+    // Invite links printed as QR codes; each redemption gets its own token
+    INVITES: {
+        ttl: process.env.PROXY_INVITE_TTL || '30m',
+        uses: parseInt(process.env.PROXY_INVITE_USES) || 1,
+        role: process.env.PROXY_INVITE_ROLE || 'tester',
+        tokenTtl: '12h',
+        printAtStartup: process.env.PROXY_INVITE_AT_STARTUP !== 'false'
     },
-    crossOriginEmbedderPolicy: false
-}));
-
-// Rate limiting
-const limiter = rateLimit(CONFIG.RATE_LIMIT);
-app.use(limiter);
-
-// Session management
-app.use(session({
-    secret: CONFIG.SESSION_SECRET,
-    resave: false,
-    saveUninitialized: false,
-    cookie: {
-        secure: false, // Set to true if using HTTPS
-        httpOnly: true,
-        maxAge: 3600000 // 1 hour
+    // Email/password login with Auth emulator test accounts; the role comes
+    // from a custom claim. FIREBASE_AUTH_EMULATOR_HOST ("host:port") wins over
+    // the auth entry in firebase.json, then localhost:9100.
+    EMULATOR_AUTH: {
+        enabled: process.env.PROXY_EMULATOR_AUTH !== 'false',
+        emulatorHost: process.env.FIREBASE_AUTH_EMULATOR_HOST || null,
+        defaultPort: 9100,
+        roleClaim: process.env.PROXY_ROLE_CLAIM || DEFAULT_ROLE_CLAIM,
+        projectId: process.env.FIREBASE_PROJECT_ID || null,
+        tokenTtl: '12h',
+        // Accounts are re-checked this often, so disabling or re-roling one takes effect
+        recheckMs: 60 * 1000
+    },
+    // Devices without a token can ask to pair; the operator approves the code
+    PAIRING: {
+        ttl: '5m',
+        role: process.env.PROXY_PAIRING_ROLE || 'tester',
+        tokenTtl: '12h'
+    },
+    // Opt-in HAR recording of proxied traffic, per session ("all" records every session)
+    HAR: {
+        dir: process.env.PROXY_HAR_DIR || DEFAULT_HAR_DIR,
+        maxBodyBytes: parseInt(process.env.PROXY_HAR_MAX_BODY_BYTES) || 1024 * 1024,
+        recordAll: process.env.PROXY_HAR_RECORD === 'all'
+    },
+    // Latency, errors, drops and throttling for testing (off until enabled in the file or at /admin/faults)
+    FAULTS: {
+        filePath: process.env.PROXY_FAULTS || DEFAULT_FAULTS_PATH
+    },
+    // Project the emulators run (FIREBASE_PROJECT_ID, else .firebaserc), for the
+    // Functions console's function URLs and the Firestore browser
+    PROJECT_ID: process.env.FIREBASE_PROJECT_ID || findDefaultProject(process.env.FIREBASE_JSON || undefined),
+    FUNCTIONS_CONSOLE: {
+        authEmulatorHost: process.env.FIREBASE_AUTH_EMULATOR_HOST || null
+    },
+    // Who may connect: comma-separated CIDRs ("any" allows everyone); the deny list wins.
+    // Callers behind a tunnel come from anywhere, so it lets everyone through by default.
+    IP_ACCESS: {
+        allow: parseCidrList(process.env.PROXY_ALLOW_CIDRS) || (BEHIND_TUNNEL ? ['any'] : PRIVATE_NETWORKS),
+        deny: parseCidrList(process.env.PROXY_DENY_CIDRS) || []
+    },
+    // Addresses with too many failed logins are locked out, doubling each time
+    LOCKOUTS: {
+        filePath: process.env.PROXY_LOCKOUTS_FILE || DEFAULT_LOCKOUTS_PATH,
+        maxFailures: parseInt(process.env.PROXY_LOCKOUT_MAX_FAILURES) || DEFAULT_LOCKOUT.maxFailures,
+        baseLockMs: (parseInt(process.env.PROXY_LOCKOUT_SECONDS) || DEFAULT_LOCKOUT.baseLockMs / 1000) * 1000,
+        maxLockMs: (parseInt(process.env.PROXY_LOCKOUT_MAX_SECONDS) || DEFAULT_LOCKOUT.maxLockMs / 1000) * 1000
+    },
+    // Automation scoring and challenge (see lib/proxy/automation.js); "reauth" asks sessions to sign in again
+    AUTOMATION: {
+        ...loadAutomationSettings(process.env.PROXY_AUTOMATION || DEFAULT_AUTOMATION_PATH),
+        ...(process.env.PROXY_AUTOMATION_CHALLENGE ? { challenge: process.env.PROXY_AUTOMATION_CHALLENGE } : {})
+    },
+    // /metrics is open to localhost; remote scrapers send "Authorization: Bearer <token>"
+    METRICS_TOKEN: process.env.PROXY_METRICS_TOKEN || null,
+    HEALTH: {
+        intervalMs: parseInt(process.env.PROXY_HEALTH_INTERVAL_MS) || 5000,
+        timeoutMs: 1000
+    },
+    // Per role/token and per service limits (see lib/proxy/rate-limits.js)
+    RATE_LIMITS: loadRateLimits(process.env.PROXY_RATE_LIMITS || DEFAULT_RATE_LIMITS_PATH),
+    // firebase.json is searched upwards from the working directory by default
+    SERVICE_MAP: {
+        firebaseJsonPath: process.env.FIREBASE_JSON || undefined,
+        overridesPath: process.env.PROXY_CONFIG_FILE || null
     }
-}));
-
-app.use(express.urlencoded({ extended: true }));
-app.use(express.json());
-
-// Security logging
-const logSecurityEvent = (event, req, details = '') => {
-    const timestamp = new Date().toISOString();
-    const ip = req.ip || req.connection.remoteAddress;
-    const userAgent = req.get('User-Agent') || 'Unknown';
-    console.log(`[${timestamp}] SECURITY: ${event} from ${ip} - ${userAgent} ${details}`);
 };
 
-// Bot detection middleware
-const detectBot = (req, res, next) => {
-    const userAgent = (req.get('User-Agent') || '').toLowerCase();
-    const suspiciousPatterns = [
-        'bot', 'crawler', 'spider', 'scraper', 'automation',
-        'selenium', 'puppeteer', 'playwright', 'curl', 'wget',
-        'python-requests', 'okhttp', 'axios/0', 'node-fetch'
-    ];
+// Named access tokens (managed with proxy-tokens.js)
+const tokenStore = createTokenStore(CONFIG.TOKEN_STORE);
+
+// Token for whoever runs the proxy; testers get their own via proxy-tokens.js.
+// The previous run's operator token is revoked so only one is ever active.
+tokenStore.revokeOwner('operator', { source: 'secure-local-proxy' });
+const operatorToken = tokenStore.issue('operator', { ttl: CONFIG.OPERATOR_TOKEN_TTL, role: 'admin', source: 'secure-local-proxy' });
 
-    const isSuspicious = suspiciousPatterns.some(pattern => userAgent.includes(pattern));
+// Role definitions (viewer, tester, admin, plus any from CONFIG.ROLES_FILE)
+const roles = loadRoles(CONFIG.ROLES_FILE);
 
-    if (isSuspicious) {
-        logSecurityEvent('BOT_DETECTED', req, `User-Agent: ${userAgent}`);
-        return res.status(429).json({
-            error: 'Automated access detected',
-            message: 'This service is protected against automated access. Please use a regular browser.',
-            userAgent: userAgent
-        });
+// Login methods, in login page order
+const emulatorLogin = CONFIG.EMULATOR_AUTH.enabled ? emulatorAccountLogin(CONFIG.EMULATOR_AUTH) : null;
+const invites = inviteLogin({
+    defaults: { ttl: CONFIG.INVITES.ttl, uses: CONFIG.INVITES.uses, role: CONFIG.INVITES.role },
+    tokenTtl: CONFIG.INVITES.tokenTtl
+});
+const pairing = pairingLogin({
+    ...CONFIG.PAIRING,
+    onRequest: (request) => {
+        console.log('');
+        console.log(`📱 Pairing request ${request.displayCode} from ${request.name} (${request.ip})`);
+        console.log(`   Type "a ${request.displayCode} [role]" to approve or "r ${request.displayCode}" to reject`);
     }
+});
 
-    next();
-};
+const proxy = createSecureProxy({
+    name: 'secure-local-proxy',
+    port: CONFIG.PORT,
+    host: CONFIG.HOST,
+    tunnel: CONFIG.TUNNEL,
+    sessionSecret: CONFIG.SESSION_SECRET,
+    sessionStore: CONFIG.SESSION_STORE === 'file' ? createFileSessionStore({ filePath: CONFIG.SESSIONS_FILE }) : undefined,
+    auth: [emulatorLogin, tokenLogin(), invites, pairing].filter(Boolean),
+    tokenStore,
+    roles,
+    auditLog: CONFIG.AUDIT_LOG,
+    rateLimits: CONFIG.RATE_LIMITS,
+    har: CONFIG.HAR,
+    faults: CONFIG.FAULTS,
+    functionsConsole: { ...CONFIG.FUNCTIONS_CONSOLE, projectId: CONFIG.PROJECT_ID },
+    firestoreBrowser: { projectId: CONFIG.PROJECT_ID },
+    ipAccess: CONFIG.IP_ACCESS,
+    lockouts: CONFIG.LOCKOUTS,
+    automation: CONFIG.AUTOMATION,
+    metricsToken: CONFIG.METRICS_TOKEN,
+    health: CONFIG.HEALTH,
+    serviceMap: CONFIG.SERVICE_MAP
+});
 
-// Authentication middleware
-const requireAuth = (req, res, next) => {
-    if (req.session.authenticated) {
-        return next();
-    }
+const inviteBaseUrl = () => CONFIG.PUBLIC_URL || `http://${getLocalIP()}:${CONFIG.PORT}`;
 
-    if (req.path === '/login' || req.path === '/auth' || req.path === '/') {
-        return next();
-    }
+// Mint an invite and print it as a link plus a scannable QR code
+const printInvite = (options = {}) => {
+    const invite = invites.create(options);
+    const url = `${inviteBaseUrl()}${invite.path}`;
 
-    logSecurityEvent('UNAUTHORIZED_ACCESS', req, `Path: ${req.path}`);
-    res.redirect('/login');
+    console.log('');
+    console.log(`📨 Invite for ${invite.label} (${invite.role}), ${invite.maxUses} use(s), expires ${invite.expiresAt}:`);
+    console.log(`   ${url}`);
+    qrcode.generate(url, { small: true }, code => console.log(code));
+    return invite;
 };
 
-// Apply security middleware
-app.use(detectBot);
-app.use(requireAuth);
+// Invites and pairing approvals from the terminal
+const handleTerminalCommand = (input) => {
+    const [command, arg, role] = input.trim().split(/\s+/);
 
-// Login page
-app.get(['/', '/login'], (req, res) => {
-    if (req.session.authenticated) {
-        return res.redirect('/dashboard');
+    if (role && !roles[role]) {
+        console.error(`❌ Unknown role "${role}" (available: ${Object.keys(roles).join(', ')})`);
+        return;
     }
 
-    res.send(`
-<!DOCTYPE html>
-<html lang="en">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>🔒 Secure Firebase Emulator Access</title>
-    <style>
-        body {
-            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Arial, sans-serif;
-            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
-            min-height: 100vh;
-            display: flex;
-            align-items: center;
-            justify-content: center;
-            margin: 0;
-            padding: 20px;
-        }
-        .login-container {
-            background: white;
-            border-radius: 16px;
-            box-shadow: 0 10px 30px rgba(0,0,0,0.2);
-            padding: 40px;
-            max-width: 400px;
-            width: 100%;
-            text-align: center;
-        }
-        .logo {
-            font-size: 48px;
-            margin-bottom: 20px;
-        }
-        h1 {
-            color: #333;
-            margin-bottom: 10px;
-            font-size: 24px;
-        }
-        .subtitle {
-            color: #666;
-            margin-bottom: 30px;
-            font-size: 14px;
-        }
-        .form-group {
-            margin-bottom: 20px;
-            text-align: left;
-        }
-        label {
-            display: block;
-            margin-bottom: 5px;
-            font-weight: 500;
-            color: #333;
-        }
-        input {
-            width: 100%;
-            padding: 12px;
-            border: 2px solid #e1e5e9;
-            border-radius: 8px;
-            font-size: 16px;
-            transition: border-color 0.3s;
-            box-sizing: border-box;
-        }
-        input:focus {
-            outline: none;
-            border-color: #667eea;
-        }
-        .btn {
-            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
-            color: white;
-            border: none;
-            padding: 12px 30px;
-            border-radius: 8px;
-            font-size: 16px;
-            font-weight: 500;
-            cursor: pointer;
-            width: 100%;
-            transition: transform 0.2s;
-        }
-        .btn:hover {
-            transform: translateY(-2px);
-        }
-        .security-info {
-            margin-top: 30px;
-            padding: 20px;
-            background: #f8f9fa;
-            border-radius: 8px;
-            font-size: 14px;
-            color: #666;
-        }
-        .security-feature {
-            display: flex;
-            align-items: center;
-            margin-bottom: 10px;
-        }
-        .security-feature:last-child {
-            margin-bottom: 0;
-        }
-        .feature-icon {
-            margin-right: 10px;
-            font-size: 16px;
+    switch (command) {
+        case 'i':
+        case 'invite':
+            printInvite({ label: arg || 'invitee', ...(role ? { role } : {}) });
+            break;
+        case 'p':
+        case 'pending': {
+            const pending = pairing.queue.pending();
+            if (pending.length === 0) {
+                console.log('📭 No devices waiting to pair');
+            }
+            pending.forEach(request => console.log(`📱 ${request.displayCode}  ${request.name} (${request.ip}) - ${request.userAgent}`));
+            break;
         }
-        .token-display {
-            background: #e3f2fd;
-            border: 1px solid #90caf9;
-            border-radius: 4px;
-            padding: 10px;
-            margin-top: 15px;
-            font-family: monospace;
-            font-size: 14px;
-            word-break: break-all;
+        case 'a':
+        case 'approve':
+        case 'r':
+        case 'reject': {
+            const action = command.startsWith('a') ? 'approve' : 'reject';
+            const request = pairing.decide(action, arg, { ...(role ? { role } : {}), decidedBy: 'terminal' });
+            if (!request) {
+                console.error(`❌ No pending pairing request with code "${arg || ''}"`);
+            } else if (action === 'approve') {
+                console.log(`✅ Approved ${request.name} (${request.displayCode}) as ${request.role}`);
+            } else {
+                console.log(`🚫 Rejected ${request.name} (${request.displayCode})`);
+            }
+            break;
         }
-    </style>
-</head>
-<body>
-    <div class="login-container">
-        <div class="logo">🔒</div>
-        <h1>Secure Firebase Access</h1>
-        <p class="subtitle">Local Network Protection Active</p>
-
-        <form method="POST" action="/auth">
-            <div class="form-group">
-                <label for="token">Access Token:</label>
-                <input type="password" id="token" name="token" required placeholder="Enter your access token">
-            </div>
-            <button type="submit" class="btn">🚀 Access Emulators</button>
-        </form>
-
-        <div class="token-display">
-            <strong>🔑 Current Token:</strong><br>
-            <code>${CONFIG.AUTH_TOKEN}</code>
-        </div>
-
-        <div class="security-info">
-            <h3 style="margin-top: 0; color: #333;">🛡️ Active Protections</h3>
-            <div class="security-feature">
-                <span class="feature-icon">⏱️</span>
-                <span>Rate limiting (${CONFIG.RATE_LIMIT.max} requests per ${CONFIG.RATE_LIMIT.windowMs/1000}s)</span>
-            </div>
-            <div class="security-feature">
-                <span class="feature-icon">🤖</span>
-                <span>Bot detection and blocking</span>
-            </div>
-            <div class="security-feature">
-                <span class="feature-icon">🔐</span>
-                <span>Session-based authentication</span>
-            </div>
-            <div class="security-feature">
-                <span class="feature-icon">🏠</span>
-                <span>Local network only access</span>
-            </div>
-        </div>
-    </div>
-</body>
-</html>
-    `);
-});
-
-// Authentication handler
-app.post('/auth', (req, res) => {
-    const { token } = req.body;
-
-    if (token === CONFIG.AUTH_TOKEN) {
-        req.session.authenticated = true;
-        logSecurityEvent('SUCCESSFUL_LOGIN', req);
-        res.redirect('/dashboard');
-    } else {
-        logSecurityEvent('FAILED_LOGIN', req, `Token: ${token}`);
-        res.redirect('/login?error=invalid');
-    }
-});
-
-// Dashboard
-app.get('/dashboard', (req, res) => {
-    if (!req.session.authenticated) {
-        return res.redirect('/login');
+        default:
+            if (command) console.log(`❓ Unknown command "${command}" (i, p, a, r)`);
     }
-
-    const servicesHtml = Object.entries(CONFIG.EMULATOR_SERVICES)
-        .map(([key, service]) => `
-            <div class="service-card">
-                <h3>${service.name}</h3>
-                <p>Port: ${service.port}</p>
-                <a href="${service.path}" class="btn btn-primary" target="_blank">
-                    🚀 Open ${service.name}
-                </a>
-            </div>
-        `).join('');
-
-    res.send(`
-<!DOCTYPE html>
-<html lang="en">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>🔒 Firebase Emulator Dashboard</title>
-    <style>
-        body {
-            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Arial, sans-serif;
-            background: #f5f5f5;
-            margin: 0;
-            padding: 20px;
-        }
-        .container {
-            max-width: 1200px;
-            margin: 0 auto;
-        }
-        .header {
-            background: white;
-            border-radius: 12px;
-            padding: 30px;
-            margin-bottom: 30px;
-            box-shadow: 0 2px 10px rgba(0,0,0,0.1);
-            text-align: center;
-        }
-        .services-grid {
-            display: grid;
-            grid-template-columns: repeat(auto-fit, minmax(300px, 1fr));
-            gap: 20px;
-            margin-bottom: 30px;
-        }
-        .service-card {
-            background: white;
-            border-radius: 12px;
-            padding: 25px;
-            box-shadow: 0 2px 10px rgba(0,0,0,0.1);
-            text-align: center;
-            transition: transform 0.2s;
-        }
-        .service-card:hover {
-            transform: translateY(-5px);
-        }
-        .btn {
-            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
-            color: white;
-            text-decoration: none;
-            padding: 12px 24px;
-            border-radius: 8px;
-            display: inline-block;
-            font-weight: 500;
-            transition: transform 0.2s;
-        }
-        .btn:hover {
-            transform: translateY(-2px);
-        }
-        .btn-secondary {
-            background: #6c757d;
-        }
-        .security-status {
-            background: #d4edda;
-            border: 1px solid #c3e6cb;
-            border-radius: 8px;
-            padding: 20px;
-            margin-top: 20px;
-        }
-        .logout-btn {
-            position: fixed;
-            top: 20px;
-            right: 20px;
-        }
-    </style>
-</head>
-<body>
-    <div class="logout-btn">
-        <a href="/logout" class="btn btn-secondary">🚪 Logout</a>
-    </div>
-
-    <div class="container">
-        <div class="header">
-            <h1>🔒 Firebase Emulator Dashboard</h1>
-            <p>Secure access to your Firebase development environment</p>
-        </div>
-
-        <div class="services-grid">
-            ${servicesHtml}
-        </div>
-
-        <div class="security-status">
-            <h3>🛡️ Security Status: ACTIVE</h3>
-            <p>All Firebase emulator services are protected with:</p>
-            <ul>
-                <li>Rate limiting and bot detection</li>
-                <li>Session-based authentication</li>
-                <li>Local network access only</li>
-                <li>Security event logging</li>
-            </ul>
-        </div>
-    </div>
-</body>
-</html>
-    `);
-});
-
-// Logout
-app.get('/logout', (req, res) => {
-    req.session.destroy();
-    res.redirect('/login');
-});
-
-// Proxy middleware for each service
-Object.entries(CONFIG.EMULATOR_SERVICES).forEach(([key, service]) => {
-    app.use(service.path, createProxyMiddleware({
-        target: `http://localhost:${service.port}`,
-        changeOrigin: true,
-        pathRewrite: {
-            [`^${service.path}`]: '',
-        },
-        onProxyReq: (proxyReq, req, res) => {
-            logSecurityEvent('PROXY_ACCESS', req, `Service: ${service.name}`);
-        },
-        onError: (err, req, res) => {
-            logSecurityEvent('PROXY_ERROR', req, `Service: ${service.name}, Error: ${err.message}`);
-            res.status(503).json({
-                error: 'Service unavailable',
-                message: `${service.name} is not responding. Make sure the emulator is running.`,
-                service: service.name,
-                port: service.port
-            });
-        }
-    }));
-});
+};
 
 // Start server
-app.listen(CONFIG.PORT, '0.0.0.0', () => {
+proxy.start().then(() => {
     console.log(`🔒 Secure Firebase Emulator Proxy running on port ${CONFIG.PORT}`);
-    console.log(`📱 Access from mobile: http://${getLocalIP()}:${CONFIG.PORT}`);
-    console.log(`🔑 Auth Token: ${CONFIG.AUTH_TOKEN}`);
+    if (CONFIG.TUNNEL) {
+        console.log(`🌐 Behind a tunnel${CONFIG.PUBLIC_URL ? ` (${CONFIG.PUBLIC_URL})` : ''}: listening on ${CONFIG.HOST}, trusting X-Forwarded-For/-Proto from ${CONFIG.TUNNEL.hops} proxy hop(s)`);
+    } else {
+        console.log(`📱 Access from mobile: ${inviteBaseUrl()}`);
+    }
+    console.log(`🔑 Operator Token: ${operatorToken.token} (expires ${operatorToken.expiresAt})`);
+    console.log(`🗂️  Token store: ${CONFIG.TOKEN_STORE}`);
+    console.log('   Issue per-person tokens with: node proxy-tokens.js issue <name>');
     console.log('');
     console.log('🛡️  Security Features Active:');
-    console.log(`   • Rate limiting: ${CONFIG.RATE_LIMIT.max} requests per ${CONFIG.RATE_LIMIT.windowMs/1000} seconds`);
-    console.log('   • Bot detection and blocking');
-    console.log('   • Session-based authentication');
-    console.log('   • Security event logging');
+    console.log(`   • Rate limiting per ${CONFIG.RATE_LIMITS.windowMs/1000}s: ${Object.entries(CONFIG.RATE_LIMITS.roles).map(([role, limit]) => `${role} ${limit}`).join(', ')}`);
+    console.log(`   • Automation detection: challenge (${CONFIG.AUTOMATION.challenge === 'reauth' ? 're-authentication' : 'proof of work'}) from score ${CONFIG.AUTOMATION.challengeAt}, block from ${CONFIG.AUTOMATION.blockAt}`);
+    console.log(`   • Allowed networks: ${proxy.ipFilter.allow.join(', ')}${CONFIG.IP_ACCESS.deny.length ? `; denied: ${CONFIG.IP_ACCESS.deny.join(', ')}` : ''}`);
+    console.log(`   • Lockout after ${CONFIG.LOCKOUTS.maxFailures} failed logins, ${CONFIG.LOCKOUTS.baseLockMs / 1000}s doubling up to ${CONFIG.LOCKOUTS.maxLockMs / 1000}s (clear at /admin/lockouts)`);
+    console.log(`   • Session-based authentication with named, revocable tokens${CONFIG.TUNNEL ? ' (HTTPS-only session cookie)' : ''}`);
+    console.log(CONFIG.SESSION_STORE === 'file'
+        ? `   • Sessions kept across restarts in ${CONFIG.SESSIONS_FILE}, CSRF-protected login and logout`
+        : '   • Sessions in memory (PROXY_SESSION_STORE=file keeps them across restarts), CSRF-protected login and logout');
+    console.log(`   • Role-based service access (${Object.keys(roles).join(', ')})`);
+    console.log('   • WebSocket pass-through with session authentication');
+    console.log('   • Signed, time-limited invite links (QR codes)');
+    if (emulatorLogin) {
+        const emulatorAuth = emulatorLogin.client();
+        console.log(`   • Auth emulator sign-in (${emulatorAuth.host}:${emulatorAuth.port}, role from "${emulatorLogin.roleClaim}" claim)`);
+    }
+    console.log(`   • HAR recording ${CONFIG.HAR.recordAll ? 'of every session' : 'on request'}: ${CONFIG.HAR.dir}`);
+    const faultStatus = proxy.faultInjector.status();
+    console.log(`   • Fault injection ${faultStatus.enabled ? '⚠️  ON' : 'off'} (${faultStatus.rules.length} rules from ${faultStatus.filePath}), switch at /admin/faults`);
+    console.log(`   • Prometheus metrics: http://localhost:${CONFIG.PORT}/metrics`);
+    console.log(`   • Upstream health probes every ${CONFIG.HEALTH.intervalMs / 1000}s`);
+    console.log(CONFIG.PROJECT_ID
+        ? `   • Functions console and Firestore browser for project ${CONFIG.PROJECT_ID} (/console/functions, /console/firestore)`
+        : '   • Functions console and Firestore browser need FIREBASE_PROJECT_ID or a default project in .firebaserc');
+    console.log('   • Live dashboard feed of health, requests and security events (/events)');
+    console.log(`   • Security audit log: ${proxy.auditLog.filePath}`);
     console.log('');
     console.log('📋 Available Services:');
-    Object.entries(CONFIG.EMULATOR_SERVICES).forEach(([key, service]) => {
-        console.log(`   • ${service.name}: http://localhost:${CONFIG.PORT}${service.path}`);
+    Object.entries(proxy.services()).forEach(([key, service]) => {
+        console.log(`   • ${service.name}: http://localhost:${CONFIG.PORT}${service.path} → ${service.host}:${service.port}`);
     });
+    console.log(`   (from ${proxy.serviceSources().join(', ') || 'built-in defaults'}, watching for changes)`);
+    console.log('');
+
+    if (CONFIG.INVITES.printAtStartup) {
+        printInvite({ label: 'invitee' });
+    }
+    if (process.stdin.isTTY) {
+        console.log('');
+        console.log('⌨️  Terminal commands:');
+        console.log('   i [name] [role]   new invite QR code');
+        console.log('   p                 list devices waiting to pair');
+        console.log('   a <code> [role]   approve a pairing request');
+        console.log('   r <code>          reject a pairing request');
+
+        process.stdin.setEncoding('utf8');
+        process.stdin.on('data', handleTerminalCommand);
+    }
+}).catch((error) => {
+    console.error(`❌ Could not start the proxy on port ${CONFIG.PORT}: ${error.message}`);
+    process.exit(1);
 });
 
 // Graceful shutdown
 process.on('SIGINT', () => {
     console.log('\n🛑 Shutting down secure proxy...');
     process.exit(0);
-});
\ No newline at end of file
+});
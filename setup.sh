@@ -25,15 +25,11 @@ else
     exit 1
 fi
 
-# Step 2: Generate SSL certificates
+# Step 2: SSL certificates
 echo ""
-echo "🔐 Generating SSL certificates..."
-if [ ! -d ".certs" ] || [ ! -f ".certs/cert.pem" ]; then
-    ./create-self-signed-cert.sh
-    echo "✅ SSL certificates generated"
-else
-    echo "⏭️  SSL certificates already exist"
-fi
+echo "🔐 SSL certificates..."
+echo "⏭️  The HTTPS wrapper creates its own local CA on first start (.emulator-sharing/ca)"
+echo "   Use ./create-self-signed-cert.sh with CERT_SOURCE=files for your own certificate"
 
 # Step 3: Create basic .env if it doesn't exist
 echo ""
@@ -57,7 +53,7 @@ if [ ! -f ".env" ]; then
 
 # Ports (defaults usually work fine)
 # HTTPS_PORT=8443
-# HTTP_PORT=8080
+# HTTP_PORT=8442
 EOF
     echo "✅ Created .env with sensible defaults"
 else
@@ -98,7 +94,7 @@ echo "🔑 The auth token will be shown in the console"
 echo ""
 echo "💡 Tips:"
 echo "   • Make sure your Firebase emulators are running first"
-echo "   • Accept the SSL certificate warning in your browser"
+echo "   • Install the CA once per device from https://$LOCAL_IP:8443/ca.mobileconfig (iOS) or /ca.crt"
 echo "   • Ensure your mobile device is on the same WiFi network"
 echo ""
 echo "📚 For more details, see README.md"
\ No newline at end of file
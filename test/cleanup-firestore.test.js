@@ -0,0 +1,251 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const SCRIPT = path.join(__dirname, '..', 'cleanup-firestore.js');
+// Swaps firebase-admin for the in-memory fake in the script's process
+const FAKE_ADMIN = path.join(__dirname, 'fixtures', 'firebase-admin', 'register.js');
+
+// A temp directory holding a fake Firestore with these documents
+const seed = (documents) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cleanup-test-'));
+    const store = {};
+    Object.entries(documents).forEach(([docPath, data], index) => {
+        store[docPath] = { data, createTime: 1700000000000 + index };
+    });
+    fs.writeFileSync(path.join(dir, 'firestore.json'), JSON.stringify(store));
+    return dir;
+};
+
+const addDocuments = (dir, documents) => {
+    const file = path.join(dir, 'firestore.json');
+    const store = JSON.parse(fs.readFileSync(file, 'utf8'));
+    Object.entries(documents).forEach(([docPath, data]) => {
+        store[docPath] = { data, createTime: Date.now() };
+    });
+    fs.writeFileSync(file, JSON.stringify(store));
+};
+
+const storedPaths = (dir) => Object.keys(JSON.parse(fs.readFileSync(path.join(dir, 'firestore.json'), 'utf8'))).sort();
+
+const run = (dir, args, env = {}) => spawnSync(process.execPath, ['--require', FAKE_ADMIN, SCRIPT, ...args], {
+    cwd: dir,
+    encoding: 'utf8',
+    timeout: 30000,
+    env: {
+        ...process.env,
+        FIREBASE_PROJECT_ID: 'demo-cleanup',
+        FIRESTORE_EMULATOR_HOST: '',
+        QDRANT_URL: '',
+        FAKE_FIRESTORE: path.join(dir, 'firestore.json'),
+        ...env
+    }
+});
+
+const readJson = (dir, file) => JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+
+test('a dry run saves the plan and deletes nothing', () => {
+    const dir = seed({
+        'products/p1': { name: 'Soap' },
+        'products/p1/reviews/r1': { stars: 4 },
+        'products/p2': { name: 'Shampoo' },
+        'brands/b1': { name: 'Acme' }
+    });
+    const before = storedPaths(dir);
+
+    const result = run(dir, ['--collection', 'products', '--dry-run', '--out', 'plan.json']);
+
+    assert.strictEqual(result.status, 0, result.stderr);
+    assert.deepStrictEqual(storedPaths(dir), before);
+    const plan = readJson(dir, 'plan.json');
+    assert.strictEqual(plan.mode, 'clean');
+    assert.strictEqual(plan.projectId, 'demo-cleanup');
+    assert.deepStrictEqual(plan.collections.map(({ name, documents, subcollectionDocuments }) => ({ name, documents, subcollectionDocuments })),
+        [{ name: 'products', documents: 2, subcollectionDocuments: 1 }]);
+});
+
+test('applying a clean plan deletes the planned collections with their subcollections', () => {
+    const dir = seed({
+        'products/p1': { name: 'Soap' },
+        'products/p1/reviews/r1': { stars: 4 },
+        'products/p2': { name: 'Shampoo' },
+        'brands/b1': { name: 'Acme' }
+    });
+    assert.strictEqual(run(dir, ['--collection', 'products', '--dry-run', '--out', 'plan.json']).status, 0);
+
+    const result = run(dir, ['--apply-plan', 'plan.json']);
+
+    assert.strictEqual(result.status, 0, result.stderr);
+    assert.deepStrictEqual(storedPaths(dir), ['brands/b1']);
+    assert.ok(!fs.existsSync(path.join(dir, 'cleanup-firestore.checkpoint.json')));
+});
+
+test('a plan is refused when the data drifted since it was made', () => {
+    const dir = seed({ 'products/p1': { name: 'Soap' }, 'products/p2': { name: 'Shampoo' } });
+    assert.strictEqual(run(dir, ['--collection', 'products', '--dry-run', '--out', 'plan.json']).status, 0);
+    addDocuments(dir, { 'products/p3': { name: 'Lotion' } });
+    const before = storedPaths(dir);
+
+    const result = run(dir, ['--apply-plan', 'plan.json']);
+
+    assert.strictEqual(result.status, 1);
+    assert.match(result.stderr, /products: documents 2 → 3/);
+    assert.match(result.stderr, /Plan is out of date/);
+    assert.deepStrictEqual(storedPaths(dir), before);
+
+    assert.strictEqual(run(dir, ['--apply-plan', 'plan.json', '--max-drift', '50']).status, 0);
+    assert.deepStrictEqual(storedPaths(dir), []);
+});
+
+test('a plan made for another project is refused', () => {
+    const dir = seed({ 'products/p1': { name: 'Soap' } });
+    assert.strictEqual(run(dir, ['--collection', 'products', '--dry-run', '--out', 'plan.json']).status, 0);
+
+    const result = run(dir, ['--apply-plan', 'plan.json'], { FIREBASE_PROJECT_ID: 'demo-other' });
+
+    assert.strictEqual(result.status, 1);
+    assert.match(result.stderr, /was made for demo-cleanup \(production\), not demo-other \(production\)/);
+    assert.deepStrictEqual(storedPaths(dir), ['products/p1']);
+});
+
+test('applying a duplicates plan deletes exactly the planned duplicates', () => {
+    const dir = seed({
+        'products/p1': { name: 'Soap', brand_id: 'b1' },
+        'products/p2': { name: 'Soap', brand_id: 'b1', price: 3 },
+        'products/p3': { name: 'Soap', brand_id: 'b2' }
+    });
+
+    const dryRun = run(dir, ['--duplicates', '--collection', 'products', '--dry-run', '--out', 'plan.json']);
+    assert.strictEqual(dryRun.status, 0, dryRun.stderr);
+    assert.strictEqual(storedPaths(dir).length, 3);
+    assert.deepStrictEqual(readJson(dir, 'plan.json').collections[0].groups.map(({ keepId, deleteIds }) => ({ keepId, deleteIds })),
+        [{ keepId: 'p1', deleteIds: ['p2'] }]);
+
+    // Made after the plan: not a planned duplicate
+    addDocuments(dir, { 'products/p4': { name: 'Soap', brand_id: 'b2' } });
+    const result = run(dir, ['--apply-plan', 'plan.json', '--max-drift', '100', '--report', 'report.json']);
+
+    assert.strictEqual(result.status, 0, result.stderr);
+    assert.deepStrictEqual(storedPaths(dir), ['products/p1', 'products/p3', 'products/p4']);
+    assert.deepStrictEqual(readJson(dir, 'report.json').collections.products.map(({ deletedId, keptId }) => ({ deletedId, keptId })),
+        [{ deletedId: 'p2', keptId: 'p1' }]);
+});
+
+// Five products over three pages of two, three reviews each, replies below
+// one review, and a product that only exists as the parent of its reviews
+const tree = () => {
+    const documents = { 'brands/b1': { name: 'Acme' } };
+    ['p1', 'p2', 'p3', 'p4', 'p5'].forEach(id => {
+        documents[`products/${id}`] = { name: id };
+        ['r1', 'r2', 'r3'].forEach(review => {
+            documents[`products/${id}/reviews/${review}`] = { stars: 4 };
+        });
+    });
+    ['x1', 'x2', 'x3'].forEach(reply => {
+        documents[`products/p2/reviews/r1/replies/${reply}`] = { text: 'thanks' };
+    });
+    documents['products/ghost/reviews/r1'] = { stars: 1 };
+    return documents;
+};
+
+test('a tree many pages deep is deleted, with subcollection lookups at most --concurrency at a time', () => {
+    const dir = seed(tree());
+    const statsFile = path.join(dir, 'stats.json');
+
+    const result = run(dir, ['--collection', 'products', '--concurrency', '2'], { FAKE_FIRESTORE_STATS: statsFile });
+
+    assert.strictEqual(result.status, 0, result.stderr);
+    assert.deepStrictEqual(storedPaths(dir), ['brands/b1']);
+    assert.match(result.stdout, /Deleted 24 documents from products/);
+    assert.ok(!fs.existsSync(path.join(dir, 'cleanup-firestore.checkpoint.json')));
+    assert.strictEqual(readJson(dir, 'stats.json').maxListingsInFlight, 2);
+});
+
+test('a cleanup with a failed delete keeps its checkpoint and finishes on the next run', () => {
+    const dir = seed(tree());
+
+    const failed = run(dir, ['--collection', 'products', '--concurrency', '2'], { FAKE_FIRESTORE_FAIL: 'products/p3' });
+
+    assert.strictEqual(failed.status, 0, failed.stderr);
+    assert.match(failed.stderr, /Could not delete products\/p3/);
+    assert.ok(storedPaths(dir).includes('products/p3'));
+    assert.ok(!storedPaths(dir).includes('products/p4'));
+    // The page before the failure is the last one recorded
+    assert.deepStrictEqual(readJson(dir, 'cleanup-firestore.checkpoint.json').current, { name: 'products', lastId: 'p2' });
+
+    const resumed = run(dir, ['--collection', 'products', '--concurrency', '2']);
+
+    assert.strictEqual(resumed.status, 0, resumed.stderr);
+    assert.match(resumed.stdout, /Resuming from cleanup-firestore\.checkpoint\.json/);
+    assert.deepStrictEqual(storedPaths(dir), ['brands/b1']);
+    assert.ok(!fs.existsSync(path.join(dir, 'cleanup-firestore.checkpoint.json')));
+});
+
+test('built-in rules match documents missing their key fields on the id field, then the whole document', () => {
+    const dir = seed({
+        'products/p1': { name: 'Soap' },
+        'products/p2': { name: 'Soap' },
+        'products/p3': { name: 'Lotion', id: 'sku-1' },
+        'products/p4': { name: 'Body lotion', id: 'sku-1' },
+        'products/p5': { name: 'Soap', brand_id: 'b1' }
+    });
+
+    const dryRun = run(dir, ['--duplicates', '--collection', 'products', '--dry-run', '--out', 'plan.json']);
+
+    assert.strictEqual(dryRun.status, 0, dryRun.stderr);
+    const [products] = readJson(dir, 'plan.json').collections;
+    assert.strictEqual(products.skipped, 0);
+    assert.deepStrictEqual(products.groups.map(({ keepId, deleteIds }) => ({ keepId, deleteIds })),
+        [{ keepId: 'p1', deleteIds: ['p2'] }, { keepId: 'p3', deleteIds: ['p4'] }]);
+});
+
+test('rules from a file skip documents missing a key field, and the plan counts them', () => {
+    const dir = seed({
+        'users/u1': { email: 'a@example.com' },
+        'users/u2': { email: 'a@example.com' },
+        'users/u3': { name: 'No email' },
+        'users/u4': { name: 'No email' }
+    });
+    fs.writeFileSync(path.join(dir, 'dedup-rules.json'), JSON.stringify({ users: { keyFields: ['email'] } }));
+
+    const dryRun = run(dir, ['--duplicates', '--collection', 'users', '--dry-run', '--out', 'plan.json']);
+
+    assert.strictEqual(dryRun.status, 0, dryRun.stderr);
+    assert.match(dryRun.stdout, /2 documents without email are left alone/);
+    const [users] = readJson(dir, 'plan.json').collections;
+    assert.strictEqual(users.skipped, 2);
+    assert.deepStrictEqual(users.groups.map(group => group.deleteIds), [['u2']]);
+
+    fs.writeFileSync(path.join(dir, 'dedup-rules.json'), JSON.stringify({ users: { keyFields: ['email'], missingKey: 'drop' } }));
+    const invalid = run(dir, ['--duplicates', '--collection', 'users', '--dry-run']);
+    assert.strictEqual(invalid.status, 1);
+    assert.match(invalid.stderr, /"users".missingKey must be skip or fallback, got "drop"/);
+});
+
+test('version 1 clean plans still apply, version 1 duplicate plans that delete anything are refused', () => {
+    const dir = seed({
+        'products/p1': { name: 'Soap', brand_id: 'b1' },
+        'products/p2': { name: 'Soap', brand_id: 'b1' }
+    });
+    const makeV1Plan = (args, file) => {
+        assert.strictEqual(run(dir, [...args, '--collection', 'products', '--dry-run', '--out', file]).status, 0);
+        const plan = readJson(dir, file);
+        plan.version = 1;
+        plan.collections.forEach(collection => delete collection.rule);
+        fs.writeFileSync(path.join(dir, file), JSON.stringify(plan));
+    };
+    makeV1Plan(['--duplicates'], 'duplicates-plan.json');
+    makeV1Plan(['--all'], 'clean-plan.json');
+
+    const duplicates = run(dir, ['--apply-plan', 'duplicates-plan.json']);
+    assert.strictEqual(duplicates.status, 1);
+    assert.match(duplicates.stderr, /older version of this script \(plan version 1\)/);
+    assert.strictEqual(storedPaths(dir).length, 2);
+
+    const clean = run(dir, ['--apply-plan', 'clean-plan.json']);
+    assert.strictEqual(clean.status, 0, clean.stderr);
+    assert.deepStrictEqual(storedPaths(dir), []);
+});
@@ -0,0 +1,243 @@
+// In-memory stand-in for the parts of firebase-admin's Firestore that
+// cleanup-firestore.js uses. Documents live in the JSON file named by
+// FAKE_FIRESTORE ({ "path/to/doc": { data, createTime } }) so a test can seed
+// them before running the script and read them back afterwards.
+//   FAKE_FIRESTORE_FAIL   document path whose delete fails (not retryable)
+//   FAKE_FIRESTORE_STATS  file that receives { maxListingsInFlight } on exit
+
+const fs = require('fs');
+
+const STORE_FILE = process.env.FAKE_FIRESTORE;
+const store = STORE_FILE && fs.existsSync(STORE_FILE) ? JSON.parse(fs.readFileSync(STORE_FILE, 'utf8')) : {};
+const save = () => STORE_FILE && fs.writeFileSync(STORE_FILE, JSON.stringify(store, null, 2));
+
+const stats = { listingsInFlight: 0, maxListingsInFlight: 0 };
+process.on('exit', () => {
+    if (process.env.FAKE_FIRESTORE_STATS) {
+        fs.writeFileSync(process.env.FAKE_FIRESTORE_STATS, JSON.stringify({ maxListingsInFlight: stats.maxListingsInFlight }));
+    }
+});
+
+// Give concurrent callers a chance to overlap, like network calls would
+const tick = () => new Promise(resolve => setTimeout(resolve, 1));
+
+const timestamp = (ms) => ({ toMillis: () => ms, toDate: () => new Date(ms) });
+
+// IDs of the direct children of a collection or document path
+const childIds = (parentPath) => {
+    const prefix = `${parentPath}/`;
+    const ids = new Set();
+    Object.keys(store).forEach(docPath => {
+        if (docPath.startsWith(prefix)) ids.add(docPath.slice(prefix.length).split('/')[0]);
+    });
+    return [...ids].sort();
+};
+
+class DocumentSnapshot {
+    constructor(ref) {
+        const entry = store[ref.path];
+        this.ref = ref;
+        this.id = ref.id;
+        this.exists = Boolean(entry);
+        this.createTime = entry && timestamp(entry.createTime);
+        this.updateTime = entry && timestamp(entry.updateTime || entry.createTime);
+        this.entry = entry;
+    }
+
+    data() {
+        return this.entry && JSON.parse(JSON.stringify(this.entry.data));
+    }
+}
+
+class QuerySnapshot {
+    constructor(docs) {
+        this.docs = docs;
+        this.size = docs.length;
+        this.empty = docs.length === 0;
+    }
+
+    forEach(callback) {
+        this.docs.forEach(callback);
+    }
+}
+
+class Query {
+    constructor(path, { limit = Infinity, after = null } = {}) {
+        this.path = path;
+        this.options = { limit, after };
+    }
+
+    select() {
+        return this;
+    }
+
+    orderBy() {
+        return this;
+    }
+
+    limit(limit) {
+        return new Query(this.path, { ...this.options, limit });
+    }
+
+    startAfter(after) {
+        return new Query(this.path, { ...this.options, after: typeof after === 'string' ? after : after.id });
+    }
+
+    // Documents that exist; parents of subcollections only are not returned
+    async get() {
+        await tick();
+        const { limit, after } = this.options;
+        const ids = childIds(this.path)
+            .filter(id => store[`${this.path}/${id}`] && (!after || id > after))
+            .slice(0, limit);
+        return new QuerySnapshot(ids.map(id => new DocumentSnapshot(new DocumentReference(`${this.path}/${id}`))));
+    }
+
+    count() {
+        return {
+            get: async () => {
+                const count = childIds(this.path).filter(id => store[`${this.path}/${id}`]).length;
+                return { data: () => ({ count }) };
+            }
+        };
+    }
+}
+
+class CollectionReference extends Query {
+    constructor(path) {
+        super(path);
+        this.id = path.split('/').pop();
+    }
+
+    doc(id) {
+        return new DocumentReference(`${this.path}/${id}`);
+    }
+
+    async listDocuments() {
+        return childIds(this.path).map(id => this.doc(id));
+    }
+}
+
+class DocumentReference {
+    constructor(path) {
+        this.path = path;
+        this.id = path.split('/').pop();
+    }
+
+    collection(name) {
+        return new CollectionReference(`${this.path}/${name}`);
+    }
+
+    async listCollections() {
+        stats.listingsInFlight++;
+        stats.maxListingsInFlight = Math.max(stats.maxListingsInFlight, stats.listingsInFlight);
+        await tick();
+        stats.listingsInFlight--;
+        return childIds(this.path).map(name => this.collection(name));
+    }
+
+    async get() {
+        return new DocumentSnapshot(this);
+    }
+}
+
+const applyWrite = ({ type, ref, data, merge }) => {
+    const now = Date.now();
+    const entry = store[ref.path];
+    if (type === 'delete') {
+        delete store[ref.path];
+    } else if (type === 'set') {
+        store[ref.path] = {
+            data: merge && entry ? { ...entry.data, ...data } : data,
+            createTime: entry ? entry.createTime : now,
+            updateTime: now
+        };
+    }
+};
+
+class WriteBatch {
+    constructor() {
+        this.writes = [];
+    }
+
+    set(ref, data, { merge = false } = {}) {
+        this.writes.push({ type: 'set', ref, data, merge });
+        return this;
+    }
+
+    delete(ref) {
+        this.writes.push({ type: 'delete', ref });
+        return this;
+    }
+
+    async commit() {
+        if (this.writes.length > 500) throw new Error('A batch can contain at most 500 writes');
+        this.writes.forEach(applyWrite);
+        save();
+        return [];
+    }
+}
+
+class BulkWriter {
+    constructor() {
+        this.pending = [];
+        this.onResult = () => {};
+        this.onError = () => false;
+    }
+
+    onWriteResult(callback) {
+        this.onResult = callback;
+    }
+
+    onWriteError(callback) {
+        this.onError = callback;
+    }
+
+    delete(ref) {
+        const write = (async () => {
+            await tick();
+            if (ref.path === process.env.FAKE_FIRESTORE_FAIL) {
+                const error = Object.assign(new Error('PERMISSION_DENIED'), { code: 7, documentRef: ref, failedAttempts: 1 });
+                this.onError(error);
+                throw error;
+            }
+            applyWrite({ type: 'delete', ref });
+            save();
+            this.onResult(ref, {});
+            return {};
+        })();
+        this.pending.push(write.catch(() => {}));
+        return write;
+    }
+
+    async flush() {
+        await Promise.all(this.pending);
+    }
+
+    async close() {
+        await this.flush();
+    }
+}
+
+const db = {
+    collection: (path) => new CollectionReference(path),
+    batch: () => new WriteBatch(),
+    bulkWriter: () => new BulkWriter()
+};
+
+const firestore = Object.assign(() => db, {
+    FieldPath: { documentId: () => '__name__' }
+});
+
+module.exports = {
+    apps: [],
+    initializeApp(options) {
+        const app = { options };
+        this.apps.push(app);
+        return app;
+    },
+    app() {
+        return this.apps[0];
+    },
+    firestore
+};
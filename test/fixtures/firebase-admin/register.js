@@ -0,0 +1,12 @@
+// `node --require` hook: require('firebase-admin') gets the in-memory fake,
+// even where the real package is installed
+
+const Module = require('module');
+const path = require('path');
+
+const FAKE = path.join(__dirname, 'index.js');
+const resolveFilename = Module._resolveFilename;
+
+Module._resolveFilename = function (request, ...rest) {
+    return request === 'firebase-admin' ? FAKE : resolveFilename.call(this, request, ...rest);
+};
@@ -0,0 +1,60 @@
+// In-process proxy for tests: temporary token store, audit log and lockouts,
+// quiet logger, and a fake upstream that answers every request with {}
+
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { createSecureProxy } = require('../../lib/proxy/secure-proxy');
+const { tokenLogin } = require('../../lib/proxy/auth-providers');
+const { createTokenStore } = require('../../lib/proxy/token-store');
+
+const quiet = { log() {}, warn() {}, error() {} };
+
+async function startProxy(options = {}) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'proxy-test-'));
+    const upstream = http.createServer((req, res) => res.end('{}'));
+    await new Promise(resolve => upstream.listen(0, '127.0.0.1', resolve));
+
+    const tokenStore = createTokenStore(path.join(dir, 'tokens.json'));
+    const proxy = createSecureProxy({
+        port: 0,
+        host: '127.0.0.1',
+        auth: [tokenLogin()],
+        tokenStore,
+        logger: quiet,
+        auditLog: { filePath: path.join(dir, 'audit.jsonl'), console: false },
+        lockouts: { filePath: path.join(dir, 'lockouts.json') },
+        automation: null,
+        services: { auth: { name: 'Auth', host: '127.0.0.1', port: upstream.address().port, path: '/auth' } },
+        ...options
+    });
+    const { url } = await proxy.start();
+
+    const stop = async () => {
+        await proxy.stop();
+        await new Promise(resolve => upstream.close(resolve));
+    };
+    return { url, proxy, tokenStore, dir, stop };
+}
+
+const sessionCookie = (response) => (response.headers.get('set-cookie') || '').split(';')[0] || null;
+
+// Open the login page; returns its session cookie and CSRF token
+async function openLogin(url, headers = {}) {
+    const response = await fetch(`${url}/login`, { headers });
+    const csrf = (await response.text()).match(/name="_csrf" value="([^"]+)"/)[1];
+    return { cookie: sessionCookie(response), csrf };
+}
+
+// POST a login form with the page's cookie and CSRF token (unless given)
+async function postForm(url, formPath, fields, { cookie, headers = {} } = {}) {
+    return fetch(`${url}${formPath}`, {
+        method: 'POST',
+        headers: { ...headers, cookie, 'content-type': 'application/x-www-form-urlencoded' },
+        body: new URLSearchParams(fields).toString(),
+        redirect: 'manual'
+    });
+}
+
+module.exports = { startProxy, sessionCookie, openLogin, postForm };
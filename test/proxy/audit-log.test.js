@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { createAuditLog, isSecretKey, redact, redactUrl } = require('../../lib/proxy/audit-log');
+
+const tempLog = () => path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'audit-test-')), 'audit.jsonl');
+
+test('secret-looking keys are redacted, ordinary words containing "sig" are not', () => {
+    ['token', 'password', 'Authorization', 'apiKey', 'sig', 'signature', 'X-Goog-Signature'].forEach(key => {
+        assert.ok(isSecretKey(key), key);
+    });
+    ['tokenId', 'design', 'signIn', 'assigned', 'signInMethod'].forEach(key => {
+        assert.ok(!isSecretKey(key), key);
+    });
+});
+
+test('redact walks nested objects and arrays', () => {
+    const result = redact({ user: { password: 'x', name: 'a' }, items: [{ token: 'y' }, 3] });
+    assert.deepStrictEqual(result, { user: { password: '[REDACTED]', name: 'a' }, items: [{ token: '[REDACTED]' }, 3] });
+});
+
+test('redactUrl hides secret query parameters and invite codes, and survives bad escapes', () => {
+    assert.strictEqual(redactUrl('/a?token=x&design=1&sig=2'), '/a?token=[REDACTED]&design=1&sig=[REDACTED]');
+    assert.strictEqual(redactUrl('/invite/abc.123.def'), '/invite/[REDACTED]');
+    assert.strictEqual(redactUrl('/a?%zz=1'), '/a?%zz=1');
+});
+
+test('record never throws and redacts before writing', () => {
+    const filePath = tempLog();
+    const log = createAuditLog({ filePath, console: false });
+
+    const line = log.record({ event: 'FAILED_LOGIN', ip: '127.0.0.1', token: 'secret', path: '/x?%zz&password=p' });
+
+    assert.strictEqual(line.token, '[REDACTED]');
+    const written = fs.readFileSync(filePath, 'utf8');
+    assert.ok(!written.includes('secret'));
+    assert.ok(!written.includes('password=p'));
+});
+
+test('the file rotates into numbered files and keeps maxFiles in total', () => {
+    const filePath = tempLog();
+    const log = createAuditLog({ filePath, console: false, maxBytes: 10, maxFiles: 3 });
+
+    for (let index = 0; index < 5; index++) {
+        log.record({ event: `E${index}` });
+    }
+
+    const dir = fs.readdirSync(path.dirname(filePath)).sort();
+    assert.deepStrictEqual(dir, ['audit.1.jsonl', 'audit.2.jsonl', 'audit.jsonl']);
+    assert.deepStrictEqual(log.query().map(line => line.event), ['E4', 'E3', 'E2']);
+});
+
+test('with maxFiles 1 the file starts over instead of growing', () => {
+    const filePath = tempLog();
+    const log = createAuditLog({ filePath, console: false, maxBytes: 10, maxFiles: 1 });
+
+    log.record({ event: 'FIRST' });
+    log.record({ event: 'SECOND' });
+
+    assert.deepStrictEqual(fs.readdirSync(path.dirname(filePath)), ['audit.jsonl']);
+    assert.deepStrictEqual(log.query().map(line => line.event), ['SECOND']);
+});
@@ -0,0 +1,118 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { EventEmitter } = require('events');
+
+const { createAutomationDetector } = require('../../lib/proxy/automation');
+const { startProxy, openLogin, postForm } = require('../helpers/secure-proxy');
+
+const BROWSER = {
+    'user-agent': 'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Firefox/120.0',
+    accept: 'text/html',
+    'accept-language': 'en'
+};
+
+// Just enough of Express's req and res for inspect()
+const fakeRequest = (headers, { ip = '192.168.1.23', path: requestPath = '/dashboard' } = {}) => ({
+    ip,
+    path: requestPath,
+    secure: false,
+    get: (name) => headers[name.toLowerCase()]
+});
+const fakeResponse = () => Object.assign(new EventEmitter(), { statusCode: 200 });
+
+const solve = ({ nonce, difficulty }) => {
+    for (let counter = 0; ; counter++) {
+        const digest = crypto.createHash('sha256').update(`${nonce}:${counter}`).digest();
+        const zeroBits = digest.toString('hex').match(/^0*/)[0].length * 4;
+        if (zeroBits >= difficulty) return counter;
+    }
+};
+
+test('a browser scores nothing, tools and headless browsers score their signals', () => {
+    const detector = createAutomationDetector();
+
+    assert.deepStrictEqual(detector.inspect(fakeRequest(BROWSER), fakeResponse()), { score: 0, signals: [] });
+
+    const curl = detector.inspect(fakeRequest({ 'user-agent': 'curl/8.4.0', accept: '*/*' }, { ip: '10.0.0.2' }), fakeResponse());
+    assert.deepStrictEqual(curl.signals, ['automationTool', 'notABrowser', 'missingAcceptLanguage']);
+    assert.ok(curl.score >= detector.config.blockAt);
+
+    const headless = detector.inspect(fakeRequest({ ...BROWSER, 'user-agent': 'Mozilla/5.0 HeadlessChrome/120' }, { ip: '10.0.0.3' }), fakeResponse());
+    assert.deepStrictEqual(headless.signals, ['headless']);
+});
+
+test('scanner paths and bursts are behavior signals of the address', () => {
+    const detector = createAutomationDetector({ burstPerSecond: 3 });
+    const now = Date.now();
+
+    detector.inspect(fakeRequest(BROWSER, { path: '/.env' }), fakeResponse(), now);
+    const after = detector.inspect(fakeRequest(BROWSER), fakeResponse(), now + 1);
+    assert.ok(after.signals.includes('probe'));
+
+    let last;
+    for (let index = 0; index < 5; index++) {
+        last = detector.inspect(fakeRequest(BROWSER, { ip: '10.0.0.9' }), fakeResponse(), now + index);
+    }
+    assert.ok(last.signals.includes('burst'));
+});
+
+test('a pass covers behavior signals and the header signals it was earned with only', () => {
+    const detector = createAutomationDetector();
+    const session = {};
+
+    detector.grantPass(session, ['missingAcceptLanguage']);
+
+    assert.ok(detector.hasPass(session, ['missingAcceptLanguage', 'burst', 'regularCadence']));
+    assert.ok(!detector.hasPass(session, ['headless']));
+    assert.ok(!detector.hasPass({}, []));
+});
+
+test('a solved challenge grants a pass, once', () => {
+    const detector = createAutomationDetector({ powDifficulty: 8 });
+    const session = {};
+    const challenge = detector.issueChallenge(session, ['headless']);
+    const counter = solve(challenge);
+
+    assert.deepStrictEqual(detector.verifyChallenge(session, { nonce: challenge.nonce, counter }), { passed: true, reason: 'proof of work' });
+    assert.ok(detector.hasPass(session, ['headless']));
+    assert.strictEqual(detector.verifyChallenge(session, { nonce: challenge.nonce, counter }).passed, false);
+});
+
+test('wrong answers and webdriver browsers do not pass', () => {
+    const detector = createAutomationDetector({ powDifficulty: 8 });
+    const session = {};
+
+    let challenge = detector.issueChallenge(session, []);
+    assert.strictEqual(detector.verifyChallenge(session, { nonce: challenge.nonce, counter: 'x' }).reason, 'wrong proof of work');
+
+    challenge = detector.issueChallenge(session, []);
+    const counter = solve(challenge);
+    assert.match(detector.verifyChallenge(session, { nonce: challenge.nonce, counter, webdriver: 'true' }).reason, /webdriver/);
+    assert.ok(!detector.hasPass(session, []));
+});
+
+test('in reauth mode suspicious sign-in attempts count towards the lockout', async (t) => {
+    const lockouts = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'automation-test-')), 'lockouts.json');
+    const { url, tokenStore, stop } = await startProxy({
+        automation: { challenge: 'reauth' },
+        lockouts: { filePath: lockouts, maxFailures: 4 }
+    });
+    t.after(stop);
+    const { token } = tokenStore.issue('alice');
+    // headless (60): challenged, not blocked
+    const headers = { 'user-agent': 'Mozilla/5.0 HeadlessChrome/120', accept: 'text/html' };
+
+    // Each counts twice: as a failed login and as an automated attempt
+    for (let attempt = 0; attempt < 2; attempt++) {
+        const { cookie, csrf } = await openLogin(url, headers);
+        await postForm(url, '/auth', { token: 'guess', _csrf: csrf }, { cookie, headers });
+    }
+
+    const { cookie, csrf } = await openLogin(url, BROWSER);
+    const response = await postForm(url, '/auth', { token, _csrf: csrf }, { cookie, headers: BROWSER });
+    assert.strictEqual(response.headers.get('location'), '/login?error=locked');
+});
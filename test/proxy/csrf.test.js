@@ -0,0 +1,28 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { CSRF_FIELD, csrfToken, csrfField, isValidCsrf } = require('../../lib/proxy/csrf');
+
+test('a session keeps its token once it has one', () => {
+    const req = { session: {} };
+    const token = csrfToken(req);
+
+    assert.match(token, /^[0-9a-f]{48}$/);
+    assert.strictEqual(csrfToken(req), token);
+    assert.ok(csrfField(req).includes(`name="${CSRF_FIELD}" value="${token}"`));
+});
+
+test('only the session\'s own token is accepted', () => {
+    const req = { session: {} };
+    const token = csrfToken(req);
+
+    assert.ok(isValidCsrf({ ...req, body: { [CSRF_FIELD]: token } }));
+    assert.ok(!isValidCsrf({ ...req, body: { [CSRF_FIELD]: token.replace(/.$/, c => (c === '0' ? '1' : '0')) } }));
+    assert.ok(!isValidCsrf({ ...req, body: { [CSRF_FIELD]: token.slice(1) } }));
+    assert.ok(!isValidCsrf({ ...req, body: {} }));
+    assert.ok(!isValidCsrf(req));
+});
+
+test('a session without a token accepts nothing, not even an empty field', () => {
+    assert.ok(!isValidCsrf({ session: {}, body: { [CSRF_FIELD]: '' } }));
+});
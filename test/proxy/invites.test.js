@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { createInviteStore } = require('../../lib/proxy/invites');
+const { DEFAULT_PROXY_PORT } = require('../../lib/proxy/network');
+const { KNOWN_EMULATORS } = require('../../lib/proxy/service-map');
+
+const tempInvites = () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'invites-test-'));
+    return { filePath: path.join(dir, 'invites.json'), secretPath: path.join(dir, 'invite-secret') };
+};
+
+test('an invite can be redeemed as often as it allows, then not at all', () => {
+    const invites = createInviteStore(tempInvites());
+    const invite = invites.create({ label: 'phone', role: 'viewer', uses: 2 });
+
+    assert.strictEqual(invite.path, `/invite/${invite.code}`);
+    assert.strictEqual(invites.redeem(invite.code).invite.role, 'viewer');
+    assert.strictEqual(invites.redeem(invite.code).invite.uses, 2);
+    assert.deepStrictEqual(invites.redeem(invite.code), { error: 'used up' });
+});
+
+test('tampered, malformed and foreign codes are rejected', () => {
+    const paths = tempInvites();
+    const invites = createInviteStore(paths);
+    const invite = invites.create();
+    const [id, expires, signature] = invite.code.split('.');
+
+    assert.deepStrictEqual(invites.redeem(`${id}.${Number(expires) + 60000}.${signature}`), { error: 'bad signature' });
+    assert.deepStrictEqual(invites.redeem(`${id}.${expires}`), { error: 'malformed' });
+    assert.deepStrictEqual(invites.redeem(undefined), { error: 'malformed' });
+
+    const other = createInviteStore(tempInvites());
+    assert.deepStrictEqual(other.redeem(invite.code), { error: 'bad signature' });
+});
+
+test('the CLI and the proxy share the signing secret', () => {
+    const paths = tempInvites();
+    const invite = createInviteStore(paths).create();
+
+    assert.ok(createInviteStore(paths).redeem(invite.code).invite);
+});
+
+test('expired and revoked invites are rejected', async () => {
+    const invites = createInviteStore(tempInvites());
+    const expiring = invites.create({ ttl: 1 });
+    const revoked = invites.create();
+    invites.revoke(revoked.id);
+
+    await new Promise(resolve => setTimeout(resolve, 5));
+
+    assert.deepStrictEqual(invites.redeem(expiring.code), { error: 'expired' });
+    assert.deepStrictEqual(invites.redeem(revoked.code), { error: 'revoked' });
+});
+
+test('a zero or invalid use count is refused', () => {
+    const invites = createInviteStore(tempInvites());
+    assert.throws(() => invites.create({ uses: 0 }), /Invalid use count/);
+    assert.throws(() => invites.create({ uses: 'many' }), /Invalid use count/);
+});
+
+test('invite links default to a port no emulator uses', () => {
+    const emulatorPorts = Object.values(KNOWN_EMULATORS).map(emulator => emulator.port);
+    assert.ok(!emulatorPorts.includes(DEFAULT_PROXY_PORT));
+});
@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { createIpFilter, forwardedClientIp, normalizeIp, parseCidr, parseCidrList } = require('../../lib/proxy/ip-access');
+
+test('by default only loopback and private addresses may connect', () => {
+    const filter = createIpFilter();
+
+    ['127.0.0.1', '10.1.2.3', '172.20.0.5', '192.168.1.23', '::1', 'fd12::1', '::ffff:192.168.1.5'].forEach(ip => {
+        assert.ok(filter.check(ip).allowed, ip);
+    });
+    ['8.8.8.8', '172.32.0.1', '2001:db8::1', '::ffff:8.8.8.8', '', 'localhost'].forEach(ip => {
+        assert.ok(!filter.check(ip).allowed, ip);
+    });
+});
+
+test('the deny list wins over the allow list', () => {
+    const filter = createIpFilter({ allow: ['192.168.1.0/24'], deny: ['192.168.1.66'] });
+
+    assert.ok(filter.check('192.168.1.5').allowed);
+    assert.deepStrictEqual(filter.check('192.168.1.66'), { allowed: false, reason: 'address in deny list' });
+    assert.deepStrictEqual(filter.check('10.0.0.1'), { allowed: false, reason: 'address not in allow list' });
+});
+
+test('"any" opens the proxy to every address except the denied ones', () => {
+    const filter = createIpFilter({ allow: ['any'], deny: ['8.8.8.8/32'] });
+
+    assert.ok(filter.check('1.2.3.4').allowed);
+    assert.ok(!filter.check('8.8.8.8').allowed);
+    assert.deepStrictEqual(filter.allow, ['any']);
+});
+
+test('typos in a list throw instead of opening the proxy', () => {
+    assert.throws(() => createIpFilter({ allow: ['192.168.1/24'] }), /Invalid address/);
+    assert.throws(() => createIpFilter({ deny: ['10.0.0.0/33'] }), /Invalid prefix/);
+    assert.throws(() => parseCidr('fd00::/200'), /Invalid prefix/);
+});
+
+test('list and address parsing', () => {
+    assert.deepStrictEqual(parseCidrList(' 10.0.0.0/8, ,192.168.1.0/24 '), ['10.0.0.0/8', '192.168.1.0/24']);
+    assert.strictEqual(parseCidrList(''), null);
+    assert.strictEqual(normalizeIp('::ffff:10.0.0.1'), '10.0.0.1');
+    assert.strictEqual(normalizeIp('::ffff:zz'), '::ffff:zz');
+});
+
+test('only trusted hops are believed in X-Forwarded-For', () => {
+    const req = { socket: { remoteAddress: '127.0.0.1' }, headers: { 'x-forwarded-for': '6.6.6.6, 203.0.113.7' } };
+
+    assert.strictEqual(forwardedClientIp(req, 0), '127.0.0.1');
+    assert.strictEqual(forwardedClientIp(req, 1), '203.0.113.7');
+    assert.strictEqual(forwardedClientIp(req, 5), '6.6.6.6');
+});
@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { createLockoutStore } = require('../../lib/proxy/lockouts');
+const { startProxy, openLogin, postForm } = require('../helpers/secure-proxy');
+
+const tempLockouts = () => path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'lockouts-test-')), 'lockouts.json');
+
+const MINUTE = 60 * 1000;
+
+test('an address is locked out after maxFailures within the window', () => {
+    const store = createLockoutStore({ filePath: tempLockouts(), maxFailures: 3 });
+    const now = Date.now();
+
+    assert.deepStrictEqual(store.recordFailure('10.0.0.5', now), { failures: 1, locked: false, lockedForMs: 0 });
+    store.recordFailure('10.0.0.5', now + 1);
+    const third = store.recordFailure('10.0.0.5', now + 2);
+
+    assert.deepStrictEqual(third, { failures: 0, locked: true, lockedForMs: MINUTE });
+    assert.ok(store.status('10.0.0.5', now + 3).locked);
+    assert.ok(!store.status('10.0.0.5', now + 2 + MINUTE).locked);
+    assert.ok(!store.status('10.0.0.6', now).locked);
+});
+
+test('failures outside the window do not count', () => {
+    const store = createLockoutStore({ filePath: tempLockouts(), maxFailures: 2, failureWindowMs: MINUTE });
+    const now = Date.now();
+
+    store.recordFailure('10.0.0.5', now);
+    assert.strictEqual(store.recordFailure('10.0.0.5', now + 2 * MINUTE).locked, false);
+});
+
+test('every further lockout doubles, up to maxLockMs', () => {
+    const store = createLockoutStore({ filePath: tempLockouts(), maxFailures: 1, maxLockMs: 3 * MINUTE });
+    const now = Date.now();
+
+    assert.deepStrictEqual([0, 1, 2].map(step => store.recordFailure('10.0.0.5', now + step).lockedForMs), [MINUTE, 2 * MINUTE, 3 * MINUTE]);
+});
+
+test('a successful login and clearing reset the address', () => {
+    const store = createLockoutStore({ filePath: tempLockouts(), maxFailures: 1 });
+
+    store.recordFailure('10.0.0.5');
+    store.recordSuccess('::ffff:10.0.0.5');
+    assert.ok(!store.status('10.0.0.5').locked);
+
+    store.recordFailure('10.0.0.5');
+    assert.strictEqual(store.clear('10.0.0.5'), true);
+    assert.strictEqual(store.clear('10.0.0.5'), false);
+    assert.deepStrictEqual(store.list(), []);
+});
+
+test('lockouts survive a restart', () => {
+    const filePath = tempLockouts();
+    createLockoutStore({ filePath, maxFailures: 1 }).recordFailure('10.0.0.5');
+
+    assert.ok(createLockoutStore({ filePath }).status('10.0.0.5').locked);
+});
+
+test('a locked-out address cannot sign in, even with a valid token', async (t) => {
+    const { url, tokenStore, stop } = await startProxy({ lockouts: { filePath: tempLockouts(), maxFailures: 2 } });
+    t.after(stop);
+    const { token } = tokenStore.issue('alice');
+
+    for (let attempt = 0; attempt < 2; attempt++) {
+        const { cookie, csrf } = await openLogin(url);
+        await postForm(url, '/auth', { token: 'nope', _csrf: csrf }, { cookie });
+    }
+
+    const { cookie, csrf } = await openLogin(url);
+    const response = await postForm(url, '/auth', { token, _csrf: csrf }, { cookie });
+
+    assert.strictEqual(response.headers.get('location'), '/login?error=locked');
+    const dashboard = await fetch(`${url}/dashboard`, { headers: { cookie }, redirect: 'manual' });
+    assert.strictEqual(dashboard.status, 302);
+});
@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { createPairingQueue } = require('../../lib/proxy/pairing');
+
+const device = { name: 'Pixel 8', ip: '192.168.1.23', userAgent: 'Mozilla/5.0' };
+
+test('an approved request carries the role and who approved it', () => {
+    const seen = [];
+    const queue = createPairingQueue({ onRequest: request => seen.push(request.code) });
+    const request = queue.request(device);
+
+    assert.deepStrictEqual(seen, [request.code]);
+    assert.match(request.displayCode, /^[A-Z2-9]{3}-[A-Z2-9]{3}$/);
+    assert.strictEqual(queue.get(request.id).status, 'pending');
+
+    const approved = queue.approve(request.displayCode.toLowerCase(), { role: 'viewer', approvedBy: 'terminal' });
+
+    assert.strictEqual(approved.id, request.id);
+    assert.strictEqual(queue.get(request.id).status, 'approved');
+    assert.strictEqual(queue.get(request.id).role, 'viewer');
+    assert.deepStrictEqual(queue.pending(), []);
+});
+
+test('a decided code cannot be approved again', () => {
+    const queue = createPairingQueue();
+    const request = queue.request(device);
+
+    assert.ok(queue.reject(request.code, { rejectedBy: 'terminal' }));
+    assert.strictEqual(queue.approve(request.code, { role: 'admin', approvedBy: 'terminal' }), null);
+    assert.strictEqual(queue.get(request.id).status, 'rejected');
+});
+
+test('unknown codes and ids match nothing', () => {
+    const queue = createPairingQueue();
+    queue.request(device);
+
+    assert.strictEqual(queue.approve('AAA-AAA', { role: 'admin', approvedBy: 'terminal' }), null);
+    assert.strictEqual(queue.get('nope'), null);
+    assert.strictEqual(queue.get(undefined), null);
+});
+
+test('the queue refuses requests beyond maxPending', () => {
+    const queue = createPairingQueue({ maxPending: 2 });
+
+    assert.ok(queue.request(device));
+    assert.ok(queue.request(device));
+    assert.strictEqual(queue.request(device), null);
+});
+
+test('unanswered requests expire', async () => {
+    const queue = createPairingQueue({ ttl: 1 });
+    const request = queue.request(device);
+
+    await new Promise(resolve => setTimeout(resolve, 5));
+
+    assert.strictEqual(queue.get(request.id), null);
+    assert.strictEqual(queue.approve(request.code, { role: 'tester', approvedBy: 'terminal' }), null);
+});
+
+test('device names are cleaned up for use as token owners', () => {
+    const queue = createPairingQueue();
+
+    assert.strictEqual(queue.request({ ...device, name: '<script>x</script>' }).name, 'scriptxscript');
+    assert.match(queue.request({ ...device, name: '' }).name, /^device-[a-z2-9]{6}$/);
+});
@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { authorize, canUseService, loadRoles } = require('../../lib/proxy/roles');
+
+const roles = loadRoles(null);
+
+test('viewers only read, apart from the Firestore queries sent as POST', () => {
+    assert.ok(authorize(roles.viewer, 'firestore', 'GET', '/v1/projects/demo/databases/(default)/documents/users').allowed);
+    assert.ok(authorize(roles.viewer, 'firestore', 'POST', '/v1/projects/demo/databases/(default)/documents:runQuery').allowed);
+    assert.ok(!authorize(roles.viewer, 'firestore', 'POST', '/v1/projects/demo/databases/(default)/documents/users').allowed);
+    assert.ok(!authorize(roles.viewer, 'firestore', 'GET', '/emulator/v1/projects/demo/databases/(default)/documents').allowed);
+    assert.ok(!authorize(roles.viewer, 'auth', 'GET', '/').allowed);
+});
+
+test('testers cannot reach the emulator reset endpoints, admins can', () => {
+    const wipe = '/emulator/v1/projects/demo/databases/(default)/documents';
+    assert.ok(!authorize(roles.tester, 'firestore', 'DELETE', wipe).allowed);
+    assert.ok(authorize(roles.tester, 'firestore', 'GET', wipe).allowed);
+    assert.ok(!authorize(roles.tester, 'auth', 'DELETE', '/emulator/v1/projects/demo/accounts').allowed);
+    assert.ok(authorize(roles.admin, 'firestore', 'DELETE', wipe).allowed);
+});
+
+test('an unknown role is refused everything', () => {
+    assert.deepStrictEqual(authorize(undefined, 'ui', 'GET', '/'), { allowed: false, reason: 'unknown role' });
+    assert.ok(!canUseService(undefined, 'ui'));
+});
+
+test('a roles file adds roles and overrides the defaults', () => {
+    const filePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'roles-test-')), 'roles.json');
+    fs.writeFileSync(filePath, JSON.stringify({
+        frontend: { services: ['hosting'], methods: ['get'] },
+        viewer: { services: ['ui'], methods: ['GET'] }
+    }));
+
+    const custom = loadRoles(filePath);
+
+    assert.ok(authorize(custom.frontend, 'hosting', 'GET', '/').allowed);
+    assert.ok(!authorize(custom.frontend, 'firestore', 'GET', '/').allowed);
+    assert.ok(!authorize(custom.viewer, 'firestore', 'GET', '/').allowed);
+    assert.ok(custom.tester);
+});
+
+test('only admins reach the Auth emulator account administration, in any spelling', () => {
+    const adminPaths = [
+        '/identitytoolkit.googleapis.com/v1/projects/demo/accounts',
+        '/identitytoolkit.googleapis.com/v1/projects/demo/accounts:update',
+        '/identitytoolkit.googleapis.com/v1/projects/demo/accounts:batchCreate',
+        '/identitytoolkit.googleapis.com/v1/projects/demo/tenants/t1/accounts:update',
+        '/identitytoolkit.googleapis.com/v1/accounts:update',
+        '/identitytoolkit.googleapis.com/v1/accounts%3Aupdate',
+        '/identitytoolkit.googleapis.com/v1/accounts%3aupdate',
+        '/identitytoolkit.googleapis.com/v1/projects/demo/accounts%3AbatchCreate',
+        '/identitytoolkit.googleapis.com/v1/%61ccounts:update',
+        '/identitytoolkit.googleapis.com/v1/accounts%3Aupdate%zz/../accounts:update',
+        '//identitytoolkit.googleapis.com//v1/./accounts:update/',
+        '/IDENTITYTOOLKIT.googleapis.com/v1/accounts:UPDATE'
+    ];
+
+    adminPaths.forEach(requestPath => {
+        ['viewer', 'tester'].forEach(name => {
+            const role = { ...roles[name], services: ['*'], methods: ['*'], rules: [{ service: 'auth', path: '.*', allow: true }] };
+            assert.ok(!authorize(role, 'auth', 'POST', requestPath).allowed, `${name} ${requestPath}`);
+        });
+        assert.ok(authorize(roles.admin, 'auth', 'POST', requestPath).allowed, `admin ${requestPath}`);
+    });
+});
+
+test('non-admins may only send user ID tokens to the Auth emulator', () => {
+    const signIn = '/identitytoolkit.googleapis.com/v1/accounts:signInWithPassword';
+    const idToken = 'Bearer eyJhbGciOiJub25lIiwidHlwIjoiSldUIn0.eyJ1c2VyX2lkIjoiYWJjIn0.';
+
+    assert.ok(authorize(roles.tester, 'auth', 'POST', signIn).allowed);
+    assert.ok(authorize(roles.tester, 'auth', 'POST', '/identitytoolkit.googleapis.com/v1/accounts:lookup', { authorization: idToken }).allowed);
+
+    ['Bearer owner', 'bearer  OWNER', 'Bearer ya29.a0AfH6SMB', 'Bearer ya29.a.b', 'Basic b3duZXI6', 'owner'].forEach(authorization => {
+        assert.ok(!authorize(roles.tester, 'auth', 'POST', signIn, { authorization }).allowed, authorization);
+        assert.ok(authorize(roles.admin, 'auth', 'POST', signIn, { authorization }).allowed, authorization);
+    });
+});
+
+test('role rules match escaped paths the way the emulator decodes them', () => {
+    assert.ok(!authorize(roles.tester, 'firestore', 'DELETE', '/emulator/v1/projects/demo/databases/(default)/%64ocuments').allowed);
+    assert.ok(!authorize(roles.tester, 'auth', 'DELETE', '/emulator/v1/projects/demo/%61ccounts').allowed);
+});
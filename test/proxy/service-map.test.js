@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { loadServiceMap } = require('../../lib/proxy/service-map');
+const { createSecureProxy } = require('../../lib/proxy/secure-proxy');
+
+const tempFirebaseJson = (emulators) => {
+    const filePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'service-map-test-')), 'firebase.json');
+    fs.writeFileSync(filePath, JSON.stringify({ emulators }));
+    return filePath;
+};
+
+test('emulators on a port the proxy listens on are reported', () => {
+    const firebaseJsonPath = tempFirebaseJson({ firestore: { port: 8442 }, ui: { enabled: true, port: 4000 } });
+
+    const { warnings } = loadServiceMap({ firebaseJsonPath, reservedPorts: { 8442: 'the HTTP → HTTPS redirect' } });
+
+    assert.deepStrictEqual(warnings, ['Port 8442 (firestore) is also used by the HTTP → HTTPS redirect']);
+});
+
+test('the proxy checks its own port and the caller\'s reserved ports', async () => {
+    const firebaseJsonPath = tempFirebaseJson({ firestore: { port: 8442 }, auth: { port: 8088 } });
+    const warnings = [];
+
+    const proxy = createSecureProxy({
+        name: 'https-wrapper',
+        port: 8088,
+        tokenStore: null,
+        logger: { log() {}, warn: (message) => warnings.push(message), error() {} },
+        auditLog: { filePath: path.join(path.dirname(firebaseJsonPath), 'audit.jsonl'), console: false },
+        lockouts: null,
+        automation: null,
+        serviceMap: { firebaseJsonPath, reservedPorts: { 8442: 'the HTTP → HTTPS redirect' } }
+    });
+    await proxy.stop();
+
+    assert.ok(warnings.some(warning => warning.includes('Port 8442 (firestore) is also used by the HTTP → HTTPS redirect')));
+    assert.ok(warnings.some(warning => warning.includes('Port 8088 (auth) is also used by https-wrapper')));
+});
@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { inviteLogin, pairingLogin, tokenLogin } = require('../../lib/proxy/auth-providers');
+const { createInviteStore } = require('../../lib/proxy/invites');
+const { startProxy, sessionCookie, openLogin, postForm } = require('../helpers/secure-proxy');
+
+test('signing in moves the device to a new session with a new CSRF token', async (t) => {
+    const { url, tokenStore, stop } = await startProxy();
+    t.after(stop);
+    const { token } = tokenStore.issue('alice');
+
+    const before = await openLogin(url);
+    const response = await postForm(url, '/auth', { token, _csrf: before.csrf }, { cookie: before.cookie });
+
+    assert.strictEqual(response.headers.get('location'), '/dashboard');
+    const after = sessionCookie(response);
+    assert.ok(after);
+    assert.notStrictEqual(after, before.cookie);
+
+    // The session ID known before signing in is worth nothing
+    const planted = await fetch(`${url}/dashboard`, { headers: { cookie: before.cookie }, redirect: 'manual' });
+    assert.strictEqual(planted.status, 302);
+
+    const dashboard = await fetch(`${url}/dashboard`, { headers: { cookie: after }, redirect: 'manual' });
+    assert.strictEqual(dashboard.status, 200);
+    const csrf = (await dashboard.text()).match(/name="_csrf" value="([^"]+)"/)[1];
+    assert.notStrictEqual(csrf, before.csrf);
+
+    // The old token no longer signs the new session out, the new one does
+    const stale = await postForm(url, '/logout', { _csrf: before.csrf }, { cookie: after });
+    assert.strictEqual(stale.status, 403);
+    const logout = await postForm(url, '/logout', { _csrf: csrf }, { cookie: after });
+    assert.strictEqual(logout.headers.get('location'), '/login');
+});
+
+test('a login without the form\'s CSRF token is sent back to the login page', async (t) => {
+    const { url, tokenStore, stop } = await startProxy();
+    t.after(stop);
+    const { token } = tokenStore.issue('alice');
+
+    const { cookie } = await openLogin(url);
+    const response = await postForm(url, '/auth', { token }, { cookie });
+
+    assert.strictEqual(response.headers.get('location'), '/login?error=csrf');
+    assert.strictEqual(sessionCookie(response), null);
+});
+
+test('a wrong token does not sign in', async (t) => {
+    const { url, stop } = await startProxy();
+    t.after(stop);
+
+    const { cookie, csrf } = await openLogin(url);
+    const response = await postForm(url, '/auth', { token: 'nope', _csrf: csrf }, { cookie });
+
+    assert.strictEqual(response.headers.get('location'), '/login?error=invalid');
+    const dashboard = await fetch(`${url}/dashboard`, { headers: { cookie }, redirect: 'manual' });
+    assert.strictEqual(dashboard.status, 302);
+});
+
+test('invite links and pairing sign in on a new session too', async (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'invites-test-'));
+    const pairing = pairingLogin();
+    const invites = inviteLogin({
+        store: createInviteStore({ filePath: path.join(dir, 'invites.json'), secretPath: path.join(dir, 'invite-secret') })
+    });
+    const { url, stop } = await startProxy({ auth: [tokenLogin(), invites, pairing] });
+    t.after(stop);
+
+    const before = await openLogin(url);
+    const invite = invites.store.create();
+    const redeemed = await fetch(`${url}${invite.path}`, { headers: { cookie: before.cookie }, redirect: 'manual' });
+    assert.strictEqual(redeemed.headers.get('location'), '/dashboard');
+    assert.ok(sessionCookie(redeemed));
+    assert.notStrictEqual(sessionCookie(redeemed), before.cookie);
+
+    const device = await openLogin(url);
+    await postForm(url, '/pair', { device: 'phone', _csrf: device.csrf }, { cookie: device.cookie });
+    pairing.decide('approve', pairing.queue.pending()[0].code, { role: 'viewer', decidedBy: 'terminal' });
+    const approved = await fetch(`${url}/pair/status`, { headers: { cookie: device.cookie } });
+    assert.deepStrictEqual(await approved.json(), { status: 'approved' });
+    assert.ok(sessionCookie(approved));
+    assert.notStrictEqual(sessionCookie(approved), device.cookie);
+});
@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { createTokenStore, parseDuration } = require('../../lib/proxy/token-store');
+
+const tempStore = () => path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'tokens-test-')), 'tokens.json');
+
+test('parseDuration accepts s/m/h/d and rejects anything else', () => {
+    assert.strictEqual(parseDuration('30m'), 30 * 60 * 1000);
+    assert.strictEqual(parseDuration('7d'), 7 * 24 * 60 * 60 * 1000);
+    assert.throws(() => parseDuration('soon'), /Invalid duration/);
+});
+
+test('issued tokens verify, and only their hash is stored', () => {
+    const filePath = tempStore();
+    const store = createTokenStore(filePath);
+
+    const issued = store.issue('alice', { role: 'viewer' });
+
+    assert.strictEqual(store.verify(issued.token).id, issued.id);
+    assert.strictEqual(store.verify('not-a-token'), null);
+    assert.ok(!fs.readFileSync(filePath, 'utf8').includes(issued.token));
+    assert.strictEqual(store.get(issued.id).role, 'viewer');
+});
+
+test('a token without an owner is refused', () => {
+    const store = createTokenStore(tempStore());
+    assert.throws(() => store.issue('  '), /owner is required/);
+});
+
+test('expired tokens no longer verify', async () => {
+    const store = createTokenStore(tempStore());
+    const issued = store.issue('alice', { ttl: 1 });
+
+    await new Promise(resolve => setTimeout(resolve, 5));
+
+    assert.strictEqual(store.verify(issued.token), null);
+    assert.strictEqual(store.isActive(issued.id), false);
+    assert.strictEqual(store.list()[0].status, 'expired');
+});
+
+test('revoke matches the token id only, never an owner with the same name', () => {
+    const store = createTokenStore(tempStore());
+    const target = store.issue('alice');
+    const namedLikeId = store.issue(target.id);
+
+    const revoked = store.revoke(target.id);
+
+    assert.deepStrictEqual(revoked.map(record => record.id), [target.id]);
+    assert.strictEqual(store.verify(target.token), null);
+    assert.ok(store.verify(namedLikeId.token));
+});
+
+test('revokeOwner with a source leaves same-named tokens from elsewhere alone', () => {
+    const store = createTokenStore(tempStore());
+    const own = store.issue('operator', { source: 'secure-local-proxy' });
+    const manual = store.issue('operator');
+
+    store.revokeOwner('operator', { source: 'secure-local-proxy' });
+
+    assert.strictEqual(store.isActive(own.id), false);
+    assert.strictEqual(store.isActive(manual.id), true);
+});
+
+test('changes written by another process are picked up', () => {
+    const filePath = tempStore();
+    const proxy = createTokenStore(filePath);
+    const cli = createTokenStore(filePath);
+    const issued = cli.issue('alice');
+
+    assert.ok(proxy.verify(issued.token));
+
+    cli.revoke(issued.id);
+
+    assert.strictEqual(proxy.verify(issued.token), null);
+});